@@ -9,6 +9,7 @@ const chatRoutes = require('./routes/chatRoutes');
 const messageRoutes = require('./routes/messageRoutes');
 const abuseRoutes = require('./routes/abuseRoutes');
 const insightRoutes = require('./routes/insightRoutes');
+const bookmarkRoutes = require('./routes/bookmarkRoutes');
 const commentRoutes = require('./routes/commentRoutes');
 const adminChatRoutes = require('./routes/adminChatRoutes');
 const subscriptionRoutes = require('./routes/subscriptionRoutes');
@@ -178,6 +179,9 @@ const adminNotificationTemplateRoutes = require('./routes/adminNotificationTempl
 const adminNotificationRoutes = require('./routes/adminNotificationRoutes');
 const adminBulkRoutes = require('./routes/adminBulkRoutes');
 const adminBannerRoutes = require('./routes/adminBannerRoutes');
+const adminTradingCalendarRoutes = require('./routes/adminTradingCalendarRoutes');
+const adminSeriesRoutes = require('./routes/adminSeriesRoutes');
+const adminChannelRoutes = require('./routes/adminChannelRoutes');
 
 app.use('/api/admin/analytics', adminAnalyticsRoutes); // Analytics dashboard
 app.use('/api/admin/filters', adminFilterRoutes); // Advanced filtering
@@ -189,6 +193,9 @@ app.use('/api/admin/notification-templates', adminNotificationTemplateRoutes); /
 app.use('/api/admin/notifications', adminNotificationRoutes); // Broadcast notifications
 app.use('/api/admin/bulk', adminBulkRoutes); // Bulk operations
 app.use('/api/admin/banners', adminBannerRoutes); // Banner management
+app.use('/api/admin/market-calendar', adminTradingCalendarRoutes); // Trading sessions and holidays
+app.use('/api/admin/series', adminSeriesRoutes); // Multi-part insight series
+app.use('/api/admin/channels', adminChannelRoutes); // Broadcast channels
 
 // Superadmin routes (bypass rate limits via roleAwareApiLimiter)
 app.use('/api/superadmin', superadminRoutes);
@@ -200,6 +207,10 @@ app.use('/api/chats', chatRoutes);
 // Message routes (edit, delete, pin, reactions, etc.)
 app.use('/api/messages', messageRoutes);
 
+// Broadcast announcement channels
+const channelRoutes = require('./routes/channelRoutes');
+app.use('/api/channels', channelRoutes);
+
 // Subscription routes (mixed public/user/admin)
 app.use('/api/subscriptions', subscriptionRoutes);
 
@@ -210,9 +221,14 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/banners', bannerRoutes);
 
 // Public insight access
+app.use('/api/insights/bookmarks', bookmarkRoutes); // User bookmarks (before /api/insights/:id routes)
 app.use('/api/insights', insightRoutes);
 app.use('/api/insight-requests', insightRequestRoutes);
 
+// Insight series (public)
+const seriesRoutes = require('./routes/seriesRoutes');
+app.use('/api/series', seriesRoutes);
+
 // Comment routes (mixed public/authenticated)
 app.use('/api/comments', commentRoutes);
 
@@ -263,9 +279,19 @@ app.use('/api/export', exportRoutes);
 const pushNotificationRoutes = require('./routes/pushNotificationRoutes');
 app.use('/api/push', pushNotificationRoutes);
 
-// Market Data Routes
+// Market Data Routes (specific sub-routes before the /:exchange catch-all)
+const watchlistRoutes = require('./routes/watchlistRoutes');
+app.use('/api/market/watchlists', watchlistRoutes);
+const priceAlertRoutes = require('./routes/priceAlertRoutes');
+app.use('/api/market/alerts', priceAlertRoutes);
+const tradingCalendarRoutes = require('./routes/tradingCalendarRoutes');
+app.use('/api/market/calendar', tradingCalendarRoutes);
 app.use('/api/market', marketRoutes);
 
+// Portfolio Routes
+const portfolioRoutes = require('./routes/portfolioRoutes');
+app.use('/api/portfolios', portfolioRoutes);
+
 // Disclosure Routes
 const disclosureRoutes = require('./routes/disclosureRoutes');
 app.use('/api/disclosures', disclosureRoutes);
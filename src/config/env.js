@@ -79,5 +79,12 @@ module.exports = {
   // Stripe Configuration
   STRIPE_SECRET_KEY: process.env.STRIPE_SECRET_KEY,
   STRIPE_WEBHOOK_SECRET: process.env.STRIPE_WEBHOOK_SECRET,
-  FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000'
+  FRONTEND_URL: process.env.FRONTEND_URL || 'http://localhost:3000',
+
+  // Market Data Providers (exchange | google | fixture)
+  MARKET_PROVIDERS: {
+    DFM: process.env.MARKET_DATA_PROVIDER_DFM || process.env.MARKET_DATA_PROVIDER || 'exchange',
+    ADX: process.env.MARKET_DATA_PROVIDER_ADX || process.env.MARKET_DATA_PROVIDER || 'exchange'
+  },
+  MARKET_FIXTURE_DIR: process.env.MARKET_FIXTURE_DIR
 };
@@ -106,7 +106,8 @@ const SUCCESS_MESSAGES = {
 // Chat Constants
 const CHAT_TYPES = {
   PRIVATE: 'private',
-  GROUP: 'group'
+  GROUP: 'group',
+  CHANNEL: 'channel' // One-to-many; subscribers live in ChannelSubscription, not participants
 };
 
 const CHAT_PERMISSIONS = {
@@ -118,7 +119,8 @@ const CHAT_PERMISSIONS = {
 const MESSAGE_STATUS = {
   SENT: 'sent',
   DELIVERED: 'delivered',
-  READ: 'read'
+  READ: 'read',
+  SCHEDULED: 'scheduled' // Channel post waiting for its publish time
 };
 
 // Socket Events
@@ -130,11 +132,27 @@ const SOCKET_EVENTS = {
   AUTHENTICATION_ERROR: 'authentication_error',
   JOIN_CHAT: 'join_chat',
   LEAVE_CHAT: 'leave_chat',
+  SYNC_CHAT: 'sync_chat',
+  CHAT_SYNCED: 'chat_synced',
   SEND_MESSAGE: 'send_message',
   MESSAGE_RECEIVED: 'message_received',
+  MESSAGE_DELIVERED: 'message_delivered',
+  MARK_MESSAGES_READ: 'mark_messages_read',
+  MESSAGE_STATUS_UPDATED: 'message_status_updated',
   CHAT_LIST_UPDATED: 'chat_list_updated',
   TYPING_START: 'typing_start',
   TYPING_STOP: 'typing_stop',
+  THREAD_REPLY: 'thread_reply',
+  THREAD_UPDATED: 'thread_updated',
+  JOIN_CHANNEL: 'join_channel',
+  LEAVE_CHANNEL: 'leave_channel',
+  CHANNEL_POST: 'channel_post',
+  CHANNEL_POST_UPDATED: 'channel_post_updated',
+  MARKET_SUBSCRIBE: 'market:subscribe',
+  MARKET_UNSUBSCRIBE: 'market:unsubscribe',
+  MARKET_TICKS: 'market:ticks',
+  MARKET_OPENED: 'market:opened',
+  MARKET_CLOSED: 'market:closed',
   ERROR: 'error'
 };
 
@@ -160,12 +178,59 @@ const SUBSCRIPTION_SOURCES = {
   SYSTEM: 'system'            // System-granted (migrations, etc.)
 };
 
+// Per-tier feature limits (resolved via subscriptionHelper.getUserLimits)
+const TIER_LIMITS = {
+  free: {
+    watchlists: 2,
+    watchlistSymbols: 15,
+    priceAlerts: 5,
+    portfolios: 1,
+    marketSubscriptions: 25,
+    marketPushIntervalMs: 5 * 60 * 1000, // Ticks batched into one push every 5 minutes
+    chatAttachmentBytes: 5 * 1024 * 1024,
+    chatAttachmentKinds: ['image', 'file']
+  },
+  premium: {
+    watchlists: 20,
+    watchlistSymbols: 100,
+    priceAlerts: 50,
+    portfolios: 10,
+    marketSubscriptions: 250,
+    marketPushIntervalMs: 0, // Pushed on every sync cycle
+    chatAttachmentBytes: 25 * 1024 * 1024,
+    chatAttachmentKinds: ['image', 'file', 'video', 'audio']
+  }
+};
+
+// Chat attachment MIME types per message type (checked against the file contents on upload)
+const CHAT_ATTACHMENT_TYPES = {
+  image: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+  video: ['video/mp4', 'video/webm', 'video/quicktime'],
+  audio: ['audio/mpeg', 'audio/mp4', 'audio/ogg', 'audio/wav', 'audio/webm'],
+  file: [
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ]
+};
+
 // Content Access Levels
 const CONTENT_ACCESS = {
   FREE: 'free',
   PREMIUM: 'premium'
 };
 
+// How premium insights are shown to free users
+// hidden: not listed / blocked, teaser: opening paragraphs only,
+// metered: teaser plus a monthly allowance of full reads
+const PAYWALL_MODES = {
+  HIDDEN: 'hidden',
+  TEASER: 'teaser',
+  METERED: 'metered'
+};
+
 // Audit Action Types
 const AUDIT_ACTIONS = {
   // Authentication
@@ -194,6 +259,17 @@ const AUDIT_ACTIONS = {
   INSIGHT_FEATURED: 'INSIGHT_FEATURED',
   INSIGHT_PUBLISHED: 'INSIGHT_PUBLISHED',
   INSIGHT_UNPUBLISHED: 'INSIGHT_UNPUBLISHED',
+  INSIGHT_STATUS_CHANGED: 'INSIGHT_STATUS_CHANGED',
+
+  // Editorial Workflow
+  INSIGHT_SUBMITTED_FOR_REVIEW: 'INSIGHT_SUBMITTED_FOR_REVIEW',
+  INSIGHT_APPROVED: 'INSIGHT_APPROVED',
+  INSIGHT_REJECTED: 'INSIGHT_REJECTED',
+  INSIGHT_CHANGES_REQUESTED: 'INSIGHT_CHANGES_REQUESTED',
+  REVIEWER_ASSIGNED: 'REVIEWER_ASSIGNED',
+  REVIEWER_REMOVED: 'REVIEWER_REMOVED',
+  REVIEW_COMMENT_ADDED: 'REVIEW_COMMENT_ADDED',
+  REVIEW_COMMENT_RESOLVED: 'REVIEW_COMMENT_RESOLVED',
 
   // Subscription Management
   SUBSCRIPTION_GRANTED: 'SUBSCRIPTION_GRANTED',
@@ -244,6 +320,9 @@ module.exports = {
   SUBSCRIPTION_TIERS,
   SUBSCRIPTION_STATUS,
   SUBSCRIPTION_SOURCES,
+  TIER_LIMITS,
+  CHAT_ATTACHMENT_TYPES,
   CONTENT_ACCESS,
+  PAYWALL_MODES,
   AUDIT_ACTIONS
 };
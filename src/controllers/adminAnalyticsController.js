@@ -7,6 +7,7 @@ const User = require('../models/User');
 const Insight = require('../models/Insight');
 const Subscription = require('../models/Subscription');
 const Notification = require('../models/Notification');
+const tradeIdeaService = require('../services/tradeIdeaService');
 const { HTTP_STATUS } = require('../constants');
 const logger = require('../utils/logger');
 const { Parser } = require('json2csv');
@@ -448,6 +449,7 @@ exports.getContentPerformance = async (req, res, next) => {
           totalInsights: { $sum: 1 },
           totalViews: { $sum: '$views' },
           totalLikes: { $sum: '$likes' },
+          totalBookmarks: { $sum: '$bookmarksCount' },
           avgViews: { $avg: '$views' },
           avgLikes: { $avg: '$likes' },
         },
@@ -535,6 +537,49 @@ exports.getTopContent = async (req, res, next) => {
   }
 };
 
+/**
+ * Get trade idea hit rate and returns per author
+ */
+exports.getTradeIdeaPerformance = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const authorStats = await tradeIdeaService.getAuthorStats({ startDate, endDate });
+
+    const authors = await User.find({ _id: { $in: authorStats.map(s => s.authorId) } }).select('name email');
+    const authorsById = new Map(authors.map(a => [a._id.toString(), a]));
+
+    // Platform-wide figures; average return is weighted by each author's closed ideas
+    const sums = authorStats.reduce((acc, s) => ({
+      total: acc.total + s.total,
+      hitTarget: acc.hitTarget + s.hitTarget,
+      stoppedOut: acc.stoppedOut + s.stoppedOut,
+      expired: acc.expired + s.expired,
+      returnSum: acc.returnSum + (s.avgReturn || 0) * s.closed
+    }), { total: 0, hitTarget: 0, stoppedOut: 0, expired: 0, returnSum: 0 });
+    const closed = sums.hitTarget + sums.stoppedOut + sums.expired;
+    const totals = tradeIdeaService.summarize({ ...sums, avgReturn: closed > 0 ? sums.returnSum / closed : null });
+
+    res.json({
+      success: true,
+      data: {
+        totals,
+        authors: authorStats.map(s => {
+          const author = authorsById.get(s.authorId.toString());
+          return {
+            ...s,
+            name: author ? author.name : null,
+            email: author ? author.email : null
+          };
+        }),
+      },
+    });
+  } catch (error) {
+    logger.error('[AdminAnalytics] Get trade idea performance failed:', error);
+    next(error);
+  }
+};
+
 /**
  * Get engagement metrics
  */
@@ -10,6 +10,7 @@ const Notification = require('../models/Notification');
 const { HTTP_STATUS, NOTIFICATION_EVENTS, AUDIT_ACTIONS } = require('../constants');
 const logger = require('../utils/logger');
 const AuditLogger = require('../utils/auditLogger');
+const editorialService = require('../services/editorialService');
 const { Parser } = require('json2csv');
 
 /**
@@ -247,10 +248,18 @@ exports.bulkPublishInsights = async (req, res, next) => {
   try {
     const { insightIds } = req.body;
 
-    const insights = await Insight.find({ _id: { $in: insightIds } }).select('title status');
+    const found = await Insight.find({ _id: { $in: insightIds } }).select('title status review');
+
+    // Editorial workflow: only approved (or already scheduled) insights can be published
+    const skipped = [];
+    const insights = found.filter(insight => {
+      const reason = editorialService.checkTransition(insight, 'published');
+      if (reason) skipped.push({ id: insight._id, title: insight.title, reason });
+      return !reason;
+    });
 
     const result = await Insight.updateMany(
-      { _id: { $in: insightIds }, status: { $ne: 'published' } },
+      { _id: { $in: insights.map(insight => insight._id) }, status: { $ne: 'published' } },
       {
         $set: {
           status: 'published',
@@ -278,6 +287,7 @@ exports.bulkPublishInsights = async (req, res, next) => {
       data: {
         modified: result.modifiedCount,
         requested: insightIds.length,
+        skipped,
       },
     });
   } catch (error) {
@@ -1,6 +1,7 @@
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const User = require('../models/User');
+const chatAttachmentService = require('../services/chatAttachmentService');
 const AuditLogger = require('../utils/auditLogger');
 const { HTTP_STATUS, AUDIT_ACTIONS, CHAT_PERMISSIONS } = require('../constants');
 const { getPaginationParams } = require('../utils/pagination');
@@ -556,8 +557,9 @@ class AdminChatController {
 
       await Chat.findByIdAndDelete(chatId);
 
-      // Also delete all messages in this chat
+      // Also delete all messages and attachment files in this chat
       const deletedMessages = await Message.deleteMany({ chat: chatId });
+      await chatAttachmentService.removeForChat(chatId);
 
       // Audit log
       await AuditLogger.logFromRequest(req, {
@@ -6,10 +6,35 @@
 const Insight = require('../models/Insight');
 const ModerationQueue = require('../models/ModerationQueue');
 const FlaggedContent = require('../models/FlaggedContent');
+const editorialService = require('../services/editorialService');
+const seriesService = require('../services/seriesService');
+const tradeIdeaService = require('../services/tradeIdeaService');
 const { HTTP_STATUS, AUDIT_ACTIONS } = require('../constants');
 const logger = require('../utils/logger');
 const AuditLogger = require('../utils/auditLogger');
-const { emitModerationActionTaken, emitInsightPublished } = require('../events/enhancedNotificationEvents');
+const { emitReviewDecision, emitInsightPublished } = require('../events/enhancedNotificationEvents');
+
+const { REVIEW_DECISIONS } = Insight;
+
+/**
+ * Send a service error to the client, or on to the error handler
+ */
+const handleServiceError = (error, res, next) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  next(error);
+};
+
+const findInsight = (insightId) => Insight.findOne({ _id: insightId, isDeleted: false });
+
+const insightNotFound = (res) => res.status(HTTP_STATUS.NOT_FOUND).json({
+  success: false,
+  message: 'Insight not found',
+});
 
 /**
  * Get moderation queue
@@ -55,35 +80,36 @@ exports.getQueue = async (req, res, next) => {
 };
 
 /**
- * Approve an insight
+ * Approve the version under review (assigned reviewers only)
  */
 exports.approveInsight = async (req, res, next) => {
   try {
     const { insightId } = req.params;
     const { note, publish = false } = req.body;
 
-    const insight = await Insight.findById(insightId);
-    if (!insight) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json({
-        success: false,
-        message: 'Insight not found',
-      });
-    }
+    const insight = await findInsight(insightId);
+    if (!insight) return insightNotFound(res);
 
-    // Update moderation queue
-    await ModerationQueue.findOneAndUpdate(
-      { contentId: insightId, contentType: 'insight' },
-      {
-        status: 'approved',
-        moderatedBy: req.user.id,
-        moderatedAt: new Date(),
-        note,
-      },
-      { upsert: true }
-    );
+    const approval = editorialService.recordDecision(insight, req.user.id, REVIEW_DECISIONS.APPROVED, note);
 
-    // Optionally publish
+    // Publishing needs the full set of approvals on this version
     if (publish) {
+      const transitionError = editorialService.checkTransition(insight, 'published');
+      if (transitionError) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: transitionError,
+          data: { approval },
+        });
+      }
+      const ideaError = tradeIdeaService.openIdea(insight);
+      if (ideaError) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: ideaError,
+          data: { approval },
+        });
+      }
       insight.status = 'published';
       insight.publishedAt = new Date();
       insight.publishedBy = req.user.id;
@@ -91,19 +117,38 @@ exports.approveInsight = async (req, res, next) => {
 
     await insight.save();
 
+    if (approval.approved) {
+      await editorialService.syncQueue(insight, 'approved', {
+        moderatedBy: req.user.id,
+        moderatedAt: new Date(),
+        note,
+      });
+    }
+
     // Audit log
     await AuditLogger.logFromRequest(req, {
-      action: 'INSIGHT_APPROVED',
+      action: AUDIT_ACTIONS.INSIGHT_APPROVED,
       target: { resourceType: 'Insight', resourceId: insight._id, resourceName: insight.title },
-      metadata: { published: publish, note },
+      changes: {
+        after: { version: approval.version, approvals: approval.approvals, requiredApprovals: approval.required },
+      },
+      metadata: { notes: note },
     });
+    if (publish) {
+      await editorialService.recordTransition(req, insight, 'under_review', { note, notifyAuthor: false });
+    }
 
-    // NOTIFICATION: Notify User
-    emitModerationActionTaken({
+    // NOTIFICATION: Notify author
+    emitReviewDecision({
       userId: insight.author,
-      action: publish ? 'published' : 'approved',
-      reason: note || 'Content meets community standards',
-      contentType: 'insight'
+      insightId: insight._id,
+      title: insight.title,
+      decision: REVIEW_DECISIONS.APPROVED,
+      version: approval.version,
+      approvals: approval.approvals,
+      requiredApprovals: approval.required,
+      published: publish,
+      note,
     });
 
     if (publish) {
@@ -112,16 +157,17 @@ exports.approveInsight = async (req, res, next) => {
         authorId: insight.author,
         type: insight.type
       });
+      seriesService.notifyNewPart(insight);
     }
 
     res.json({
       success: true,
       message: `Insight approved${publish ? ' and published' : ''}`,
-      data: insight,
+      data: { insight, approval },
     });
   } catch (error) {
     logger.error('[AdminModeration] Approve insight failed:', error);
-    next(error);
+    handleServiceError(error, res, next);
   }
 };
 
@@ -133,44 +179,43 @@ exports.rejectInsight = async (req, res, next) => {
     const { insightId } = req.params;
     const { reason, note } = req.body;
 
-    const insight = await Insight.findById(insightId);
-    if (!insight) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json({
+    const insight = await findInsight(insightId);
+    if (!insight) return insightNotFound(res);
+
+    const transitionError = editorialService.checkTransition(insight, 'archived');
+    if (transitionError) {
+      return res.status(HTTP_STATUS.CONFLICT).json({
         success: false,
-        message: 'Insight not found',
+        message: transitionError,
       });
     }
 
-    // Update moderation queue
-    await ModerationQueue.findOneAndUpdate(
-      { contentId: insightId, contentType: 'insight' },
-      {
-        status: 'rejected',
-        moderatedBy: req.user.id,
-        moderatedAt: new Date(),
-        reason,
-        note,
-      },
-      { upsert: true }
-    );
-
     // Mark insight as rejected
+    const previousStatus = insight.status;
     insight.status = 'archived';
     await insight.save();
 
+    await editorialService.syncQueue(insight, 'rejected', {
+      moderatedBy: req.user.id,
+      moderatedAt: new Date(),
+      reason,
+      note,
+    });
+
     // Audit log
     await AuditLogger.logFromRequest(req, {
-      action: 'INSIGHT_REJECTED',
+      action: AUDIT_ACTIONS.INSIGHT_REJECTED,
       target: { resourceType: 'Insight', resourceId: insight._id, resourceName: insight.title },
-      metadata: { reason, note },
+      changes: { before: { status: previousStatus }, after: { status: insight.status } },
+      metadata: { reason, notes: note },
     });
 
-    // NOTIFICATION: Notify User
-    emitModerationActionTaken({
-      userId: insight.author,
-      action: 'rejected',
-      reason: reason || note || 'Does not meet community standards',
-      contentType: 'insight'
+    // NOTIFICATION: Notify author and reviewers
+    editorialService.notifyTransition(insight, {
+      from: previousStatus,
+      to: insight.status,
+      actorId: req.user.id,
+      note: reason,
     });
 
     res.json({
@@ -184,61 +229,221 @@ exports.rejectInsight = async (req, res, next) => {
 };
 
 /**
- * Request changes to an insight
+ * Request changes to the version under review (assigned reviewers only).
+ * The insight goes back to draft; resubmitting creates a new version.
  */
 exports.requestChanges = async (req, res, next) => {
   try {
     const { insightId } = req.params;
     const { changes } = req.body;
 
-    const insight = await Insight.findById(insightId);
-    if (!insight) {
-      return res.status(HTTP_STATUS.NOT_FOUND).json({
-        success: false,
-        message: 'Insight not found',
-      });
-    }
+    const insight = await findInsight(insightId);
+    if (!insight) return insightNotFound(res);
 
-    // Update moderation queue
-    await ModerationQueue.findOneAndUpdate(
-      { contentId: insightId, contentType: 'insight' },
-      {
-        status: 'changes_requested',
-        moderatedBy: req.user.id,
-        moderatedAt: new Date(),
-        changesRequested: changes,
-      },
-      { upsert: true }
-    );
+    const approval = editorialService.recordDecision(insight, req.user.id, REVIEW_DECISIONS.CHANGES_REQUESTED, changes);
 
-    insight.status = 'under_review';
+    insight.status = 'draft';
     await insight.save();
 
+    await editorialService.syncQueue(insight, 'changes_requested', {
+      moderatedBy: req.user.id,
+      moderatedAt: new Date(),
+      changesRequested: changes,
+    });
+
     // Audit log
     await AuditLogger.logFromRequest(req, {
-      action: 'CHANGES_REQUESTED',
+      action: AUDIT_ACTIONS.INSIGHT_CHANGES_REQUESTED,
       target: { resourceType: 'Insight', resourceId: insight._id, resourceName: insight.title },
-      metadata: { changes },
+      changes: { before: { status: 'under_review' }, after: { status: insight.status, version: approval.version } },
+      metadata: { notes: changes },
     });
 
-    // NOTIFICATION: Notify User
-    emitModerationActionTaken({
+    // NOTIFICATION: Notify author (decision) and the other reviewers (status change)
+    editorialService.notifyTransition(insight, {
+      from: 'under_review',
+      to: insight.status,
+      actorId: req.user.id,
+      note: changes,
+      notifyAuthor: false,
+    });
+    emitReviewDecision({
       userId: insight.author,
-      action: 'changes_requested',
-      reason: changes,
-      contentType: 'insight'
+      insightId: insight._id,
+      title: insight.title,
+      decision: REVIEW_DECISIONS.CHANGES_REQUESTED,
+      version: approval.version,
+      note: changes,
     });
 
     res.json({
       success: true,
       message: 'Changes requested',
+      data: { approval },
     });
   } catch (error) {
     logger.error('[AdminModeration] Request changes failed:', error);
+    handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Get the review state of an insight: reviewers, approvals, comments
+ */
+exports.getReview = async (req, res, next) => {
+  try {
+    const { insightId } = req.params;
+    const version = req.query.version ? parseInt(req.query.version) : undefined;
+
+    const review = await editorialService.getReview(insightId, { version });
+
+    res.json({
+      success: true,
+      data: review,
+    });
+  } catch (error) {
+    logger.error('[AdminModeration] Get review failed:', error);
+    handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Insights waiting on the current admin's review
+ */
+exports.getMyReviews = async (req, res, next) => {
+  try {
+    const insights = await editorialService.getPendingReviews(req.user.id);
+
+    res.json({
+      success: true,
+      data: insights,
+    });
+  } catch (error) {
+    logger.error('[AdminModeration] Get my reviews failed:', error);
     next(error);
   }
 };
 
+/**
+ * Assign reviewers to an insight
+ */
+exports.assignReviewers = async (req, res, next) => {
+  try {
+    const { insightId } = req.params;
+    const { reviewers, requiredApprovals } = req.body;
+
+    const insight = await findInsight(insightId);
+    if (!insight) return insightNotFound(res);
+
+    const added = await editorialService.assignReviewers(insight, req.user.id, reviewers, requiredApprovals);
+
+    // Audit log
+    await AuditLogger.logFromRequest(req, {
+      action: AUDIT_ACTIONS.REVIEWER_ASSIGNED,
+      target: { resourceType: 'Insight', resourceId: insight._id, resourceName: insight.title },
+      changes: { after: { added, requiredApprovals: insight.review.requiredApprovals } },
+    });
+
+    res.json({
+      success: true,
+      message: `${added.length} reviewer(s) assigned`,
+      data: editorialService.getApprovalStatus(insight),
+    });
+  } catch (error) {
+    logger.error('[AdminModeration] Assign reviewers failed:', error);
+    handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Remove a reviewer from an insight
+ */
+exports.removeReviewer = async (req, res, next) => {
+  try {
+    const { insightId, userId } = req.params;
+
+    const insight = await findInsight(insightId);
+    if (!insight) return insightNotFound(res);
+
+    await editorialService.removeReviewer(insight, userId);
+
+    // Audit log
+    await AuditLogger.logFromRequest(req, {
+      action: AUDIT_ACTIONS.REVIEWER_REMOVED,
+      target: { resourceType: 'Insight', resourceId: insight._id, resourceName: insight.title },
+      changes: { before: { reviewer: userId } },
+    });
+
+    res.json({
+      success: true,
+      message: 'Reviewer removed',
+      data: editorialService.getApprovalStatus(insight),
+    });
+  } catch (error) {
+    logger.error('[AdminModeration] Remove reviewer failed:', error);
+    handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Add an inline review comment to an insight version
+ */
+exports.addReviewComment = async (req, res, next) => {
+  try {
+    const { insightId } = req.params;
+    const { body, version, anchor } = req.body;
+
+    const insight = await findInsight(insightId);
+    if (!insight) return insightNotFound(res);
+
+    const comment = await editorialService.addComment(insight, req.user, { body, version, anchor });
+
+    // Audit log
+    await AuditLogger.logFromRequest(req, {
+      action: AUDIT_ACTIONS.REVIEW_COMMENT_ADDED,
+      target: { resourceType: 'Insight', resourceId: insight._id, resourceName: insight.title },
+      changes: { after: { comment: comment._id, version: comment.version } },
+    });
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Comment added',
+      data: comment,
+    });
+  } catch (error) {
+    logger.error('[AdminModeration] Add review comment failed:', error);
+    handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Resolve or reopen a review comment
+ */
+exports.resolveReviewComment = async (req, res, next) => {
+  try {
+    const { insightId, commentId } = req.params;
+    const { resolved = true } = req.body;
+
+    const comment = await editorialService.setCommentResolved(insightId, commentId, req.user, resolved);
+
+    // Audit log
+    await AuditLogger.logFromRequest(req, {
+      action: AUDIT_ACTIONS.REVIEW_COMMENT_RESOLVED,
+      target: { resourceType: 'Insight', resourceId: insightId },
+      changes: { after: { comment: comment._id, resolved } },
+    });
+
+    res.json({
+      success: true,
+      message: resolved ? 'Comment resolved' : 'Comment reopened',
+      data: comment,
+    });
+  } catch (error) {
+    logger.error('[AdminModeration] Resolve review comment failed:', error);
+    handleServiceError(error, res, next);
+  }
+};
+
 /**
  * Flag an insight for review
  */
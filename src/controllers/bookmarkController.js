@@ -0,0 +1,169 @@
+const bookmarkService = require('../services/bookmarkService');
+const { getPaginationParams, getPaginationMeta } = require('../utils/pagination');
+const { HTTP_STATUS } = require('../constants');
+
+const handleServiceError = (error, res, next) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            ...(error.code && { code: error.code })
+        });
+    }
+    next(error);
+};
+
+class BookmarkController {
+    /**
+     * Get the current user's bookmarks, optionally filtered by collection
+     * GET /api/insights/bookmarks
+     */
+    async getBookmarks(req, res, next) {
+        try {
+            const { page, limit, skip } = getPaginationParams(req.query);
+            const { bookmarks, total } = await bookmarkService.getBookmarks(req.user, {
+                collection: req.query.collection,
+                skip,
+                limit
+            });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: {
+                    bookmarks,
+                    pagination: getPaginationMeta(total, page, limit)
+                }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Get the current user's collections with bookmark counts
+     * GET /api/insights/bookmarks/collections
+     */
+    async getCollections(req, res, next) {
+        try {
+            const collections = await bookmarkService.getCollections(req.user);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { collections }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Check whether an insight is bookmarked
+     * GET /api/insights/bookmarks/:insightId
+     */
+    async getStatus(req, res, next) {
+        try {
+            const status = await bookmarkService.getStatus(req.user, req.params.insightId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: status
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Bookmark an insight (or move it to another collection)
+     * POST /api/insights/bookmarks
+     */
+    async addBookmark(req, res, next) {
+        try {
+            const { insightId, collection, note } = req.body;
+            const { bookmark, created } = await bookmarkService.addBookmark(req.user, { insightId, collection, note });
+
+            res.status(created ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json({
+                success: true,
+                message: created ? 'Insight bookmarked' : 'Bookmark updated',
+                data: { bookmark }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Move a bookmark to another collection or edit its note
+     * PATCH /api/insights/bookmarks/:insightId
+     */
+    async updateBookmark(req, res, next) {
+        try {
+            const { collection, note } = req.body;
+            const bookmark = await bookmarkService.updateBookmark(req.user, req.params.insightId, { collection, note });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Bookmark updated',
+                data: { bookmark }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Remove a bookmark
+     * DELETE /api/insights/bookmarks/:insightId
+     */
+    async removeBookmark(req, res, next) {
+        try {
+            await bookmarkService.removeBookmark(req.user, req.params.insightId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Bookmark removed'
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Rename a collection
+     * PATCH /api/insights/bookmarks/collections/:name
+     */
+    async renameCollection(req, res, next) {
+        try {
+            const updated = await bookmarkService.renameCollection(req.user, req.params.name, req.body.name);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Collection renamed',
+                data: { updated }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Delete a collection (bookmarks move to uncategorised unless removeBookmarks=true)
+     * DELETE /api/insights/bookmarks/collections/:name
+     */
+    async deleteCollection(req, res, next) {
+        try {
+            const removeBookmarks = req.query.removeBookmarks === 'true';
+            const affected = await bookmarkService.deleteCollection(req.user, req.params.name, { removeBookmarks });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Collection deleted',
+                data: { affected, bookmarksRemoved: removeBookmarks }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+}
+
+module.exports = new BookmarkController();
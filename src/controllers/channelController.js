@@ -0,0 +1,282 @@
+const channelService = require('../services/channelService');
+const { HTTP_STATUS } = require('../constants');
+
+const handleServiceError = (error, res, next) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            ...(error.code && { code: error.code })
+        });
+    }
+    next(error);
+};
+
+class ChannelController {
+    /**
+     * Channels with the user's subscription state
+     * GET /api/channels
+     */
+    async listChannels(req, res, next) {
+        try {
+            const channels = await channelService.listChannels(req.user, req.hasPremiumAccess);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { channels }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * GET /api/channels/:channelId
+     */
+    async getChannel(req, res, next) {
+        try {
+            const channel = await channelService.getChannel(req.channel, req.user);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { channel }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * POST /api/channels/:channelId/subscribe
+     */
+    async subscribe(req, res, next) {
+        try {
+            const result = await channelService.subscribe(req.channel, req.user.id);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Subscribed to channel',
+                data: result
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * DELETE /api/channels/:channelId/subscribe
+     */
+    async unsubscribe(req, res, next) {
+        try {
+            const channel = await channelService.findChannel(req.params.channelId);
+            const result = await channelService.unsubscribe(channel, req.user.id);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Unsubscribed from channel',
+                data: result
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * PATCH /api/channels/:channelId/subscription
+     */
+    async updateSubscription(req, res, next) {
+        try {
+            const channel = await channelService.findChannel(req.params.channelId);
+            const result = await channelService.updateSubscription(channel, req.user, {
+                notifications: req.body.notifications
+            });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * GET /api/channels/:channelId/posts?before=&limit=&scheduled=
+     */
+    async listPosts(req, res, next) {
+        try {
+            const result = await channelService.listPosts(req.channel, req.user, {
+                before: req.query.before,
+                limit: req.query.limit,
+                scheduled: req.query.scheduled === true || req.query.scheduled === 'true'
+            });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * POST /api/channels/:channelId/posts
+     */
+    async createPost(req, res, next) {
+        try {
+            const post = await channelService.createPost(req.channel, req.user, {
+                content: req.body.content,
+                scheduledFor: req.body.scheduledFor
+            });
+
+            res.status(HTTP_STATUS.CREATED).json({
+                success: true,
+                message: post.scheduledFor ? 'Post scheduled' : 'Post published',
+                data: { post }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * PATCH /api/channels/:channelId/posts/:postId
+     */
+    async updatePost(req, res, next) {
+        try {
+            const post = await channelService.updatePost(req.channel, req.user, req.params.postId, {
+                content: req.body.content,
+                scheduledFor: req.body.scheduledFor
+            });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Post updated',
+                data: { post }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * DELETE /api/channels/:channelId/posts/:postId
+     */
+    async deletePost(req, res, next) {
+        try {
+            await channelService.deletePost(req.channel, req.user, req.params.postId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Post deleted'
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * POST /api/channels/:channelId/posts/:postId/pin
+     */
+    async pinPost(req, res, next) {
+        try {
+            const isPinned = req.body.isPinned !== false;
+            const post = await channelService.pinPost(req.channel, req.user, req.params.postId, isPinned);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: isPinned ? 'Post pinned' : 'Post unpinned',
+                data: { post }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * POST /api/channels/:channelId/posts/views
+     */
+    async recordViews(req, res, next) {
+        try {
+            const result = await channelService.recordViews(req.channel, req.user.id, req.body.postIds);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    // ==================== ADMIN ====================
+
+    /**
+     * GET /api/admin/channels
+     */
+    async listChannelsForAdmin(req, res, next) {
+        try {
+            const channels = await channelService.listChannelsForAdmin();
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { channels }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * POST /api/admin/channels
+     */
+    async createChannel(req, res, next) {
+        try {
+            const channel = await channelService.createChannel(req.user, req.body);
+
+            res.status(HTTP_STATUS.CREATED).json({
+                success: true,
+                message: 'Channel created',
+                data: { channel }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * PATCH /api/admin/channels/:channelId
+     */
+    async updateChannel(req, res, next) {
+        try {
+            const channel = await channelService.updateChannel(req.params.channelId, req.body);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Channel updated',
+                data: { channel }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * DELETE /api/admin/channels/:channelId
+     */
+    async deleteChannel(req, res, next) {
+        try {
+            await channelService.deleteChannel(req.params.channelId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Channel deleted'
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+}
+
+module.exports = new ChannelController();
@@ -1,6 +1,19 @@
 const chatService = require('../services/chatService');
+const messageSyncService = require('../services/messageSyncService');
+const chatAttachmentService = require('../services/chatAttachmentService');
 const { HTTP_STATUS } = require('../constants');
 
+const handleServiceError = (error, res, next) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.code && { code: error.code })
+    });
+  }
+  next(error);
+};
+
 class ChatController {
   async createPrivateChat(req, res, next) {
     try {
@@ -101,11 +114,12 @@ class ChatController {
     try {
       const { chatId } = req.params;
       const userId = req.user.id;
-      const { page, limit } = req.query;
+      const { page, limit, before } = req.query;
 
       const result = await chatService.getChatMessages(chatId, userId, {
         page: parseInt(page) || 1,
-        limit: parseInt(limit) || 50
+        limit: parseInt(limit) || 50,
+        beforeSeq: parseInt(before) || null
       });
 
       res.status(HTTP_STATUS.OK).json({
@@ -117,6 +131,21 @@ class ChatController {
     }
   }
 
+  // GET /api/chats/:chatId/sync?since=N - changes after sequence number N
+  async syncMessages(req, res, next) {
+    try {
+      const { since, limit } = req.query;
+      const result = await messageSyncService.getChangesSince(req.params.chatId, req.user.id, { since, limit });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      handleServiceError(error, res, next);
+    }
+  }
+
   async addParticipant(req, res, next) {
     try {
       const { chatId } = req.params;
@@ -219,6 +248,67 @@ class ChatController {
       next(error);
     }
   }
+
+  /**
+   * Upload a file to send in a chat (multipart field "file")
+   * POST /api/chats/:chatId/attachments
+   * The returned attachment id is sent as attachmentId with the message
+   */
+  async uploadAttachment(req, res, next) {
+    try {
+      if (!req.file) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'No file provided'
+        });
+      }
+
+      const attachment = await chatAttachmentService.upload(req.params.chatId, req.user, req.file);
+
+      res.status(HTTP_STATUS.CREATED).json({
+        success: true,
+        message: 'Attachment uploaded',
+        data: {
+          attachment: {
+            id: attachment._id,
+            kind: attachment.kind,
+            ...chatAttachmentService.toFileData(attachment)
+          }
+        }
+      });
+    } catch (error) {
+      handleServiceError(error, res, next);
+    }
+  }
+
+  /**
+   * Download an attachment (chat participants only)
+   * GET /api/chats/:chatId/attachments/:attachmentId
+   * GET /api/chats/:chatId/attachments/:attachmentId/thumbnail
+   */
+  async downloadAttachment(req, res, next) {
+    try {
+      const { chatId, attachmentId } = req.params;
+      const variant = req.path.endsWith('/thumbnail') ? 'thumbnail' : 'original';
+      const file = await chatAttachmentService.getFile(chatId, attachmentId, req.user, variant);
+
+      res.set({
+        'Content-Type': file.mimeType,
+        'Content-Disposition': `${file.inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(file.name)}`,
+        'Cache-Control': 'private, max-age=3600',
+        'X-Content-Type-Options': 'nosniff'
+      });
+
+      res.sendFile(file.path, (error) => {
+        if (error && !res.headersSent) {
+          res.removeHeader('Content-Disposition');
+          res.status(HTTP_STATUS.NOT_FOUND).json({ success: false, message: 'Attachment not found' });
+        }
+      });
+    } catch (error) {
+      handleServiceError(error, res, next);
+    }
+  }
 }
 
 module.exports = new ChatController();
@@ -2,11 +2,62 @@ const Insight = require('../models/Insight');
 const InsightVersion = require('../models/InsightVersion');
 const AuditLogger = require('../utils/auditLogger');
 const logger = require('../utils/logger');
-const { HTTP_STATUS, ERROR_MESSAGES, AUDIT_ACTIONS, CONTENT_ACCESS } = require('../constants');
+const { HTTP_STATUS, ERROR_MESSAGES, AUDIT_ACTIONS, CONTENT_ACCESS, PAYWALL_MODES, ROLES } = require('../constants');
 const { getPaginationParams } = require('../utils/pagination');
 const { getCache, LRUCache } = require('../utils/cache');
 const { filterInsightsBySubscription, canAccessInsight } = require('../middleware/subscriptionMiddleware');
 const { emitInsightPublished, emitInsightUnpublished, emitInsightFeatured } = require('../events/enhancedNotificationEvents');
+const insightSymbolService = require('../services/insightSymbolService');
+const marketDataService = require('../services/marketDataService');
+const tradeIdeaService = require('../services/tradeIdeaService');
+const followService = require('../services/followService');
+const i18nService = require('../services/i18nService');
+const contentBlockService = require('../services/contentBlockService');
+const trendingService = require('../services/trendingService');
+const editorialService = require('../services/editorialService');
+const paywallService = require('../services/paywallService');
+const seriesService = require('../services/seriesService');
+const User = require('../models/User');
+const { FOLLOW_TYPES } = require('../models/Follow');
+
+const { INSIGHT_SUBTYPES, INSIGHT_LANGUAGES, TRANSLATION_STATUS } = Insight;
+
+/**
+ * Work out the market symbols to link to an insight.
+ * Explicit `symbols` replace the list (and must all exist); otherwise tickers
+ * mentioned in the title/content are detected and added to the current list.
+ * @returns {Object} { symbols, invalid } - symbols is undefined when nothing changes
+ */
+const linkSymbols = ({ symbols, title, content, current }) => {
+  if (symbols !== undefined) {
+    return insightSymbolService.resolveSymbols(symbols);
+  }
+
+  if (current && title === undefined && content === undefined) {
+    return { symbols: undefined, invalid: [] };
+  }
+
+  const detected = insightSymbolService.detectSymbols(title, content);
+  return { symbols: insightSymbolService.merge(current || [], detected), invalid: [] };
+};
+
+/**
+ * Source language plus the status of each translation (content omitted)
+ */
+const translationSummary = (insight) => {
+  const translations = {};
+  for (const lang of INSIGHT_LANGUAGES) {
+    const translation = insight.translations?.[lang];
+    if (translation) {
+      translations[lang] = {
+        status: translation.status,
+        note: translation.note,
+        translatedAt: translation.translatedAt
+      };
+    }
+  }
+  return { id: insight._id.toString(), language: insight.language, translations };
+};
 
 /**
  * Insight Controller
@@ -34,24 +85,89 @@ class InsightController {
         tags,
         coverImage,
         status,
-        scheduledFor
+        scheduledFor,
+        symbols,
+        subtype,
+        tradeIdea,
+        language,
+        blocks
       } = req.body;
 
+      // CONTENT BLOCKS: Validate the structured body and derive text/HTML from it
+      let blockFields;
+      if (blocks !== undefined && blocks !== null) {
+        const built = contentBlockService.build(blocks);
+        if (built.errors.length > 0) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Invalid content blocks',
+            errors: built.errors
+          });
+        }
+        blockFields = built.fields;
+      }
+      const body = blockFields ? blockFields.content : content;
+
+      const linked = linkSymbols({ symbols, title, content: body });
+      if (blockFields) {
+        linked.symbols = insightSymbolService.merge(linked.symbols, contentBlockService.getSymbols(blockFields.blocks));
+      }
+      if (linked.invalid.length > 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: `Unknown symbols: ${linked.invalid.join(', ')}`
+        });
+      }
+
+      // EDITORIAL WORKFLOW: New insights start as drafts; publishing goes through review
+      const initialStatus = scheduledFor ? 'scheduled' : (status || 'draft');
+      if (editorialService.checkTransition({ status: 'draft' }, initialStatus)) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: 'New insights must be reviewed and approved before they are published or scheduled'
+        });
+      }
+
+      // TRADE IDEAS: Validate levels and link the idea's symbol
+      let idea;
+      if (subtype === INSIGHT_SUBTYPES.TRADE_IDEA) {
+        const normalized = tradeIdeaService.normalizeIdea(tradeIdea);
+        if (normalized.error) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: normalized.error
+          });
+        }
+        idea = normalized.idea;
+        linked.symbols = insightSymbolService.merge([{ symbol: idea.symbol, exchange: idea.exchange }], linked.symbols);
+      }
+
       const insight = await Insight.create({
         title,
-        content,
+        content: body,
+        blocks: blockFields && blockFields.blocks,
+        contentHtml: blockFields && blockFields.contentHtml,
         excerpt,
+        language: language || 'en',
         type: type || 'free',
         category: category || 'other',
         tags: tags || [],
+        symbols: linked.symbols,
+        subtype: subtype || INSIGHT_SUBTYPES.ANALYSIS,
+        tradeIdea: idea,
         coverImage,
         author: req.user.id,
-        status: scheduledFor ? 'scheduled' : (status || 'draft'),
+        status: initialStatus,
         scheduledFor: scheduledFor || null
       });
 
       // VERSIONING: Create initial version
-      await InsightVersion.createVersion(insight, req.user.id, 'Initial creation', 'created');
+      const version = await InsightVersion.createVersion(insight, req.user.id, 'Initial creation', 'created');
+
+      if (insight.status === 'under_review') {
+        await editorialService.openReview(insight, req.user.id, version.version);
+      }
+      await editorialService.recordTransition(req, insight, 'draft');
 
       // Audit log
       await AuditLogger.logFromRequest(req, {
@@ -78,15 +194,6 @@ class InsightController {
       const cache = getCache('insights');
       cache.invalidate('*');  // Clear all insights cache
 
-      // NOTIFICATION EVENT: Emit if insight published
-      if (insight.status === 'published') {
-        emitInsightPublished({
-          insight,
-          authorId: req.user.id,
-          type: insight.type
-        });
-      }
-
       // Transform _id to id for frontend compatibility
       const insightResponse = insight.toObject();
       insightResponse.id = insightResponse._id.toString();
@@ -118,9 +225,29 @@ class InsightController {
         tags,
         coverImage,
         status,
-        scheduledFor
+        scheduledFor,
+        symbols,
+        subtype,
+        tradeIdea,
+        language,
+        blocks
       } = req.body;
 
+      // CONTENT BLOCKS: Validate the structured body and derive text/HTML from it
+      let blockFields;
+      if (blocks !== undefined && blocks !== null) {
+        const built = contentBlockService.build(blocks);
+        if (built.errors.length > 0) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Invalid content blocks',
+            errors: built.errors
+          });
+        }
+        blockFields = built.fields;
+      }
+      const body = blockFields ? blockFields.content : content;
+
       const insight = await Insight.findOne({
         _id: insightId,
         isDeleted: false
@@ -141,27 +268,141 @@ class InsightController {
         status: insight.status
       };
 
+      const textChanged = (title !== undefined && title !== insight.title) || (body !== undefined && body !== insight.content);
+      const revised = textChanged || (excerpt !== undefined && excerpt !== insight.excerpt);
+
+      // EDITORIAL WORKFLOW: Only allowed status moves; publishing needs approvals
+      // on the text being published, so revisions go (back) through review
+      let requestedStatus = status !== undefined ? status : insight.status;
+      if (scheduledFor !== undefined) {
+        requestedStatus = scheduledFor ? 'scheduled' : (requestedStatus === 'scheduled' ? 'draft' : requestedStatus);
+      }
+      const { status: nextStatus, error: transitionError } = editorialService.resolveEditStatus(insight, requestedStatus, revised);
+      if (transitionError) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: transitionError
+        });
+      }
+
+      // TRANSLATIONS: The source language can't also have a translation
+      if (language !== undefined && language !== insight.language && insight.translations?.[language]) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: `Remove the ${language} translation before making it the source language`
+        });
+      }
+
+      // TRANSLATIONS: Flag translations as outdated when the source text changes
+      if (textChanged) {
+        for (const lang of INSIGHT_LANGUAGES) {
+          const translation = insight.translations?.[lang];
+          if (translation && translation.status === TRANSLATION_STATUS.CURRENT) {
+            translation.status = TRANSLATION_STATUS.OUTDATED;
+          }
+        }
+      }
+
       // Update fields
+      if (language !== undefined) insight.language = language;
       if (title !== undefined) insight.title = title;
-      if (content !== undefined) insight.content = content;
+      if (blockFields) {
+        insight.set(blockFields);
+      } else if (blocks === null || (content !== undefined && insight.blocks)) {
+        // Explicitly cleared, or replaced by a plain-text body
+        insight.blocks = undefined;
+        insight.contentHtml = undefined;
+      }
+      if (!blockFields && content !== undefined) insight.content = content;
       if (excerpt !== undefined) insight.excerpt = excerpt;
       if (type !== undefined) insight.type = type;
       if (category !== undefined) insight.category = category;
       if (tags !== undefined) insight.tags = tags;
       if (coverImage !== undefined) insight.coverImage = coverImage;
-      if (status !== undefined) insight.status = status;
 
+      const linked = linkSymbols({ symbols, title, content: body, current: insight.symbols });
+      if (blockFields) {
+        linked.symbols = insightSymbolService.merge(linked.symbols || [], contentBlockService.getSymbols(blockFields.blocks));
+      }
+      if (linked.invalid.length > 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: `Unknown symbols: ${linked.invalid.join(', ')}`
+        });
+      }
+      if (linked.symbols !== undefined) insight.symbols = linked.symbols;
+
+      // TRADE IDEAS: Levels are locked once the idea is live so its track record can't be edited
+      if (subtype !== undefined || tradeIdea !== undefined) {
+        if (insight.tradeIdea && insight.tradeIdea.openedAt) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'Trade idea levels cannot be changed after publication'
+          });
+        }
+
+        const nextSubtype = subtype || insight.subtype;
+        if (nextSubtype !== insight.subtype && insight.publishedAt) {
+          return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: 'The type of an insight cannot be changed after publication'
+          });
+        }
+
+        if (nextSubtype === INSIGHT_SUBTYPES.TRADE_IDEA) {
+          const normalized = tradeIdeaService.normalizeIdea(tradeIdea || (insight.tradeIdea && insight.tradeIdea.toObject()));
+          if (normalized.error) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+              success: false,
+              message: normalized.error
+            });
+          }
+          insight.tradeIdea = normalized.idea;
+          insight.symbols = insightSymbolService.merge(
+            [{ symbol: normalized.idea.symbol, exchange: normalized.idea.exchange }],
+            insight.symbols
+          );
+        } else {
+          insight.tradeIdea = undefined;
+        }
+        insight.subtype = nextSubtype;
+      }
+
+      insight.status = nextStatus;
       if (scheduledFor !== undefined) {
         insight.scheduledFor = scheduledFor || null;
-        if (scheduledFor) {
-          insight.status = 'scheduled';
-        } else if (insight.status === 'scheduled') {
-          insight.status = 'draft';
+      }
+      if (beforeState.status === 'scheduled' && nextStatus === 'under_review') {
+        // Rescheduled once the revision is approved
+        insight.scheduledFor = null;
+      }
+
+      // TRADE IDEAS: Entry is the live price at publication
+      if (insight.status === 'published') {
+        const ideaError = tradeIdeaService.openIdea(insight);
+        if (ideaError) {
+          return res.status(HTTP_STATUS.CONFLICT).json({
+            success: false,
+            message: ideaError
+          });
         }
       }
 
       await insight.save();
 
+      // EDITORIAL WORKFLOW: Submissions and revisions under review get a new
+      // version for reviewers to approve and comment on
+      if (insight.status === 'under_review' && (beforeState.status !== 'under_review' || revised)) {
+        const inReview = beforeState.status === 'under_review';
+        let summary = 'Submitted for review';
+        if (inReview) summary = 'Revised during review';
+        else if (revised && beforeState.status !== 'draft') summary = `Revised while ${beforeState.status}`;
+
+        const version = await InsightVersion.createVersion(insight, req.user.id, summary);
+        await editorialService.openReview(insight, req.user.id, version.version, { revision: inReview });
+      }
+      await editorialService.recordTransition(req, insight, beforeState.status);
+
       // Audit log
       await AuditLogger.logFromRequest(req, {
         action: AUDIT_ACTIONS.INSIGHT_UPDATED,
@@ -189,16 +430,17 @@ class InsightController {
       cache.invalidate('*');  // Clear all insights cache
 
       // NOTIFICATION EVENT: Emit if status changed to published
-      if (status === 'published' && beforeState.status !== 'published') {
+      if (insight.status === 'published' && beforeState.status !== 'published') {
         emitInsightPublished({
           insight,
           authorId: req.user.id,
           type: insight.type
         });
+        seriesService.notifyNewPart(insight);
       }
 
       // NOTIFICATION EVENT: Emit if status changed from published to something else
-      if (beforeState.status === 'published' && status && status !== 'published') {
+      if (beforeState.status === 'published' && insight.status !== 'published') {
         emitInsightUnpublished({
           insight,
           unpublishedBy: req.user.id
@@ -381,7 +623,10 @@ class InsightController {
           title: insight.title,
           type: insight.type,
           excerpt: insight.excerpt,
-          coverImage: insight.coverImage
+          coverImage: insight.coverImage,
+          category: insight.category,
+          author: insight.author,
+          tags: insight.tags
         });
       }
 
@@ -426,12 +671,21 @@ class InsightController {
         moderationNotes: insight.moderationNotes
       };
 
+      const transitionError = editorialService.checkTransition(insight, status);
+      if (transitionError) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: transitionError
+        });
+      }
+
       await insight.moderate(req.user.id, notes);
 
       if (status) {
         insight.status = status;
         await insight.save();
       }
+      await editorialService.recordTransition(req, insight, beforeState.status, { note: notes });
 
       // Audit log
       await AuditLogger.logFromRequest(req, {
@@ -623,6 +877,14 @@ class InsightController {
         });
       }
 
+      const transitionError = editorialService.checkTransition(insight, 'scheduled');
+      if (transitionError) {
+        return res.status(HTTP_STATUS.CONFLICT).json({
+          success: false,
+          message: transitionError
+        });
+      }
+
       const publishDate = new Date(publishAt);
       if (publishDate <= new Date()) {
         return res.status(HTTP_STATUS.BAD_REQUEST).json({
@@ -631,9 +893,11 @@ class InsightController {
         });
       }
 
+      const previousStatus = insight.status;
       insight.status = 'scheduled';
       insight.scheduledFor = publishDate;
       await insight.save();
+      await editorialService.recordTransition(req, insight, previousStatus);
 
       // Audit log
       await AuditLogger.logFromRequest(req, {
@@ -733,6 +997,7 @@ class InsightController {
       insight.status = 'draft';
       insight.scheduledFor = undefined;
       await insight.save();
+      await editorialService.recordTransition(req, insight, 'scheduled');
 
       // Audit log
       await AuditLogger.logFromRequest(req, {
@@ -764,6 +1029,186 @@ class InsightController {
     }
   }
 
+  /**
+   * Validate and render content blocks without saving (Admin/Superadmin only)
+   * POST /api/admin/insights/blocks/preview
+   */
+  async previewBlocks(req, res, next) {
+    try {
+      const built = contentBlockService.build(req.body.blocks);
+
+      if (built.errors.length > 0) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: 'Invalid content blocks',
+          errors: built.errors
+        });
+      }
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          blocks: built.fields.blocks,
+          html: built.fields.contentHtml,
+          text: built.fields.content
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ==================== TRANSLATIONS ====================
+
+  /**
+   * Add or replace a translation (Admin/Superadmin only)
+   * PUT /api/admin/insights/:insightId/translations/:lang
+   */
+  async upsertTranslation(req, res, next) {
+    try {
+      const { insightId, lang } = req.params;
+      const { title, excerpt, content } = req.body;
+
+      const insight = await Insight.findOne({ _id: insightId, isDeleted: false });
+
+      if (!insight) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Insight not found'
+        });
+      }
+
+      if (lang === insight.language) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: `${lang} is the source language of this insight; update the insight instead`
+        });
+      }
+
+      insight.set(`translations.${lang}`, {
+        title,
+        excerpt,
+        content,
+        status: TRANSLATION_STATUS.CURRENT,
+        translatedAt: new Date(),
+        updatedBy: req.user.id
+      });
+      await insight.save();
+
+      await AuditLogger.logFromRequest(req, {
+        action: AUDIT_ACTIONS.INSIGHT_UPDATED,
+        target: {
+          resourceType: 'Insight',
+          resourceId: insight._id,
+          resourceName: insight.title
+        },
+        metadata: {
+          severity: 'low',
+          translation: lang
+        }
+      });
+
+      getCache('insights').invalidate('*');
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Translation saved successfully',
+        data: translationSummary(insight)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Mark a translation as missing, outdated or current (Admin/Superadmin only)
+   * PATCH /api/admin/insights/:insightId/translations/:lang/status
+   */
+  async updateTranslationStatus(req, res, next) {
+    try {
+      const { insightId, lang } = req.params;
+      const { status, note } = req.body;
+
+      const insight = await Insight.findOne({ _id: insightId, isDeleted: false });
+
+      if (!insight) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Insight not found'
+        });
+      }
+
+      if (lang === insight.language) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: `${lang} is the source language of this insight`
+        });
+      }
+
+      const translation = insight.translations?.[lang];
+      const hasText = Boolean(translation && translation.title && translation.content);
+
+      // Only a written translation can be current or outdated
+      if (status !== TRANSLATION_STATUS.MISSING && !hasText) {
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+          success: false,
+          message: `No ${lang} translation to mark as ${status}`
+        });
+      }
+
+      if (translation) {
+        translation.status = status;
+        translation.note = note;
+        translation.updatedBy = req.user.id;
+      } else {
+        insight.set(`translations.${lang}`, { status, note, updatedBy: req.user.id });
+      }
+      await insight.save();
+
+      getCache('insights').invalidate('*');
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: `Translation marked as ${status}`,
+        data: translationSummary(insight)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove a translation (Admin/Superadmin only)
+   * DELETE /api/admin/insights/:insightId/translations/:lang
+   */
+  async deleteTranslation(req, res, next) {
+    try {
+      const { insightId, lang } = req.params;
+
+      const insight = await Insight.findOne({ _id: insightId, isDeleted: false });
+
+      if (!insight || !insight.translations?.[lang]) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Translation not found'
+        });
+      }
+
+      insight.set(`translations.${lang}`, undefined);
+      await insight.save();
+
+      getCache('insights').invalidate('*');
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Translation removed successfully',
+        data: translationSummary(insight)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   // ==================== PUBLIC ENDPOINTS ====================
 
   /**
@@ -774,7 +1219,7 @@ class InsightController {
   async getPublishedInsights(req, res, next) {
     try {
       const { page, limit } = getPaginationParams(req.query);
-      const { type, category, tags, search } = req.query;
+      const { type, category, tags, search, symbol } = req.query;
 
       const query = {
         status: 'published',
@@ -784,6 +1229,10 @@ class InsightController {
       if (type) query.type = type;
       if (category) query.category = category;
       if (tags) query.tags = { $in: tags.split(',') };
+      if (symbol) {
+        const record = marketDataService.resolveSymbol(symbol);
+        query['symbols.symbol'] = record ? record.symbol : symbol.toUpperCase();
+      }
 
       const skip = (page - 1) * limit;
 
@@ -806,18 +1255,21 @@ class InsightController {
         ]);
       }
 
+      // LOCALIZATION: Serve each insight in the request language when translated
+      const localizedInsights = insights.map(insight => i18nService.getLocalizedInsight(insight, req.language));
+
       // SUBSCRIPTION FILTERING: Filter insights based on user's subscription tier
       // req.user is set by addSubscriptionContext middleware (optional auth)
-      const filteredInsights = await filterInsightsBySubscription(insights, req.user);
+      // Runs after localization so locked previews can't pick translated bodies back up
+      const filteredInsights = await filterInsightsBySubscription(localizedInsights, req.user);
 
       // Recalculate total based on filtered results
       const filteredTotal = filteredInsights.length;
 
-      const processedInsights = filteredInsights.map(insight => {
-        const insightObj = insight.toObject ? insight.toObject() : insight;
-        insightObj.id = insightObj._id.toString();
-        return insightObj;
-      });
+      const processedInsights = filteredInsights.map(insight => ({ ...insight, id: insight._id.toString() }));
+
+      // PAYWALL: Meter state and upgrade CTA for free users when premium insights are listed locked
+      const paywall = await paywallService.getPaywallState(req.user, req.hasPremiumAccess);
 
       res.status(HTTP_STATUS.OK).json({
         success: true,
@@ -829,7 +1281,8 @@ class InsightController {
             totalPages: Math.ceil(filteredTotal / limit),
             totalItems: filteredTotal,
             itemsPerPage: limit
-          }
+          },
+          ...(paywall && { paywall })
         }
       });
     } catch (error) {
@@ -864,16 +1317,30 @@ class InsightController {
       // SUBSCRIPTION ACCESS CONTROL: Check if user can access this insight
       const hasAccess = await canAccessInsight(insight, req.user);
 
-      if (!hasAccess) {
+      // LOCALIZATION: Pick the translation for the request language (with fallback)
+      const localized = i18nService.getLocalizedInsight(insight, req.language);
+
+      // PAYWALL: Free users may still read it on the monthly meter
+      const paywall = hasAccess ? null : await paywallService.checkAccess(req.user, insight._id);
+
+      // SERIES: Position in its series with previous/next published parts
+      const series = await seriesService.getNavigation(insight);
+
+      if (paywall && !paywall.granted) {
+        const { settings, meter } = paywall;
+
         // Premium content - user doesn't have access
-        // Return preview/excerpt with upgrade prompt
+        // Return preview/excerpt (plus a teaser unless the paywall hides premium content) with upgrade prompt
         return res.status(HTTP_STATUS.FORBIDDEN).json({
           success: false,
           message: 'Premium subscription required to access this content',
+          code: 'PREMIUM_REQUIRED',
           preview: {
             id: insight._id,
-            title: insight.title,
-            excerpt: insight.excerpt || insight.content.substring(0, 200) + '...',
+            title: localized.title,
+            excerpt: localized.excerpt || localized.content.substring(0, 200) + '...',
+            language: localized.language,
+            isRTL: localized.isRTL,
             type: insight.type,
             category: insight.category,
             tags: insight.tags,
@@ -881,17 +1348,12 @@ class InsightController {
             publishedAt: insight.publishedAt,
             views: insight.views,
             likes: insight.likes,
-            coverImage: insight.coverImage
+            coverImage: insight.coverImage,
+            series
           },
-          upgrade: {
-            message: 'Upgrade to Premium to unlock this insight and all premium content',
-            benefits: [
-              'Unlimited access to all premium insights',
-              'Advanced market analysis and trading strategies',
-              'Exclusive expert commentary',
-              'Priority support'
-            ]
-          }
+          ...(settings.mode !== PAYWALL_MODES.HIDDEN && { teaser: paywallService.buildTeaser(localized, settings) }),
+          meter,
+          upgrade: paywallService.getUpgradeCta(settings, req.user)
         });
       }
 
@@ -900,14 +1362,17 @@ class InsightController {
         logger.error('Failed to increment views:', { error: err.message, insightId: insight._id })
       );
 
-      const insightData = insight.toObject();
-      insightData.id = insightData._id.toString();
+      localized.id = localized._id.toString();
 
       res.status(HTTP_STATUS.OK).json({
         success: true,
         message: 'Insight retrieved successfully',
         data: {
-          insight: insightData
+          insight: localized,
+          series,
+          ...(paywall && {
+            paywall: { meter: paywall.meter, upgrade: paywallService.getUpgradeCta(paywall.settings, req.user) }
+          })
         }
       });
     } catch (error) {
@@ -969,6 +1434,174 @@ class InsightController {
     }
   }
 
+  /**
+   * Get published insights linked to a market symbol (Public)
+   * GET /api/market/:exchange/:symbol/insights
+   * SUBSCRIPTION-AWARE: Premium insights are only listed for premium users
+   */
+  async getSymbolInsights(req, res, next) {
+    try {
+      const { exchange, symbol } = req.params;
+      const { page, limit } = getPaginationParams(req.query);
+
+      const record = marketDataService.resolveSymbol(symbol, exchange);
+
+      if (!record) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: `Symbol ${symbol} not found in ${exchange.toUpperCase()}.`
+        });
+      }
+
+      const insights = await Insight.find({
+        'symbols.symbol': record.symbol,
+        status: 'published',
+        isDeleted: false
+      })
+        .select('-moderationNotes -moderatedBy -moderatedAt -deletedBy -deletedAt')
+        .populate('author', 'name')
+        .sort({ publishedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+
+      const filteredInsights = await filterInsightsBySubscription(insights, req.user);
+
+      const processedInsights = filteredInsights.map(insight => {
+        const insightObj = insight.toObject ? insight.toObject() : insight;
+        insightObj.id = insightObj._id.toString();
+        return insightObj;
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Symbol insights retrieved successfully',
+        data: {
+          symbol: record.symbol,
+          exchange: record.exchange,
+          insights: processedInsights,
+          pagination: {
+            currentPage: page,
+            itemsPerPage: limit,
+            hasMore: insights.length === limit
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get trending insights ranked by time-decayed engagement (Public)
+   * GET /api/insights/trending
+   * SUBSCRIPTION-AWARE: Premium insights are only listed for premium users
+   */
+  async getTrendingInsights(req, res, next) {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+      const insights = await trendingService.getTrendingInsights({
+        limit,
+        includePremium: Boolean(req.hasPremiumAccess)
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Trending insights retrieved successfully',
+        data: {
+          insights: insights.map(insight => ({ ...insight, id: insight._id.toString() }))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the current user's feed of insights from followed authors, categories and tags
+   * GET /api/insights/feed
+   * SUBSCRIPTION-AWARE: Premium insights are only included for premium users
+   */
+  async getFeed(req, res, next) {
+    try {
+      const { page, limit, skip } = getPaginationParams(req.query);
+
+      const { insights, total, personalized } = await followService.getFeed(req.user, {
+        skip,
+        limit,
+        includePremium: Boolean(req.hasPremiumAccess)
+      });
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        message: 'Feed retrieved successfully',
+        data: {
+          personalized,
+          insights,
+          pagination: {
+            currentPage: page,
+            totalPages: Math.ceil(total / limit),
+            totalItems: total,
+            itemsPerPage: limit
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an author's public profile with trade idea track record (Public)
+   * GET /api/insights/authors/:authorId
+   */
+  async getAuthorProfile(req, res, next) {
+    try {
+      const { authorId } = req.params;
+
+      const [author, publishedInsights] = await Promise.all([
+        // Role is only read to decide whether this account is an author; it isn't returned
+        User.findById(authorId).select('name avatar role createdAt'),
+        Insight.countDocuments({ author: authorId, status: 'published', isDeleted: false })
+      ]);
+
+      // Only staff and accounts with published insights have a public profile
+      const isAuthor = author && (publishedInsights > 0 || [ROLES.ADMIN, ROLES.SUPERADMIN].includes(author.role));
+      if (!isAuthor) {
+        return res.status(HTTP_STATUS.NOT_FOUND).json({
+          success: false,
+          message: 'Author not found'
+        });
+      }
+
+      const [tradeIdeaStats, followers] = await Promise.all([
+        tradeIdeaService.getAuthorStats({ authorId: author._id }),
+        followService.getFollowerCount(FOLLOW_TYPES.AUTHOR, author._id)
+      ]);
+
+      res.status(HTTP_STATUS.OK).json({
+        success: true,
+        data: {
+          author: {
+            id: author._id.toString(),
+            name: author.name,
+            avatar: author.avatar,
+            memberSince: author.createdAt
+          },
+          stats: {
+            publishedInsights,
+            followers,
+            tradeIdeas: tradeIdeaStats[0] || tradeIdeaService.summarize({
+              total: 0, hitTarget: 0, stoppedOut: 0, expired: 0
+            })
+          }
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
 }
 
 module.exports = new InsightController();
@@ -1,5 +1,22 @@
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const Chat = require('../models/Chat');
+const chatAttachmentService = require('../services/chatAttachmentService');
+const User = require('../models/User');
+const chatService = require('../services/chatService');
+const threadService = require('../services/threadService');
+const { SOCKET_EVENTS, CHAT_TYPES, CHAT_PERMISSIONS } = require('../constants');
+
+const handleServiceError = (error, res, next) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...(error.code && { code: error.code })
+    });
+  }
+  next(error);
+};
 
 /**
  * Edit Message
@@ -48,7 +65,10 @@ exports.editMessage = async (req, res, next) => {
     message.content = content;
     message.isEdited = true;
     message.editedAt = new Date();
-    await message.save();
+    await Chat.withSequence(message.chat, (seq) => {
+      message.syncSeq = seq;
+      return message.save();
+    });
 
     // Re-populate for response consistency
     await message.populate([
@@ -128,7 +148,17 @@ exports.deleteMessage = async (req, res, next) => {
     message.isDeleted = true;
     message.deletedAt = new Date();
     message.deletedBy = userId;
-    await message.save();
+
+    // Delete the attached file; the message keeps no reference to it
+    if (message.file && message.file.attachment) {
+      await chatAttachmentService.removeAttachment(message.file.attachment);
+      message.file = undefined;
+    }
+
+    await Chat.withSequence(message.chat, (seq) => {
+      message.syncSeq = seq;
+      return message.save();
+    });
 
     // Emit socket event
     if (message.chat) {
@@ -139,6 +169,14 @@ exports.deleteMessage = async (req, res, next) => {
       });
     }
 
+    // Keep the thread root's reply count and last reply in sync
+    if (message.thread) {
+      const root = await threadService.refreshSummary(message.thread);
+      if (root) {
+        io.to(`chat:${message.chat.toString()}`).emit(SOCKET_EVENTS.THREAD_UPDATED, threadService.formatSummary(root));
+      }
+    }
+
     res.json({
       success: true,
       message: 'Message deleted successfully',
@@ -205,7 +243,7 @@ exports.addReaction = async (req, res, next) => {
     );
 
     // Add the new reaction
-    await Message.updateOne(
+    await Chat.withSequence(message.chat, seq => Message.updateOne(
       { _id: messageId },
       {
         $push: {
@@ -214,8 +252,9 @@ exports.addReaction = async (req, res, next) => {
             user: userId,
           },
         },
+        $set: { syncSeq: seq },
       }
-    );
+    ));
 
     // Fetch updated message with populated reactions using aggregation
     const [updatedMessage] = await Message.aggregate([
@@ -327,7 +366,7 @@ exports.removeReaction = async (req, res, next) => {
     }
 
     // Remove reaction using atomic operation
-    await Message.updateOne(
+    await Chat.withSequence(message.chat, seq => Message.updateOne(
       { _id: messageId },
       {
         $pull: {
@@ -336,8 +375,9 @@ exports.removeReaction = async (req, res, next) => {
             user: userId,
           },
         },
+        $set: { syncSeq: seq },
       }
-    );
+    ));
 
     // Fetch updated message with populated reactions using aggregation
     const [updatedMessage] = await Message.aggregate([
@@ -451,7 +491,10 @@ exports.pinMessage = async (req, res, next) => {
     message.isPinned = isPinned;
     message.pinnedAt = isPinned ? new Date() : null;
     message.pinnedBy = isPinned ? userId : null;
-    await message.save();
+    await Chat.withSequence(message.chat, (seq) => {
+      message.syncSeq = seq;
+      return message.save();
+    });
 
     // Emit socket event
     io.to(`chat_${message.chat.toString()}`).emit('MESSAGE_PINNED', {
@@ -482,7 +525,7 @@ exports.forwardMessage = async (req, res, next) => {
     const io = req.app.get('io');
     const { messageId } = req.params;
     const { targetChatIds } = req.body;
-    const userId = req.user._id;
+    const userId = req.user?._id || req.user?.id;
 
     if (!Array.isArray(targetChatIds) || targetChatIds.length === 0) {
       return res.status(400).json({
@@ -508,6 +551,18 @@ exports.forwardMessage = async (req, res, next) => {
       });
     }
 
+    // Attachments are copied into each target chat, so the user must be able to see the original
+    const attachmentId = originalMessage.file && originalMessage.file.attachment;
+    if (attachmentId) {
+      const sourceChat = await Chat.findById(originalMessage.chat);
+      if (!sourceChat || !sourceChat.isParticipant(userId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have access to this message',
+        });
+      }
+    }
+
     const forwardedMessages = [];
 
     // Forward to each target chat
@@ -521,13 +576,22 @@ exports.forwardMessage = async (req, res, next) => {
       );
       if (!isParticipant) continue;
 
+      const newMessageId = new mongoose.Types.ObjectId();
+      const file = attachmentId
+        ? chatAttachmentService.toFileData(
+          await chatAttachmentService.copyToChat(attachmentId, chat._id, req.user, newMessageId)
+        )
+        : originalMessage.file;
+
       // Create forwarded message
       const newMessage = new Message({
+        _id: newMessageId,
         chat: chatId,
         sender: userId,
         content: originalMessage.content,
         type: originalMessage.type,
-        file: originalMessage.file,
+        file,
+        recipientCount: chat.participants.length - 1,
         metadata: {
           ...originalMessage.metadata,
           forwardedFrom: originalMessage._id,
@@ -535,7 +599,11 @@ exports.forwardMessage = async (req, res, next) => {
         createdAt: new Date(),
       });
 
-      await newMessage.save();
+      await Chat.withSequence(chat._id, (seq) => {
+        newMessage.seq = seq;
+        newMessage.syncSeq = seq;
+        return newMessage.save();
+      });
       await newMessage.populate('sender', 'name avatar role');
 
       // Update chat's last message
@@ -564,6 +632,102 @@ exports.forwardMessage = async (req, res, next) => {
   }
 };
 
+/**
+ * Get Thread
+ * GET /api/messages/:messageId/thread?page=1&limit=50
+ * Accepts the thread root or any reply in it
+ */
+exports.getThread = async (req, res, next) => {
+  try {
+    const { page, limit } = req.query;
+    const thread = await threadService.getThread(req.params.messageId, req.user.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: thread,
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Follow Thread
+ * POST /api/messages/:messageId/thread/follow
+ */
+exports.followThread = async (req, res, next) => {
+  try {
+    const result = await threadService.follow(req.params.messageId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'You are now following this thread',
+      data: result,
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Unfollow Thread
+ * DELETE /api/messages/:messageId/thread/follow
+ */
+exports.unfollowThread = async (req, res, next) => {
+  try {
+    const result = await threadService.unfollow(req.params.messageId, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'You are no longer following this thread',
+      data: result,
+    });
+  } catch (error) {
+    handleServiceError(error, res, next);
+  }
+};
+
+/**
+ * Get Message Receipts
+ * GET /api/messages/:messageId/receipts
+ * Per-recipient delivered/read state, for group admins
+ */
+exports.getReceipts = async (req, res, next) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.id;
+
+    const message = mongoose.Types.ObjectId.isValid(messageId)
+      ? await Message.findById(messageId).select('chat sender status recipientCount deliveredTo readBy')
+      : null;
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+      });
+    }
+
+    const chat = await Chat.findById(message.chat).select('type participants');
+    if (!chat || chat.type !== CHAT_TYPES.GROUP || chat.getUserPermission(userId) !== CHAT_PERMISSIONS.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can view message receipts',
+      });
+    }
+
+    const recipientIds = [...message.deliveredTo, ...message.readBy].map((r) => r.user);
+    const users = await User.find({ _id: { $in: recipientIds } }).select('name avatar settings.chat').lean();
+    const recipientCount = message.recipientCount ?? Math.max(chat.participants.length - 1, 0);
+
+    res.json({
+      success: true,
+      data: chatService.buildMessageReceipts(message, users, recipientCount),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Search Messages
  * GET /api/messages/search?chatId=xxx&query=xxx
@@ -42,7 +42,7 @@ class NotificationController {
 
       // SECURITY FIX: Destructure only allowed fields (whitelist pattern)
       // This prevents attackers from injecting 'user', '_id', or other protected fields
-      const { subscription, content, engagement, premium, system, marketing, globalSettings } =
+      const { subscription, content, engagement, market, premium, system, marketing, globalSettings } =
         req.body;
 
       let preferences = await NotificationPreference.getOrCreateForUser(userId);
@@ -58,6 +58,9 @@ class NotificationController {
       if (engagement) {
         preferences.engagement = { ...preferences.engagement, ...engagement };
       }
+      if (market) {
+        preferences.market = { ...preferences.market, ...market };
+      }
       if (premium) {
         preferences.premium = { ...preferences.premium, ...premium };
       }
@@ -0,0 +1,182 @@
+const portfolioService = require('../services/portfolioService');
+const { getPaginationParams, getPaginationMeta } = require('../utils/pagination');
+const { HTTP_STATUS } = require('../constants');
+
+const handleServiceError = (error, res, next) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            ...(error.code && { code: error.code })
+        });
+    }
+    next(error);
+};
+
+class PortfolioController {
+    /**
+     * Get the current user's portfolios with P&L summaries
+     * GET /api/portfolios
+     */
+    async getPortfolios(req, res, next) {
+        try {
+            const result = await portfolioService.getUserPortfolios(req.user);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: result,
+                timestamp: new Date()
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Get a portfolio with live-priced positions
+     * GET /api/portfolios/:portfolioId
+     */
+    async getPortfolio(req, res, next) {
+        try {
+            const portfolio = await portfolioService.getPortfolio(req.user, req.params.portfolioId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { portfolio },
+                timestamp: new Date()
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Create a portfolio
+     * POST /api/portfolios
+     */
+    async createPortfolio(req, res, next) {
+        try {
+            const { name, description } = req.body;
+            const portfolio = await portfolioService.createPortfolio(req.user, { name, description });
+
+            res.status(HTTP_STATUS.CREATED).json({
+                success: true,
+                message: 'Portfolio created successfully',
+                data: { portfolio }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Rename or describe a portfolio
+     * PATCH /api/portfolios/:portfolioId
+     */
+    async updatePortfolio(req, res, next) {
+        try {
+            const { name, description } = req.body;
+            const portfolio = await portfolioService.updatePortfolio(req.user, req.params.portfolioId, { name, description });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Portfolio updated successfully',
+                data: { portfolio }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Delete a portfolio and its transactions
+     * DELETE /api/portfolios/:portfolioId
+     */
+    async deletePortfolio(req, res, next) {
+        try {
+            await portfolioService.deletePortfolio(req.user, req.params.portfolioId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Portfolio deleted successfully'
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * List a portfolio's transactions (newest first)
+     * GET /api/portfolios/:portfolioId/transactions
+     */
+    async getTransactions(req, res, next) {
+        try {
+            const { page, limit, skip } = getPaginationParams(req.query);
+            const { symbol, type } = req.query;
+            const { transactions, total } = await portfolioService.getTransactions(req.user, req.params.portfolioId, {
+                symbol,
+                type,
+                skip,
+                limit
+            });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: {
+                    transactions,
+                    pagination: getPaginationMeta(total, page, limit)
+                }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Record a buy, sell or dividend
+     * POST /api/portfolios/:portfolioId/transactions
+     */
+    async addTransaction(req, res, next) {
+        try {
+            const { symbol, exchange, type, quantity, price, amount, fees, tradeDate, note } = req.body;
+            const transaction = await portfolioService.addTransaction(req.user, req.params.portfolioId, {
+                symbol,
+                exchange,
+                type,
+                quantity,
+                price,
+                amount,
+                fees,
+                tradeDate,
+                note
+            });
+
+            res.status(HTTP_STATUS.CREATED).json({
+                success: true,
+                message: 'Transaction recorded successfully',
+                data: { transaction }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Delete a transaction
+     * DELETE /api/portfolios/:portfolioId/transactions/:transactionId
+     */
+    async deleteTransaction(req, res, next) {
+        try {
+            await portfolioService.deleteTransaction(req.user, req.params.portfolioId, req.params.transactionId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Transaction deleted successfully'
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+}
+
+module.exports = new PortfolioController();
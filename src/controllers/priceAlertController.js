@@ -0,0 +1,106 @@
+const priceAlertService = require('../services/priceAlertService');
+const { HTTP_STATUS } = require('../constants');
+
+const handleServiceError = (error, res, next) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            ...(error.code && { code: error.code })
+        });
+    }
+    next(error);
+};
+
+class PriceAlertController {
+    /**
+     * Get the current user's price alerts
+     * GET /api/market/alerts
+     */
+    async getAlerts(req, res, next) {
+        try {
+            const { status, symbol } = req.query;
+            const result = await priceAlertService.getUserAlerts(req.user, { status, symbol });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Create a price alert
+     * POST /api/market/alerts
+     */
+    async createAlert(req, res, next) {
+        try {
+            const { symbol, exchange, condition, threshold, direction, recurring, cooldownMinutes, note } = req.body;
+            const alert = await priceAlertService.createAlert(req.user, {
+                symbol,
+                exchange,
+                condition,
+                threshold,
+                direction,
+                recurring,
+                cooldownMinutes,
+                note
+            });
+
+            res.status(HTTP_STATUS.CREATED).json({
+                success: true,
+                message: 'Price alert created successfully',
+                data: { alert }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Update, disable or re-arm a price alert
+     * PATCH /api/market/alerts/:alertId
+     */
+    async updateAlert(req, res, next) {
+        try {
+            const { threshold, direction, recurring, cooldownMinutes, note, status } = req.body;
+            const alert = await priceAlertService.updateAlert(req.user, req.params.alertId, {
+                threshold,
+                direction,
+                recurring,
+                cooldownMinutes,
+                note,
+                status
+            });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Price alert updated successfully',
+                data: { alert }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Delete a price alert
+     * DELETE /api/market/alerts/:alertId
+     */
+    async deleteAlert(req, res, next) {
+        try {
+            await priceAlertService.deleteAlert(req.user, req.params.alertId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Price alert deleted successfully'
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+}
+
+module.exports = new PriceAlertController();
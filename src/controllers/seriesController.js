@@ -0,0 +1,200 @@
+const seriesService = require('../services/seriesService');
+const { HTTP_STATUS } = require('../constants');
+const { getPaginationParams, getPaginationMeta } = require('../utils/pagination');
+
+const handleServiceError = (error, res, next) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            ...(error.code && { code: error.code })
+        });
+    }
+    next(error);
+};
+
+class SeriesController {
+    /**
+     * Series with published parts
+     * GET /api/series
+     */
+    async listSeries(req, res, next) {
+        try {
+            const { page, limit, skip } = getPaginationParams(req.query);
+            const { series, total } = await seriesService.listSeries({
+                skip,
+                limit,
+                author: req.query.author,
+                category: req.query.category
+            });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { series },
+                pagination: getPaginationMeta(total, page, limit)
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * A series with its published parts in reading order
+     * GET /api/series/:seriesId
+     */
+    async getSeries(req, res, next) {
+        try {
+            const series = await seriesService.getSeries(req.params.seriesId, req.user);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { series }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * GET /api/admin/series
+     */
+    async listSeriesForAdmin(req, res, next) {
+        try {
+            const { page, limit, skip } = getPaginationParams(req.query);
+            const { series, total } = await seriesService.listSeriesForAdmin({
+                skip,
+                limit,
+                status: req.query.status,
+                search: req.query.search
+            });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { series },
+                pagination: getPaginationMeta(total, page, limit)
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * A series with every part, whatever its status
+     * GET /api/admin/series/:seriesId
+     */
+    async getSeriesForAdmin(req, res, next) {
+        try {
+            const series = await seriesService.getSeriesForAdmin(req.params.seriesId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { series }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * POST /api/admin/series
+     */
+    async createSeries(req, res, next) {
+        try {
+            const series = await seriesService.createSeries(req.body, req.user.id);
+
+            res.status(HTTP_STATUS.CREATED).json({
+                success: true,
+                message: 'Series created',
+                data: { series }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * PATCH /api/admin/series/:seriesId
+     */
+    async updateSeries(req, res, next) {
+        try {
+            const series = await seriesService.updateSeries(req.params.seriesId, req.body);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Series updated',
+                data: { series }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * DELETE /api/admin/series/:seriesId
+     */
+    async deleteSeries(req, res, next) {
+        try {
+            await seriesService.deleteSeries(req.params.seriesId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Series deleted'
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * POST /api/admin/series/:seriesId/parts
+     */
+    async addPart(req, res, next) {
+        try {
+            const series = await seriesService.addPart(req.params.seriesId, req.body.insightId, req.body.position);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Insight added to series',
+                data: { series }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * PUT /api/admin/series/:seriesId/parts
+     */
+    async reorderParts(req, res, next) {
+        try {
+            const series = await seriesService.reorderParts(req.params.seriesId, req.body.insightIds);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Series order updated',
+                data: { series }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * DELETE /api/admin/series/:seriesId/parts/:insightId
+     */
+    async removePart(req, res, next) {
+        try {
+            const series = await seriesService.removePart(req.params.seriesId, req.params.insightId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Insight removed from series',
+                data: { series }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+}
+
+module.exports = new SeriesController();
@@ -10,6 +10,9 @@ const logger = require('../utils/logger');
 const analyticsService = require('../services/analyticsService');
 const emailService = require('../services/emailService');
 const moderationService = require('../services/moderationService');
+const followService = require('../services/followService');
+const reactionService = require('../services/reactionService');
+const { FOLLOW_TYPES } = require('../models/Follow');
 
 // ========== COMMENTS ==========
 
@@ -294,3 +297,170 @@ exports.unlikeComment = async (req, res) => {
   }
 };
 
+
+// ========== REACTIONS ==========
+
+/**
+ * Get reaction counts for an insight and the current user's reaction
+ * GET /api/social/insights/:insightId/reactions
+ */
+exports.getReactions = async (req, res) => {
+  try {
+    const state = await reactionService.getState(req.user, req.params.insightId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    logger.error('[SocialController] Get reactions failed:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER).json({
+      success: false,
+      message: 'Failed to fetch reactions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * React to an insight (like, bullish or bearish)
+ * PUT /api/social/insights/:insightId/reaction
+ */
+exports.react = async (req, res) => {
+  try {
+    const state = await reactionService.react(req.user, req.params.insightId, req.body.type);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('[SocialController] React failed:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER).json({
+      success: false,
+      message: 'Failed to save reaction',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove the current user's reaction from an insight
+ * DELETE /api/social/insights/:insightId/reaction
+ */
+exports.removeReaction = async (req, res) => {
+  try {
+    const state = await reactionService.removeReaction(req.user, req.params.insightId);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('[SocialController] Remove reaction failed:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER).json({
+      success: false,
+      message: 'Failed to remove reaction',
+      error: error.message
+    });
+  }
+};
+
+// ========== FOLLOWS ==========
+
+/**
+ * Get the authors, categories, tags and series the current user follows
+ * GET /api/social/follows
+ */
+exports.getFollows = async (req, res) => {
+  try {
+    const follows = await followService.getFollows(req.user);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      data: follows
+    });
+  } catch (error) {
+    logger.error('[SocialController] Get follows failed:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER).json({
+      success: false,
+      message: 'Failed to fetch follows',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Follow an author, category, tag or series
+ * POST /api/social/follows
+ */
+exports.follow = async (req, res) => {
+  try {
+    const { type, target } = req.body;
+
+    if (!Object.values(FOLLOW_TYPES).includes(type) || !target) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: `type (${Object.values(FOLLOW_TYPES).join(', ')}) and target are required`
+      });
+    }
+
+    const { follow, created } = await followService.follow(req.user, { type, target });
+
+    res.status(created ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json({
+      success: true,
+      message: created ? 'Followed' : 'Already following',
+      data: { type: follow.targetType, target: follow.target, followedAt: follow.createdAt }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('[SocialController] Follow failed:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER).json({
+      success: false,
+      message: 'Failed to follow',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Unfollow an author, category, tag or series
+ * DELETE /api/social/follows/:type/:target
+ */
+exports.unfollow = async (req, res) => {
+  try {
+    const { type, target } = req.params;
+
+    if (!Object.values(FOLLOW_TYPES).includes(type)) {
+      return res.status(HTTP_STATUS.BAD_REQUEST).json({
+        success: false,
+        message: 'Invalid follow type'
+      });
+    }
+
+    await followService.unfollow(req.user, type, target);
+
+    res.status(HTTP_STATUS.OK).json({
+      success: true,
+      message: 'Unfollowed'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
+    logger.error('[SocialController] Unfollow failed:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER).json({
+      success: false,
+      message: 'Failed to unfollow',
+      error: error.message
+    });
+  }
+};
@@ -4,8 +4,9 @@
 
 const superadminService = require('../services/superadminService');
 const performanceMonitoringService = require('../services/performanceMonitoringService');
-const { HTTP_STATUS } = require('../constants');
+const { HTTP_STATUS, AUDIT_ACTIONS } = require('../constants');
 const logger = require('../utils/logger');
+const AuditLogger = require('../utils/auditLogger');
 
 exports.getAllUsers = async (req, res) => {
   try {
@@ -264,3 +265,19 @@ exports.getSystemSettings = async (req, res) => {
     res.status(HTTP_STATUS.INTERNAL_SERVER).json({ success: false, message: 'Failed to get system settings' });
   }
 };
+
+exports.updatePaywallSettings = async (req, res) => {
+  try {
+    const { settings, before } = await superadminService.updatePaywallSettings(req.body, req.user.id);
+    await AuditLogger.logFromRequest(req, {
+      action: AUDIT_ACTIONS.CONFIG_UPDATED,
+      target: { resourceType: 'Config', resourceName: 'Paywall settings' },
+      changes: { before, after: settings.paywall },
+      metadata: { severity: 'medium' }
+    });
+    res.status(HTTP_STATUS.OK).json({ success: true, message: 'Paywall settings updated successfully', data: settings.paywall });
+  } catch (error) {
+    logger.error('[SuperadminController] Failed to update paywall settings:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER).json({ success: false, message: 'Failed to update paywall settings' });
+  }
+};
@@ -0,0 +1,197 @@
+const tradingCalendarService = require('../services/tradingCalendarService');
+const AuditLogger = require('../utils/auditLogger');
+const { HTTP_STATUS, AUDIT_ACTIONS } = require('../constants');
+
+const handleServiceError = (error, res, next) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            ...(error.code && { code: error.code })
+        });
+    }
+    next(error);
+};
+
+const auditCalendarChange = (req, calendar, notes) => AuditLogger.logFromRequest(req, {
+    action: AUDIT_ACTIONS.CONFIG_UPDATED,
+    target: { resourceType: 'Config', resourceId: calendar._id, resourceName: `TradingCalendar:${calendar.exchange}` },
+    metadata: { notes }
+});
+
+class TradingCalendarController {
+    /**
+     * Current session status for every exchange
+     * GET /api/market/calendar
+     */
+    async getStatus(req, res, next) {
+        try {
+            const status = ['DFM', 'ADX'].map(exchange => tradingCalendarService.getStatus(exchange));
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { exchanges: status },
+                timestamp: new Date()
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Session status plus upcoming holidays and special hours for one exchange
+     * GET /api/market/calendar/:exchange
+     */
+    async getExchangeStatus(req, res, next) {
+        try {
+            const { exchange } = req.params;
+            const calendar = tradingCalendarService.getCalendar(exchange);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: {
+                    status: tradingCalendarService.getStatus(exchange),
+                    tradingDays: calendar.tradingDays,
+                    sessions: calendar.sessions,
+                    ...tradingCalendarService.getUpcoming(exchange)
+                },
+                timestamp: new Date()
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Full calendar for admin editing
+     * GET /api/admin/market-calendar/:exchange
+     */
+    async getCalendar(req, res, next) {
+        try {
+            const calendar = await tradingCalendarService.findOrCreate(req.params.exchange);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { calendar }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Update trading days, regular sessions or UTC offset
+     * PUT /api/admin/market-calendar/:exchange
+     */
+    async updateSchedule(req, res, next) {
+        try {
+            const { tradingDays, sessions, utcOffsetMinutes } = req.body;
+            const calendar = await tradingCalendarService.updateSchedule(
+                req.params.exchange,
+                { tradingDays, sessions, utcOffsetMinutes },
+                req.user.id
+            );
+            await auditCalendarChange(req, calendar, 'Regular trading schedule updated');
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Trading schedule updated successfully',
+                data: { calendar }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Add a market holiday
+     * POST /api/admin/market-calendar/:exchange/holidays
+     */
+    async addHoliday(req, res, next) {
+        try {
+            const { date, name } = req.body;
+            const calendar = await tradingCalendarService.addHoliday(req.params.exchange, { date, name }, req.user.id);
+            await auditCalendarChange(req, calendar, `Holiday added: ${name} (${date})`);
+
+            res.status(HTTP_STATUS.CREATED).json({
+                success: true,
+                message: 'Holiday added successfully',
+                data: { calendar }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Remove a market holiday
+     * DELETE /api/admin/market-calendar/:exchange/holidays/:holidayId
+     */
+    async removeHoliday(req, res, next) {
+        try {
+            const calendar = await tradingCalendarService.removeHoliday(
+                req.params.exchange,
+                req.params.holidayId,
+                req.user.id
+            );
+            await auditCalendarChange(req, calendar, `Holiday removed: ${req.params.holidayId}`);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Holiday removed successfully',
+                data: { calendar }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Add special trading hours for a date range (e.g. Ramadan)
+     * POST /api/admin/market-calendar/:exchange/special-hours
+     */
+    async addSpecialHours(req, res, next) {
+        try {
+            const { name, startDate, endDate, sessions } = req.body;
+            const calendar = await tradingCalendarService.addSpecialHours(
+                req.params.exchange,
+                { name, startDate, endDate, sessions },
+                req.user.id
+            );
+            await auditCalendarChange(req, calendar, `Special hours added: ${name} (${startDate} to ${endDate})`);
+
+            res.status(HTTP_STATUS.CREATED).json({
+                success: true,
+                message: 'Special hours added successfully',
+                data: { calendar }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Remove a special hours period
+     * DELETE /api/admin/market-calendar/:exchange/special-hours/:specialHoursId
+     */
+    async removeSpecialHours(req, res, next) {
+        try {
+            const calendar = await tradingCalendarService.removeSpecialHours(
+                req.params.exchange,
+                req.params.specialHoursId,
+                req.user.id
+            );
+            await auditCalendarChange(req, calendar, `Special hours removed: ${req.params.specialHoursId}`);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Special hours removed successfully',
+                data: { calendar }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+}
+
+module.exports = new TradingCalendarController();
@@ -0,0 +1,145 @@
+const watchlistService = require('../services/watchlistService');
+const { HTTP_STATUS } = require('../constants');
+
+const handleServiceError = (error, res, next) => {
+    if (error.statusCode) {
+        return res.status(error.statusCode).json({
+            success: false,
+            message: error.message,
+            ...(error.code && { code: error.code })
+        });
+    }
+    next(error);
+};
+
+class WatchlistController {
+    /**
+     * Get the current user's watchlists with live quotes
+     * GET /api/market/watchlists
+     */
+    async getWatchlists(req, res, next) {
+        try {
+            const result = await watchlistService.getUserWatchlists(req.user);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: result,
+                timestamp: new Date()
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Get a single watchlist with live quotes
+     * GET /api/market/watchlists/:watchlistId
+     */
+    async getWatchlist(req, res, next) {
+        try {
+            const watchlist = await watchlistService.getWatchlist(req.user, req.params.watchlistId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { watchlist },
+                timestamp: new Date()
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Create a watchlist
+     * POST /api/market/watchlists
+     */
+    async createWatchlist(req, res, next) {
+        try {
+            const { name, symbols } = req.body;
+            const watchlist = await watchlistService.createWatchlist(req.user, { name, symbols });
+
+            res.status(HTTP_STATUS.CREATED).json({
+                success: true,
+                message: 'Watchlist created successfully',
+                data: { watchlist }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Rename a watchlist or reorder its symbols
+     * PATCH /api/market/watchlists/:watchlistId
+     */
+    async updateWatchlist(req, res, next) {
+        try {
+            const { name, symbols } = req.body;
+            const watchlist = await watchlistService.updateWatchlist(req.user, req.params.watchlistId, { name, symbols });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Watchlist updated successfully',
+                data: { watchlist }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Delete a watchlist
+     * DELETE /api/market/watchlists/:watchlistId
+     */
+    async deleteWatchlist(req, res, next) {
+        try {
+            await watchlistService.deleteWatchlist(req.user, req.params.watchlistId);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Watchlist deleted successfully'
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Add a symbol to a watchlist
+     * POST /api/market/watchlists/:watchlistId/symbols
+     */
+    async addSymbol(req, res, next) {
+        try {
+            const { symbol, exchange } = req.body;
+            const watchlist = await watchlistService.addSymbol(req.user, req.params.watchlistId, { symbol, exchange });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Symbol added to watchlist',
+                data: { watchlist }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+
+    /**
+     * Remove a symbol from a watchlist
+     * DELETE /api/market/watchlists/:watchlistId/symbols/:symbol
+     */
+    async removeSymbol(req, res, next) {
+        try {
+            const watchlist = await watchlistService.removeSymbol(req.user, req.params.watchlistId, req.params.symbol);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                message: 'Symbol removed from watchlist',
+                data: { watchlist }
+            });
+        } catch (error) {
+            handleServiceError(error, res, next);
+        }
+    }
+}
+
+module.exports = new WatchlistController();
@@ -56,6 +56,7 @@ const NOTIFICATION_EVENTS = {
   INSIGHT_DELETED: 'insight:deleted',
   INSIGHT_FEATURED: 'insight:featured',
   INSIGHT_UNFEATURED: 'insight:unfeatured',
+  SERIES_PART_PUBLISHED: 'series:part-published',
 
   // ========== CONTENT RECOMMENDATION EVENTS ==========
   NEW_CONTENT_AVAILABLE: 'content:new-available',
@@ -71,6 +72,7 @@ const NOTIFICATION_EVENTS = {
   // ========== USER ENGAGEMENT EVENTS ==========
   INSIGHT_COMMENTED: 'engagement:insight-commented',
   COMMENT_REPLIED: 'engagement:comment-replied',
+  NEW_FOLLOWER: 'engagement:new-follower',
 
   // ========== PREMIUM ACCESS EVENTS ==========
   PREMIUM_ACCESS_GRANTED: 'premium:access-granted',
@@ -89,10 +91,19 @@ const NOTIFICATION_EVENTS = {
 
   // ========== CHAT EVENTS ==========
   CHAT_MESSAGE_RECEIVED: 'chat:message-received',
+  CHANNEL_POST_PUBLISHED: 'channel:post-published',
 
   // ========== MARKET EVENTS ==========
   MARKET_OPENED: 'market:opened',
   MARKET_CLOSED: 'market:closed',
+  PRICE_ALERT_TRIGGERED: 'market:price-alert',
+  DISCLOSURE_PUBLISHED: 'market:disclosure',
+
+  // ========== EDITORIAL WORKFLOW EVENTS ==========
+  EDITORIAL_REVIEW_REQUESTED: 'editorial:review-requested',
+  EDITORIAL_REVIEW_DECISION: 'editorial:review-decision',
+  EDITORIAL_REVIEW_COMMENT: 'editorial:review-comment',
+  EDITORIAL_STATUS_CHANGED: 'editorial:status-changed',
 
   // ========== MODERATION & REPORTING EVENTS ==========
   CONTENT_REPORTED: 'moderation:content-reported',
@@ -420,6 +431,7 @@ const emitInsightPublished = (data) => {
     url: data.url || `/insights/${data.insightId || data.insight?._id}`,
     coverImage: data.coverImage || data.insight?.coverImage,
     tags: data.tags || data.insight?.tags || [],
+    seriesId: data.seriesId || data.insight?.series,
     readTime: data.readTime || Math.ceil((data.insight?.content?.length || 0) / 200) + ' min read'
   };
 
@@ -448,6 +460,28 @@ const emitInsightPublished = (data) => {
   }
 };
 
+/**
+ * Emit new series part event (To series followers)
+ */
+const emitSeriesPartPublished = (data) => {
+  return emitNotification(NOTIFICATION_EVENTS.SERIES_PART_PUBLISHED, {
+    seriesId: data.seriesId,
+    seriesTitle: data.seriesTitle,
+    insightId: data.insightId,
+    title: data.title,
+    excerpt: data.excerpt,
+    part: data.part,
+    totalParts: data.totalParts,
+    type: data.type,
+    author: data.author,
+    coverImage: data.coverImage,
+    url: `/insights/${data.insightId}`
+  }, {
+    priority: NOTIFICATION_PRIORITIES.MEDIUM,
+    channels: [NOTIFICATION_CHANNELS.EMAIL, NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.IN_APP]
+  });
+};
+
 /**
  * Emit insight updated event
  */
@@ -492,6 +526,9 @@ const emitInsightFeatured = (data) => {
     title: data.title,
     type: data.type,
     excerpt: data.excerpt,
+    category: data.category,
+    author: data.author,
+    tags: data.tags || [],
     featuredAt: new Date(),
     url: `/insights/${data.insightId}`,
     message: 'Check out this featured insight!'
@@ -649,6 +686,24 @@ const emitInsightRequestRejected = (data) => {
   });
 };
 
+// ========== ENGAGEMENT EMITTERS ==========
+
+/**
+ * Emit new follower event (To the followed author)
+ * Email goes out separately through emailService.sendFollowNotification.
+ */
+const emitNewFollower = (data) => {
+  return emitNotification(NOTIFICATION_EVENTS.NEW_FOLLOWER, {
+    userId: data.userId,
+    followerId: data.followerId,
+    followerName: data.followerName,
+    url: `/insights/authors/${data.followerId}`
+  }, {
+    priority: NOTIFICATION_PRIORITIES.LOW,
+    channels: [NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.IN_APP]
+  });
+};
+
 // ========== CHAT EMITTERS ==========
 
 /**
@@ -663,7 +718,26 @@ const emitChatMessageReceived = (data) => {
     recipientIds: data.recipientIds, // Array of user IDs to notify
     chatName: data.chatName,
     isGroup: data.isGroup,
-    url: `/chats/${data.chatId}`
+    threadId: data.threadId || null,
+    url: data.threadId ? `/chats/${data.chatId}?thread=${data.threadId}` : `/chats/${data.chatId}`
+  }, {
+    priority: NOTIFICATION_PRIORITIES.HIGH,
+    channels: [NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.IN_APP]
+  });
+};
+
+/**
+ * Emit channel post published event (subscribers with notifications on)
+ */
+const emitChannelPostPublished = (data) => {
+  return emitNotification(NOTIFICATION_EVENTS.CHANNEL_POST_PUBLISHED, {
+    channelId: data.channelId,
+    channelName: data.channelName,
+    requiredTier: data.requiredTier,
+    postId: data.postId,
+    authorId: data.authorId,
+    content: data.content,
+    url: `/channels/${data.channelId}?post=${data.postId}`
   }, {
     priority: NOTIFICATION_PRIORITIES.HIGH,
     channels: [NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.IN_APP]
@@ -675,10 +749,14 @@ const emitChatMessageReceived = (data) => {
 /**
  * Emit market opened event
  */
-const emitMarketOpened = () => {
+const emitMarketOpened = (data = {}) => {
+  const exchanges = data.exchanges || [];
   return emitNotification(NOTIFICATION_EVENTS.MARKET_OPENED, {
-    message: 'The market is now OPEN! Happy trading.',
+    message: exchanges.length > 0
+      ? `${exchanges.join(' & ')} ${exchanges.length > 1 ? 'are' : 'is'} now OPEN! Happy trading.`
+      : 'The market is now OPEN! Happy trading.',
     status: 'open',
+    exchanges,
     url: '/market'
   }, {
     priority: NOTIFICATION_PRIORITIES.HIGH,
@@ -689,10 +767,14 @@ const emitMarketOpened = () => {
 /**
  * Emit market closed event
  */
-const emitMarketClosed = () => {
+const emitMarketClosed = (data = {}) => {
+  const exchanges = data.exchanges || [];
   return emitNotification(NOTIFICATION_EVENTS.MARKET_CLOSED, {
-    message: 'The market is now CLOSED.',
+    message: exchanges.length > 0
+      ? `${exchanges.join(' & ')} ${exchanges.length > 1 ? 'are' : 'is'} now CLOSED.`
+      : 'The market is now CLOSED.',
     status: 'closed',
+    exchanges,
     url: '/market'
   }, {
     priority: NOTIFICATION_PRIORITIES.MEDIUM,
@@ -700,6 +782,122 @@ const emitMarketClosed = () => {
   });
 };
 
+/**
+ * Emit price alert triggered event (To alert owner)
+ */
+const emitPriceAlertTriggered = (data) => {
+  return emitNotification(NOTIFICATION_EVENTS.PRICE_ALERT_TRIGGERED, {
+    userId: data.userId,
+    alertId: data.alertId,
+    symbol: data.symbol,
+    exchange: data.exchange,
+    condition: data.condition,
+    threshold: data.threshold,
+    price: data.price,
+    changePercent: data.changePercent,
+    volume: data.volume,
+    message: data.message,
+    url: `/market/${data.exchange}/${data.symbol}`
+  }, {
+    priority: NOTIFICATION_PRIORITIES.HIGH,
+    channels: [NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL]
+  });
+};
+
+/**
+ * Emit new disclosure event (To users watching the symbol)
+ */
+const emitDisclosurePublished = (data) => {
+  return emitNotification(NOTIFICATION_EVENTS.DISCLOSURE_PUBLISHED, {
+    disclosureId: data.disclosureId,
+    symbol: data.symbol,
+    exchange: data.exchange,
+    company: data.company,
+    title: data.title,
+    titleAr: data.titleAr,
+    date: data.date,
+    pdfUrl: data.pdfUrl,
+    url: `/market/${data.exchange}/${data.symbol}`
+  }, {
+    priority: NOTIFICATION_PRIORITIES.HIGH,
+    channels: [NOTIFICATION_CHANNELS.PUSH, NOTIFICATION_CHANNELS.IN_APP, NOTIFICATION_CHANNELS.EMAIL]
+  });
+};
+
+// ========== EDITORIAL EMITTERS ==========
+
+/**
+ * Emit review requested event (To an assigned reviewer)
+ */
+const emitReviewRequested = (data) => {
+  return emitNotification(NOTIFICATION_EVENTS.EDITORIAL_REVIEW_REQUESTED, {
+    userId: data.userId,
+    insightId: data.insightId,
+    title: data.title,
+    version: data.version,
+    url: `/admin/insights/${data.insightId}/review`
+  }, {
+    priority: NOTIFICATION_PRIORITIES.MEDIUM,
+    channels: [NOTIFICATION_CHANNELS.EMAIL, NOTIFICATION_CHANNELS.IN_APP]
+  });
+};
+
+/**
+ * Emit review decision event (To the insight author)
+ */
+const emitReviewDecision = (data) => {
+  return emitNotification(NOTIFICATION_EVENTS.EDITORIAL_REVIEW_DECISION, {
+    userId: data.userId,
+    insightId: data.insightId,
+    title: data.title,
+    decision: data.decision,
+    version: data.version,
+    approvals: data.approvals,
+    requiredApprovals: data.requiredApprovals,
+    published: data.published || false,
+    note: data.note,
+    url: `/admin/insights/${data.insightId}/review`
+  }, {
+    priority: NOTIFICATION_PRIORITIES.MEDIUM,
+    channels: [NOTIFICATION_CHANNELS.EMAIL, NOTIFICATION_CHANNELS.IN_APP]
+  });
+};
+
+/**
+ * Emit review comment event (To the insight author)
+ */
+const emitReviewComment = (data) => {
+  return emitNotification(NOTIFICATION_EVENTS.EDITORIAL_REVIEW_COMMENT, {
+    userId: data.userId,
+    insightId: data.insightId,
+    title: data.title,
+    version: data.version,
+    comment: data.comment,
+    url: `/admin/insights/${data.insightId}/review`
+  }, {
+    priority: NOTIFICATION_PRIORITIES.LOW,
+    channels: [NOTIFICATION_CHANNELS.IN_APP]
+  });
+};
+
+/**
+ * Emit editorial status change event (To the author and assigned reviewers)
+ */
+const emitEditorialStatusChanged = (data) => {
+  return emitNotification(NOTIFICATION_EVENTS.EDITORIAL_STATUS_CHANGED, {
+    userId: data.userId,
+    insightId: data.insightId,
+    title: data.title,
+    from: data.from,
+    to: data.to,
+    note: data.note,
+    url: `/admin/insights/${data.insightId}/review`
+  }, {
+    priority: NOTIFICATION_PRIORITIES.LOW,
+    channels: [NOTIFICATION_CHANNELS.IN_APP]
+  });
+};
+
 // ========== MODERATION EMITTERS ==========
 
 /**
@@ -782,6 +980,7 @@ module.exports = {
 
   // Content publishing
   emitInsightPublished,
+  emitSeriesPartPublished,
   emitInsightUpdated,
   emitInsightUnpublished,
   emitInsightFeatured,
@@ -802,12 +1001,24 @@ module.exports = {
   emitInsightRequestApproved,
   emitInsightRequestRejected,
 
+  // Engagement
+  emitNewFollower,
+
   // Chat
   emitChatMessageReceived,
+  emitChannelPostPublished,
 
   // Market
   emitMarketOpened,
   emitMarketClosed,
+  emitPriceAlertTriggered,
+  emitDisclosurePublished,
+
+  // Editorial workflow
+  emitReviewRequested,
+  emitReviewDecision,
+  emitReviewComment,
+  emitEditorialStatusChanged,
 
   // Moderation
   emitContentReported,
@@ -1,4 +1,5 @@
 const multer = require('multer');
+const { TIER_LIMITS, CHAT_ATTACHMENT_TYPES } = require('../constants');
 
 /**
  * File Upload Middleware using Multer
@@ -52,6 +53,25 @@ const uploadCoverImage = multer({
   fileFilter: imageFileFilter
 }).single('coverImage');
 
+// Chat attachments: the largest tier limit here, the user's own tier is checked by chatAttachmentService
+const chatAttachmentMaxSize = Math.max(...Object.values(TIER_LIMITS).map(limits => limits.chatAttachmentBytes));
+const chatAttachmentTypes = Object.values(CHAT_ATTACHMENT_TYPES).flat();
+
+const chatAttachmentUpload = multer({
+  storage,
+  limits: {
+    fileSize: chatAttachmentMaxSize,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (chatAttachmentTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Allowed types: ${chatAttachmentTypes.join(', ')}`), false);
+    }
+  }
+}).single('file');
+
 /**
  * Multer error handler middleware
  */
@@ -96,9 +116,25 @@ const handleMulterError = (err, req, res, next) => {
   next();
 };
 
+/**
+ * Chat attachment upload (field "file") with its own size message
+ */
+const uploadChatAttachment = (req, res, next) => {
+  chatAttachmentUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError && err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        message: `File too large. Maximum size is ${chatAttachmentMaxSize / (1024 * 1024)}MB`
+      });
+    }
+    handleMulterError(err, req, res, next);
+  });
+};
+
 module.exports = {
   uploadSingleImage,
   uploadMultipleImages,
   uploadCoverImage,
+  uploadChatAttachment,
   handleMulterError
 };
@@ -1,7 +1,9 @@
 const Subscription = require('../models/Subscription');
 const Insight = require('../models/Insight');
-const { SUBSCRIPTION_TIERS, CONTENT_ACCESS, ROLES, AUDIT_ACTIONS, HTTP_STATUS } = require('../constants');
+const { SUBSCRIPTION_TIERS, CONTENT_ACCESS, PAYWALL_MODES, ROLES, AUDIT_ACTIONS, HTTP_STATUS } = require('../constants');
 const AuditLogger = require('../utils/auditLogger');
+const paywallService = require('../services/paywallService');
+const channelService = require('../services/channelService');
 
 /**
  * Subscription Middleware
@@ -210,34 +212,37 @@ const checkInsightAccess = async (req, res, next) => {
 
 /**
  * Filter insights array based on user subscription
- * Removes premium content for free users
+ * Free users get premium content removed, or listed as locked previews
+ * (no body) when the paywall is in teaser or metered mode
  *
  * @param {Array} insights - Array of insights
  * @param {Object} user - User object (or null for unauthenticated)
  * @returns {Promise<Array>} - Filtered insights
  */
 const filterInsightsBySubscription = async (insights, user) => {
-  // If no user (unauthenticated), show only free content
-  if (!user) {
-    return insights.filter(insight => insight.type === CONTENT_ACCESS.FREE);
-  }
-
   // Admins see everything
-  if (user.role === ROLES.ADMIN || user.role === ROLES.SUPERADMIN) {
+  if (user && (user.role === ROLES.ADMIN || user.role === ROLES.SUPERADMIN)) {
     return insights;
   }
 
-  // Check user's subscription
-  const subscription = await Subscription.getActiveSubscription(user.id);
-  const hasPremium = subscription && subscription.isPremium;
+  // Check user's subscription (unauthenticated users are free)
+  if (user) {
+    const subscription = await Subscription.getActiveSubscription(user.id);
 
-  // Premium users see everything
-  if (hasPremium) {
-    return insights;
+    // Premium users see everything
+    if (subscription && subscription.isPremium) {
+      return insights;
+    }
   }
 
+  const paywall = await paywallService.getSettings();
+
   // Free users see only free content
-  return insights.filter(insight => insight.type === CONTENT_ACCESS.FREE);
+  if (paywall.mode === PAYWALL_MODES.HIDDEN) {
+    return insights.filter(insight => insight.type === CONTENT_ACCESS.FREE);
+  }
+
+  return insights.map(insight => (insight.type === CONTENT_ACCESS.FREE ? insight : paywallService.lockInsight(insight)));
 };
 
 /**
@@ -291,6 +296,67 @@ const addSubscriptionContext = async (req, res, next) => {
   }
 };
 
+/**
+ * Load the channel in req.params.channelId and check the user's plan covers
+ * it. Sets req.channel.
+ *
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const requireChannelAccess = async (req, res, next) => {
+  try {
+    let channel;
+    try {
+      channel = await channelService.findChannel(req.params.channelId);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ success: false, message: error.message });
+      }
+      throw error;
+    }
+
+    if (!(await channelService.hasTierAccess(channel, req.user))) {
+      await AuditLogger.logFromRequest(req, {
+        action: AUDIT_ACTIONS.PREMIUM_ACCESS_DENIED,
+        target: {
+          resourceType: 'Chat',
+          resourceId: channel._id,
+          resourceName: channel.name
+        },
+        metadata: {
+          severity: 'low',
+          notes: `User attempted to open a ${channel.channel.requiredTier} channel without a subscription`
+        },
+        status: 'failure'
+      });
+
+      return res.status(HTTP_STATUS.FORBIDDEN).json({
+        success: false,
+        message: 'Premium subscription required to access this channel',
+        code: 'PREMIUM_REQUIRED',
+        upgrade: {
+          message: 'Upgrade to premium to follow analyst signal channels',
+          benefits: [
+            'Real-time analyst signals',
+            'Access to all premium insights',
+            'Advanced market analysis'
+          ]
+        }
+      });
+    }
+
+    req.channel = channel;
+    next();
+  } catch (error) {
+    console.error('Channel access check error:', error);
+    res.status(HTTP_STATUS.INTERNAL_SERVER).json({
+      success: false,
+      message: 'Error checking subscription status'
+    });
+  }
+};
+
 /**
  * Check if insight is accessible to user
  * Utility function (not middleware)
@@ -325,5 +391,6 @@ module.exports = {
   checkInsightAccess,
   filterInsightsBySubscription,
   addSubscriptionContext,
+  requireChannelAccess,
   canAccessInsight
 };
@@ -1,5 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
-const { HTTP_STATUS, ERROR_MESSAGES, ROLES } = require('../constants');
+const { HTTP_STATUS, ERROR_MESSAGES, ROLES, PAYWALL_MODES } = require('../constants');
 
 const validate = (req, res, next) => {
   const errors = validationResult(req);
@@ -110,6 +110,63 @@ const paginationValidation = [
   validate
 ];
 
+// Cursor paging for chat messages: ?before=<seq>
+const messageCursorValidation = [
+  query('before')
+    .optional()
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Before must be a positive sequence number'),
+  validate
+];
+
+const messageSyncValidation = [
+  query('since')
+    .optional()
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Since must be a sequence number of 0 or more'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .toInt()
+    .withMessage('Limit must be between 1 and 500'),
+  validate
+];
+
+const paywallSettingsValidation = [
+  body('mode')
+    .optional()
+    .isIn(Object.values(PAYWALL_MODES))
+    .withMessage(`Mode must be one of: ${Object.values(PAYWALL_MODES).join(', ')}`),
+  body('teaserParagraphs')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .toInt()
+    .withMessage('Teaser paragraphs must be between 1 and 10'),
+  body('blurredParagraphs')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .toInt()
+    .withMessage('Blurred paragraphs must be between 0 and 10'),
+  body('monthlyFreeReads')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .toInt()
+    .withMessage('Monthly free reads must be between 0 and 100'),
+  body('ctaMessage')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('CTA message must be between 1 and 200 characters'),
+  body('ctaUrl')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('CTA URL must be between 1 and 200 characters'),
+  validate
+];
+
 module.exports = {
   validate,
   registerValidation,
@@ -118,5 +175,8 @@ module.exports = {
   updateUserStatusValidation,
   updateUserRoleValidation,
   createAdminValidation,
-  paginationValidation
+  paginationValidation,
+  messageCursorValidation,
+  messageSyncValidation,
+  paywallSettingsValidation
 };
@@ -81,7 +81,8 @@ const analyticsSchema = new mongoose.Schema(
           title: String,
           views: Number,
           likes: Number,
-          comments: Number
+          comments: Number,
+          bookmarks: Number
         }
       ],
 
@@ -91,6 +92,7 @@ const analyticsSchema = new mongoose.Schema(
         of: {
           views: Number,
           likes: Number,
+          bookmarks: Number,
           insights: Number
         }
       }
@@ -242,8 +244,9 @@ analyticsSchema.methods.updateTopInsights = async function (insights) {
     insightId: i._id,
     title: i.title,
     views: i.analytics?.views || 0,
-    likes: i.analytics?.likes || 0,
-    comments: i.analytics?.comments || 0
+    likes: i.reactions?.like || 0,
+    comments: i.analytics?.comments || 0,
+    bookmarks: i.bookmarksCount || 0
   }));
   await this.save();
 };
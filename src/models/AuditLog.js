@@ -60,6 +60,19 @@ const auditLogSchema = new mongoose.Schema({
       'INSIGHT_UPDATED',
       'INSIGHT_DELETED',
       'INSIGHT_FEATURED',
+      'INSIGHT_PUBLISHED',
+      'INSIGHT_UNPUBLISHED',
+      'INSIGHT_STATUS_CHANGED',
+
+      // Editorial Workflow
+      'INSIGHT_SUBMITTED_FOR_REVIEW',
+      'INSIGHT_APPROVED',
+      'INSIGHT_REJECTED',
+      'INSIGHT_CHANGES_REQUESTED',
+      'REVIEWER_ASSIGNED',
+      'REVIEWER_REMOVED',
+      'REVIEW_COMMENT_ADDED',
+      'REVIEW_COMMENT_RESOLVED',
 
       // Chat Management
       'CHAT_CREATED',
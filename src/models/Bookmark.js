@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    insight: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Insight',
+        required: true,
+        index: true
+    },
+    // Optional reading list name; null = uncategorised
+    collectionName: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Collection name cannot exceed 50 characters'],
+        default: null
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    }
+}, {
+    timestamps: true
+});
+
+// An insight is bookmarked at most once per user (it lives in one collection)
+bookmarkSchema.index({ user: 1, insight: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, collectionName: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// One record per user and channel post, so Message.viewCount counts unique viewers
+const channelPostViewSchema = new mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Message',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+channelPostViewSchema.index({ post: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('ChannelPostView', channelPostViewSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Subscriber of a broadcast channel (a Chat of type 'channel'). Kept out of
+// Chat.participants so channels can grow to any number of subscribers.
+const channelSubscriptionSchema = new mongoose.Schema({
+    channel: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Chat',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Notify the subscriber of new posts
+    notifications: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+channelSubscriptionSchema.index({ channel: 1, user: 1 }, { unique: true });
+// Notification recipients
+channelSubscriptionSchema.index({ channel: 1, notifications: 1 });
+
+module.exports = mongoose.model('ChannelSubscription', channelSubscriptionSchema);
@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const { CHAT_TYPES, CHAT_PERMISSIONS } = require('../constants');
+const { CHAT_TYPES, CHAT_PERMISSIONS, SUBSCRIPTION_TIERS } = require('../constants');
 
 const chatSchema = new mongoose.Schema(
   {
@@ -49,6 +49,25 @@ const chatSchema = new mongoose.Schema(
       default: null,
       index: true
     },
+    // Broadcast channel fields (type 'channel'). Participants are the
+    // analysts who post; subscribers are kept in ChannelSubscription.
+    channel: {
+      description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Channel description cannot exceed 1000 characters']
+      },
+      requiredTier: {
+        type: String,
+        enum: Object.values(SUBSCRIPTION_TIERS),
+        default: SUBSCRIPTION_TIERS.FREE
+      },
+      subscriberCount: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    },
     // Group settings for admin-controlled messaging
     settings: {
       onlyAdminsCanSend: {
@@ -60,6 +79,19 @@ const chatSchema = new mongoose.Schema(
         ref: 'User'
       }]
     },
+    // Last sequence number handed out to a message change in this chat
+    // (see Chat.nextSequence and messageSyncService)
+    messageSeq: {
+      type: Number,
+      default: 0
+    },
+    // Sequence numbers handed out whose message write may not have landed
+    // yet; sync stops below the oldest so its cursor can't skip a late write
+    pendingSeqs: [{
+      _id: false,
+      seq: Number,
+      reservedAt: Date
+    }],
     lastMessage: {
       content: String,
       sender: {
@@ -198,4 +230,65 @@ chatSchema.methods.updateLastMessage = function (content, sender) {
   };
 };
 
+// Reservations older than this belong to writes that never finished
+// (e.g. a crashed process) and no longer hold sync back
+const SEQ_PENDING_TTL_MS = 30 * 1000;
+
+// Reserve the next sequence number for a new or changed message. Numbers
+// only ever increase within a chat, so clients can sync from the last one seen.
+// The number stays pending until releaseSequence; use withSequence.
+chatSchema.statics.nextSequence = async function (chatId) {
+  // Pipeline update so the number and its pending entry are written together
+  const next = { $add: [{ $ifNull: ['$messageSeq', 0] }, 1] };
+  const chat = await this.findOneAndUpdate(
+    { _id: chatId },
+    [{
+      $set: {
+        messageSeq: next,
+        pendingSeqs: {
+          $concatArrays: [
+            {
+              $filter: {
+                input: { $ifNull: ['$pendingSeqs', []] },
+                cond: { $gt: ['$$this.reservedAt', { $subtract: ['$$NOW', SEQ_PENDING_TTL_MS] }] }
+              }
+            },
+            [{ seq: next, reservedAt: '$$NOW' }]
+          ]
+        }
+      }
+    }],
+    { new: true }
+  ).select('messageSeq');
+  return chat ? chat.messageSeq : null;
+};
+
+chatSchema.statics.releaseSequence = async function (chatId, seq) {
+  return this.updateOne({ _id: chatId }, { $pull: { pendingSeqs: { seq } } });
+};
+
+// Reserve a sequence number, run the write that stores it, then release it.
+// Resolves to whatever `write(seq)` resolves to.
+chatSchema.statics.withSequence = async function (chatId, write) {
+  const seq = await this.nextSequence(chatId);
+  try {
+    return await write(seq);
+  } finally {
+    // A failed release only holds sync back until the reservation expires
+    if (seq !== null) await this.releaseSequence(chatId, seq).catch(() => {});
+  }
+};
+
+// Highest sequence number every write up to which has finished: sync must
+// not hand out a cursor past a number whose write is still in flight
+chatSchema.methods.getCommittedSeq = function (now = new Date()) {
+  const cutoff = now.getTime() - SEQ_PENDING_TTL_MS;
+  const pending = (this.pendingSeqs || [])
+    .filter(entry => entry.reservedAt && entry.reservedAt.getTime() > cutoff)
+    .map(entry => entry.seq);
+
+  const latest = this.messageSeq || 0;
+  return pending.length > 0 ? Math.min(latest, Math.min(...pending) - 1) : latest;
+};
+
 module.exports = mongoose.model('Chat', chatSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { CHAT_ATTACHMENT_TYPES } = require('../constants');
+
+const ATTACHMENT_STATUS = {
+  PENDING: 'pending', // Uploaded, not sent in a message yet
+  ATTACHED: 'attached',
+  DELETED: 'deleted'
+};
+
+// File uploaded to a chat. Stored outside the public uploads folder and only
+// served to chat participants (see chatAttachmentService).
+const chatAttachmentSchema = new mongoose.Schema(
+  {
+    chat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Chat',
+      required: true,
+      index: true
+    },
+    uploader: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null
+    },
+    kind: {
+      type: String,
+      enum: Object.keys(CHAT_ATTACHMENT_TYPES),
+      required: true
+    },
+    mimeType: {
+      type: String,
+      required: true
+    },
+    originalName: {
+      type: String,
+      required: true,
+      maxlength: 255
+    },
+    size: {
+      type: Number,
+      required: true
+    },
+    // Stored file names (relative to the chat uploads directory)
+    filename: {
+      type: String,
+      required: true
+    },
+    thumbnailFilename: String,
+    width: Number,
+    height: Number,
+    status: {
+      type: String,
+      enum: Object.values(ATTACHMENT_STATUS),
+      default: ATTACHMENT_STATUS.PENDING
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Cleanup of uploads that were never sent
+chatAttachmentSchema.index({ status: 1, createdAt: 1 });
+
+chatAttachmentSchema.methods.getUrls = function () {
+  const base = `/api/chats/${this.chat}/attachments/${this._id}`;
+  return {
+    url: base,
+    thumbnailUrl: this.thumbnailFilename ? `${base}/thumbnail` : null
+  };
+};
+
+chatAttachmentSchema.statics.ATTACHMENT_STATUS = ATTACHMENT_STATUS;
+
+module.exports = mongoose.model('ChatAttachment', chatAttachmentSchema);
@@ -40,6 +40,17 @@ const DisclosureSchema = new mongoose.Schema({
         type: String,
         trim: true,
         default: null,
+        index: true,
+    },
+    // Issuer name as listed by the exchange (used to resolve symbol)
+    company: {
+        type: String,
+        trim: true,
+    },
+    // Last time symbol resolution ran on this disclosure without a match
+    symbolResolveAttemptedAt: {
+        type: Date,
+        default: null,
     },
 }, {
     timestamps: true,
@@ -48,5 +59,9 @@ const DisclosureSchema = new mongoose.Schema({
 // Composite index on title + exchange + date to prevent duplicates
 // (same disclosure can have different PDFs, so we use title-based unique)
 DisclosureSchema.index({ title: 1, exchange: 1, date: 1 }, { unique: true });
+// Feed ordering with a stable tie-breaker for cursor pagination
+DisclosureSchema.index({ date: -1, _id: -1 });
+// Symbol backfill works through unresolved disclosures, least recently tried first
+DisclosureSchema.index({ symbol: 1, symbolResolveAttemptedAt: 1, date: -1 });
 
 module.exports = mongoose.model('Disclosure', DisclosureSchema);
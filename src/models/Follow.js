@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const FOLLOW_TYPES = {
+    AUTHOR: 'author',
+    CATEGORY: 'category',
+    TAG: 'tag',
+    SERIES: 'series'
+};
+
+const followSchema = new mongoose.Schema({
+    follower: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    targetType: {
+        type: String,
+        required: true,
+        enum: Object.values(FOLLOW_TYPES)
+    },
+    // Author id, category key, tag (lowercase) or series id - the value matched against insights
+    target: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    // Set for author follows so the followed user can be populated
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Set for series follows so the series can be populated
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Series'
+    }
+}, {
+    timestamps: true
+});
+
+followSchema.index({ follower: 1, targetType: 1, target: 1 }, { unique: true });
+// Reverse lookup: who follows an author/category/tag/series (notification recipients, follower counts)
+followSchema.index({ targetType: 1, target: 1 });
+
+followSchema.statics.FOLLOW_TYPES = FOLLOW_TYPES;
+
+module.exports = mongoose.model('Follow', followSchema);
@@ -10,8 +10,110 @@ const mongoose = require('mongoose');
  * - Soft delete support
  * - View tracking
  * - Category and tag system
+ * - Linked market symbols (validated against MarketData)
+ * - Trade ideas with tracked outcome (hit target / stopped out / expired)
+ * - Reactions (like / bullish / bearish) and trending score
+ * - English/Arabic translations with per-locale status
+ * - Optional structured content blocks (tables, charts, quote cards...)
+ * - Editorial review with assigned reviewers and required approvals
  */
 
+const INSIGHT_SUBTYPES = {
+  ANALYSIS: 'analysis',
+  TRADE_IDEA: 'trade_idea'
+};
+
+const TRADE_IDEA_DIRECTIONS = {
+  LONG: 'long',
+  SHORT: 'short'
+};
+
+const TRADE_IDEA_STATUS = {
+  OPEN: 'open',
+  HIT_TARGET: 'hit_target',
+  STOPPED_OUT: 'stopped_out',
+  EXPIRED: 'expired'
+};
+
+// Levels are locked once the idea is published (tradeIdeaService.openIdea snapshots the
+// entry at the live price); outcome fields are set by the market sync
+const tradeIdeaSchema = new mongoose.Schema({
+  symbol: { type: String, required: true, trim: true, uppercase: true },
+  exchange: { type: String, required: true, enum: ['DFM', 'ADX'] },
+  direction: { type: String, required: true, enum: Object.values(TRADE_IDEA_DIRECTIONS) },
+  entryPrice: { type: Number, required: true, min: 0 },
+  targetPrice: { type: Number, required: true, min: 0 },
+  stopLoss: { type: Number, required: true, min: 0 },
+  horizonDays: { type: Number, required: true, min: 1, max: 365 },
+  status: {
+    type: String,
+    enum: Object.values(TRADE_IDEA_STATUS),
+    default: TRADE_IDEA_STATUS.OPEN
+  },
+  openedAt: Date,
+  expiresAt: Date,
+  closedAt: Date,
+  closePrice: Number,
+  returnPercent: Number
+}, { _id: false });
+
+// Structured content blocks (validated and rendered by contentBlockService)
+const BLOCK_TYPES = {
+  PARAGRAPH: 'paragraph',
+  HEADING: 'heading',
+  IMAGE: 'image',
+  TABLE: 'table',
+  CHART: 'chart',
+  QUOTE: 'quote',
+  CALLOUT: 'callout'
+};
+
+const INSIGHT_LANGUAGES = ['en', 'ar'];
+
+// current: matches the source text; outdated: source changed since; missing: requested but not written yet
+const TRANSLATION_STATUS = {
+  CURRENT: 'current',
+  OUTDATED: 'outdated',
+  MISSING: 'missing'
+};
+
+// Translation of the source title/excerpt/content into another locale
+const translationSchema = new mongoose.Schema({
+  title: { type: String, trim: true, maxlength: [200, 'Title cannot exceed 200 characters'] },
+  excerpt: { type: String, trim: true, maxlength: [500, 'Excerpt cannot exceed 500 characters'] },
+  content: { type: String },
+  status: {
+    type: String,
+    enum: Object.values(TRANSLATION_STATUS),
+    default: TRANSLATION_STATUS.CURRENT
+  },
+  note: { type: String, trim: true, maxlength: [300, 'Note cannot exceed 300 characters'] },
+  translatedAt: Date,
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+// A reviewer's decision applies to the version it was made on; approvals of
+// an earlier version don't count once the insight has been revised
+const REVIEW_DECISIONS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes_requested'
+};
+
+const reviewerSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  assignedAt: { type: Date, default: Date.now },
+  decision: {
+    type: String,
+    enum: Object.values(REVIEW_DECISIONS),
+    default: REVIEW_DECISIONS.PENDING
+  },
+  version: Number,
+  note: { type: String, trim: true, maxlength: [1000, 'Note cannot exceed 1000 characters'] },
+  decidedAt: Date
+}, { _id: false });
+
 const insightSchema = new mongoose.Schema(
   {
     title: {
@@ -44,6 +146,30 @@ const insightSchema = new mongoose.Schema(
       trim: true
     },
 
+    // Optional block-based body. When set, `content` holds its plain-text
+    // rendering (excerpts, search, read time) and `contentHtml` the sanitized HTML.
+    blocks: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    },
+
+    contentHtml: {
+      type: String
+    },
+
+    // Language of title/excerpt/content above
+    language: {
+      type: String,
+      enum: INSIGHT_LANGUAGES,
+      default: 'en'
+    },
+
+    // Per-locale translations (never set for the source language)
+    translations: {
+      en: { type: translationSchema, default: undefined },
+      ar: { type: translationSchema, default: undefined }
+    },
+
     type: {
       type: String,
       enum: ['free', 'premium'],
@@ -76,6 +202,34 @@ const insightSchema = new mongoose.Schema(
       lowercase: true
     }],
 
+    subtype: {
+      type: String,
+      enum: Object.values(INSIGHT_SUBTYPES),
+      default: INSIGHT_SUBTYPES.ANALYSIS,
+      index: true
+    },
+
+    tradeIdea: {
+      type: tradeIdeaSchema,
+      default: undefined
+    },
+
+    // Listed companies this insight covers (e.g. EMAAR.AE on DFM)
+    symbols: [{
+      _id: false,
+      symbol: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+      },
+      exchange: {
+        type: String,
+        required: true,
+        enum: ['DFM', 'ADX']
+      }
+    }],
+
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -124,6 +278,29 @@ const insightSchema = new mongoose.Schema(
       min: 0
     },
 
+    bookmarksCount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+
+    // Denormalized reaction counters (source of truth: Reaction collection)
+    reactions: {
+      like: { type: Number, default: 0, min: 0 },
+      bullish: { type: Number, default: 0, min: 0 },
+      bearish: { type: Number, default: 0, min: 0 }
+    },
+
+    // Time-decayed engagement score, refreshed by the trending-analysis job
+    trendingScore: {
+      type: Number,
+      default: 0
+    },
+
+    trendingUpdatedAt: {
+      type: Date
+    },
+
     // Soft delete
     isDeleted: {
       type: Boolean,
@@ -173,6 +350,22 @@ const insightSchema = new mongoose.Schema(
       type: Date
     },
 
+    // Editorial review (see editorialService for the workflow rules)
+    review: {
+      requiredApprovals: { type: Number, min: 1, max: 5 },
+      version: Number, // InsightVersion number under review
+      submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      submittedAt: Date,
+      reviewers: { type: [reviewerSchema], default: undefined }
+    },
+
+    // Multi-part series this insight belongs to (reading order lives on the Series)
+    series: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Series',
+      index: true
+    },
+
     // Scheduling
     scheduledFor: {
       type: Date,
@@ -190,6 +383,11 @@ insightSchema.index({ featured: 1, status: 1, publishedAt: -1 });
 insightSchema.index({ category: 1, status: 1, publishedAt: -1 });
 insightSchema.index({ author: 1, status: 1, createdAt: -1 });
 insightSchema.index({ tags: 1, status: 1 });
+insightSchema.index({ 'symbols.symbol': 1, status: 1, publishedAt: -1 });
+insightSchema.index({ subtype: 1, 'tradeIdea.status': 1 });
+insightSchema.index({ author: 1, subtype: 1 });
+insightSchema.index({ status: 1, trendingScore: -1 });
+insightSchema.index({ 'review.reviewers.user': 1, status: 1 });
 insightSchema.index({ title: 'text', content: 'text' }); // Full-text search
 
 // Generate slug from title before validation
@@ -439,6 +637,14 @@ insightSchema.query.free = function () {
   return this.where({ type: 'free' });
 };
 
+insightSchema.statics.INSIGHT_SUBTYPES = INSIGHT_SUBTYPES;
+insightSchema.statics.TRADE_IDEA_DIRECTIONS = TRADE_IDEA_DIRECTIONS;
+insightSchema.statics.TRADE_IDEA_STATUS = TRADE_IDEA_STATUS;
+insightSchema.statics.INSIGHT_LANGUAGES = INSIGHT_LANGUAGES;
+insightSchema.statics.TRANSLATION_STATUS = TRANSLATION_STATUS;
+insightSchema.statics.BLOCK_TYPES = BLOCK_TYPES;
+insightSchema.statics.REVIEW_DECISIONS = REVIEW_DECISIONS;
+
 const Insight = mongoose.model('Insight', insightSchema);
 
 module.exports = Insight;
@@ -45,7 +45,7 @@ const insightVersionSchema = new mongoose.Schema(
       },
       status: {
         type: String,
-        enum: ['draft', 'published', 'archived']
+        enum: ['draft', 'published', 'archived', 'under_review', 'scheduled']
       },
       featuredImage: String,
       metadata: mongoose.Schema.Types.Mixed
@@ -286,14 +286,14 @@ insightVersionSchema.statics.restoreVersion = async function (insightId, version
     throw new Error('Insight not found');
   }
 
-  // Update insight with version data
+  // Update insight with version data. Status stays as it is: status changes
+  // go through the editorial workflow, not through restores.
   insight.title = versionToRestore.data.title;
   insight.content = versionToRestore.data.content;
   insight.excerpt = versionToRestore.data.excerpt;
   insight.category = versionToRestore.data.category;
   insight.tags = versionToRestore.data.tags;
   insight.type = versionToRestore.data.type;
-  insight.status = versionToRestore.data.status;
   insight.featuredImage = versionToRestore.data.featuredImage;
   insight.metadata = versionToRestore.data.metadata;
 
@@ -30,11 +30,13 @@ const JOB_TYPES = {
   // Maintenance jobs
   CLEANUP_NOTIFICATIONS: 'cleanup-notifications',
   CLEANUP_AUDIT_LOGS: 'cleanup-audit-logs',
+  CLEANUP_CHAT_ATTACHMENTS: 'cleanup-chat-attachments',
 
   // Content jobs
   CONTENT_DIGEST: 'content-digest',
   TRENDING_ANALYSIS: 'trending-analysis',
-  PUBLISH_INSIGHTS: 'publish-insights'
+  PUBLISH_INSIGHTS: 'publish-insights',
+  PUBLISH_CHANNEL_POSTS: 'publish-channel-posts'
 };
 
 const JOB_STATUS = {
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const CANDLE_INTERVALS = {
+    ONE_MINUTE: '1m',
+    FIVE_MINUTES: '5m',
+    ONE_HOUR: '1h',
+    ONE_DAY: '1d'
+};
+
+// Bucket width in milliseconds per interval
+const INTERVAL_MS = {
+    '1m': 60 * 1000,
+    '5m': 5 * 60 * 1000,
+    '1h': 60 * 60 * 1000,
+    '1d': 24 * 60 * 60 * 1000
+};
+
+// How long each granularity is kept (null = forever)
+const CANDLE_RETENTION_MS = {
+    '1m': 7 * 24 * 60 * 60 * 1000,
+    '5m': 30 * 24 * 60 * 60 * 1000,
+    '1h': 365 * 24 * 60 * 60 * 1000,
+    '1d': null
+};
+
+const marketCandleSchema = new mongoose.Schema({
+    symbol: {
+        type: String,
+        required: true,
+        uppercase: true,
+        trim: true
+    },
+    exchange: {
+        type: String,
+        required: true,
+        enum: ['DFM', 'ADX']
+    },
+    interval: {
+        type: String,
+        required: true,
+        enum: Object.values(CANDLE_INTERVALS)
+    },
+    bucketStart: {
+        type: Date,
+        required: true
+    },
+    open: { type: Number, required: true },
+    high: { type: Number, required: true },
+    low: { type: Number, required: true },
+    close: { type: Number, required: true },
+    volume: { type: Number, default: 0 },
+    tickCount: { type: Number, default: 0 },
+    lastTickAt: { type: Date },
+    // Candles rebuilt from exchange chart points rather than live ticks
+    isBackfilled: { type: Boolean, default: false },
+    // TTL per granularity; daily candles have no expiry
+    expiresAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+marketCandleSchema.index({ symbol: 1, interval: 1, bucketStart: 1 }, { unique: true });
+marketCandleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Export constants for use in other files
+marketCandleSchema.statics.CANDLE_INTERVALS = CANDLE_INTERVALS;
+marketCandleSchema.statics.INTERVAL_MS = INTERVAL_MS;
+marketCandleSchema.statics.CANDLE_RETENTION_MS = CANDLE_RETENTION_MS;
+
+module.exports = mongoose.model('MarketCandle', marketCandleSchema);
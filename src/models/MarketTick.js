@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Raw intraday ticks are kept for 2 days; longer history lives in MarketCandle
+const TICK_RETENTION_SECONDS = 2 * 24 * 60 * 60;
+
+const marketTickSchema = new mongoose.Schema({
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    meta: {
+        symbol: { type: String, required: true, uppercase: true },
+        exchange: { type: String, required: true, enum: ['DFM', 'ADX'] }
+    },
+    price: { type: Number, required: true },
+    // Cumulative session volume as reported by the exchange at this tick
+    volume: { type: Number, default: 0 }
+}, {
+    timeseries: {
+        timeField: 'timestamp',
+        metaField: 'meta',
+        granularity: 'minutes'
+    },
+    expireAfterSeconds: TICK_RETENTION_SECONDS,
+    versionKey: false
+});
+
+marketTickSchema.index({ 'meta.symbol': 1, timestamp: -1 });
+
+module.exports = mongoose.model('MarketTick', marketTickSchema);
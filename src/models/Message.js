@@ -15,6 +15,11 @@ const messageSchema = new mongoose.Schema(
       required: true,
       index: true
     },
+    // Per-chat sequence number taken when the message was created
+    seq: Number,
+    // Sequence number of the message's latest change (creation, edit,
+    // deletion, reactions, pin, thread activity). Read receipts don't bump it.
+    syncSeq: Number,
     content: {
       type: String,
       required: [true, 'Message content is required'],
@@ -27,21 +32,70 @@ const messageSchema = new mongoose.Schema(
       default: 'text'
     },
     file: {
+      attachment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChatAttachment'
+      },
       url: String,
+      thumbnailUrl: String,
       name: String,
       size: Number,
-      mimeType: String
+      mimeType: String,
+      width: Number,
+      height: Number
     },
     replyTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Message',
       default: null
     },
+    // Root message of the thread this message replies in (null for messages
+    // in the main chat timeline). Threads are one level deep.
+    thread: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null
+    },
+    // Maintained on thread roots by threadService
+    threadSummary: {
+      replyCount: {
+        type: Number,
+        default: 0
+      },
+      lastReplyAt: Date,
+      lastReplyBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      lastReplyPreview: String
+    },
+    // Users notified of new replies (root author and repliers by default)
+    threadFollowers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
     status: {
       type: String,
       enum: Object.values(MESSAGE_STATUS),
       default: MESSAGE_STATUS.SENT
     },
+    // Participants other than the sender when the message was sent;
+    // status moves to delivered/read once all of them have acknowledged it
+    recipientCount: Number,
+    deliveredTo: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        deliveredAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
     readBy: [
       {
         user: {
@@ -68,6 +122,10 @@ const messageSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Channel posts: publish time of a scheduled post, and unique viewers
+    // (see ChannelPostView)
+    scheduledFor: Date,
+    viewCount: Number,
     isPinned: {
       type: Boolean,
       default: false
@@ -110,6 +168,16 @@ messageSchema.index({ sender: 1, createdAt: -1 });
 messageSchema.index({ chat: 1, status: 1 });
 // PERFORMANCE: Index for bulk markAsRead query
 messageSchema.index({ chat: 1, sender: 1, 'readBy.user': 1 });
+// Scheduled channel posts due for publishing
+messageSchema.index(
+  { scheduledFor: 1 },
+  { partialFilterExpression: { status: MESSAGE_STATUS.SCHEDULED } }
+);
+// Offline sync and cursor paging
+messageSchema.index({ chat: 1, syncSeq: 1 });
+messageSchema.index({ chat: 1, seq: -1 });
+// Thread replies in order
+messageSchema.index({ thread: 1, createdAt: 1 });
 
 // Mark message as read by user
 messageSchema.methods.markAsRead = function (userId) {
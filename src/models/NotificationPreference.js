@@ -144,6 +144,26 @@ const notificationPreferenceSchema = new mongoose.Schema(
       }
     },
 
+    // ========== MARKET NOTIFICATIONS ==========
+    market: {
+      priceAlerts: {
+        enabled: { type: Boolean, default: true },
+        channels: {
+          type: [String],
+          enum: Object.values(NOTIFICATION_CHANNELS),
+          default: ['push', 'in-app']
+        }
+      },
+      disclosures: {
+        enabled: { type: Boolean, default: true },
+        channels: {
+          type: [String],
+          enum: Object.values(NOTIFICATION_CHANNELS),
+          default: ['push', 'in-app', 'email']
+        }
+      }
+    },
+
     // ========== PREMIUM NOTIFICATIONS ==========
     premium: {
       newPremiumContent: {
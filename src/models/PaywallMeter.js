@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Premium insights a free user has read in a calendar month (UTC) under the
+// metered paywall. Re-reading the same insight doesn't use another read.
+const paywallMeterSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    period: {
+        type: String, // YYYY-MM
+        required: true,
+        match: /^\d{4}-\d{2}$/
+    },
+    insights: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Insight'
+    }]
+}, {
+    timestamps: true
+});
+
+paywallMeterSchema.index({ user: 1, period: 1 }, { unique: true });
+// Old months are only kept for a while for analytics
+paywallMeterSchema.index({ createdAt: 1 }, { expireAfterSeconds: 120 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('PaywallMeter', paywallMeterSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const portfolioSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Portfolio name is required'],
+        trim: true,
+        maxlength: [50, 'Portfolio name cannot exceed 50 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    currency: {
+        type: String,
+        default: 'AED'
+    }
+}, {
+    timestamps: true
+});
+
+// A user cannot have two portfolios with the same name
+portfolioSchema.index({ user: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Portfolio', portfolioSchema);
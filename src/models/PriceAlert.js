@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const ALERT_CONDITIONS = {
+    PRICE_ABOVE: 'price_above',
+    PRICE_BELOW: 'price_below',
+    PERCENT_CHANGE: 'percent_change',
+    VOLUME_SPIKE: 'volume_spike'
+};
+
+const ALERT_STATUS = {
+    ACTIVE: 'active',
+    TRIGGERED: 'triggered',
+    DISABLED: 'disabled'
+};
+
+const priceAlertSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    symbol: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    exchange: {
+        type: String,
+        required: true,
+        enum: ['DFM', 'ADX']
+    },
+    condition: {
+        type: String,
+        required: true,
+        enum: Object.values(ALERT_CONDITIONS)
+    },
+    // price_above / price_below: price level
+    // percent_change: absolute % move from previous close
+    // volume_spike: multiple of the symbol's average per-cycle volume
+    threshold: {
+        type: Number,
+        required: true,
+        min: [0, 'Threshold must be positive']
+    },
+    // Only used by percent_change
+    direction: {
+        type: String,
+        enum: ['up', 'down', 'any'],
+        default: 'any'
+    },
+    // Recurring alerts re-arm after the cooldown instead of switching to triggered
+    recurring: {
+        type: Boolean,
+        default: false
+    },
+    cooldownMinutes: {
+        type: Number,
+        default: 60,
+        min: 1,
+        max: 24 * 60
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 200
+    },
+    status: {
+        type: String,
+        enum: Object.values(ALERT_STATUS),
+        default: ALERT_STATUS.ACTIVE,
+        index: true
+    },
+    lastTriggeredAt: {
+        type: Date,
+        default: null
+    },
+    lastTriggeredPrice: {
+        type: Number,
+        default: null
+    },
+    triggerCount: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Evaluation query: active alerts for the symbols in a sync batch
+priceAlertSchema.index({ status: 1, symbol: 1 });
+
+priceAlertSchema.methods.isCoolingDown = function (now = new Date()) {
+    if (!this.lastTriggeredAt) return false;
+    return now.getTime() - this.lastTriggeredAt.getTime() < this.cooldownMinutes * 60 * 1000;
+};
+
+// Export constants for use in other files
+priceAlertSchema.statics.ALERT_CONDITIONS = ALERT_CONDITIONS;
+priceAlertSchema.statics.ALERT_STATUS = ALERT_STATUS;
+
+module.exports = mongoose.model('PriceAlert', priceAlertSchema);
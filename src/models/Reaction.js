@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const REACTION_TYPES = {
+    LIKE: 'like',
+    BULLISH: 'bullish',
+    BEARISH: 'bearish'
+};
+
+const reactionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    insight: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Insight',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: Object.values(REACTION_TYPES)
+    }
+}, {
+    timestamps: true
+});
+
+// One reaction per user per insight - reacting again switches the type
+reactionSchema.index({ user: 1, insight: 1 }, { unique: true });
+reactionSchema.index({ user: 1, createdAt: -1 });
+
+reactionSchema.statics.REACTION_TYPES = REACTION_TYPES;
+
+module.exports = mongoose.model('Reaction', reactionSchema);
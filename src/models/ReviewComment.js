@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const REVIEW_COMMENT_FIELDS = ['title', 'excerpt', 'content'];
+
+// Inline editorial comment on a specific InsightVersion. The anchor points at
+// the quoted passage so the comment can still be shown against later versions.
+const reviewCommentSchema = new mongoose.Schema({
+    insight: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Insight',
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    anchor: {
+        field: {
+            type: String,
+            enum: REVIEW_COMMENT_FIELDS,
+            default: 'content'
+        },
+        quote: {
+            type: String,
+            maxlength: [500, 'Quote cannot exceed 500 characters']
+        },
+        start: { type: Number, min: 0 },
+        end: { type: Number, min: 0 }
+    },
+    resolved: {
+        type: Boolean,
+        default: false
+    },
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolvedAt: Date
+}, {
+    timestamps: true
+});
+
+reviewCommentSchema.index({ insight: 1, version: 1, createdAt: 1 });
+reviewCommentSchema.index({ insight: 1, resolved: 1 });
+
+reviewCommentSchema.statics.REVIEW_COMMENT_FIELDS = REVIEW_COMMENT_FIELDS;
+
+module.exports = mongoose.model('ReviewComment', reviewCommentSchema);
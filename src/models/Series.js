@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Insight = require('./Insight');
+
+const SERIES_STATUS = {
+    ONGOING: 'ongoing',
+    COMPLETED: 'completed'
+};
+
+// Multi-part collection of insights (e.g. a weekly sector review). The order
+// of `insights` is the reading order; each insight points back via Insight.series.
+const seriesSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Title is required'],
+        trim: true,
+        minlength: [5, 'Title must be at least 5 characters'],
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    slug: {
+        type: String,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description cannot exceed 1000 characters']
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    category: {
+        type: String,
+        enum: Insight.schema.path('category').enumValues,
+        default: 'other'
+    },
+    coverImage: String,
+    status: {
+        type: String,
+        enum: Object.values(SERIES_STATUS),
+        default: SERIES_STATUS.ONGOING
+    },
+    insights: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Insight'
+    }]
+}, {
+    timestamps: true
+});
+
+seriesSchema.index({ status: 1, updatedAt: -1 });
+
+seriesSchema.pre('validate', function (next) {
+    if (this.title && !this.slug) {
+        const base = this.title
+            .toLowerCase()
+            .replace(/[^\w\s-]/g, '')
+            .replace(/\s+/g, '-')
+            .replace(/-+/g, '-')
+            .trim();
+        this.slug = `${base}-${Date.now()}`;
+    }
+    next();
+});
+
+seriesSchema.statics.SERIES_STATUS = SERIES_STATUS;
+
+module.exports = mongoose.model('Series', seriesSchema);
@@ -187,17 +187,38 @@ subscriptionSchema.methods.renew = async function (duration = 30) {
   return await this.save();
 };
 
+// Subscriptions that currently grant access
+const activeFilter = () => ({
+  status: { $in: ['active', 'trial'] },
+  $or: [{ endDate: { $gte: new Date() } }, { endDate: null }],
+});
+
 // Static method: Get active subscription for a user
 subscriptionSchema.statics.getActiveSubscription = async function (userId) {
   return await this.findOne({
     user: userId,
-    status: { $in: ['active', 'trial'] },
-    $or: [{ endDate: { $gte: new Date() } }, { endDate: null }],
+    ...activeFilter(),
   })
     .populate('plan')
     .sort({ createdAt: -1 });
 };
 
+// Static method: Get the active subscription of each of several users
+// (Map of user ID -> latest active subscription; users without one are left out)
+subscriptionSchema.statics.getActiveSubscriptions = async function (userIds) {
+  const subscriptions = await this.find({
+    user: { $in: userIds },
+    ...activeFilter(),
+  }).sort({ createdAt: -1 });
+
+  const byUser = new Map();
+  for (const subscription of subscriptions) {
+    const key = subscription.user.toString();
+    if (!byUser.has(key)) byUser.set(key, subscription);
+  }
+  return byUser;
+};
+
 // Static method: Get user's subscription history
 subscriptionSchema.statics.getSubscriptionHistory = async function (
   userId,
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { PAYWALL_MODES } = require('../constants');
 
 const systemSettingsSchema = new mongoose.Schema({
     isSubscriptionsPaused: {
@@ -17,6 +18,42 @@ const systemSettingsSchema = new mongoose.Schema({
         type: String,
         default: 'New subscriptions are temporarily unavailable. Please check back later.'
     },
+    // Premium paywall for free users (see paywallService)
+    paywall: {
+        mode: {
+            type: String,
+            enum: Object.values(PAYWALL_MODES),
+            default: PAYWALL_MODES.HIDDEN
+        },
+        teaserParagraphs: {
+            type: Number,
+            min: 1,
+            max: 10,
+            default: 2
+        },
+        blurredParagraphs: {
+            type: Number,
+            min: 0,
+            max: 10,
+            default: 3
+        },
+        monthlyFreeReads: {
+            type: Number,
+            min: 0,
+            max: 100,
+            default: 3
+        },
+        ctaMessage: {
+            type: String,
+            maxlength: 200,
+            default: 'Upgrade to Premium to unlock this insight and all premium content'
+        },
+        ctaUrl: {
+            type: String,
+            maxlength: 200,
+            default: '/subscriptions/upgrade'
+        }
+    },
     updatedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
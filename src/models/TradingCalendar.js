@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+const SESSION_PHASES = {
+    PRE_OPEN: 'pre_open',
+    CONTINUOUS: 'continuous',
+    CLOSING_AUCTION: 'closing_auction',
+    CLOSED: 'closed'
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Times are exchange-local "HH:mm"; a session covers [start, end)
+const sessionSchema = new mongoose.Schema({
+    phase: {
+        type: String,
+        required: true,
+        enum: [SESSION_PHASES.PRE_OPEN, SESSION_PHASES.CONTINUOUS, SESSION_PHASES.CLOSING_AUCTION]
+    },
+    start: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, 'Session start must be HH:mm']
+    },
+    end: {
+        type: String,
+        required: true,
+        match: [TIME_PATTERN, 'Session end must be HH:mm']
+    }
+}, { _id: false });
+
+const holidaySchema = new mongoose.Schema({
+    // Exchange-local date (YYYY-MM-DD)
+    date: {
+        type: String,
+        required: true,
+        match: [DATE_PATTERN, 'Holiday date must be YYYY-MM-DD']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    }
+});
+
+// Replaces the regular sessions on trading days in [startDate, endDate] (e.g. Ramadan)
+const specialHoursSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    startDate: {
+        type: String,
+        required: true,
+        match: [DATE_PATTERN, 'Start date must be YYYY-MM-DD']
+    },
+    endDate: {
+        type: String,
+        required: true,
+        match: [DATE_PATTERN, 'End date must be YYYY-MM-DD']
+    },
+    sessions: {
+        type: [sessionSchema],
+        default: []
+    }
+});
+
+const tradingCalendarSchema = new mongoose.Schema({
+    exchange: {
+        type: String,
+        required: true,
+        enum: ['DFM', 'ADX'],
+        unique: true
+    },
+    // Gulf Standard Time has no DST, so a fixed offset is enough
+    utcOffsetMinutes: {
+        type: Number,
+        default: 240
+    },
+    // Days of week the exchange trades (0 = Sunday ... 6 = Saturday)
+    tradingDays: {
+        type: [Number],
+        default: [1, 2, 3, 4, 5]
+    },
+    sessions: {
+        type: [sessionSchema],
+        default: []
+    },
+    holidays: {
+        type: [holidaySchema],
+        default: []
+    },
+    specialHours: {
+        type: [specialHoursSchema],
+        default: []
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+tradingCalendarSchema.statics.SESSION_PHASES = SESSION_PHASES;
+
+// Regular DFM/ADX hours (GST): pre-open 09:30, continuous 10:00, closing auction 14:45-15:00
+tradingCalendarSchema.statics.DEFAULT_SESSIONS = [
+    { phase: SESSION_PHASES.PRE_OPEN, start: '09:30', end: '10:00' },
+    { phase: SESSION_PHASES.CONTINUOUS, start: '10:00', end: '14:45' },
+    { phase: SESSION_PHASES.CLOSING_AUCTION, start: '14:45', end: '15:00' }
+];
+
+module.exports = mongoose.model('TradingCalendar', tradingCalendarSchema);
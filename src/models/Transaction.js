@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const TRANSACTION_TYPES = {
+    BUY: 'buy',
+    SELL: 'sell',
+    DIVIDEND: 'dividend'
+};
+
+const transactionSchema = new mongoose.Schema({
+    portfolio: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Portfolio',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    symbol: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    exchange: {
+        type: String,
+        required: true,
+        enum: ['DFM', 'ADX']
+    },
+    type: {
+        type: String,
+        required: true,
+        enum: Object.values(TRANSACTION_TYPES)
+    },
+    // Shares bought/sold (optional for dividends)
+    quantity: {
+        type: Number,
+        min: [0, 'Quantity cannot be negative'],
+        default: 0
+    },
+    // Price per share for buys/sells
+    price: {
+        type: Number,
+        min: [0, 'Price cannot be negative'],
+        default: 0
+    },
+    // Total cash received for dividends
+    amount: {
+        type: Number,
+        min: [0, 'Amount cannot be negative'],
+        default: 0
+    },
+    fees: {
+        type: Number,
+        min: [0, 'Fees cannot be negative'],
+        default: 0
+    },
+    tradeDate: {
+        type: Date,
+        required: true,
+        default: Date.now
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Note cannot exceed 200 characters']
+    }
+}, {
+    timestamps: true
+});
+
+transactionSchema.index({ portfolio: 1, tradeDate: 1 });
+
+transactionSchema.statics.TRANSACTION_TYPES = TRANSACTION_TYPES;
+
+module.exports = mongoose.model('Transaction', transactionSchema);
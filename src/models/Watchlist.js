@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const watchlistItemSchema = new mongoose.Schema({
+    symbol: {
+        type: String,
+        required: true,
+        trim: true,
+        uppercase: true
+    },
+    exchange: {
+        type: String,
+        required: true,
+        enum: ['DFM', 'ADX']
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const watchlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Watchlist name is required'],
+        trim: true,
+        maxlength: [50, 'Watchlist name cannot exceed 50 characters']
+    },
+    items: {
+        type: [watchlistItemSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+// A user cannot have two lists with the same name
+watchlistSchema.index({ user: 1, name: 1 }, { unique: true });
+// Reverse lookup: who is watching a symbol (used for server-side alerts)
+watchlistSchema.index({ 'items.symbol': 1 });
+
+watchlistSchema.methods.hasSymbol = function (symbol) {
+    return this.items.some(item => item.symbol === symbol.toUpperCase());
+};
+
+module.exports = mongoose.model('Watchlist', watchlistSchema);
@@ -93,6 +93,13 @@ router.get('/content/top',
   adminAnalyticsController.getTopContent
 );
 
+/**
+ * @route   GET /api/admin/analytics/content/trade-ideas
+ * @desc    Get trade idea hit rate and average return per author
+ * @access  Admin
+ */
+router.get('/content/trade-ideas', dateRangeValidation, adminAnalyticsController.getTradeIdeaPerformance);
+
 /**
  * @route   GET /api/admin/analytics/engagement/metrics
  * @desc    Get engagement metrics (views, likes, shares, etc.)
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const channelController = require('../controllers/channelController');
+const { authenticateToken, authorizeRoles } = require('../middleware/authMiddleware');
+const { ROLES, SUBSCRIPTION_TIERS } = require('../constants');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validation');
+
+// All routes require authentication and admin or superadmin role
+router.use(authenticateToken);
+router.use(authorizeRoles(ROLES.ADMIN, ROLES.SUPERADMIN));
+
+const channelIdValidation = param('channelId').isMongoId().withMessage('Invalid channel ID');
+
+const channelFields = (required) => [
+    (required ? body('name') : body('name').optional())
+        .trim()
+        .isLength({ min: 3, max: 100 })
+        .withMessage('Name must be 3-100 characters'),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('requiredTier')
+        .optional()
+        .isIn(Object.values(SUBSCRIPTION_TIERS))
+        .withMessage(`Required tier must be one of: ${Object.values(SUBSCRIPTION_TIERS).join(', ')}`),
+    body('analystIds').optional().isArray({ max: 50 }).withMessage('analystIds must be an array of user IDs'),
+    body('analystIds.*').isMongoId().withMessage('Invalid analyst ID')
+];
+
+/**
+ * @route   GET /api/admin/channels
+ * @desc    List all channels with their analysts
+ * @access  Private (Admin/Superadmin)
+ */
+router.get('/', channelController.listChannelsForAdmin);
+
+/**
+ * @route   POST /api/admin/channels
+ * @desc    Create a channel (the creator is one of its analysts)
+ * @access  Private (Admin/Superadmin)
+ */
+router.post('/', [...channelFields(true), validate], channelController.createChannel);
+
+/**
+ * @route   PATCH /api/admin/channels/:channelId
+ * @desc    Update a channel (analystIds replaces the analysts)
+ * @access  Private (Admin/Superadmin)
+ */
+router.patch('/:channelId', [channelIdValidation, ...channelFields(false), validate], channelController.updateChannel);
+
+/**
+ * @route   DELETE /api/admin/channels/:channelId
+ * @desc    Delete a channel with its posts and subscriptions
+ * @access  Private (Admin/Superadmin)
+ */
+router.delete('/:channelId', [channelIdValidation, validate], channelController.deleteChannel);
+
+module.exports = router;
@@ -7,7 +7,7 @@ const express = require('express');
 const router = express.Router();
 const adminModerationController = require('../controllers/adminModerationController');
 const { authenticateToken, authorizeRoles } = require('../middleware/authMiddleware');
-const { body, query } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validation');
 
 // All routes require admin or superadmin role
@@ -22,7 +22,7 @@ router.use(authorizeRoles(['admin', 'superadmin']));
 router.get('/queue',
   [
     query('type').optional().isIn(['insight', 'comment', 'user_report']),
-    query('status').optional().isIn(['pending', 'approved', 'rejected']),
+    query('status').optional().isIn(['pending', 'approved', 'rejected', 'changes_requested']),
     query('page').optional().isInt({ min: 1 }),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     validate,
@@ -31,14 +31,100 @@ router.get('/queue',
 );
 
 /**
- * @route   POST /api/admin/moderation/insights/:insightId/approve
- * @desc    Approve an insight
+ * @route   GET /api/admin/moderation/reviews/mine
+ * @desc    Insights waiting on my review
+ * @access  Admin
+ */
+router.get('/reviews/mine', adminModerationController.getMyReviews);
+
+/**
+ * @route   GET /api/admin/moderation/insights/:insightId/review
+ * @desc    Review state: reviewers, approvals, comments and versions
+ * @access  Admin
+ */
+router.get('/insights/:insightId/review',
+  [
+    param('insightId').isMongoId(),
+    query('version').optional().isInt({ min: 1 }),
+    validate,
+  ],
+  adminModerationController.getReview
+);
+
+/**
+ * @route   POST /api/admin/moderation/insights/:insightId/reviewers
+ * @desc    Assign reviewers and optionally set the required approvals
+ * @access  Admin
+ */
+router.post('/insights/:insightId/reviewers',
+  [
+    param('insightId').isMongoId(),
+    body('reviewers').isArray({ min: 1, max: 10 }).withMessage('1-10 reviewer IDs required'),
+    body('reviewers.*').isMongoId().withMessage('Invalid reviewer ID'),
+    body('requiredApprovals').optional().isInt({ min: 1, max: 5 }).toInt(),
+    validate,
+  ],
+  adminModerationController.assignReviewers
+);
+
+/**
+ * @route   DELETE /api/admin/moderation/insights/:insightId/reviewers/:userId
+ * @desc    Remove a reviewer
+ * @access  Admin
+ */
+router.delete('/insights/:insightId/reviewers/:userId',
+  [
+    param('insightId').isMongoId(),
+    param('userId').isMongoId(),
+    validate,
+  ],
+  adminModerationController.removeReviewer
+);
+
+/**
+ * @route   POST /api/admin/moderation/insights/:insightId/comments
+ * @desc    Add an inline review comment to a version
  * @access  Admin
  */
+router.post('/insights/:insightId/comments',
+  [
+    param('insightId').isMongoId(),
+    body('body').trim().notEmpty().isLength({ max: 2000 }).withMessage('Comment is required (max 2000 characters)'),
+    body('version').optional().isInt({ min: 1 }).toInt(),
+    body('anchor.field').optional().isIn(['title', 'excerpt', 'content']),
+    body('anchor.quote').optional().isString().isLength({ max: 500 }),
+    body('anchor.start').optional().isInt({ min: 0 }).toInt(),
+    body('anchor.end').optional().isInt({ min: 0 }).toInt(),
+    validate,
+  ],
+  adminModerationController.addReviewComment
+);
+
+/**
+ * @route   PATCH /api/admin/moderation/insights/:insightId/comments/:commentId
+ * @desc    Resolve or reopen a review comment
+ * @access  Admin
+ */
+router.patch('/insights/:insightId/comments/:commentId',
+  [
+    param('insightId').isMongoId(),
+    param('commentId').isMongoId(),
+    body('resolved').optional().isBoolean().toBoolean(),
+    validate,
+  ],
+  adminModerationController.resolveReviewComment
+);
+
+/**
+ * @route   POST /api/admin/moderation/insights/:insightId/approve
+ * @desc    Approve the version under review, optionally publishing it
+ *          once it has the required approvals
+ * @access  Admin (assigned reviewer)
+ */
 router.post('/insights/:insightId/approve',
   [
     body('note').optional().trim().isLength({ max: 500 }),
-    body('publish').optional().isBoolean(),
+    body('publish').optional().isBoolean().toBoolean(),
     validate,
   ],
   adminModerationController.approveInsight
@@ -60,8 +146,8 @@ router.post('/insights/:insightId/reject',
 
 /**
  * @route   POST /api/admin/moderation/insights/:insightId/request-changes
- * @desc    Request changes to an insight
- * @access  Admin
+ * @desc    Request changes to the version under review (moves it back to draft)
+ * @access  Admin (assigned reviewer)
  */
 router.post('/insights/:insightId/request-changes',
   [
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const seriesController = require('../controllers/seriesController');
+const { authenticateToken, authorizeRoles } = require('../middleware/authMiddleware');
+const { ROLES } = require('../constants');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validation');
+const Insight = require('../models/Insight');
+const { SERIES_STATUS } = require('../models/Series');
+
+// All routes require authentication and admin or superadmin role
+router.use(authenticateToken);
+router.use(authorizeRoles(ROLES.ADMIN, ROLES.SUPERADMIN));
+
+const INSIGHT_CATEGORIES = Insight.schema.path('category').enumValues;
+
+const seriesIdValidation = param('seriesId').isMongoId().withMessage('Invalid series ID');
+
+const seriesFields = (required) => [
+    (required ? body('title') : body('title').optional())
+        .trim()
+        .isLength({ min: 5, max: 200 })
+        .withMessage('Title must be 5-200 characters'),
+    body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description cannot exceed 1000 characters'),
+    body('category').optional().isIn(INSIGHT_CATEGORIES).withMessage(`Category must be one of: ${INSIGHT_CATEGORIES.join(', ')}`),
+    body('coverImage').optional().trim().isLength({ max: 500 }),
+    body('status').optional().isIn(Object.values(SERIES_STATUS)).withMessage('Status must be ongoing or completed'),
+    body('author').optional().isMongoId().withMessage('Invalid author ID')
+];
+
+/**
+ * @route   GET /api/admin/series
+ * @desc    List all series
+ * @access  Private (Admin/Superadmin)
+ */
+router.get(
+    '/',
+    [
+        query('status').optional().isIn(Object.values(SERIES_STATUS)),
+        query('search').optional().trim().isLength({ max: 100 }),
+        validate
+    ],
+    seriesController.listSeriesForAdmin
+);
+
+/**
+ * @route   POST /api/admin/series
+ * @desc    Create a series
+ * @access  Private (Admin/Superadmin)
+ */
+router.post('/', [...seriesFields(true), validate], seriesController.createSeries);
+
+/**
+ * @route   GET /api/admin/series/:seriesId
+ * @desc    Get a series with every part, whatever its status
+ * @access  Private (Admin/Superadmin)
+ */
+router.get('/:seriesId', [seriesIdValidation, validate], seriesController.getSeriesForAdmin);
+
+/**
+ * @route   PATCH /api/admin/series/:seriesId
+ * @desc    Update a series
+ * @access  Private (Admin/Superadmin)
+ */
+router.patch('/:seriesId', [seriesIdValidation, ...seriesFields(false), validate], seriesController.updateSeries);
+
+/**
+ * @route   DELETE /api/admin/series/:seriesId
+ * @desc    Delete a series (its insights become standalone)
+ * @access  Private (Admin/Superadmin)
+ */
+router.delete('/:seriesId', [seriesIdValidation, validate], seriesController.deleteSeries);
+
+/**
+ * @route   POST /api/admin/series/:seriesId/parts
+ * @desc    Add an insight to a series ({ insightId, position? } - 1-based, defaults to the end)
+ * @access  Private (Admin/Superadmin)
+ */
+router.post(
+    '/:seriesId/parts',
+    [
+        seriesIdValidation,
+        body('insightId').isMongoId().withMessage('Invalid insight ID'),
+        body('position').optional().isInt({ min: 1 }).toInt().withMessage('Position must be a positive integer'),
+        validate
+    ],
+    seriesController.addPart
+);
+
+/**
+ * @route   PUT /api/admin/series/:seriesId/parts
+ * @desc    Reorder the parts ({ insightIds } - every current part, in reading order)
+ * @access  Private (Admin/Superadmin)
+ */
+router.put(
+    '/:seriesId/parts',
+    [
+        seriesIdValidation,
+        body('insightIds').isArray({ min: 1, max: 200 }).withMessage('insightIds must be an array of insight IDs'),
+        body('insightIds.*').isMongoId().withMessage('Invalid insight ID'),
+        validate
+    ],
+    seriesController.reorderParts
+);
+
+/**
+ * @route   DELETE /api/admin/series/:seriesId/parts/:insightId
+ * @desc    Remove an insight from a series
+ * @access  Private (Admin/Superadmin)
+ */
+router.delete(
+    '/:seriesId/parts/:insightId',
+    [seriesIdValidation, param('insightId').isMongoId().withMessage('Invalid insight ID'), validate],
+    seriesController.removePart
+);
+
+module.exports = router;
@@ -0,0 +1,119 @@
+const express = require('express');
+const router = express.Router();
+const tradingCalendarController = require('../controllers/tradingCalendarController');
+const { authenticateToken, authorizeRoles } = require('../middleware/authMiddleware');
+const { ROLES } = require('../constants');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validation');
+const { SESSION_PHASES } = require('../models/TradingCalendar');
+
+// All routes require authentication and admin or superadmin role
+router.use(authenticateToken);
+router.use(authorizeRoles(ROLES.ADMIN, ROLES.SUPERADMIN));
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TRADING_PHASES = Object.values(SESSION_PHASES).filter(phase => phase !== SESSION_PHASES.CLOSED);
+
+const exchangeValidation = param('exchange')
+    .toUpperCase()
+    .isIn(['DFM', 'ADX'])
+    .withMessage('Invalid exchange. Use DFM or ADX.');
+
+const sessionsValidation = (field, required) => [
+    (required ? body(field) : body(field).optional())
+        .isArray({ min: 1, max: 5 })
+        .withMessage('Sessions must be an array of 1-5 entries'),
+    body(`${field}.*.phase`)
+        .isIn(TRADING_PHASES)
+        .withMessage(`Session phase must be one of: ${TRADING_PHASES.join(', ')}`),
+    body(`${field}.*.start`).matches(TIME_PATTERN).withMessage('Session start must be HH:mm'),
+    body(`${field}.*.end`).matches(TIME_PATTERN).withMessage('Session end must be HH:mm')
+];
+
+/**
+ * @route   GET /api/admin/market-calendar/:exchange
+ * @desc    Get the full trading calendar for an exchange
+ * @access  Private (Admin/Superadmin)
+ */
+router.get(
+    '/:exchange',
+    [exchangeValidation, validate],
+    tradingCalendarController.getCalendar
+);
+
+/**
+ * @route   PUT /api/admin/market-calendar/:exchange
+ * @desc    Update trading days, regular sessions or UTC offset
+ * @access  Private (Admin/Superadmin)
+ */
+router.put(
+    '/:exchange',
+    [
+        exchangeValidation,
+        body('tradingDays').optional().isArray({ min: 1, max: 7 }).withMessage('Trading days must be an array'),
+        body('tradingDays.*').isInt({ min: 0, max: 6 }).toInt().withMessage('Trading days must be 0 (Sunday) to 6 (Saturday)'),
+        ...sessionsValidation('sessions', false),
+        body('utcOffsetMinutes').optional().isInt({ min: -720, max: 840 }).toInt(),
+        validate
+    ],
+    tradingCalendarController.updateSchedule
+);
+
+/**
+ * @route   POST /api/admin/market-calendar/:exchange/holidays
+ * @desc    Add a market holiday (exchange-local date)
+ * @access  Private (Admin/Superadmin)
+ */
+router.post(
+    '/:exchange/holidays',
+    [
+        exchangeValidation,
+        body('date').matches(DATE_PATTERN).withMessage('Date must be YYYY-MM-DD'),
+        body('name').trim().notEmpty().withMessage('Holiday name is required').isLength({ max: 100 }),
+        validate
+    ],
+    tradingCalendarController.addHoliday
+);
+
+/**
+ * @route   DELETE /api/admin/market-calendar/:exchange/holidays/:holidayId
+ * @desc    Remove a market holiday
+ * @access  Private (Admin/Superadmin)
+ */
+router.delete(
+    '/:exchange/holidays/:holidayId',
+    [exchangeValidation, param('holidayId').isMongoId().withMessage('Invalid holiday ID'), validate],
+    tradingCalendarController.removeHoliday
+);
+
+/**
+ * @route   POST /api/admin/market-calendar/:exchange/special-hours
+ * @desc    Replace regular sessions over a date range (e.g. Ramadan hours)
+ * @access  Private (Admin/Superadmin)
+ */
+router.post(
+    '/:exchange/special-hours',
+    [
+        exchangeValidation,
+        body('name').trim().notEmpty().withMessage('Name is required').isLength({ max: 100 }),
+        body('startDate').matches(DATE_PATTERN).withMessage('Start date must be YYYY-MM-DD'),
+        body('endDate').matches(DATE_PATTERN).withMessage('End date must be YYYY-MM-DD'),
+        ...sessionsValidation('sessions', true),
+        validate
+    ],
+    tradingCalendarController.addSpecialHours
+);
+
+/**
+ * @route   DELETE /api/admin/market-calendar/:exchange/special-hours/:specialHoursId
+ * @desc    Remove a special hours period
+ * @access  Private (Admin/Superadmin)
+ */
+router.delete(
+    '/:exchange/special-hours/:specialHoursId',
+    [exchangeValidation, param('specialHoursId').isMongoId().withMessage('Invalid special hours ID'), validate],
+    tradingCalendarController.removeSpecialHours
+);
+
+module.exports = router;
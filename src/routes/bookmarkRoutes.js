@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const bookmarkController = require('../controllers/bookmarkController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validation');
+
+/**
+ * Bookmark Routes
+ * Mounted at /api/insights/bookmarks (before the /api/insights router)
+ * Bookmarked premium insights stay gated by the user's current subscription.
+ */
+
+router.use(authenticateToken);
+
+const insightIdValidation = param('insightId').isMongoId().withMessage('Invalid insight ID');
+
+const collectionValidation = (field) => field
+    .optional({ values: 'null' })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Collection name cannot exceed 50 characters');
+
+const noteValidation = body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot exceed 500 characters');
+
+/**
+ * @route   GET /api/insights/bookmarks
+ * @desc    Get bookmarks (newest first); ?collection= filters, empty value = uncategorised
+ * @access  Private
+ */
+router.get(
+    '/',
+    [
+        collectionValidation(query('collection')),
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+        validate
+    ],
+    bookmarkController.getBookmarks
+);
+
+/**
+ * @route   GET /api/insights/bookmarks/collections
+ * @desc    Get the user's collections with bookmark counts
+ * @access  Private
+ */
+router.get('/collections', bookmarkController.getCollections);
+
+/**
+ * @route   PATCH /api/insights/bookmarks/collections/:name
+ * @desc    Rename a collection
+ * @access  Private
+ */
+router.patch(
+    '/collections/:name',
+    [
+        param('name').trim().notEmpty().withMessage('Collection name is required'),
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('New collection name is required')
+            .isLength({ max: 50 })
+            .withMessage('Collection name cannot exceed 50 characters'),
+        validate
+    ],
+    bookmarkController.renameCollection
+);
+
+/**
+ * @route   DELETE /api/insights/bookmarks/collections/:name
+ * @desc    Delete a collection; ?removeBookmarks=true also deletes its bookmarks
+ * @access  Private
+ */
+router.delete(
+    '/collections/:name',
+    [
+        param('name').trim().notEmpty().withMessage('Collection name is required'),
+        query('removeBookmarks').optional().isBoolean().withMessage('removeBookmarks must be a boolean'),
+        validate
+    ],
+    bookmarkController.deleteCollection
+);
+
+/**
+ * @route   POST /api/insights/bookmarks
+ * @desc    Bookmark an insight, optionally into a named collection
+ * @access  Private
+ */
+router.post(
+    '/',
+    [
+        body('insightId').isMongoId().withMessage('Invalid insight ID'),
+        collectionValidation(body('collection')),
+        noteValidation,
+        validate
+    ],
+    bookmarkController.addBookmark
+);
+
+/**
+ * @route   GET /api/insights/bookmarks/:insightId
+ * @desc    Check whether an insight is bookmarked and in which collection
+ * @access  Private
+ */
+router.get('/:insightId', [insightIdValidation, validate], bookmarkController.getStatus);
+
+/**
+ * @route   PATCH /api/insights/bookmarks/:insightId
+ * @desc    Move a bookmark to another collection (null = uncategorised) or edit its note
+ * @access  Private
+ */
+router.patch(
+    '/:insightId',
+    [insightIdValidation, collectionValidation(body('collection')), noteValidation, validate],
+    bookmarkController.updateBookmark
+);
+
+/**
+ * @route   DELETE /api/insights/bookmarks/:insightId
+ * @desc    Remove a bookmark
+ * @access  Private
+ */
+router.delete('/:insightId', [insightIdValidation, validate], bookmarkController.removeBookmark);
+
+module.exports = router;
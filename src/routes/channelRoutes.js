@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const channelController = require('../controllers/channelController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { addSubscriptionContext, requireChannelAccess } = require('../middleware/subscriptionMiddleware');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validation');
+
+/**
+ * Channel Routes
+ * Mounted at /api/channels. Broadcast channels are read by subscribers and
+ * posted to by the channel's analysts; premium channels need a premium plan.
+ */
+
+router.use(authenticateToken);
+
+const channelIdValidation = param('channelId').isMongoId().withMessage('Invalid channel ID');
+const postIdValidation = param('postId').isMongoId().withMessage('Invalid post ID');
+
+const postFields = (required) => [
+    (required ? body('content') : body('content').optional())
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 5000 })
+        .withMessage('Content must be 1-5000 characters'),
+    body('scheduledFor').optional({ values: 'null' }).isISO8601().withMessage('scheduledFor must be an ISO 8601 date')
+];
+
+/**
+ * @route   GET /api/channels
+ * @desc    Channels with subscription state (premium channels are locked for free users)
+ * @access  Private
+ */
+router.get('/', addSubscriptionContext, channelController.listChannels);
+
+/**
+ * @route   GET /api/channels/:channelId
+ * @desc    Channel details with its analysts
+ * @access  Private (plan must cover the channel)
+ */
+router.get('/:channelId', [channelIdValidation, validate], requireChannelAccess, channelController.getChannel);
+
+/**
+ * @route   POST /api/channels/:channelId/subscribe
+ * @desc    Subscribe to a channel
+ * @access  Private (plan must cover the channel)
+ */
+router.post('/:channelId/subscribe', [channelIdValidation, validate], requireChannelAccess, channelController.subscribe);
+
+/**
+ * @route   DELETE /api/channels/:channelId/subscribe
+ * @desc    Unsubscribe from a channel
+ * @access  Private (not plan-gated, so lapsed subscribers can leave)
+ */
+router.delete('/:channelId/subscribe', [channelIdValidation, validate], channelController.unsubscribe);
+
+/**
+ * @route   PATCH /api/channels/:channelId/subscription
+ * @desc    Turn post notifications on or off ({ notifications })
+ * @access  Private (subscribers; turning them on needs a plan that covers the channel)
+ */
+router.patch(
+    '/:channelId/subscription',
+    [
+        channelIdValidation,
+        body('notifications').isBoolean().toBoolean().withMessage('notifications must be true or false'),
+        validate
+    ],
+    channelController.updateSubscription
+);
+
+/**
+ * @route   GET /api/channels/:channelId/posts
+ * @desc    Published posts, newest first (?before=<seq> for older pages,
+ *          ?scheduled=true for analysts to list scheduled posts)
+ * @access  Private (plan must cover the channel)
+ */
+router.get(
+    '/:channelId/posts',
+    [
+        channelIdValidation,
+        query('before').optional().isInt({ min: 1 }).toInt().withMessage('Before must be a positive sequence number'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).toInt().withMessage('Limit must be between 1 and 100'),
+        query('scheduled').optional().isBoolean().toBoolean(),
+        validate
+    ],
+    requireChannelAccess,
+    channelController.listPosts
+);
+
+/**
+ * @route   POST /api/channels/:channelId/posts
+ * @desc    Publish a post now, or at scheduledFor
+ * @access  Private (channel analysts)
+ */
+router.post('/:channelId/posts', [channelIdValidation, ...postFields(true), validate], requireChannelAccess, channelController.createPost);
+
+/**
+ * @route   POST /api/channels/:channelId/posts/views
+ * @desc    Record the posts the user has seen ({ postIds }); each user counts once per post
+ * @access  Private (plan must cover the channel)
+ */
+router.post(
+    '/:channelId/posts/views',
+    [
+        channelIdValidation,
+        body('postIds').isArray({ min: 1, max: 100 }).withMessage('postIds must be an array of 1-100 post IDs'),
+        body('postIds.*').isMongoId().withMessage('Invalid post ID'),
+        validate
+    ],
+    requireChannelAccess,
+    channelController.recordViews
+);
+
+/**
+ * @route   PATCH /api/channels/:channelId/posts/:postId
+ * @desc    Edit a post, or reschedule a scheduled one
+ * @access  Private (channel analysts)
+ */
+router.patch(
+    '/:channelId/posts/:postId',
+    [channelIdValidation, postIdValidation, ...postFields(false), validate],
+    requireChannelAccess,
+    channelController.updatePost
+);
+
+/**
+ * @route   DELETE /api/channels/:channelId/posts/:postId
+ * @desc    Delete a post
+ * @access  Private (channel analysts)
+ */
+router.delete(
+    '/:channelId/posts/:postId',
+    [channelIdValidation, postIdValidation, validate],
+    requireChannelAccess,
+    channelController.deletePost
+);
+
+/**
+ * @route   POST /api/channels/:channelId/posts/:postId/pin
+ * @desc    Pin or unpin a post ({ isPinned }, defaults to true)
+ * @access  Private (channel analysts)
+ */
+router.post(
+    '/:channelId/posts/:postId/pin',
+    [
+        channelIdValidation,
+        postIdValidation,
+        body('isPinned').optional().isBoolean().toBoolean(),
+        validate
+    ],
+    requireChannelAccess,
+    channelController.pinPost
+);
+
+module.exports = router;
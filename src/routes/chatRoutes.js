@@ -2,7 +2,8 @@ const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chatController');
 const { authenticateToken } = require('../middleware/authMiddleware');
-const { paginationValidation } = require('../middleware/validation');
+const { paginationValidation, messageCursorValidation, messageSyncValidation } = require('../middleware/validation');
+const { uploadChatAttachment } = require('../middleware/fileUpload');
 
 // All chat routes require authentication
 router.use(authenticateToken);
@@ -14,7 +15,8 @@ router.post('/group', chatController.createGroupChat);
 // Get chats
 router.get('/', paginationValidation, chatController.getMyChats);
 router.get('/:chatId', chatController.getChatDetails);
-router.get('/:chatId/messages', paginationValidation, chatController.getChatMessages);
+router.get('/:chatId/messages', paginationValidation, messageCursorValidation, chatController.getChatMessages);
+router.get('/:chatId/sync', messageSyncValidation, chatController.syncMessages);
 
 // Manage participants
 router.post('/:chatId/participants', chatController.addParticipant);
@@ -26,6 +28,11 @@ router.patch('/:chatId/archive', chatController.archiveChat);
 router.delete('/:chatId/archive', chatController.unarchiveChat); // DELETE on archive endpoint to unarchive
 router.delete('/:chatId', chatController.deleteChat);
 
+// Attachments (upload, then send the returned id as attachmentId)
+router.post('/:chatId/attachments', uploadChatAttachment, chatController.uploadAttachment);
+router.get('/:chatId/attachments/:attachmentId', chatController.downloadAttachment);
+router.get('/:chatId/attachments/:attachmentId/thumbnail', chatController.downloadAttachment);
+
 // User blocking
 router.post('/block', chatController.blockUser);
 
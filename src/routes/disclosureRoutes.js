@@ -1,39 +1,109 @@
 const express = require('express');
 const router = express.Router();
 const disclosureService = require('../services/disclosureService');
+const marketDataService = require('../services/marketDataService');
 const compression = require('compression');
+const { param, query } = require('express-validator');
+const { validate } = require('../middleware/validation');
 
 router.use(compression());
 
+const searchValidation = [
+    query('exchange')
+        .optional()
+        .toUpperCase()
+        .isIn(['DFM', 'ADX'])
+        .withMessage('Invalid exchange. Use DFM or ADX.'),
+    query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('lang').optional().isIn(['en', 'ar']).withMessage('lang must be en or ar'),
+    query('q').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Search text must be 2-100 characters'),
+    query('cursor').optional().isString().isLength({ max: 200 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    validate
+];
+
+/**
+ * Map a user-supplied ticker (EMAAR / EMAAR.AE) to the stored symbol
+ */
+const resolveSymbol = (symbol, exchange) => {
+    if (!symbol) return undefined;
+    const record = marketDataService.resolveSymbol(symbol, exchange);
+    return record ? record.symbol : symbol.trim().toUpperCase();
+};
+
+const sendPage = (res, result, limit) => {
+    res.json({
+        success: true,
+        count: result.disclosures.length,
+        data: result.disclosures,
+        pagination: {
+            nextCursor: result.nextCursor,
+            hasMore: result.hasMore,
+            limit
+        }
+    });
+};
+
+const sendError = (res, error) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to fetch disclosures',
+        ...(!error.statusCode && { error: error.message })
+    });
+};
+
 /**
  * @route   GET /api/disclosures
- * @desc    Get corporate disclosures, optionally filtered by exchange
+ * @desc    Search corporate disclosures (newest first, cursor paginated)
  * @access  Public
  * @query   exchange - Optional: 'DFM' or 'ADX'
+ * @query   symbol - Optional: ticker (EMAAR or EMAAR.AE)
+ * @query   from, to - Optional: ISO 8601 date range
+ * @query   lang - Optional: 'en' or 'ar' (only disclosures with a title in that language)
+ * @query   q - Optional: free-text search on titles and issuer
+ * @query   cursor - Optional: nextCursor from the previous page
+ * @query   limit - Optional: page size (default 50, max 100)
  */
-router.get('/', async (req, res) => {
+router.get('/', searchValidation, async (req, res) => {
     try {
-        const { exchange } = req.query;
-        const filter = {};
-
-        if (exchange && ['DFM', 'ADX'].includes(exchange.toUpperCase())) {
-            filter.exchange = exchange.toUpperCase();
-        }
+        const { exchange, symbol, from, to, lang, q, cursor, limit } = req.query;
 
-        const disclosures = await disclosureService.getDisclosures(filter);
+        const result = await disclosureService.searchDisclosures(
+            { exchange, symbol: resolveSymbol(symbol, exchange), from, to, lang, q },
+            { cursor, limit }
+        );
 
-        res.json({
-            success: true,
-            count: disclosures.length,
-            data: disclosures
-        });
+        sendPage(res, result, parseInt(limit, 10) || 50);
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Failed to fetch disclosures',
-            error: error.message
-        });
+        sendError(res, error);
     }
 });
 
+/**
+ * @route   GET /api/disclosures/symbol/:symbol
+ * @desc    Disclosure history for one company (stock detail screen)
+ * @access  Public
+ * @query   Same filters as GET /api/disclosures (except symbol)
+ */
+router.get(
+    '/symbol/:symbol',
+    [param('symbol').trim().notEmpty().isLength({ max: 20 }).withMessage('Invalid symbol'), ...searchValidation],
+    async (req, res) => {
+        try {
+            const { exchange, from, to, lang, q, cursor, limit } = req.query;
+            const symbol = resolveSymbol(req.params.symbol, exchange);
+
+            const result = await disclosureService.searchDisclosures(
+                { exchange, symbol, from, to, lang, q },
+                { cursor, limit }
+            );
+
+            sendPage(res, result, parseInt(limit, 10) || 50);
+        } catch (error) {
+            sendError(res, error);
+        }
+    }
+);
+
 module.exports = router;
@@ -4,6 +4,7 @@ const insightController = require('../controllers/insightController');
 const { authenticateToken, authorizeRoles, optionalAuth } = require('../middleware/authMiddleware');
 const { addSubscriptionContext } = require('../middleware/subscriptionMiddleware');
 const { ROLES } = require('../constants');
+const { INSIGHT_SUBTYPES, TRADE_IDEA_DIRECTIONS, INSIGHT_LANGUAGES, TRANSLATION_STATUS } = require('../models/Insight');
 const { body, param, query } = require('express-validator');
 const { validate } = require('../middleware/validation');
 const { contentCreationLimiter } = require('../middleware/advancedRateLimit');
@@ -18,6 +19,61 @@ const { contentCreationLimiter } = require('../middleware/advancedRateLimit');
 
 // ==================== VALIDATION RULES ====================
 
+// Block contents are checked by contentBlockService; null clears the blocks on update
+const blocksValidation = body('blocks')
+  .optional({ values: 'null' })
+  .isArray({ min: 1, max: 200 })
+  .withMessage('Blocks must be an array of 1-200 content blocks');
+
+const symbolsValidation = [
+  body('symbols')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Symbols must be an array of at most 20 tickers'),
+  body('symbols.*')
+    .custom(entry => typeof entry === 'string' || (
+      entry !== null && typeof entry === 'object' && typeof entry.symbol === 'string' &&
+      (entry.exchange === undefined || typeof entry.exchange === 'string')
+    ))
+    .withMessage('Each symbol must be a ticker or { symbol, exchange } object')
+];
+
+// Trade idea levels; price ordering is checked by tradeIdeaService
+const tradeIdeaFields = [
+  body('subtype')
+    .optional()
+    .isIn(Object.values(INSIGHT_SUBTYPES))
+    .withMessage(`Subtype must be one of: ${Object.values(INSIGHT_SUBTYPES).join(', ')}`),
+  body('tradeIdea')
+    .optional()
+    .isObject()
+    .withMessage('Trade idea must be an object'),
+  body('tradeIdea.symbol')
+    .if(body('tradeIdea').exists())
+    .trim()
+    .notEmpty()
+    .withMessage('Trade idea symbol is required'),
+  body('tradeIdea.exchange')
+    .optional()
+    .toUpperCase()
+    .isIn(['DFM', 'ADX'])
+    .withMessage('Invalid exchange. Use DFM or ADX.'),
+  body('tradeIdea.direction')
+    .if(body('tradeIdea').exists())
+    .isIn(Object.values(TRADE_IDEA_DIRECTIONS))
+    .withMessage('Direction must be long or short'),
+  body(['tradeIdea.entryPrice', 'tradeIdea.targetPrice', 'tradeIdea.stopLoss'])
+    .if(body('tradeIdea').exists())
+    .isFloat({ gt: 0 })
+    .withMessage('Entry, target and stop-loss must be positive prices')
+    .toFloat(),
+  body('tradeIdea.horizonDays')
+    .if(body('tradeIdea').exists())
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Horizon must be between 1 and 365 days')
+    .toInt()
+];
+
 const createInsightValidation = [
   body('title')
     .trim()
@@ -26,11 +82,13 @@ const createInsightValidation = [
     .isLength({ min: 5, max: 200 })
     .withMessage('Title must be between 5 and 200 characters'),
   body('content')
+    .if(body('blocks').not().exists())
     .trim()
     .notEmpty()
     .withMessage('Content is required')
     .isLength({ min: 20 })
     .withMessage('Content must be at least 20 characters'),
+  blocksValidation,
   body('excerpt')
     .optional()
     .trim()
@@ -58,10 +116,20 @@ const createInsightValidation = [
     .optional()
     .isArray()
     .withMessage('Tags must be an array'),
+  body('language')
+    .optional()
+    .isIn(INSIGHT_LANGUAGES)
+    .withMessage(`Language must be one of: ${INSIGHT_LANGUAGES.join(', ')}`),
   body('status')
     .optional()
     .isIn(['draft', 'published', 'archived', 'under_review'])
     .withMessage('Invalid status'),
+  ...symbolsValidation,
+  ...tradeIdeaFields,
+  body('tradeIdea')
+    .if(body('subtype').equals(INSIGHT_SUBTYPES.TRADE_IDEA))
+    .exists()
+    .withMessage('Trade idea details are required'),
   validate
 ];
 
@@ -77,6 +145,7 @@ const updateInsightValidation = [
     .trim()
     .isLength({ min: 20 })
     .withMessage('Content must be at least 20 characters'),
+  blocksValidation,
   body('excerpt')
     .optional()
     .trim()
@@ -104,10 +173,16 @@ const updateInsightValidation = [
     .optional()
     .isArray()
     .withMessage('Tags must be an array'),
+  body('language')
+    .optional()
+    .isIn(INSIGHT_LANGUAGES)
+    .withMessage(`Language must be one of: ${INSIGHT_LANGUAGES.join(', ')}`),
   body('status')
     .optional()
     .isIn(['draft', 'published', 'archived', 'under_review'])
     .withMessage('Invalid status'),
+  ...symbolsValidation,
+  ...tradeIdeaFields,
   validate
 ];
 
@@ -143,6 +218,44 @@ const moderateInsightValidation = [
   validate
 ];
 
+const translationParamsValidation = [
+  param('insightId').isMongoId().withMessage('Invalid insight ID'),
+  param('lang')
+    .isIn(INSIGHT_LANGUAGES)
+    .withMessage(`Language must be one of: ${INSIGHT_LANGUAGES.join(', ')}`)
+];
+
+const upsertTranslationValidation = [
+  ...translationParamsValidation,
+  body('title')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Title must be between 5 and 200 characters'),
+  body('content')
+    .trim()
+    .isLength({ min: 20 })
+    .withMessage('Content must be at least 20 characters'),
+  body('excerpt')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Excerpt cannot exceed 500 characters'),
+  validate
+];
+
+const translationStatusValidation = [
+  ...translationParamsValidation,
+  body('status')
+    .isIn(Object.values(TRANSLATION_STATUS))
+    .withMessage(`Status must be one of: ${Object.values(TRANSLATION_STATUS).join(', ')}`),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Note cannot exceed 300 characters'),
+  validate
+];
+
 const insightIdValidation = [
   param('insightId').isMongoId().withMessage('Invalid insight ID'),
   validate
@@ -168,6 +281,11 @@ router.get(
   '/published',
   optionalAuth,
   addSubscriptionContext,
+  query('symbol')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Invalid symbol'),
   paginationValidation,
   insightController.getPublishedInsights
 );
@@ -180,6 +298,30 @@ router.get(
   insightController.getFeaturedInsights
 );
 
+// Get trending insights (public) - subscription-aware
+router.get(
+  '/trending',
+  optionalAuth,
+  addSubscriptionContext,
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50'),
+    validate
+  ],
+  insightController.getTrendingInsights
+);
+
+// Personalized feed from followed authors, categories and tags - subscription-aware
+router.get(
+  '/feed',
+  authenticateToken,
+  addSubscriptionContext,
+  paginationValidation,
+  insightController.getFeed
+);
+
 // Get single published insight (public) - subscription-aware access control
 router.get(
   '/published/:insightId',
@@ -189,6 +331,15 @@ router.get(
   insightController.getPublishedInsightById
 );
 
+// Get author profile with trade idea track record (public)
+router.get(
+  '/authors/:authorId',
+  [
+    param('authorId').isMongoId().withMessage('Invalid author ID'),
+    validate
+  ],
+  insightController.getAuthorProfile
+);
 
 // ==================== ADMIN ROUTES ====================
 
@@ -209,6 +360,16 @@ router.get(
   insightController.getInsightStats
 );
 
+// Validate and render content blocks without saving (editor preview)
+router.post(
+  '/blocks/preview',
+  [
+    body('blocks').isArray({ min: 1, max: 200 }).withMessage('Blocks must be an array of 1-200 content blocks'),
+    validate
+  ],
+  insightController.previewBlocks
+);
+
 // Get single insight by ID (admin - includes unpublished)
 router.get(
   '/:insightId',
@@ -284,4 +445,25 @@ router.post(
   insightController.cancelSchedule
 );
 
+// Add or replace a translation
+router.put(
+  '/:insightId/translations/:lang',
+  upsertTranslationValidation,
+  insightController.upsertTranslation
+);
+
+// Mark a translation as missing / outdated / current
+router.patch(
+  '/:insightId/translations/:lang/status',
+  translationStatusValidation,
+  insightController.updateTranslationStatus
+);
+
+// Remove a translation
+router.delete(
+  '/:insightId/translations/:lang',
+  [...translationParamsValidation, validate],
+  insightController.deleteTranslation
+);
+
 module.exports = router;
@@ -1,10 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const marketDataService = require('../services/marketDataService');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const candleService = require('../services/candleService');
+const { CANDLE_INTERVALS } = require('../models/MarketCandle');
+const insightController = require('../controllers/insightController');
+const { authenticateToken, optionalAuth } = require('../middleware/authMiddleware');
+const { addSubscriptionContext } = require('../middleware/subscriptionMiddleware');
 const logger = require('../utils/logger');
 const { HTTP_STATUS } = require('../constants');
 const compression = require('compression');
+const { param, query } = require('express-validator');
+const { validate } = require('../middleware/validation');
+
+const HISTORY_INTERVALS = ['tick', ...Object.values(CANDLE_INTERVALS)];
+
+const exchangeValidation = param('exchange')
+    .toUpperCase()
+    .isIn(['DFM', 'ADX'])
+    .withMessage('Invalid exchange. Use DFM or ADX.');
+
+const listLimitValidation = query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .toInt()
+    .withMessage('Limit must be between 1 and 50');
 
 // Enable compression for all market routes to save bandwidth
 router.use(compression());
@@ -59,6 +78,101 @@ router.get('/:exchange', authenticateToken, (req, res, next) => {
     }
 });
 
+/**
+ * @route   GET /api/market/:exchange/movers
+ * @desc    Top gainers and losers by changePercent
+ * @access  Private
+ * @query   limit - Entries per list (default 10, max 50)
+ */
+router.get(
+    '/:exchange/movers',
+    authenticateToken,
+    [exchangeValidation, listLimitValidation, validate],
+    (req, res, next) => {
+        try {
+            const { exchange } = req.params;
+            const limit = req.query.limit || 10;
+            const stats = marketDataService.getMarketStats(exchange);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: {
+                    exchange,
+                    gainers: stats.gainers.slice(0, limit),
+                    losers: stats.losers.slice(0, limit),
+                    lastUpdated: stats.lastUpdated
+                },
+                timestamp: new Date()
+            });
+        } catch (error) {
+            logger.error(`[MarketAPI] Error fetching movers for ${req.params.exchange}:`, error);
+            next(error);
+        }
+    }
+);
+
+/**
+ * @route   GET /api/market/:exchange/most-active
+ * @desc    Top symbols by traded volume
+ * @access  Private
+ * @query   limit - Entries returned (default 10, max 50)
+ */
+router.get(
+    '/:exchange/most-active',
+    authenticateToken,
+    [exchangeValidation, listLimitValidation, validate],
+    (req, res, next) => {
+        try {
+            const { exchange } = req.params;
+            const limit = req.query.limit || 10;
+            const stats = marketDataService.getMarketStats(exchange);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: {
+                    exchange,
+                    mostActive: stats.mostActive.slice(0, limit),
+                    lastUpdated: stats.lastUpdated
+                },
+                timestamp: new Date()
+            });
+        } catch (error) {
+            logger.error(`[MarketAPI] Error fetching most active for ${req.params.exchange}:`, error);
+            next(error);
+        }
+    }
+);
+
+/**
+ * @route   GET /api/market/:exchange/breadth
+ * @desc    Advance/decline counts and total volume/value traded
+ * @access  Private
+ */
+router.get(
+    '/:exchange/breadth',
+    authenticateToken,
+    [exchangeValidation, validate],
+    (req, res, next) => {
+        try {
+            const { exchange } = req.params;
+            const stats = marketDataService.getMarketStats(exchange);
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: {
+                    exchange,
+                    ...stats.breadth,
+                    lastUpdated: stats.lastUpdated
+                },
+                timestamp: new Date()
+            });
+        } catch (error) {
+            logger.error(`[MarketAPI] Error fetching breadth for ${req.params.exchange}:`, error);
+            next(error);
+        }
+    }
+);
+
 /**
  * @route   GET /api/market/:exchange/:symbol
  * @desc    Get details for a specific stock
@@ -102,4 +216,92 @@ router.get('/:exchange/:symbol', authenticateToken, (req, res, next) => {
     }
 });
 
+/**
+ * @route   GET /api/market/:exchange/:symbol/history
+ * @desc    Get OHLCV candles (or raw ticks) for a symbol over a date range
+ * @access  Private
+ * @query   interval - tick | 1m | 5m | 1h | 1d (default 1h)
+ * @query   from, to - ISO 8601 dates (default window depends on interval)
+ * @query   limit - Max points returned (max 2000)
+ */
+router.get(
+    '/:exchange/:symbol/history',
+    authenticateToken,
+    [
+        query('interval')
+            .optional()
+            .isIn(HISTORY_INTERVALS)
+            .withMessage(`Interval must be one of: ${HISTORY_INTERVALS.join(', ')}`),
+        query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+        query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+        query('limit').optional().isInt({ min: 1, max: 2000 }).withMessage('Limit must be between 1 and 2000'),
+        validate
+    ],
+    async (req, res, next) => {
+        try {
+            const { exchange, symbol } = req.params;
+            const { interval = CANDLE_INTERVALS.ONE_HOUR, from, to, limit } = req.query;
+
+            if (!['DFM', 'ADX'].includes(exchange.toUpperCase())) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    success: false,
+                    message: 'Invalid exchange. Use DFM or ADX.'
+                });
+            }
+
+            const record = marketDataService.resolveSymbol(symbol, exchange);
+
+            if (!record) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    success: false,
+                    message: `Symbol ${symbol} not found in ${exchange.toUpperCase()}.`
+                });
+            }
+
+            if (from && to && new Date(from) > new Date(to)) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    success: false,
+                    message: 'from must be before to'
+                });
+            }
+
+            const history = await candleService.getHistory(record.symbol, interval, { from, to, limit });
+
+            res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: {
+                    symbol: record.symbol,
+                    exchange: record.exchange,
+                    interval,
+                    ...history,
+                    count: history.points.length
+                },
+                timestamp: new Date()
+            });
+        } catch (error) {
+            logger.error(`[MarketAPI] Error fetching history for ${req.params.symbol}:`, error);
+            next(error);
+        }
+    }
+);
+
+/**
+ * @route   GET /api/market/:exchange/:symbol/insights
+ * @desc    Published insights that cover a symbol (stock screen)
+ * @access  Public (premium insights listed for premium users only)
+ * @query   page, limit - Pagination
+ */
+router.get(
+    '/:exchange/:symbol/insights',
+    optionalAuth,
+    addSubscriptionContext,
+    [
+        exchangeValidation,
+        query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+        query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+        validate
+    ],
+    insightController.getSymbolInsights
+);
+
 module.exports = router;
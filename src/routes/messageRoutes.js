@@ -15,6 +15,12 @@ router.post('/:messageId/reactions', messageController.addReaction);
 router.delete('/:messageId/reactions/:emoji', messageController.removeReaction);
 router.post('/:messageId/pin', messageController.pinMessage);
 router.post('/:messageId/forward', messageController.forwardMessage);
+router.get('/:messageId/receipts', messageController.getReceipts);
+
+// Threads
+router.get('/:messageId/thread', messageController.getThread);
+router.post('/:messageId/thread/follow', messageController.followThread);
+router.delete('/:messageId/thread/follow', messageController.unfollowThread);
 
 // Search messages
 router.get('/search', messageController.searchMessages);
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const portfolioController = require('../controllers/portfolioController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validation');
+const { TRANSACTION_TYPES } = require('../models/Transaction');
+
+/**
+ * Portfolio Routes
+ * Positions and P&L are priced live from the market data cache.
+ */
+
+router.use(authenticateToken);
+
+const portfolioIdValidation = param('portfolioId').isMongoId().withMessage('Invalid portfolio ID');
+
+const portfolioFieldValidation = (isUpdate) => [
+    (isUpdate ? body('name').optional() : body('name'))
+        .trim()
+        .notEmpty()
+        .withMessage('Portfolio name is required')
+        .isLength({ max: 50 })
+        .withMessage('Portfolio name cannot exceed 50 characters'),
+    body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters')
+];
+
+/**
+ * @route   GET /api/portfolios
+ * @desc    Get the current user's portfolios with P&L summaries and tier limits
+ * @access  Private
+ */
+router.get('/', portfolioController.getPortfolios);
+
+/**
+ * @route   POST /api/portfolios
+ * @desc    Create a portfolio
+ * @access  Private
+ */
+router.post(
+    '/',
+    [...portfolioFieldValidation(false), validate],
+    portfolioController.createPortfolio
+);
+
+/**
+ * @route   GET /api/portfolios/:portfolioId
+ * @desc    Get positions, average cost, realized/unrealized P&L and daily change
+ * @access  Private
+ */
+router.get(
+    '/:portfolioId',
+    [portfolioIdValidation, validate],
+    portfolioController.getPortfolio
+);
+
+/**
+ * @route   PATCH /api/portfolios/:portfolioId
+ * @desc    Rename a portfolio or update its description
+ * @access  Private
+ */
+router.patch(
+    '/:portfolioId',
+    [portfolioIdValidation, ...portfolioFieldValidation(true), validate],
+    portfolioController.updatePortfolio
+);
+
+/**
+ * @route   DELETE /api/portfolios/:portfolioId
+ * @desc    Delete a portfolio and all of its transactions
+ * @access  Private
+ */
+router.delete(
+    '/:portfolioId',
+    [portfolioIdValidation, validate],
+    portfolioController.deletePortfolio
+);
+
+/**
+ * @route   GET /api/portfolios/:portfolioId/transactions
+ * @desc    List transactions (paginated, newest first)
+ * @access  Private
+ */
+router.get(
+    '/:portfolioId/transactions',
+    [
+        portfolioIdValidation,
+        query('type').optional().isIn(Object.values(TRANSACTION_TYPES)).withMessage('Invalid transaction type'),
+        query('symbol').optional().trim().isLength({ max: 20 }),
+        validate
+    ],
+    portfolioController.getTransactions
+);
+
+/**
+ * @route   POST /api/portfolios/:portfolioId/transactions
+ * @desc    Record a buy, sell or dividend
+ * @access  Private
+ */
+router.post(
+    '/:portfolioId/transactions',
+    [
+        portfolioIdValidation,
+        body('symbol').trim().notEmpty().withMessage('Symbol is required'),
+        body('exchange')
+            .optional()
+            .toUpperCase()
+            .isIn(['DFM', 'ADX'])
+            .withMessage('Invalid exchange. Use DFM or ADX.'),
+        body('type')
+            .isIn(Object.values(TRANSACTION_TYPES))
+            .withMessage(`Type must be one of: ${Object.values(TRANSACTION_TYPES).join(', ')}`),
+        body('quantity').optional().isFloat({ gt: 0 }).toFloat().withMessage('Quantity must be a positive number'),
+        body('price').optional().isFloat({ gt: 0 }).toFloat().withMessage('Price must be a positive number'),
+        body('amount').optional().isFloat({ gt: 0 }).toFloat().withMessage('Amount must be a positive number'),
+        body('fees').optional().isFloat({ min: 0 }).toFloat().withMessage('Fees cannot be negative'),
+        body('tradeDate')
+            .optional()
+            .isISO8601()
+            .toDate()
+            .custom(value => value <= new Date())
+            .withMessage('Trade date must be a valid date that is not in the future'),
+        body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters'),
+        validate
+    ],
+    portfolioController.addTransaction
+);
+
+/**
+ * @route   DELETE /api/portfolios/:portfolioId/transactions/:transactionId
+ * @desc    Delete a transaction
+ * @access  Private
+ */
+router.delete(
+    '/:portfolioId/transactions/:transactionId',
+    [
+        portfolioIdValidation,
+        param('transactionId').isMongoId().withMessage('Invalid transaction ID'),
+        validate
+    ],
+    portfolioController.deleteTransaction
+);
+
+module.exports = router;
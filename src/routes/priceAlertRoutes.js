@@ -0,0 +1,94 @@
+const express = require('express');
+const router = express.Router();
+const priceAlertController = require('../controllers/priceAlertController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { body, param, query } = require('express-validator');
+const { validate } = require('../middleware/validation');
+const { ALERT_CONDITIONS, ALERT_STATUS } = require('../models/PriceAlert');
+
+/**
+ * Price Alert Routes
+ * Mounted at /api/market/alerts (before the /api/market/:exchange catch-all)
+ * Alerts are evaluated server-side on every market sync cycle.
+ */
+
+router.use(authenticateToken);
+
+const alertIdValidation = param('alertId').isMongoId().withMessage('Invalid alert ID');
+
+/**
+ * @route   GET /api/market/alerts
+ * @desc    Get the current user's price alerts and tier limits
+ * @access  Private
+ */
+router.get(
+    '/',
+    [
+        query('status').optional().isIn(Object.values(ALERT_STATUS)).withMessage('Invalid status'),
+        validate
+    ],
+    priceAlertController.getAlerts
+);
+
+/**
+ * @route   POST /api/market/alerts
+ * @desc    Create a price alert on a symbol
+ * @access  Private
+ */
+router.post(
+    '/',
+    [
+        body('symbol').trim().notEmpty().withMessage('Symbol is required'),
+        body('exchange')
+            .optional()
+            .toUpperCase()
+            .isIn(['DFM', 'ADX'])
+            .withMessage('Invalid exchange. Use DFM or ADX.'),
+        body('condition')
+            .isIn(Object.values(ALERT_CONDITIONS))
+            .withMessage(`Condition must be one of: ${Object.values(ALERT_CONDITIONS).join(', ')}`),
+        body('threshold').isFloat({ gt: 0 }).toFloat().withMessage('Threshold must be a positive number'),
+        body('direction').optional().isIn(['up', 'down', 'any']).withMessage('Direction must be up, down or any'),
+        body('recurring').optional().isBoolean().toBoolean(),
+        body('cooldownMinutes').optional().isInt({ min: 1, max: 1440 }).toInt(),
+        body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters'),
+        validate
+    ],
+    priceAlertController.createAlert
+);
+
+/**
+ * @route   PATCH /api/market/alerts/:alertId
+ * @desc    Update an alert; set status to active to re-arm a triggered alert
+ * @access  Private
+ */
+router.patch(
+    '/:alertId',
+    [
+        alertIdValidation,
+        body('threshold').optional().isFloat({ gt: 0 }).toFloat().withMessage('Threshold must be a positive number'),
+        body('direction').optional().isIn(['up', 'down', 'any']).withMessage('Direction must be up, down or any'),
+        body('recurring').optional().isBoolean().toBoolean(),
+        body('cooldownMinutes').optional().isInt({ min: 1, max: 1440 }).toInt(),
+        body('note').optional().trim().isLength({ max: 200 }).withMessage('Note cannot exceed 200 characters'),
+        body('status')
+            .optional()
+            .isIn([ALERT_STATUS.ACTIVE, ALERT_STATUS.DISABLED])
+            .withMessage('Status must be active or disabled'),
+        validate
+    ],
+    priceAlertController.updateAlert
+);
+
+/**
+ * @route   DELETE /api/market/alerts/:alertId
+ * @desc    Delete a price alert
+ * @access  Private
+ */
+router.delete(
+    '/:alertId',
+    [alertIdValidation, validate],
+    priceAlertController.deleteAlert
+);
+
+module.exports = router;
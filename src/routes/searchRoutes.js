@@ -24,7 +24,7 @@ const searchValidation = [
     .withMessage('Invalid type'),
   query('sortBy')
     .optional()
-    .isIn(['relevance', 'date', 'views', 'likes', 'title'])
+    .isIn(['relevance', 'date', 'views', 'likes', 'trending', 'title'])
     .withMessage('Invalid sort option'),
   query('sortOrder')
     .optional()
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const seriesController = require('../controllers/seriesController');
+const { optionalAuth } = require('../middleware/authMiddleware');
+const { param, query } = require('express-validator');
+const { validate } = require('../middleware/validation');
+
+/**
+ * Series Routes
+ * Mounted at /api/series. Following a series goes through POST /api/social/follows
+ * with type "series".
+ */
+
+/**
+ * @route   GET /api/series
+ * @desc    Series with published parts (filter by author or category)
+ * @access  Public
+ */
+router.get(
+    '/',
+    [
+        query('author').optional().isMongoId().withMessage('Invalid author ID'),
+        query('category').optional().trim().isLength({ max: 50 }),
+        validate
+    ],
+    seriesController.listSeries
+);
+
+/**
+ * @route   GET /api/series/:seriesId
+ * @desc    A series with its published parts in reading order
+ * @access  Public (isFollowing for logged-in users)
+ */
+router.get(
+    '/:seriesId',
+    optionalAuth,
+    [param('seriesId').isMongoId().withMessage('Invalid series ID'), validate],
+    seriesController.getSeries
+);
+
+module.exports = router;
@@ -7,7 +7,14 @@
 const express = require('express');
 const router = express.Router();
 const socialController = require('../controllers/socialController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, optionalAuth } = require('../middleware/authMiddleware');
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validation');
+
+const insightIdValidation = [
+  param('insightId').isMongoId().withMessage('Invalid insight ID'),
+  validate
+];
 
 // ========== COMMENT ROUTES ==========
 
@@ -60,5 +67,50 @@ router.post('/comments/:commentId/like', authenticateToken, socialController.lik
  */
 router.delete('/comments/:commentId/like', authenticateToken, socialController.unlikeComment);
 
+// ========== REACTION ROUTES ==========
+
+/**
+ * @route   GET /api/social/insights/:insightId/reactions
+ * @desc    Get reaction counts and the current user's reaction
+ * @access  Public
+ */
+router.get('/insights/:insightId/reactions', optionalAuth, insightIdValidation, socialController.getReactions);
+
+/**
+ * @route   PUT /api/social/insights/:insightId/reaction
+ * @desc    React to an insight ({ type: like | bullish | bearish })
+ * @access  Private
+ */
+router.put('/insights/:insightId/reaction', authenticateToken, insightIdValidation, socialController.react);
+
+/**
+ * @route   DELETE /api/social/insights/:insightId/reaction
+ * @desc    Remove the current user's reaction
+ * @access  Private
+ */
+router.delete('/insights/:insightId/reaction', authenticateToken, insightIdValidation, socialController.removeReaction);
+
+// ========== FOLLOW ROUTES ==========
+
+/**
+ * @route   GET /api/social/follows
+ * @desc    List the authors, categories, tags and series the user follows
+ * @access  Private
+ */
+router.get('/follows', authenticateToken, socialController.getFollows);
+
+/**
+ * @route   POST /api/social/follows
+ * @desc    Follow an author, category, tag or series ({ type, target })
+ * @access  Private
+ */
+router.post('/follows', authenticateToken, socialController.follow);
+
+/**
+ * @route   DELETE /api/social/follows/:type/:target
+ * @desc    Unfollow an author, category, tag or series
+ * @access  Private
+ */
+router.delete('/follows/:type/:target', authenticateToken, socialController.unfollow);
 
 module.exports = router;
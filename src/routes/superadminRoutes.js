@@ -7,7 +7,8 @@ const { ROLES } = require('../constants');
 const {
   createAdminValidation,
   updateUserRoleValidation,
-  paginationValidation
+  paginationValidation,
+  paywallSettingsValidation
 } = require('../middleware/validation');
 
 // All routes require authentication and superadmin role only
@@ -52,6 +53,7 @@ router.get('/audit-logs/failures', auditLogController.getFailedOperations);
 router.get('/audit-logs/user/:userId', paginationValidation, auditLogController.getUserAuditTrail);
 // System settings & Subscription management
 router.get('/system/settings', superadminController.getSystemSettings);
+router.patch('/system/settings/paywall', paywallSettingsValidation, superadminController.updatePaywallSettings);
 router.post('/subscriptions/pause', superadminController.toggleSubscriptionPause);
 router.post('/subscriptions/toggle-new', superadminController.toggleNewSubscriptions);
 
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const tradingCalendarController = require('../controllers/tradingCalendarController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validation');
+
+/**
+ * Trading Calendar Routes
+ * Mounted at /api/market/calendar (before the /api/market/:exchange catch-all)
+ */
+
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/market/calendar
+ * @desc    Current session phase and next open for every exchange
+ * @access  Private
+ */
+router.get('/', tradingCalendarController.getStatus);
+
+/**
+ * @route   GET /api/market/calendar/:exchange
+ * @desc    Session status, regular hours, upcoming holidays and special hours
+ * @access  Private
+ */
+router.get(
+    '/:exchange',
+    [
+        param('exchange').toUpperCase().isIn(['DFM', 'ADX']).withMessage('Invalid exchange. Use DFM or ADX.'),
+        validate
+    ],
+    tradingCalendarController.getExchangeStatus
+);
+
+module.exports = router;
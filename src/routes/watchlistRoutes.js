@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+const watchlistController = require('../controllers/watchlistController');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { body, param } = require('express-validator');
+const { validate } = require('../middleware/validation');
+
+/**
+ * Watchlist Routes
+ * Mounted at /api/market/watchlists (before the /api/market/:exchange catch-all)
+ */
+
+router.use(authenticateToken);
+
+const watchlistIdValidation = param('watchlistId').isMongoId().withMessage('Invalid watchlist ID');
+
+/**
+ * @route   GET /api/market/watchlists
+ * @desc    Get the current user's watchlists with live quotes and tier limits
+ * @access  Private
+ */
+router.get('/', watchlistController.getWatchlists);
+
+/**
+ * @route   POST /api/market/watchlists
+ * @desc    Create a watchlist, optionally seeded with symbols
+ * @access  Private
+ */
+router.post(
+    '/',
+    [
+        body('name')
+            .trim()
+            .notEmpty()
+            .withMessage('Watchlist name is required')
+            .isLength({ max: 50 })
+            .withMessage('Watchlist name cannot exceed 50 characters'),
+        body('symbols').optional().isArray().withMessage('Symbols must be an array'),
+        body('symbols.*')
+            .custom(entry => typeof entry === 'string' || (entry !== null && typeof entry === 'object' && typeof entry.symbol === 'string'))
+            .withMessage('Each symbol must be a ticker or { symbol, exchange } object'),
+        validate
+    ],
+    watchlistController.createWatchlist
+);
+
+/**
+ * @route   GET /api/market/watchlists/:watchlistId
+ * @desc    Get a single watchlist with live quotes
+ * @access  Private
+ */
+router.get(
+    '/:watchlistId',
+    [watchlistIdValidation, validate],
+    watchlistController.getWatchlist
+);
+
+/**
+ * @route   PATCH /api/market/watchlists/:watchlistId
+ * @desc    Rename a watchlist and/or reorder its symbols
+ * @access  Private
+ */
+router.patch(
+    '/:watchlistId',
+    [
+        watchlistIdValidation,
+        body('name')
+            .optional()
+            .trim()
+            .notEmpty()
+            .withMessage('Watchlist name cannot be empty')
+            .isLength({ max: 50 })
+            .withMessage('Watchlist name cannot exceed 50 characters'),
+        body('symbols').optional().isArray().withMessage('Symbols must be an array'),
+        body('symbols.*').isString().withMessage('Each symbol must be a string'),
+        validate
+    ],
+    watchlistController.updateWatchlist
+);
+
+/**
+ * @route   DELETE /api/market/watchlists/:watchlistId
+ * @desc    Delete a watchlist
+ * @access  Private
+ */
+router.delete(
+    '/:watchlistId',
+    [watchlistIdValidation, validate],
+    watchlistController.deleteWatchlist
+);
+
+/**
+ * @route   POST /api/market/watchlists/:watchlistId/symbols
+ * @desc    Add a symbol (e.g. EMAAR or EMAAR.AE) to a watchlist
+ * @access  Private
+ */
+router.post(
+    '/:watchlistId/symbols',
+    [
+        watchlistIdValidation,
+        body('symbol').trim().notEmpty().withMessage('Symbol is required'),
+        body('exchange')
+            .optional()
+            .toUpperCase()
+            .isIn(['DFM', 'ADX'])
+            .withMessage('Invalid exchange. Use DFM or ADX.'),
+        validate
+    ],
+    watchlistController.addSymbol
+);
+
+/**
+ * @route   DELETE /api/market/watchlists/:watchlistId/symbols/:symbol
+ * @desc    Remove a symbol from a watchlist
+ * @access  Private
+ */
+router.delete(
+    '/:watchlistId/symbols/:symbol',
+    [watchlistIdValidation, validate],
+    watchlistController.removeSymbol
+);
+
+module.exports = router;
@@ -0,0 +1,80 @@
+/**
+ * Backfill Message Sequence Numbers
+ * Gives messages created before offline sync a per-chat seq/syncSeq so they
+ * show up in GET /api/chats/:chatId/sync and cursor paging. Numbers are
+ * reserved from each chat's counter, so they never collide with new
+ * messages. Run it right after deploying, before clients start syncing, so
+ * older messages keep lower numbers and no sync cursor passes them.
+ *
+ * Usage: node src/scripts/backfillMessageSeq.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/elsaifarabic';
+const BATCH_SIZE = 1000;
+
+async function backfillChat(chatId) {
+    const messages = await Message.find({ chat: chatId, seq: null })
+        .sort({ createdAt: 1, _id: 1 })
+        .select('_id')
+        .lean();
+    if (messages.length === 0) return 0;
+
+    // Reserve a block of numbers in one step
+    const chat = await Chat.findByIdAndUpdate(
+        chatId,
+        { $inc: { messageSeq: messages.length } },
+        { new: true }
+    ).select('messageSeq');
+    if (!chat) return 0;
+
+    const firstSeq = chat.messageSeq - messages.length + 1;
+
+    for (let i = 0; i < messages.length; i += BATCH_SIZE) {
+        const batch = messages.slice(i, i + BATCH_SIZE);
+        await Message.bulkWrite(batch.map((message, index) => {
+            const seq = firstSeq + i + index;
+            return {
+                updateOne: {
+                    filter: { _id: message._id, seq: null },
+                    update: { $set: { seq, syncSeq: seq } }
+                }
+            };
+        }));
+    }
+
+    return messages.length;
+}
+
+async function backfillMessageSeq() {
+    console.log('========================================');
+    console.log('   MESSAGE SEQUENCE BACKFILL');
+    console.log('========================================\n');
+
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('✓ Connected to MongoDB\n');
+
+        const chatIds = await Message.distinct('chat', { seq: null });
+        console.log(`Found ${chatIds.length} chat(s) with messages to backfill\n`);
+
+        let total = 0;
+        for (const chatId of chatIds) {
+            const count = await backfillChat(chatId);
+            total += count;
+            console.log(`✓ Chat ${chatId}: ${count} message(s)`);
+        }
+
+        console.log(`\n✓ Backfilled ${total} message(s)`);
+        process.exit(0);
+    } catch (error) {
+        console.error('\n✗ Error during backfill:', error);
+        process.exit(1);
+    }
+}
+
+backfillMessageSeq();
@@ -7,6 +7,7 @@
 const Analytics = require('../models/Analytics');
 const User = require('../models/User');
 const Insight = require('../models/Insight');
+const Bookmark = require('../models/Bookmark');
 const logger = require('../utils/logger');
 
 class AnalyticsService {
@@ -160,11 +161,16 @@ class AnalyticsService {
     });
     analytics.content.insightsPublished = insightsPublished;
 
+    // Bookmarks saved today
+    analytics.content.totalSaves = await Bookmark.countDocuments({
+      createdAt: { $gte: startOfDay, $lte: endOfDay }
+    });
+
     // Get top performing insights (all time)
     const topInsights = await Insight.find({ status: 'published' })
       .sort({ 'analytics.views': -1 })
       .limit(10)
-      .select('title analytics');
+      .select('title analytics bookmarksCount reactions');
 
     await analytics.updateTopInsights(topInsights);
 
@@ -175,15 +181,16 @@ class AnalyticsService {
         $group: {
           _id: '$category',
           views: { $sum: '$analytics.views' },
-          likes: { $sum: '$analytics.likes' },
+          likes: { $sum: '$reactions.like' },
+          bookmarks: { $sum: '$bookmarksCount' },
           insights: { $sum: 1 }
         }
       }
     ]);
 
     const categoryMap = new Map();
-    categoryStats.forEach(({ _id, views, likes, insights }) => {
-      categoryMap.set(_id, { views, likes, insights });
+    categoryStats.forEach(({ _id, views, likes, bookmarks, insights }) => {
+      categoryMap.set(_id, { views, likes, bookmarks, insights });
     });
     analytics.content.byCategory = categoryMap;
 
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const Insight = require('../models/Insight');
+const { canAccessInsight } = require('../middleware/subscriptionMiddleware');
+const { HTTP_STATUS } = require('../constants');
+
+const INSIGHT_FIELDS = 'title slug excerpt content type category tags symbols coverImage author publishedAt readTime status isDeleted';
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+class BookmarkService {
+    /**
+     * Shape a bookmark for the client. Premium insights the user can no longer
+     * read (e.g. after a downgrade) are returned as a locked preview.
+     */
+    toEntry(bookmark, hasAccess) {
+        const insight = bookmark.insight;
+        const available = Boolean(insight && !insight.isDeleted && insight.status === 'published');
+
+        let insightData = null;
+        if (available) {
+            const { content, isDeleted, status, ...rest } = insight.toObject ? insight.toObject() : insight;
+            insightData = {
+                ...rest,
+                id: rest._id.toString(),
+                excerpt: rest.excerpt || (content ? content.substring(0, 200) + '...' : ''),
+                ...(hasAccess && { content }),
+                locked: !hasAccess
+            };
+        }
+
+        return {
+            id: bookmark._id.toString(),
+            collection: bookmark.collectionName,
+            note: bookmark.note,
+            createdAt: bookmark.createdAt,
+            available,
+            insight: insightData
+        };
+    }
+
+    /**
+     * Resolve access for a page of bookmarks. Access to premium content depends
+     * only on the user, so canAccessInsight runs at most once for the premium rows.
+     */
+    async withAccess(bookmarks, user) {
+        let premiumAccess;
+        const entries = [];
+
+        for (const bookmark of bookmarks) {
+            const insight = bookmark.insight;
+            let hasAccess = false;
+            if (insight) {
+                if (insight.type === 'free') {
+                    hasAccess = await canAccessInsight(insight, user);
+                } else {
+                    if (premiumAccess === undefined) premiumAccess = Boolean(await canAccessInsight(insight, user));
+                    hasAccess = premiumAccess;
+                }
+            }
+            entries.push(this.toEntry(bookmark, hasAccess));
+        }
+
+        return entries;
+    }
+
+    async getBookmarks(user, { collection, skip = 0, limit = 20 } = {}) {
+        const query = { user: user.id };
+        if (collection !== undefined) query.collectionName = collection || null;
+
+        const [bookmarks, total] = await Promise.all([
+            Bookmark.find(query)
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .populate({ path: 'insight', select: INSIGHT_FIELDS, populate: { path: 'author', select: 'name' } }),
+            Bookmark.countDocuments(query)
+        ]);
+
+        return { bookmarks: await this.withAccess(bookmarks, user), total };
+    }
+
+    /**
+     * Reading lists with bookmark counts (null name = uncategorised)
+     */
+    async getCollections(user) {
+        const rows = await Bookmark.aggregate([
+            { $match: { user: new mongoose.Types.ObjectId(String(user.id)) } },
+            { $group: { _id: '$collectionName', count: { $sum: 1 }, updatedAt: { $max: '$updatedAt' } } },
+            { $sort: { updatedAt: -1 } }
+        ]);
+
+        return rows.map(row => ({ name: row._id, count: row.count, updatedAt: row.updatedAt }));
+    }
+
+    async getStatus(user, insightId) {
+        const bookmark = await Bookmark.findOne({ user: user.id, insight: insightId }).select('collectionName');
+        return { bookmarked: Boolean(bookmark), collection: bookmark ? bookmark.collectionName : null };
+    }
+
+    /**
+     * Bookmark an insight, or move an existing bookmark to another collection
+     */
+    async addBookmark(user, { insightId, collection, note }) {
+        const insight = await Insight.findOne({ _id: insightId, status: 'published', isDeleted: false }).select('_id');
+        if (!insight) {
+            throw createError('Insight not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const existing = await Bookmark.findOne({ user: user.id, insight: insight._id });
+        if (existing) {
+            if (collection !== undefined) existing.collectionName = collection || null;
+            if (note !== undefined) existing.note = note;
+            await existing.save();
+            return { bookmark: existing, created: false };
+        }
+
+        const bookmark = await Bookmark.create({
+            user: user.id,
+            insight: insight._id,
+            collectionName: collection || null,
+            note
+        });
+        await Insight.updateOne({ _id: insight._id }, { $inc: { bookmarksCount: 1 } });
+
+        return { bookmark, created: true };
+    }
+
+    async updateBookmark(user, insightId, { collection, note }) {
+        const bookmark = await Bookmark.findOne({ user: user.id, insight: insightId });
+        if (!bookmark) {
+            throw createError('Bookmark not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        if (collection !== undefined) bookmark.collectionName = collection || null;
+        if (note !== undefined) bookmark.note = note;
+        await bookmark.save();
+
+        return bookmark;
+    }
+
+    async removeBookmark(user, insightId) {
+        const bookmark = await Bookmark.findOneAndDelete({ user: user.id, insight: insightId });
+        if (!bookmark) {
+            throw createError('Bookmark not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        await Insight.updateOne({ _id: bookmark.insight, bookmarksCount: { $gt: 0 } }, { $inc: { bookmarksCount: -1 } });
+    }
+
+    async renameCollection(user, name, newName) {
+        if (await Bookmark.exists({ user: user.id, collectionName: newName })) {
+            throw createError(`Collection "${newName}" already exists`, HTTP_STATUS.CONFLICT, 'COLLECTION_EXISTS');
+        }
+
+        const result = await Bookmark.updateMany(
+            { user: user.id, collectionName: name },
+            { $set: { collectionName: newName } }
+        );
+        if (result.matchedCount === 0) {
+            throw createError('Collection not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return result.modifiedCount;
+    }
+
+    /**
+     * Delete a collection. Bookmarks are kept (moved to uncategorised) unless removeBookmarks is set.
+     */
+    async deleteCollection(user, name, { removeBookmarks = false } = {}) {
+        const query = { user: user.id, collectionName: name };
+        const bookmarks = await Bookmark.find(query).select('insight');
+        if (bookmarks.length === 0) {
+            throw createError('Collection not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        if (removeBookmarks) {
+            await Bookmark.deleteMany(query);
+            await Insight.updateMany(
+                { _id: { $in: bookmarks.map(b => b.insight) }, bookmarksCount: { $gt: 0 } },
+                { $inc: { bookmarksCount: -1 } }
+            );
+        } else {
+            await Bookmark.updateMany(query, { $set: { collectionName: null } });
+        }
+
+        return bookmarks.length;
+    }
+}
+
+module.exports = new BookmarkService();
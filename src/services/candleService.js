@@ -0,0 +1,251 @@
+const MarketCandle = require('../models/MarketCandle');
+const MarketTick = require('../models/MarketTick');
+const logger = require('../utils/logger');
+
+const { CANDLE_INTERVALS, INTERVAL_MS, CANDLE_RETENTION_MS } = MarketCandle;
+
+const INTRADAY_INTERVALS = [CANDLE_INTERVALS.ONE_MINUTE, CANDLE_INTERVALS.FIVE_MINUTES, CANDLE_INTERVALS.ONE_HOUR];
+
+// Default look-back window per interval when the client gives no `from`
+const DEFAULT_RANGE_MS = {
+    tick: 24 * 60 * 60 * 1000,
+    '1m': 24 * 60 * 60 * 1000,
+    '5m': 5 * 24 * 60 * 60 * 1000,
+    '1h': 30 * 24 * 60 * 60 * 1000,
+    '1d': 365 * 24 * 60 * 60 * 1000
+};
+
+const MAX_POINTS = 2000;
+
+class CandleService {
+    constructor() {
+        // symbol -> YYYY-MM-DD of the last chartData backfill
+        this.lastBackfill = new Map();
+    }
+
+    /**
+     * Floor a timestamp to the start of its bucket (UTC)
+     */
+    bucketStart(date, interval) {
+        const time = new Date(date).getTime();
+        const width = INTERVAL_MS[interval];
+        return new Date(time - (time % width));
+    }
+
+    expiresAt(bucketStart, interval) {
+        const retention = CANDLE_RETENTION_MS[interval];
+        return retention ? new Date(bucketStart.getTime() + retention) : null;
+    }
+
+    /**
+     * Roll a list of { timestamp, price } points up into OHLC candles.
+     * Pure function - used for chartData backfill.
+     */
+    buildCandles(points, interval) {
+        const buckets = new Map();
+
+        const sorted = (points || [])
+            .filter(p => p && p.timestamp && p.price > 0)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        for (const point of sorted) {
+            const start = this.bucketStart(point.timestamp, interval);
+            const key = start.getTime();
+            const candle = buckets.get(key);
+
+            if (!candle) {
+                buckets.set(key, {
+                    bucketStart: start,
+                    open: point.price,
+                    high: point.price,
+                    low: point.price,
+                    close: point.price,
+                    tickCount: 1
+                });
+            } else {
+                candle.high = Math.max(candle.high, point.price);
+                candle.low = Math.min(candle.low, point.price);
+                candle.close = point.price;
+                candle.tickCount += 1;
+            }
+        }
+
+        return Array.from(buckets.values());
+    }
+
+    /**
+     * Store ticks and roll the latest quotes into every candle granularity.
+     * Called from MarketDataService.processResults after every sync cycle.
+     * @param {Array} dataList - Quotes from fetchDFM / fetchADX
+     * @param {Map} previousBySymbol - Cached quotes from the previous cycle
+     */
+    async ingest(dataList, previousBySymbol = new Map()) {
+        const quotes = (dataList || []).filter(q => q && q.price > 0);
+        if (quotes.length === 0) return;
+
+        const ticks = [];
+        const candleOps = [];
+
+        for (const quote of quotes) {
+            const timestamp = quote.lastUpdated ? new Date(quote.lastUpdated) : new Date();
+            const previous = previousBySymbol.get(quote.symbol);
+
+            // Session volume is cumulative; a drop means a new session started
+            const volumeDelta = previous && quote.volume >= (previous.volume || 0)
+                ? quote.volume - (previous.volume || 0)
+                : 0;
+
+            ticks.push({
+                timestamp,
+                meta: { symbol: quote.symbol, exchange: quote.exchange },
+                price: quote.price,
+                volume: quote.volume || 0
+            });
+
+            for (const interval of Object.values(CANDLE_INTERVALS)) {
+                const start = this.bucketStart(timestamp, interval);
+                const isDaily = interval === CANDLE_INTERVALS.ONE_DAY;
+
+                candleOps.push({
+                    updateOne: {
+                        filter: { symbol: quote.symbol, interval, bucketStart: start },
+                        update: {
+                            $setOnInsert: {
+                                exchange: quote.exchange,
+                                open: isDaily && quote.open > 0 ? quote.open : quote.price,
+                                expiresAt: this.expiresAt(start, interval)
+                            },
+                            $max: isDaily
+                                ? { high: Math.max(quote.price, quote.high || 0), volume: quote.volume || 0 }
+                                : { high: quote.price },
+                            $min: { low: isDaily && quote.low > 0 ? Math.min(quote.price, quote.low) : quote.price },
+                            $set: { close: quote.price, lastTickAt: timestamp, isBackfilled: false },
+                            $inc: isDaily ? { tickCount: 1 } : { tickCount: 1, volume: volumeDelta }
+                        },
+                        upsert: true
+                    }
+                });
+            }
+        }
+
+        try {
+            await MarketTick.insertMany(ticks, { ordered: false });
+        } catch (error) {
+            logger.error('[Candles] Tick insert error:', error.message);
+        }
+
+        try {
+            await MarketCandle.bulkWrite(candleOps, { ordered: false });
+        } catch (error) {
+            logger.error('[Candles] Candle rollup error:', error.message);
+        }
+
+        await this.backfillFromChartData(quotes);
+    }
+
+    /**
+     * Fill intraday gaps (e.g. after downtime) from the exchange's chart points.
+     * Only creates buckets that don't exist yet; live candles are never overwritten.
+     * Runs at most once per symbol per day.
+     */
+    async backfillFromChartData(quotes) {
+        const today = new Date().toISOString().slice(0, 10);
+        const ops = [];
+
+        for (const quote of quotes) {
+            if (!quote.chartData || quote.chartData.length === 0) continue;
+            if (this.lastBackfill.get(quote.symbol) === today) continue;
+            this.lastBackfill.set(quote.symbol, today);
+
+            for (const interval of INTRADAY_INTERVALS) {
+                for (const candle of this.buildCandles(quote.chartData, interval)) {
+                    ops.push({
+                        updateOne: {
+                            filter: { symbol: quote.symbol, interval, bucketStart: candle.bucketStart },
+                            update: {
+                                $setOnInsert: {
+                                    exchange: quote.exchange,
+                                    open: candle.open,
+                                    high: candle.high,
+                                    low: candle.low,
+                                    close: candle.close,
+                                    tickCount: candle.tickCount,
+                                    volume: 0,
+                                    isBackfilled: true,
+                                    expiresAt: this.expiresAt(candle.bucketStart, interval)
+                                }
+                            },
+                            upsert: true
+                        }
+                    });
+                }
+            }
+        }
+
+        if (ops.length === 0) return;
+
+        try {
+            const result = await MarketCandle.bulkWrite(ops, { ordered: false });
+            if (result.upsertedCount > 0) {
+                logger.info(`[Candles] Backfilled ${result.upsertedCount} candles from chart data`);
+            }
+        } catch (error) {
+            logger.error('[Candles] Backfill error:', error.message);
+        }
+    }
+
+    /**
+     * Get candles (or raw ticks) for a symbol over a date range
+     * @param {String} symbol - Full symbol (e.g. EMAAR.AE)
+     * @param {String} interval - tick | 1m | 5m | 1h | 1d
+     * @param {Object} range - { from, to, limit }
+     */
+    async getHistory(symbol, interval, { from, to, limit } = {}) {
+        const end = to ? new Date(to) : new Date();
+        const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_MS[interval]);
+        const max = Math.min(parseInt(limit, 10) || MAX_POINTS, MAX_POINTS);
+
+        if (interval === 'tick') {
+            const ticks = await MarketTick.find({
+                'meta.symbol': symbol,
+                timestamp: { $gte: start, $lte: end }
+            })
+                .sort({ timestamp: 1 })
+                .limit(max)
+                .lean();
+
+            return {
+                from: start,
+                to: end,
+                points: ticks.map(t => ({ timestamp: t.timestamp, price: t.price, volume: t.volume }))
+            };
+        }
+
+        const candles = await MarketCandle.find({
+            symbol,
+            interval,
+            bucketStart: { $gte: this.bucketStart(start, interval), $lte: end }
+        })
+            .sort({ bucketStart: 1 })
+            .limit(max)
+            .select('bucketStart open high low close volume tickCount isBackfilled -_id')
+            .lean();
+
+        return {
+            from: start,
+            to: end,
+            points: candles.map(c => ({
+                timestamp: c.bucketStart,
+                open: c.open,
+                high: c.high,
+                low: c.low,
+                close: c.close,
+                volume: c.volume,
+                tickCount: c.tickCount,
+                isBackfilled: c.isBackfilled
+            }))
+        };
+    }
+}
+
+module.exports = new CandleService();
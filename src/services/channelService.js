@@ -0,0 +1,631 @@
+/**
+ * Channel Service
+ * Broadcast announcement channels: analysts (the channel's participants)
+ * post, any number of subscribers read. Posts are Messages in the channel
+ * chat; subscriptions live in ChannelSubscription.
+ */
+
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const ChannelSubscription = require('../models/ChannelSubscription');
+const ChannelPostView = require('../models/ChannelPostView');
+const { sanitizeMessage } = require('../utils/sanitizer');
+const { emitChannelPostPublished } = require('../events/enhancedNotificationEvents');
+const logger = require('../utils/logger');
+const {
+    CHAT_TYPES,
+    CHAT_PERMISSIONS,
+    MESSAGE_STATUS,
+    SUBSCRIPTION_TIERS,
+    SOCKET_EVENTS,
+    ROLES,
+    HTTP_STATUS
+} = require('../constants');
+
+const MAX_PINNED_POSTS = 5;
+const MAX_VIEW_BATCH = 100;
+const NOTIFICATION_PREVIEW_LENGTH = 200;
+
+// Per-recipient chat fields that don't apply to channel posts
+const POST_FIELDS = '-readBy -deliveredTo -threadFollowers -threadSummary -recipientCount';
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+class ChannelService {
+    constructor() {
+        this.io = null;
+    }
+
+    /**
+     * Socket.IO server used to push posts to the channel room
+     */
+    attach(io) {
+        this.io = io;
+    }
+
+    emitToChannel(channelId, event, payload) {
+        if (this.io) {
+            this.io.to(`channel:${channelId}`).emit(event, { channelId, ...payload });
+        }
+    }
+
+    isPoster(channel, userId) {
+        return channel.getUserPermission(userId) === CHAT_PERMISSIONS.ADMIN;
+    }
+
+    assertPoster(channel, userId) {
+        if (!this.isPoster(channel, userId)) {
+            throw createError('Only channel analysts can manage posts', HTTP_STATUS.FORBIDDEN);
+        }
+    }
+
+    /**
+     * The users whose plan covers the channel. Admins and the channel's
+     * analysts always have access. Used both to open a channel and to pick
+     * who is notified of its posts, so the two can't disagree.
+     * @param {Array} users - Request users ({ id, role }) or User documents
+     */
+    async filterTierAccess(channel, users) {
+        const requiredTier = channel.channel.requiredTier;
+        if (requiredTier === SUBSCRIPTION_TIERS.FREE) return users;
+
+        const idOf = user => (user.id || user._id).toString();
+        const isExempt = user => [ROLES.ADMIN, ROLES.SUPERADMIN].includes(user.role) || this.isPoster(channel, idOf(user));
+
+        const others = users.filter(user => !isExempt(user));
+        const subscriptions = others.length > 0
+            ? await Subscription.getActiveSubscriptions(others.map(idOf))
+            : new Map();
+
+        return users.filter((user) => {
+            if (isExempt(user)) return true;
+            const subscription = subscriptions.get(idOf(user));
+            return Boolean(subscription && subscription.hasAccessToTier(requiredTier));
+        });
+    }
+
+    async hasTierAccess(channel, user) {
+        if (!user) return channel.channel.requiredTier === SUBSCRIPTION_TIERS.FREE;
+        return (await this.filterTierAccess(channel, [user])).length > 0;
+    }
+
+    async findChannel(channelId) {
+        const channel = mongoose.Types.ObjectId.isValid(channelId)
+            ? await Chat.findOne({ _id: channelId, type: CHAT_TYPES.CHANNEL })
+            : null;
+        if (!channel) {
+            throw createError('Channel not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return channel;
+    }
+
+    /**
+     * Public view of a channel. Pure function.
+     */
+    formatChannel(channel, extra = {}) {
+        return {
+            _id: channel._id,
+            name: channel.name,
+            description: channel.channel.description || '',
+            requiredTier: channel.channel.requiredTier,
+            subscriberCount: channel.channel.subscriberCount,
+            lastPostAt: channel.lastMessage ? channel.lastMessage.timestamp || null : null,
+            createdAt: channel.createdAt,
+            ...extra
+        };
+    }
+
+    // ==================== CHANNELS ====================
+
+    /**
+     * Every channel, with the user's subscription state. Channels above the
+     * user's plan are listed as locked.
+     * @param {boolean} hasPremiumAccess - From addSubscriptionContext
+     */
+    async listChannels(user, hasPremiumAccess) {
+        const channels = await Chat.find({ type: CHAT_TYPES.CHANNEL })
+            .sort({ 'channel.subscriberCount': -1, createdAt: -1 });
+
+        const subscriptions = await ChannelSubscription.find({
+            user: user.id,
+            channel: { $in: channels.map(channel => channel._id) }
+        }).select('channel notifications').lean();
+        const subscriptionsByChannel = new Map(subscriptions.map(sub => [sub.channel.toString(), sub]));
+
+        return channels.map((channel) => {
+            const subscription = subscriptionsByChannel.get(channel._id.toString());
+            const canPost = this.isPoster(channel, user.id);
+            return this.formatChannel(channel, {
+                isSubscribed: Boolean(subscription),
+                notifications: subscription ? subscription.notifications : false,
+                canPost,
+                locked: channel.channel.requiredTier !== SUBSCRIPTION_TIERS.FREE && !hasPremiumAccess && !canPost
+            });
+        });
+    }
+
+    async getChannel(channel, user) {
+        const [subscription] = await Promise.all([
+            ChannelSubscription.findOne({ channel: channel._id, user: user.id }).select('notifications').lean(),
+            channel.populate('participants.user', 'name avatar')
+        ]);
+
+        return this.formatChannel(channel, {
+            isSubscribed: Boolean(subscription),
+            notifications: subscription ? subscription.notifications : false,
+            canPost: this.isPoster(channel, user.id),
+            analysts: channel.participants.map(participant => participant.user)
+        });
+    }
+
+    /**
+     * Active users that can post in a channel
+     */
+    async resolveAnalysts(analystIds) {
+        const ids = [...new Set(analystIds.map(String))];
+        const analysts = await User.find({ _id: { $in: ids }, isActive: true }).select('_id');
+        if (analysts.length !== ids.length) {
+            throw createError('One or more analysts were not found', HTTP_STATUS.BAD_REQUEST);
+        }
+        return analysts.map(analyst => ({
+            user: analyst._id,
+            permission: CHAT_PERMISSIONS.ADMIN,
+            joinedAt: new Date()
+        }));
+    }
+
+    /**
+     * Create a channel. The creator is always one of its analysts.
+     */
+    async createChannel(admin, { name, description, requiredTier = SUBSCRIPTION_TIERS.FREE, analystIds = [] }) {
+        const participants = await this.resolveAnalysts([admin.id, ...analystIds]);
+
+        const channel = await Chat.create({
+            name,
+            type: CHAT_TYPES.CHANNEL,
+            isPremium: requiredTier !== SUBSCRIPTION_TIERS.FREE,
+            createdBy: admin.id,
+            participants,
+            channel: { description, requiredTier },
+            settings: { onlyAdminsCanSend: true, allowedSenders: [] }
+        });
+
+        logger.info(`[ChannelService] Channel ${channel._id} created by ${admin.id}`);
+        return this.formatChannel(channel);
+    }
+
+    async listChannelsForAdmin() {
+        const channels = await Chat.find({ type: CHAT_TYPES.CHANNEL })
+            .sort({ createdAt: -1 })
+            .populate('participants.user', 'name email avatar');
+
+        return channels.map(channel => this.formatChannel(channel, {
+            analysts: channel.participants.map(participant => participant.user)
+        }));
+    }
+
+    /**
+     * Update a channel. analystIds replaces the list of analysts.
+     */
+    async updateChannel(channelId, { name, description, requiredTier, analystIds }) {
+        const channel = await this.findChannel(channelId);
+
+        if (name !== undefined) channel.name = name;
+        if (description !== undefined) channel.channel.description = description;
+        if (requiredTier !== undefined) {
+            channel.channel.requiredTier = requiredTier;
+            channel.isPremium = requiredTier !== SUBSCRIPTION_TIERS.FREE;
+        }
+        if (analystIds !== undefined) {
+            if (analystIds.length === 0) {
+                throw createError('A channel needs at least one analyst', HTTP_STATUS.BAD_REQUEST);
+            }
+            channel.participants = await this.resolveAnalysts(analystIds);
+        }
+
+        await channel.save();
+        return this.formatChannel(channel);
+    }
+
+    /**
+     * Delete a channel with its posts, subscriptions and view records
+     */
+    async deleteChannel(channelId) {
+        const channel = await this.findChannel(channelId);
+        const postIds = await Message.find({ chat: channel._id }).distinct('_id');
+
+        await Promise.all([
+            ChannelPostView.deleteMany({ post: { $in: postIds } }),
+            ChannelSubscription.deleteMany({ channel: channel._id }),
+            Message.deleteMany({ chat: channel._id })
+        ]);
+        await Chat.deleteOne({ _id: channel._id });
+
+        logger.info(`[ChannelService] Channel ${channel._id} deleted (${postIds.length} posts)`);
+    }
+
+    // ==================== SUBSCRIPTIONS ====================
+
+    async getSubscriberCount(channelId) {
+        const channel = await Chat.findById(channelId).select('channel.subscriberCount').lean();
+        return channel ? channel.channel.subscriberCount : 0;
+    }
+
+    async subscribe(channel, userId) {
+        const result = await ChannelSubscription.updateOne(
+            { channel: channel._id, user: userId },
+            { $setOnInsert: { notifications: true } },
+            { upsert: true }
+        );
+        if (result.upsertedCount > 0) {
+            await Chat.updateOne({ _id: channel._id }, { $inc: { 'channel.subscriberCount': 1 } });
+        }
+
+        return { subscribed: true, notifications: true, subscriberCount: await this.getSubscriberCount(channel._id) };
+    }
+
+    async unsubscribe(channel, userId) {
+        const result = await ChannelSubscription.deleteOne({ channel: channel._id, user: userId });
+        if (result.deletedCount > 0) {
+            await Chat.updateOne(
+                { _id: channel._id, 'channel.subscriberCount': { $gt: 0 } },
+                { $inc: { 'channel.subscriberCount': -1 } }
+            );
+        }
+
+        return { subscribed: false, notifications: false, subscriberCount: await this.getSubscriberCount(channel._id) };
+    }
+
+    /**
+     * Turn post notifications on or off. Turning them off (like
+     * unsubscribing) works even after the user's plan stopped covering
+     * the channel.
+     */
+    async updateSubscription(channel, user, { notifications }) {
+        if (notifications && !(await this.hasTierAccess(channel, user))) {
+            throw createError('Premium subscription required to access this channel', HTTP_STATUS.FORBIDDEN, 'PREMIUM_REQUIRED');
+        }
+
+        const subscription = await ChannelSubscription.findOneAndUpdate(
+            { channel: channel._id, user: user.id },
+            { notifications },
+            { new: true }
+        );
+        if (!subscription) {
+            throw createError('You are not subscribed to this channel', HTTP_STATUS.NOT_FOUND);
+        }
+        return { subscribed: true, notifications: subscription.notifications };
+    }
+
+    /**
+     * Active subscribers to notify of a new post: those with notifications
+     * on whose plan still covers the channel, other than the author
+     */
+    async getNotificationRecipients(channelId, authorId) {
+        const channel = await Chat.findOne({ _id: channelId, type: CHAT_TYPES.CHANNEL });
+        if (!channel) return [];
+
+        const subscriberIds = (await ChannelSubscription.find({ channel: channel._id, notifications: true }).select('user').lean())
+            .map(subscription => subscription.user)
+            .filter(id => id.toString() !== String(authorId || ''));
+        if (subscriberIds.length === 0) return [];
+
+        const users = await User.find({ _id: { $in: subscriberIds }, isActive: true });
+        return this.filterTierAccess(channel, users);
+    }
+
+    // ==================== POSTS ====================
+
+    async findPost(channel, postId) {
+        const post = mongoose.Types.ObjectId.isValid(postId)
+            ? await Message.findOne({ _id: postId, chat: channel._id, deletedAt: null })
+            : null;
+        if (!post) {
+            throw createError('Post not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return post;
+    }
+
+    formatPost(post) {
+        const data = post.toObject ? post.toObject() : { ...post };
+        ['readBy', 'deliveredTo', 'threadFollowers', 'threadSummary', 'recipientCount'].forEach(field => delete data[field]);
+        data.viewCount = data.viewCount || 0;
+        return data;
+    }
+
+    /**
+     * Publish time for a new or rescheduled post (null to publish now)
+     */
+    parseSchedule(scheduledFor) {
+        if (!scheduledFor) return null;
+
+        const date = new Date(scheduledFor);
+        if (Number.isNaN(date.getTime()) || date <= new Date()) {
+            throw createError('Scheduled time must be in the future', HTTP_STATUS.BAD_REQUEST, 'INVALID_SCHEDULE');
+        }
+        return date;
+    }
+
+    /**
+     * Post to a channel now or at scheduledFor
+     */
+    async createPost(channel, user, { content, scheduledFor }) {
+        this.assertPoster(channel, user.id);
+
+        const sanitizedContent = sanitizeMessage(content, false);
+        if (!sanitizedContent) {
+            throw createError('Post content is required', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const publishAt = this.parseSchedule(scheduledFor);
+        const postData = {
+            chat: channel._id,
+            sender: user.id,
+            content: sanitizedContent,
+            type: 'text',
+            status: publishAt ? MESSAGE_STATUS.SCHEDULED : MESSAGE_STATUS.SENT,
+            scheduledFor: publishAt || undefined,
+            viewCount: 0
+        };
+
+        // Scheduled posts get their sequence number when they go live
+        const post = publishAt
+            ? await Message.create(postData)
+            : await Chat.withSequence(channel._id, seq => Message.create({ ...postData, seq, syncSeq: seq }));
+        await post.populate('sender', 'name avatar');
+
+        if (!publishAt) {
+            await this.announce(channel, post);
+        }
+
+        return this.formatPost(post);
+    }
+
+    /**
+     * Side effects of a post going live: channel preview, live update for
+     * open channel views, and notifications for subscribers
+     */
+    async announce(channel, post) {
+        await Chat.updateOne(
+            { _id: channel._id },
+            { lastMessage: { content: post.content, sender: post.sender._id || post.sender, timestamp: new Date() } }
+        );
+
+        this.emitToChannel(channel._id, SOCKET_EVENTS.CHANNEL_POST, { post: this.formatPost(post) });
+
+        const preview = post.content.length > NOTIFICATION_PREVIEW_LENGTH
+            ? `${post.content.substring(0, NOTIFICATION_PREVIEW_LENGTH - 1)}…`
+            : post.content;
+
+        emitChannelPostPublished({
+            channelId: channel._id,
+            channelName: channel.name,
+            requiredTier: channel.channel.requiredTier,
+            postId: post._id,
+            authorId: post.sender._id || post.sender,
+            content: preview
+        });
+    }
+
+    /**
+     * Publish scheduled posts whose time has come (run by the job worker)
+     * @returns {Promise<Object>} { published, failed }
+     */
+    async publishDuePosts(now = new Date()) {
+        const due = await Message.find({ status: MESSAGE_STATUS.SCHEDULED, scheduledFor: { $lte: now }, deletedAt: null })
+            .sort({ scheduledFor: 1 })
+            .select('_id chat');
+
+        const results = { published: 0, failed: 0 };
+
+        for (const { _id, chat } of due) {
+            try {
+                const post = await Chat.withSequence(chat, seq => Message.findOneAndUpdate(
+                    { _id, status: MESSAGE_STATUS.SCHEDULED },
+                    { status: MESSAGE_STATUS.SENT, seq, syncSeq: seq },
+                    { new: true }
+                ).populate('sender', 'name avatar'));
+                if (!post) continue; // Published, rescheduled or deleted meanwhile
+
+                const channel = await Chat.findById(chat);
+                if (channel) {
+                    await this.announce(channel, post);
+                }
+                results.published++;
+            } catch (error) {
+                logger.error(`[ChannelService] Failed to publish scheduled post ${_id}:`, error);
+                results.failed++;
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Published posts, newest first. Pass before (the lowest seq the client
+     * has) for older pages. Analysts can list scheduled posts instead.
+     */
+    async listPosts(channel, user, { before = null, limit = 20, scheduled = false } = {}) {
+        limit = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+        if (scheduled) {
+            this.assertPoster(channel, user.id);
+            const posts = await Message.find({ chat: channel._id, status: MESSAGE_STATUS.SCHEDULED, deletedAt: null })
+                .sort({ scheduledFor: 1 })
+                .select(POST_FIELDS)
+                .populate('sender', 'name avatar')
+                .lean();
+            return { posts: posts.map(post => this.formatPost(post)) };
+        }
+
+        const filter = { chat: channel._id, status: { $ne: MESSAGE_STATUS.SCHEDULED }, deletedAt: null };
+        if (before) {
+            filter.seq = { $lt: before };
+        }
+
+        const [posts, pinned] = await Promise.all([
+            Message.find(filter)
+                .sort({ seq: -1, createdAt: -1 })
+                .limit(limit + 1)
+                .select(POST_FIELDS)
+                .populate('sender', 'name avatar')
+                .lean(),
+            // Pinned posts come with the first page only
+            before
+                ? Promise.resolve(null)
+                : Message.find({ ...filter, isPinned: true })
+                    .sort({ pinnedAt: -1 })
+                    .select(POST_FIELDS)
+                    .populate('sender', 'name avatar')
+                    .lean()
+        ]);
+
+        const hasMore = posts.length > limit;
+        const page = hasMore ? posts.slice(0, limit) : posts;
+
+        return {
+            posts: page.map(post => this.formatPost(post)),
+            ...(pinned && { pinned: pinned.map(post => this.formatPost(post)) }),
+            pagination: {
+                limit,
+                hasMore,
+                nextBeforeSeq: page.length > 0 ? page[page.length - 1].seq : null
+            }
+        };
+    }
+
+    /**
+     * Edit a post's content, or move a scheduled post
+     */
+    async updatePost(channel, user, postId, { content, scheduledFor }) {
+        this.assertPoster(channel, user.id);
+        const post = await this.findPost(channel, postId);
+        const isScheduled = post.status === MESSAGE_STATUS.SCHEDULED;
+
+        if (scheduledFor !== undefined) {
+            if (!isScheduled) {
+                throw createError('Only scheduled posts can be rescheduled', HTTP_STATUS.BAD_REQUEST, 'POST_ALREADY_PUBLISHED');
+            }
+            post.scheduledFor = this.parseSchedule(scheduledFor);
+        }
+
+        if (content !== undefined) {
+            const sanitizedContent = sanitizeMessage(content, false);
+            if (!sanitizedContent) {
+                throw createError('Post content is required', HTTP_STATUS.BAD_REQUEST);
+            }
+            post.content = sanitizedContent;
+            if (!isScheduled) {
+                post.isEdited = true;
+                post.editedAt = new Date();
+            }
+        }
+
+        await post.save();
+        await post.populate('sender', 'name avatar');
+
+        const data = this.formatPost(post);
+        if (!isScheduled) {
+            this.emitToChannel(channel._id, SOCKET_EVENTS.CHANNEL_POST_UPDATED, { post: data });
+        }
+        return data;
+    }
+
+    async deletePost(channel, user, postId) {
+        this.assertPoster(channel, user.id);
+        const post = await this.findPost(channel, postId);
+        const wasPublished = post.status !== MESSAGE_STATUS.SCHEDULED;
+
+        post.softDelete(user.id);
+        post.isPinned = false;
+        await post.save();
+
+        if (wasPublished) {
+            this.emitToChannel(channel._id, SOCKET_EVENTS.CHANNEL_POST_UPDATED, {
+                post: { _id: post._id, isDeleted: true, deletedAt: post.deletedAt }
+            });
+        }
+    }
+
+    async pinPost(channel, user, postId, isPinned) {
+        this.assertPoster(channel, user.id);
+        const post = await this.findPost(channel, postId);
+
+        if (post.status === MESSAGE_STATUS.SCHEDULED) {
+            throw createError('Scheduled posts cannot be pinned', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        if (isPinned && !post.isPinned) {
+            const pinnedCount = await Message.countDocuments({ chat: channel._id, isPinned: true, deletedAt: null });
+            if (pinnedCount >= MAX_PINNED_POSTS) {
+                throw createError(
+                    `A channel can have at most ${MAX_PINNED_POSTS} pinned posts`,
+                    HTTP_STATUS.CONFLICT,
+                    'PIN_LIMIT_REACHED'
+                );
+            }
+        }
+
+        post.isPinned = isPinned;
+        post.pinnedAt = isPinned ? new Date() : null;
+        post.pinnedBy = isPinned ? user.id : null;
+        await post.save();
+        await post.populate('sender', 'name avatar');
+
+        const data = this.formatPost(post);
+        this.emitToChannel(channel._id, SOCKET_EVENTS.CHANNEL_POST_UPDATED, { post: data });
+        return data;
+    }
+
+    /**
+     * Count posts a user has seen. Each user counts once per post.
+     * @param {string[]} postIds - Posts shown to the user
+     * @returns {Promise<Object>} { counted }
+     */
+    async recordViews(channel, userId, postIds) {
+        const ids = [...new Set((postIds || []).map(String))]
+            .filter(id => mongoose.Types.ObjectId.isValid(id))
+            .slice(0, MAX_VIEW_BATCH);
+        if (ids.length === 0) return { counted: 0 };
+
+        const posts = await Message.find({
+            _id: { $in: ids },
+            chat: channel._id,
+            status: { $ne: MESSAGE_STATUS.SCHEDULED },
+            deletedAt: null
+        }).select('_id');
+        if (posts.length === 0) return { counted: 0 };
+
+        let result;
+        try {
+            result = await ChannelPostView.bulkWrite(posts.map(post => ({
+                updateOne: {
+                    filter: { post: post._id, user: userId },
+                    update: { $setOnInsert: { post: post._id, user: userId } },
+                    upsert: true
+                }
+            })), { ordered: false });
+        } catch (error) {
+            // Concurrent first views of the same post; the other request counted it
+            if (error.code !== 11000 || !error.result) throw error;
+            result = error.result;
+        }
+
+        const newlyViewed = Object.keys(result.upsertedIds || {}).map(index => posts[index]._id);
+        if (newlyViewed.length > 0) {
+            await Message.updateMany({ _id: { $in: newlyViewed } }, { $inc: { viewCount: 1 } });
+        }
+
+        return { counted: newlyViewed.length };
+    }
+}
+
+module.exports = new ChannelService();
@@ -0,0 +1,280 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const ChatAttachment = require('../models/ChatAttachment');
+const mediaService = require('./mediaService');
+const { getUserLimits } = require('../utils/subscriptionHelper');
+const logger = require('../utils/logger');
+const { HTTP_STATUS, CHAT_ATTACHMENT_TYPES } = require('../constants');
+
+const { ATTACHMENT_STATUS } = ChatAttachment;
+
+// Uploads never sent in a message are removed after this long
+const ORPHAN_MAX_AGE_HOURS = 24;
+
+// Served inline; everything else is downloaded
+const INLINE_KINDS = ['image', 'video', 'audio'];
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+class ChatAttachmentService {
+    /**
+     * Message type for a MIME type (null when not allowed at all)
+     */
+    getKind(mimeType) {
+        const entry = Object.entries(CHAT_ATTACHMENT_TYPES).find(([, types]) => types.includes(mimeType));
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Check an upload against the tier limits. Pure function.
+     * @param {Object} file - Multer file object
+     * @param {Object} limits - From getUserLimits
+     * @returns {string} Attachment kind
+     */
+    checkLimits(file, limits) {
+        const kind = this.getKind(file.mimetype);
+        if (!kind) {
+            throw createError(`File type ${file.mimetype} is not allowed`, HTTP_STATUS.BAD_REQUEST, 'ATTACHMENT_TYPE_NOT_ALLOWED');
+        }
+        if (!limits.chatAttachmentKinds.includes(kind)) {
+            throw createError(
+                `Your ${limits.tier} plan does not include ${kind} attachments`,
+                HTTP_STATUS.FORBIDDEN,
+                'ATTACHMENT_LIMIT_REACHED'
+            );
+        }
+        if (file.size > limits.chatAttachmentBytes) {
+            throw createError(
+                `Your ${limits.tier} plan allows attachments up to ${limits.chatAttachmentBytes / (1024 * 1024)}MB`,
+                HTTP_STATUS.FORBIDDEN,
+                'ATTACHMENT_LIMIT_REACHED'
+            );
+        }
+        return kind;
+    }
+
+    async findChatForUser(chatId, userId) {
+        if (!mongoose.Types.ObjectId.isValid(chatId)) {
+            throw createError('Chat not found', HTTP_STATUS.NOT_FOUND);
+        }
+        const chat = await Chat.findById(chatId);
+        if (!chat) {
+            throw createError('Chat not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (!chat.isParticipant(userId)) {
+            throw createError('You are not a participant of this chat', HTTP_STATUS.FORBIDDEN);
+        }
+        return chat;
+    }
+
+    /**
+     * Validate, scan and store an upload. The returned attachment is sent
+     * with a message by passing its id as attachmentId.
+     * @param {string} chatId - Chat ID
+     * @param {Object} user - req.user
+     * @param {Object} file - Multer file object
+     */
+    async upload(chatId, user, file) {
+        const chat = await this.findChatForUser(chatId, user.id);
+        if (!chat.canSendMessage(user.id)) {
+            throw createError('You do not have permission to send messages in this chat', HTTP_STATUS.FORBIDDEN);
+        }
+
+        const limits = await getUserLimits(user);
+        const kind = this.checkLimits(file, limits);
+
+        const scan = mediaService.scanFile(file.buffer, file.mimetype);
+        if (!scan.clean) {
+            logger.warn(`[ChatAttachmentService] Rejected upload from ${user.id} in chat ${chatId}: ${scan.reason}`);
+            throw createError(scan.reason, HTTP_STATUS.BAD_REQUEST, 'ATTACHMENT_REJECTED');
+        }
+
+        let stored;
+        try {
+            stored = await mediaService.saveChatAttachment(file, kind);
+        } catch (error) {
+            if (error.message === 'Image could not be processed') {
+                throw createError(error.message, HTTP_STATUS.BAD_REQUEST, 'ATTACHMENT_REJECTED');
+            }
+            throw error;
+        }
+
+        return ChatAttachment.create({
+            chat: chat._id,
+            uploader: user.id,
+            kind,
+            mimeType: file.mimetype,
+            originalName: (file.originalname || 'attachment').substring(0, 255),
+            ...stored
+        });
+    }
+
+    /**
+     * Message.file for an attachment
+     */
+    toFileData(attachment) {
+        return {
+            attachment: attachment._id,
+            ...attachment.getUrls(),
+            name: attachment.originalName,
+            size: attachment.size,
+            mimeType: attachment.mimeType,
+            width: attachment.width,
+            height: attachment.height
+        };
+    }
+
+    /**
+     * Bind an unsent upload to a message. Only the uploader can send it,
+     * only in the chat it was uploaded to, and only once.
+     */
+    async claim(attachmentId, chatId, senderId, messageId) {
+        if (!mongoose.Types.ObjectId.isValid(attachmentId)) {
+            throw createError('Invalid attachment ID', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const attachment = await ChatAttachment.findOneAndUpdate(
+            { _id: attachmentId, chat: chatId, uploader: senderId, status: ATTACHMENT_STATUS.PENDING },
+            { status: ATTACHMENT_STATUS.ATTACHED, message: messageId },
+            { new: true }
+        );
+        if (!attachment) {
+            throw createError('Attachment not found or already sent', HTTP_STATUS.BAD_REQUEST, 'ATTACHMENT_UNAVAILABLE');
+        }
+        return attachment;
+    }
+
+    /**
+     * Undo claim() when the message could not be created
+     */
+    async release(attachmentId) {
+        await ChatAttachment.updateOne(
+            { _id: attachmentId, status: ATTACHMENT_STATUS.ATTACHED },
+            { status: ATTACHMENT_STATUS.PENDING, message: null }
+        );
+    }
+
+    /**
+     * Copy a sent attachment into another chat for a forwarded message. The
+     * user must be able to see the original.
+     */
+    async copyToChat(attachmentId, targetChatId, user, messageId) {
+        const source = await ChatAttachment.findOne({ _id: attachmentId, status: ATTACHMENT_STATUS.ATTACHED });
+        if (!source) {
+            throw createError('Attachment not found', HTTP_STATUS.NOT_FOUND);
+        }
+        await this.findChatForUser(source.chat, user.id);
+
+        const files = await mediaService.copyChatAttachment(source);
+
+        return ChatAttachment.create({
+            chat: targetChatId,
+            uploader: user.id,
+            message: messageId,
+            kind: source.kind,
+            mimeType: source.mimeType,
+            originalName: source.originalName,
+            size: source.size,
+            width: source.width,
+            height: source.height,
+            status: ATTACHMENT_STATUS.ATTACHED,
+            ...files
+        });
+    }
+
+    /**
+     * Resolve a download for a chat participant. Unsent uploads are only
+     * visible to their uploader.
+     * @param {string} variant - 'original' or 'thumbnail'
+     * @returns {Promise<Object>} { path, mimeType, name, inline }
+     */
+    async getFile(chatId, attachmentId, user, variant = 'original') {
+        await this.findChatForUser(chatId, user.id);
+
+        const attachment = mongoose.Types.ObjectId.isValid(attachmentId)
+            ? await ChatAttachment.findOne({ _id: attachmentId, chat: chatId, status: { $ne: ATTACHMENT_STATUS.DELETED } })
+            : null;
+
+        const visible = attachment && (
+            attachment.status === ATTACHMENT_STATUS.ATTACHED || attachment.uploader.toString() === String(user.id)
+        );
+        if (!visible || (variant === 'thumbnail' && !attachment.thumbnailFilename)) {
+            throw createError('Attachment not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        if (variant === 'thumbnail') {
+            return {
+                path: mediaService.getChatAttachmentPath(attachment.thumbnailFilename),
+                mimeType: 'image/jpeg',
+                name: `thumbnail-${attachment.originalName}`,
+                inline: true
+            };
+        }
+
+        return {
+            path: mediaService.getChatAttachmentPath(attachment.filename),
+            mimeType: attachment.mimeType,
+            name: attachment.originalName,
+            inline: INLINE_KINDS.includes(attachment.kind)
+        };
+    }
+
+    /**
+     * Delete an attachment's files when its message is deleted
+     */
+    async removeAttachment(attachmentId) {
+        const attachment = await ChatAttachment.findOneAndUpdate(
+            { _id: attachmentId, status: { $ne: ATTACHMENT_STATUS.DELETED } },
+            { status: ATTACHMENT_STATUS.DELETED },
+            { new: true }
+        );
+        if (!attachment) return;
+
+        await mediaService.deleteChatAttachmentFiles([attachment.filename, attachment.thumbnailFilename]);
+    }
+
+    /**
+     * Delete every attachment of a chat (chat deleted)
+     * @returns {Promise<number>} Number of attachments removed
+     */
+    async removeForChat(chatId) {
+        const attachments = await ChatAttachment.find({ chat: chatId }).select('filename thumbnailFilename').lean();
+        if (attachments.length === 0) return 0;
+
+        await mediaService.deleteChatAttachmentFiles(
+            attachments.flatMap(attachment => [attachment.filename, attachment.thumbnailFilename])
+        );
+        await ChatAttachment.deleteMany({ chat: chatId });
+        return attachments.length;
+    }
+
+    /**
+     * Remove uploads that were never sent, and records of deleted ones
+     * @returns {Promise<Object>} { orphaned, purged }
+     */
+    async cleanup(maxAgeHours = ORPHAN_MAX_AGE_HOURS) {
+        const cutoff = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+
+        const orphans = await ChatAttachment.find({ status: ATTACHMENT_STATUS.PENDING, createdAt: { $lte: cutoff } })
+            .select('filename thumbnailFilename')
+            .lean();
+
+        if (orphans.length > 0) {
+            await mediaService.deleteChatAttachmentFiles(
+                orphans.flatMap(attachment => [attachment.filename, attachment.thumbnailFilename])
+            );
+            await ChatAttachment.deleteMany({ _id: { $in: orphans.map(attachment => attachment._id) } });
+        }
+
+        const purged = await ChatAttachment.deleteMany({ status: ATTACHMENT_STATUS.DELETED, updatedAt: { $lte: cutoff } });
+
+        return { orphaned: orphans.length, purged: purged.deletedCount };
+    }
+}
+
+module.exports = new ChatAttachmentService();
@@ -1,9 +1,19 @@
+const mongoose = require('mongoose');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const User = require('../models/User');
-const { CHAT_TYPES, CHAT_PERMISSIONS, ERROR_MESSAGES } = require('../constants');
+const { CHAT_TYPES, CHAT_PERMISSIONS, ERROR_MESSAGES, MESSAGE_STATUS } = require('../constants');
 const { sanitizeMessage } = require('../utils/sanitizer');
 const { emitChatMessageReceived } = require('../events/enhancedNotificationEvents');
+const chatAttachmentService = require('./chatAttachmentService');
+const threadService = require('./threadService');
+
+// Most message IDs accepted in one receipt update
+const MAX_RECEIPT_BATCH = 200;
+
+const toMessageIds = (messageIds) => (Array.isArray(messageIds) ? messageIds : [])
+  .filter(id => mongoose.Types.ObjectId.isValid(id))
+  .slice(0, MAX_RECEIPT_BATCH);
 
 class ChatService {
   async createPrivateChat(user1Id, user2Id, initialMessage = null) {
@@ -117,14 +127,26 @@ class ChatService {
     return chat;
   }
 
+  /**
+   * Send a message. Files must first be uploaded through
+   * POST /api/chats/:chatId/attachments and are referenced by attachmentId;
+   * the message type comes from the attachment.
+   * With threadId the message is posted as a thread reply: it stays out of
+   * the main timeline and only thread followers are notified.
+   */
   async sendMessage(chatId, senderId, content, options = {}) {
-    const { replyTo = null, type = 'text', fileData = null } = options;
+    const { replyTo = null, attachmentId = null, threadId = null } = options;
     const chat = await Chat.findById(chatId);
 
     if (!chat) {
       throw new Error('Chat not found');
     }
 
+    // Channel posts go through channelService (scheduling, subscriber notifications)
+    if (chat.type === CHAT_TYPES.CHANNEL) {
+      throw new Error('Use the channel posts API to post in channels');
+    }
+
     // Check if sender is participant and can send messages
     if (!chat.isParticipant(senderId)) {
       throw new Error('You are not a participant of this chat');
@@ -137,22 +159,28 @@ class ChatService {
     // SECURITY FIX: Sanitize message content to prevent XSS attacks
     const sanitizedContent = content ? sanitizeMessage(content, false) : '';
 
+    const threadRoot = threadId ? await threadService.resolveRoot(chat, threadId) : null;
+
+    const messageId = new mongoose.Types.ObjectId();
+
+    // Attach an uploaded file (only the uploader can send it, only once)
+    const attachment = attachmentId
+      ? await chatAttachmentService.claim(attachmentId, chat._id, senderId, messageId)
+      : null;
+    const type = attachment ? attachment.kind : 'text';
+
     // Create message with sanitized content
     const messageData = {
+      _id: messageId,
       chat: chatId,
       sender: senderId,
       content: sanitizedContent || (type !== 'text' ? `[${type}]` : ''),
       type: type,
+      recipientCount: chat.participants.length - 1,
     };
 
-    // Add file data if provided
-    if (fileData) {
-      messageData.file = {
-        url: fileData.url,
-        name: fileData.name,
-        size: fileData.size,
-        mimeType: fileData.mimeType
-      };
+    if (attachment) {
+      messageData.file = chatAttachmentService.toFileData(attachment);
     }
 
     // Add replyTo if provided
@@ -160,11 +188,26 @@ class ChatService {
       messageData.replyTo = replyTo;
     }
 
-    const message = await Message.create(messageData);
+    if (threadRoot) {
+      messageData.thread = threadRoot._id;
+    }
 
-    // Update chat's last message
-    chat.updateLastMessage(messageData.content, senderId);
-    await chat.save();
+    let message;
+    try {
+      message = await Chat.withSequence(chat._id, seq => Message.create({ ...messageData, seq, syncSeq: seq }));
+    } catch (error) {
+      if (attachment) await chatAttachmentService.release(attachment._id);
+      throw error;
+    }
+
+    // Thread replies update their root instead of the chat's last message
+    let updatedRoot = null;
+    if (threadRoot) {
+      updatedRoot = await threadService.recordReply(threadRoot, message);
+    } else {
+      chat.updateLastMessage(messageData.content, senderId);
+      await chat.save();
+    }
 
     // Populate sender info and replyTo message if exists
     await message.populate('sender', 'name email avatar');
@@ -181,12 +224,18 @@ class ChatService {
 
     // NOTIFICATION: Notify other participants
     const sender = await User.findById(senderId).select('name');
-    const recipientIds = chat.participants
+    let recipientIds = chat.participants
       .filter(p => p.user.toString() !== senderId.toString())
       .map(p => p.user);
 
+    if (updatedRoot) {
+      const followers = new Set(updatedRoot.threadFollowers.map(id => id.toString()));
+      recipientIds = recipientIds.filter(id => followers.has(id.toString()));
+    }
+
     emitChatMessageReceived({
       chatId: chat._id,
+      threadId: threadRoot ? threadRoot._id : null,
       senderId: senderId,
       senderName: sender.name,
       content: messageData.content,
@@ -198,7 +247,11 @@ class ChatService {
     return message;
   }
 
-  async getChatMessages(chatId, userId, { page = 1, limit = 50 }) {
+  /**
+   * Chat timeline, newest page first. Pass beforeSeq (the oldest seq the
+   * client has) instead of page to keep paging stable while new messages arrive.
+   */
+  async getChatMessages(chatId, userId, { page = 1, limit = 50, beforeSeq = null }) {
     const chat = await Chat.findById(chatId);
 
     if (!chat) {
@@ -209,19 +262,22 @@ class ChatService {
       throw new Error('You are not a participant of this chat');
     }
 
-    const skip = (page - 1) * limit;
-    const mongoose = require('mongoose');
+    const skip = beforeSeq ? 0 : (page - 1) * limit;
+    const match = {
+      chat: new mongoose.Types.ObjectId(chatId),
+      // Thread replies are loaded through GET /api/messages/:messageId/thread
+      thread: null,
+      deletedAt: null
+    };
+    if (beforeSeq) {
+      match.seq = { $lt: beforeSeq };
+    }
 
     // Use aggregation pipeline for reliable nested population
     const [messagesResult, totalResult] = await Promise.all([
       Message.aggregate([
-        {
-          $match: {
-            chat: new mongoose.Types.ObjectId(chatId),
-            deletedAt: null
-          }
-        },
-        { $sort: { createdAt: -1 } },
+        { $match: match },
+        { $sort: beforeSeq ? { seq: -1 } : { createdAt: -1 } },
         { $skip: skip },
         { $limit: limit },
         // Populate sender
@@ -344,16 +400,27 @@ class ChatService {
           $project: {
             reactionUsers: 0,
             replyToMessage: 0,
-            replyToSender: 0
+            replyToSender: 0,
+            threadFollowers: 0,
+            deliveredTo: 0
           }
         }
       ]),
-      Message.countDocuments({
-        chat: chatId,
-        deletedAt: null
-      })
+      Message.countDocuments(match)
     ]);
 
+    if (beforeSeq) {
+      return {
+        messages: messagesResult.reverse(),
+        pagination: {
+          limit,
+          hasMore: totalResult > limit,
+          // Pass as before= to load the next older page
+          nextBeforeSeq: messagesResult.length > 0 ? messagesResult[0].seq : null
+        }
+      };
+    }
+
     return {
       messages: messagesResult.reverse(), // Return in ascending order
       pagination: {
@@ -366,27 +433,153 @@ class ChatService {
     };
   }
 
-  async markMessagesAsRead(chatId, userId) {
+  /**
+   * Record that messages reached a recipient (acknowledged by their client)
+   * @param {string[]} messageIds - Messages the client received
+   * @returns {Promise<Object>} { marked, messages: [{ _id, sender, status }] }
+   */
+  async markMessagesAsDelivered(chatId, userId, messageIds) {
+    const ids = toMessageIds(messageIds);
+    if (ids.length === 0) {
+      return { marked: 0, messages: [] };
+    }
+
+    const pending = await Message.find({
+      _id: { $in: ids },
+      chat: chatId,
+      sender: { $ne: userId },
+      'deliveredTo.user': { $ne: userId }
+    }).select('_id');
+    if (pending.length === 0) {
+      return { marked: 0, messages: [] };
+    }
+
+    const pendingIds = pending.map(m => m._id);
+    await Message.updateMany(
+      { _id: { $in: pendingIds }, 'deliveredTo.user': { $ne: userId } },
+      { $push: { deliveredTo: { user: userId, deliveredAt: new Date() } } }
+    );
+
+    return { marked: pendingIds.length, messages: await this.refreshMessageStatus(pendingIds) };
+  }
+
+  /**
+   * Mark messages as read by a recipient. Without messageIds every unread
+   * message in the chat timeline (or in threadId's thread) is marked.
+   * Users who turned off settings.chat.readReceipts only record delivery.
+   * @returns {Promise<Object>} { marked, receiptsHidden, messages: [{ _id, sender, status }] }
+   */
+  async markMessagesAsRead(chatId, userId, { messageIds = null, threadId = null } = {}) {
+    const filter = { chat: chatId, sender: { $ne: userId } };
+    if (messageIds) {
+      filter._id = { $in: toMessageIds(messageIds) };
+    } else {
+      filter.thread = threadId || null;
+    }
+
+    const user = await User.findById(userId).select('settings.chat.readReceipts');
+    const receiptsHidden = user?.settings?.chat?.readReceipts === false;
+    const now = new Date();
+
+    // Reading a message implies it was delivered
+    const delivered = await Message.find({ ...filter, 'deliveredTo.user': { $ne: userId } }).select('_id');
+    if (delivered.length > 0) {
+      await Message.updateMany(
+        { _id: { $in: delivered.map(m => m._id) }, 'deliveredTo.user': { $ne: userId } },
+        { $push: { deliveredTo: { user: userId, deliveredAt: now } } }
+      );
+    }
+
+    if (receiptsHidden) {
+      return {
+        marked: 0,
+        receiptsHidden,
+        messages: await this.refreshMessageStatus(delivered.map(m => m._id))
+      };
+    }
+
     // PERFORMANCE FIX: Use bulk update instead of N+1 individual saves
-    // Old: 50 messages = 50 database calls
-    // New: 50 messages = 1 database call
-    const result = await Message.updateMany(
+    const unread = await Message.find({ ...filter, 'readBy.user': { $ne: userId } }).select('_id');
+    const unreadIds = unread.map(m => m._id);
+    if (unreadIds.length > 0) {
+      await Message.updateMany(
+        { _id: { $in: unreadIds }, 'readBy.user': { $ne: userId } },
+        { $push: { readBy: { user: userId, readAt: now } } }
+      );
+    }
+
+    const changedIds = [...new Set([...delivered, ...unread].map(m => m._id.toString()))];
+
+    return {
+      marked: unreadIds.length,
+      receiptsHidden,
+      messages: await this.refreshMessageStatus(changedIds)
+    };
+  }
+
+  /**
+   * Move messages to delivered/read once every recipient has acknowledged
+   * them. Messages from before per-recipient tracking count as one recipient.
+   * @returns {Promise<Array>} [{ _id, sender, status }]
+   */
+  async refreshMessageStatus(messageIds) {
+    if (messageIds.length === 0) return [];
+
+    const recipients = { $ifNull: ['$recipientCount', 1] };
+    await Message.updateMany(
       {
-        chat: chatId,
-        sender: { $ne: userId },
-        'readBy.user': { $ne: userId }
+        _id: { $in: messageIds },
+        status: { $ne: MESSAGE_STATUS.READ },
+        $expr: { $gte: [{ $size: { $ifNull: ['$readBy', []] } }, recipients] }
       },
+      { status: MESSAGE_STATUS.READ }
+    );
+    await Message.updateMany(
       {
-        $push: {
-          readBy: {
-            user: userId,
-            readAt: new Date()
-          }
-        }
-      }
+        _id: { $in: messageIds },
+        status: MESSAGE_STATUS.SENT,
+        $expr: { $gte: [{ $size: { $ifNull: ['$deliveredTo', []] } }, recipients] }
+      },
+      { status: MESSAGE_STATUS.DELIVERED }
     );
 
-    return { marked: result.modifiedCount };
+    return Message.find({ _id: { $in: messageIds } }).select('sender status').lean();
+  }
+
+  /**
+   * Per-recipient receipts for a message. Reads by users who turned off
+   * read receipts are reported as delivered. Pure function.
+   * @param {Object} message - Message with deliveredTo and readBy
+   * @param {Array} users - Recipients with name, avatar and settings.chat
+   * @param {number} recipientCount - Recipients when the message was sent
+   */
+  buildMessageReceipts(message, users, recipientCount) {
+    const usersById = new Map(users.map(u => [u._id.toString(), u]));
+    const profile = (id) => {
+      const user = usersById.get(id.toString());
+      return user ? { _id: user._id, name: user.name, avatar: user.avatar } : { _id: id };
+    };
+    const isHidden = (id) => usersById.get(id.toString())?.settings?.chat?.readReceipts === false;
+
+    const read = (message.readBy || []).filter(r => !isHidden(r.user));
+    const readIds = new Set(read.map(r => r.user.toString()));
+
+    const delivered = new Map();
+    (message.deliveredTo || []).forEach((d) => {
+      if (!readIds.has(d.user.toString())) delivered.set(d.user.toString(), d);
+    });
+    (message.readBy || []).filter(r => isHidden(r.user)).forEach((r) => {
+      if (!delivered.has(r.user.toString())) delivered.set(r.user.toString(), { user: r.user, deliveredAt: r.readAt });
+    });
+
+    return {
+      messageId: message._id,
+      status: message.status,
+      recipientCount,
+      read: read.map(r => ({ user: profile(r.user), readAt: r.readAt })),
+      delivered: [...delivered.values()].map(d => ({ user: profile(d.user), deliveredAt: d.deliveredAt })),
+      pending: Math.max(recipientCount - read.length - delivered.size, 0)
+    };
   }
 
   async addParticipant(chatId, adminId, newUserId) {
@@ -462,6 +655,7 @@ class ChatService {
     if (chat.participants.length === 0) {
       await Chat.findByIdAndDelete(chatId);
       await Message.deleteMany({ chat: chatId });
+      await chatAttachmentService.removeForChat(chatId);
       return { deleted: true };
     }
 
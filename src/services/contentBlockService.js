@@ -0,0 +1,295 @@
+const { sanitizeHTML, sanitizePlainText } = require('../utils/sanitizer');
+const marketDataService = require('./marketDataService');
+const { BLOCK_TYPES } = require('../models/Insight');
+
+const CALLOUT_VARIANTS = ['info', 'tip', 'warning', 'risk'];
+const CHART_INTERVALS = ['1h', '1d'];
+
+const LIMITS = {
+    blocks: 200,
+    text: 10000,
+    shortText: 300,
+    tableColumns: 12,
+    tableRows: 200,
+    cell: 500
+};
+
+// Remote https images or files served from our own uploads
+const IMAGE_URL_PATTERN = /^(https:\/\/[^\s"'<>]+|\/uploads\/[\w\-./]+)$/;
+
+const escapeHTML = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const decodeEntities = (value) => value
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&');
+
+const isText = (value, max) => typeof value === 'string' && value.trim().length > 0 && value.length <= max;
+const isOptionalText = (value, max) => value === undefined || value === null || (typeof value === 'string' && value.length <= max);
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const formatDate = (value) => new Date(value).toISOString().slice(0, 10);
+
+class ContentBlockService {
+    /**
+     * Validate and normalize a block list
+     * @param {Array} blocks - Raw blocks from the request body
+     * @returns {Object} { blocks, errors } - errors: [{ index, message }]
+     */
+    validateBlocks(blocks) {
+        if (!Array.isArray(blocks) || blocks.length === 0) {
+            return { blocks: [], errors: [{ index: null, message: 'Blocks must be a non-empty array' }] };
+        }
+        if (blocks.length > LIMITS.blocks) {
+            return { blocks: [], errors: [{ index: null, message: `At most ${LIMITS.blocks} blocks are allowed` }] };
+        }
+
+        const normalized = [];
+        const errors = [];
+
+        blocks.forEach((block, index) => {
+            const result = this.validateBlock(block || {});
+            if (result.error) {
+                errors.push({ index, message: result.error });
+            } else {
+                normalized.push(result.block);
+            }
+        });
+
+        return { blocks: errors.length > 0 ? [] : normalized, errors };
+    }
+
+    /**
+     * @returns {Object} { block } or { error }
+     */
+    validateBlock(block) {
+        switch (block.type) {
+            case BLOCK_TYPES.PARAGRAPH:
+                if (!isText(block.text, LIMITS.text)) return { error: `Paragraph text is required (max ${LIMITS.text} characters)` };
+                return { block: { type: block.type, text: block.text.trim() } };
+
+            case BLOCK_TYPES.HEADING: {
+                const level = block.level === undefined ? 2 : Number(block.level);
+                if (![2, 3, 4].includes(level)) return { error: 'Heading level must be 2, 3 or 4' };
+                if (!isText(block.text, LIMITS.shortText)) return { error: `Heading text is required (max ${LIMITS.shortText} characters)` };
+                return { block: { type: block.type, level, text: block.text.trim() } };
+            }
+
+            case BLOCK_TYPES.IMAGE:
+                if (typeof block.url !== 'string' || !IMAGE_URL_PATTERN.test(block.url)) {
+                    return { error: 'Image url must be an https:// or /uploads/ URL' };
+                }
+                if (!isOptionalText(block.alt, LIMITS.shortText) || !isOptionalText(block.caption, LIMITS.shortText)) {
+                    return { error: `Image alt and caption cannot exceed ${LIMITS.shortText} characters` };
+                }
+                return { block: { type: block.type, url: block.url, alt: block.alt || '', caption: block.caption || '' } };
+
+            case BLOCK_TYPES.TABLE:
+                return this.validateTable(block);
+
+            case BLOCK_TYPES.CHART:
+                return this.validateChart(block);
+
+            case BLOCK_TYPES.QUOTE: {
+                const record = marketDataService.resolveSymbol(block.symbol, block.exchange);
+                if (!record) return { error: `Unknown symbol: ${block.symbol}` };
+                if (!isOptionalText(block.note, LIMITS.shortText)) return { error: `Quote note cannot exceed ${LIMITS.shortText} characters` };
+                return { block: { type: block.type, symbol: record.symbol, exchange: record.exchange, note: block.note || '' } };
+            }
+
+            case BLOCK_TYPES.CALLOUT: {
+                const variant = block.variant || 'info';
+                if (!CALLOUT_VARIANTS.includes(variant)) return { error: `Callout variant must be one of: ${CALLOUT_VARIANTS.join(', ')}` };
+                if (!isText(block.text, LIMITS.text)) return { error: `Callout text is required (max ${LIMITS.text} characters)` };
+                if (!isOptionalText(block.title, LIMITS.shortText)) return { error: `Callout title cannot exceed ${LIMITS.shortText} characters` };
+                return { block: { type: block.type, variant, title: block.title || '', text: block.text.trim() } };
+            }
+
+            default:
+                return { error: `Unknown block type: ${block.type}` };
+        }
+    }
+
+    validateTable(block) {
+        const headers = block.headers || [];
+        const { rows } = block;
+
+        if (!Array.isArray(headers) || !Array.isArray(rows) || rows.length === 0) {
+            return { error: 'Table needs a non-empty rows array' };
+        }
+        if (rows.length > LIMITS.tableRows) {
+            return { error: `Table cannot exceed ${LIMITS.tableRows} rows` };
+        }
+
+        const columns = headers.length || (Array.isArray(rows[0]) ? rows[0].length : 0);
+        if (columns === 0 || columns > LIMITS.tableColumns) {
+            return { error: `Table must have 1-${LIMITS.tableColumns} columns` };
+        }
+
+        const isCell = (cell) => ['string', 'number'].includes(typeof cell) && String(cell).length <= LIMITS.cell;
+        if (!headers.every(isCell) || !rows.every(row => Array.isArray(row) && row.length === columns && row.every(isCell))) {
+            return { error: `Every table row must have ${columns} text/number cells (max ${LIMITS.cell} characters)` };
+        }
+        if (!isOptionalText(block.caption, LIMITS.shortText)) {
+            return { error: `Table caption cannot exceed ${LIMITS.shortText} characters` };
+        }
+
+        return {
+            block: {
+                type: block.type,
+                headers: headers.map(String),
+                rows: rows.map(row => row.map(String)),
+                caption: block.caption || ''
+            }
+        };
+    }
+
+    validateChart(block) {
+        const record = marketDataService.resolveSymbol(block.symbol, block.exchange);
+        if (!record) return { error: `Unknown symbol: ${block.symbol}` };
+
+        if (!isDate(block.from) || !isDate(block.to) || new Date(block.from) >= new Date(block.to)) {
+            return { error: 'Chart needs ISO dates with from before to' };
+        }
+
+        const interval = block.interval || '1d';
+        if (!CHART_INTERVALS.includes(interval)) {
+            return { error: `Chart interval must be one of: ${CHART_INTERVALS.join(', ')}` };
+        }
+        if (!isOptionalText(block.caption, LIMITS.shortText)) {
+            return { error: `Chart caption cannot exceed ${LIMITS.shortText} characters` };
+        }
+
+        return {
+            block: {
+                type: block.type,
+                symbol: record.symbol,
+                exchange: record.exchange,
+                from: new Date(block.from).toISOString(),
+                to: new Date(block.to).toISOString(),
+                interval,
+                caption: block.caption || ''
+            }
+        };
+    }
+
+    /**
+     * Render validated blocks to sanitized HTML. Charts and quote cards are
+     * placeholders carrying data-* attributes for the client to hydrate.
+     */
+    renderHTML(blocks = []) {
+        return blocks.map(block => {
+            switch (block.type) {
+                case BLOCK_TYPES.PARAGRAPH:
+                    return `<p>${sanitizeHTML(block.text, { allowHTML: true })}</p>`;
+
+                case BLOCK_TYPES.HEADING:
+                    return `<h${block.level}>${escapeHTML(block.text)}</h${block.level}>`;
+
+                case BLOCK_TYPES.IMAGE:
+                    return `<figure class="insight-image"><img src="${escapeHTML(block.url)}" alt="${escapeHTML(block.alt)}" loading="lazy">` +
+                        (block.caption ? `<figcaption>${escapeHTML(block.caption)}</figcaption>` : '') +
+                        '</figure>';
+
+                case BLOCK_TYPES.TABLE: {
+                    const head = block.headers.length > 0
+                        ? `<thead><tr>${block.headers.map(h => `<th>${escapeHTML(h)}</th>`).join('')}</tr></thead>`
+                        : '';
+                    const body = block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('');
+                    return '<table class="insight-table">' +
+                        (block.caption ? `<caption>${escapeHTML(block.caption)}</caption>` : '') +
+                        `${head}<tbody>${body}</tbody></table>`;
+                }
+
+                case BLOCK_TYPES.CHART:
+                    return `<figure class="insight-chart" data-symbol="${escapeHTML(block.symbol)}" data-exchange="${block.exchange}" ` +
+                        `data-from="${block.from}" data-to="${block.to}" data-interval="${block.interval}">` +
+                        `<figcaption>${escapeHTML(block.caption || this.chartLabel(block))}</figcaption></figure>`;
+
+                case BLOCK_TYPES.QUOTE:
+                    return `<div class="insight-quote-card" data-symbol="${escapeHTML(block.symbol)}" data-exchange="${block.exchange}">` +
+                        `<strong>${escapeHTML(block.symbol)}</strong> <span>${block.exchange}</span>` +
+                        (block.note ? `<p>${escapeHTML(block.note)}</p>` : '') +
+                        '</div>';
+
+                case BLOCK_TYPES.CALLOUT:
+                    return `<aside class="insight-callout insight-callout-${block.variant}">` +
+                        (block.title ? `<strong>${escapeHTML(block.title)}</strong>` : '') +
+                        `<p>${sanitizeHTML(block.text, { allowHTML: true })}</p></aside>`;
+
+                default:
+                    return '';
+            }
+        }).join('\n');
+    }
+
+    /**
+     * Render blocks to plain text (stored as Insight.content for excerpts, search and read time)
+     */
+    renderText(blocks = []) {
+        const plain = (value) => decodeEntities(sanitizePlainText(value)).trim();
+
+        return blocks.map(block => {
+            switch (block.type) {
+                case BLOCK_TYPES.PARAGRAPH:
+                    return plain(block.text);
+                case BLOCK_TYPES.HEADING:
+                    return block.text;
+                case BLOCK_TYPES.IMAGE:
+                    return block.caption || block.alt;
+                case BLOCK_TYPES.TABLE:
+                    return [block.caption, ...[block.headers, ...block.rows].filter(r => r.length > 0).map(r => r.join(' | '))]
+                        .filter(Boolean)
+                        .join('\n');
+                case BLOCK_TYPES.CHART:
+                    return block.caption ? `${block.caption} (${this.chartLabel(block)})` : this.chartLabel(block);
+                case BLOCK_TYPES.QUOTE:
+                    return [`${block.symbol} (${block.exchange})`, block.note].filter(Boolean).join(': ');
+                case BLOCK_TYPES.CALLOUT:
+                    return [block.title, plain(block.text)].filter(Boolean).join(': ');
+                default:
+                    return '';
+            }
+        }).filter(Boolean).join('\n\n');
+    }
+
+    chartLabel(block) {
+        return `${block.symbol} (${block.exchange}) price chart, ${formatDate(block.from)} to ${formatDate(block.to)}`;
+    }
+
+    /**
+     * Symbols referenced by chart and quote blocks
+     */
+    getSymbols(blocks = []) {
+        return blocks
+            .filter(block => block.type === BLOCK_TYPES.CHART || block.type === BLOCK_TYPES.QUOTE)
+            .map(block => ({ symbol: block.symbol, exchange: block.exchange }));
+    }
+
+    /**
+     * Validate blocks and derive the stored fields
+     * @returns {Object} { fields: { blocks, content, contentHtml }, errors }
+     */
+    build(rawBlocks) {
+        const { blocks, errors } = this.validateBlocks(rawBlocks);
+        if (errors.length > 0) return { errors };
+
+        return {
+            errors: [],
+            fields: {
+                blocks,
+                content: this.renderText(blocks),
+                contentHtml: this.renderHTML(blocks)
+            }
+        };
+    }
+}
+
+module.exports = new ContentBlockService();
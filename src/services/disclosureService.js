@@ -1,17 +1,26 @@
-const puppeteer = require('puppeteer-extra');
-const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const cron = require('node-cron');
 const Disclosure = require('../models/Disclosure');
 const logger = require('../utils/logger');
-
-puppeteer.use(StealthPlugin());
-
-const DFM_EN_LIST_URL = 'https://www.dfm.ae/the-exchange/news-disclosures/disclosures';
-const DFM_AR_LIST_URL = 'https://www.dfm.ae/ar/the-exchange/news-disclosures/disclosures';
-const ADX_DISCLOSURES_URL = 'https://www.adx.ae/English/Pages/DisclosuresAndAnnouncements.aspx';
-const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
-
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const marketDataService = require('./marketDataService');
+const { getProvider } = require('./marketProviders');
+const { emitDisclosurePublished } = require('../events/enhancedNotificationEvents');
+const { HTTP_STATUS } = require('../constants');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+// Words ignored when building an issuer acronym (Dubai Islamic Bank PJSC -> DIB)
+const ACRONYM_STOPWORDS = ['AND', 'OF', 'THE', 'PJSC', 'PSC', 'CO', 'COMPANY', 'LLC', 'P.J.S.C', 'P.J.S.C.'];
+const ARABIC_PATTERN = '[\u0600-\u06FF]';
+// Only alert on fresh filings; older ones are backfill (first run, exchange re-listing its archive)
+const ALERT_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const createError = (message, statusCode) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
 
 class DisclosureService {
     constructor() {
@@ -68,316 +77,262 @@ class DisclosureService {
             }
 
             logger.info(`[DisclosureService] Scrape Complete in ${Date.now() - startTime}ms. New: DFM(${dfmCount}) ADX(${adxCount})`);
+
+            await this.resolveMissingSymbols();
         } finally {
             this.isScraping = false;
         }
     }
 
     async scrapeDFM() {
-        let browser;
-        let newCount = 0;
-        try {
-            browser = await puppeteer.launch({
-                headless: 'new',
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-            const page = await browser.newPage();
-            await page.setUserAgent(USER_AGENT);
-            await page.setViewport({ width: 1280, height: 1000 });
-
-            // 1. Scrape Arabic List first (to get Arabic titles)
-            logger.info('[DFM] Scraping Arabic list...');
-            await page.goto(DFM_AR_LIST_URL, { waitUntil: 'networkidle2', timeout: 60000 });
-            await delay(5000);
-            const arItems = await this.extractDfmListItems(page);
-            logger.info(`[DFM] Found ${arItems.length} items in Arabic list.`);
-
-            // 2. Scrape English List
-            logger.info('[DFM] Scraping English list...');
-            await page.goto(DFM_EN_LIST_URL, { waitUntil: 'networkidle2', timeout: 60000 });
-            await delay(5000);
-            const enItems = await this.extractDfmListItems(page);
-            logger.info(`[DFM] Found ${enItems.length} items in English list.`);
-
-            // 3. Merge lists using the subtext (Company - Jan 21, 2026 20:44:59) as key
-            const mergedMap = new Map();
-
-            // Map Arabic titles by subtext
-            arItems.forEach(item => {
-                if (item.subtext) mergedMap.set(item.subtext, { titleAr: item.title });
-            });
-
-            // Merge with English items
-            const finalItems = enItems.map(enItem => {
-                const merged = mergedMap.get(enItem.subtext) || {};
-                return {
-                    ...enItem,
-                    titleEn: enItem.title,
-                    titleAr: merged.titleAr || enItem.title // Fallback to English title if Arabic not found
-                };
-            });
-
-            logger.info(`[DFM] Merged ${finalItems.length} items. Extracting PDFs for top items...`);
-
-            // Only fetch first 20 to avoid long wait times
-            const itemsToFetch = finalItems.slice(0, 20);
+        const disclosures = await getProvider('DFM').fetchDisclosures('DFM', {
+            limit: 20, // Detail pages are slow; only inspect the newest items
+            isKnown: (item) => this.isKnownDisclosure(item)
+        });
+        return this.saveDisclosures(disclosures);
+    }
 
-            for (const item of itemsToFetch) {
-                try {
-                    const date = this.parseDate(item.dateStr);
+    async scrapeADX() {
+        const disclosures = await getProvider('ADX').fetchDisclosures('ADX');
+        return this.saveDisclosures(disclosures);
+    }
 
-                    // Check if we already have this disclosure by URL (most reliable unique key for PDF dumps)
-                    const existingByUrl = await Disclosure.findOne({
-                        url: item.url || (item.pdfUrls && item.pdfUrls[0])
-                    });
+    /**
+     * Check whether a list item is already stored (by title + exchange + date),
+     * enriching the Arabic title if it was missing
+     */
+    async isKnownDisclosure(item) {
+        const existing = await Disclosure.findOne({
+            titleEn: item.titleEn,
+            exchange: item.exchange,
+            date: item.date
+        });
+        if (!existing) return false;
 
-                    if (existingByUrl) {
-                        // If it exists but might need enrichment (like Arabic title), update it
-                        if (!existingByUrl.titleAr && item.titleAr) {
-                            await Disclosure.updateOne({ _id: existingByUrl._id }, { $set: { titleAr: item.titleAr } });
-                        }
-                        continue;
-                    }
+        if (!existing.titleAr && item.titleAr) {
+            await Disclosure.updateOne({ _id: existing._id }, { $set: { titleAr: item.titleAr } });
+        }
+        return true;
+    }
 
-                    // Check by title + exchange + date as fallback
-                    const existingByTitle = await Disclosure.findOne({
-                        title: item.titleEn,
-                        exchange: 'DFM',
-                        date: date
-                    });
-
-                    if (existingByTitle) continue;
-
-                    // Navigate ONLY to English detail page to capture PDF URLs
-                    const pdfUrls = await this.extractDfmPdfUrls(page, item.detailUrl);
-
-                    if (pdfUrls.length > 0) {
-                        const primaryUrl = pdfUrls[0];
-                        await Disclosure.findOneAndUpdate(
-                            { url: primaryUrl }, // Use URL as unique key (prevents E11000)
-                            {
-                                title: item.titleAr,
-                                titleAr: item.titleAr,
-                                titleEn: item.titleEn,
-                                url: primaryUrl,
-                                pdfUrls: pdfUrls,
-                                date: date,
-                                exchange: 'DFM'
-                            },
-                            { upsert: true, new: true }
-                        );
-                        newCount++;
-                        logger.info(`[DFM] Saved/Updated: ${item.titleEn.substring(0, 50)}...`);
-                    }
-                } catch (e) {
-                    logger.debug(`[DFM] Error processing item: ${e.message}`);
+    /**
+     * Upsert provider results, using the primary PDF URL as the unique key
+     * @returns {Number} Count of saved disclosures
+     */
+    async saveDisclosures(disclosures) {
+        let savedCount = 0;
+        for (const item of disclosures) {
+            if (!item.url) continue;
+            try {
+                const update = {
+                    title: item.titleAr || item.title,
+                    titleAr: item.titleAr || item.title,
+                    titleEn: item.titleEn || item.title,
+                    url: item.url,
+                    pdfUrls: item.pdfUrls && item.pdfUrls.length > 0 ? item.pdfUrls : [item.url],
+                    date: item.date,
+                    exchange: item.exchange,
+                    company: item.company
+                };
+                // An unresolved symbol (e.g. cache not hydrated yet) must not clear a backfilled one
+                const symbol = item.symbol || this.resolveSymbol(item);
+                if (symbol) update.symbol = symbol;
+
+                const result = await Disclosure.findOneAndUpdate(
+                    { url: item.url }, // Use URL as unique key (prevents E11000)
+                    update,
+                    { upsert: true, new: true, includeResultMetadata: true }
+                );
+                savedCount++;
+                if (result.lastErrorObject && result.lastErrorObject.upserted) {
+                    this.notifyWatchers(result.value);
                 }
+                logger.info(`[${item.exchange}] Saved/Updated: ${(item.titleEn || item.title).substring(0, 50)}...`);
+            } catch (e) {
+                logger.debug(`[${item.exchange}] Error saving disclosure: ${e.message}`);
             }
-
-            await browser.close();
-            return newCount;
-        } catch (error) {
-            if (browser) await browser.close();
-            throw error;
         }
+        return savedCount;
     }
 
-    async extractDfmListItems(page) {
-        return await page.evaluate(() => {
-            const results = [];
-            // Target the disclosure links
-            const anchors = Array.from(document.querySelectorAll('a[href*="/disclosures/"]'));
-
-            anchors.forEach(a => {
-                const title = a.innerText?.trim();
-                const href = a.href;
-
-                // The subtext (Company - Time) is usually in a following span or text node
-                // Based on investigation, it's often in a sibling or parent sibling
-                const parent = a.parentElement;
-                const grandParent = parent?.parentElement;
-
-                // Find all text in the container excluding the title itself
-                let subtext = '';
-                if (grandParent) {
-                    const fullText = grandParent.innerText || '';
-                    subtext = fullText.replace(title, '').trim();
-                }
-
-                // Extract date string for parsing later
-                const dateMatch = subtext.match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{4})/) || subtext.match(/([a-zA-Z]{3} \d{1,2}, \d{4})/);
-                const dateStr = dateMatch ? dateMatch[0] : '';
-
-                if (title && href) {
-                    results.push({
-                        title,
-                        detailUrl: href,
-                        subtext, // This is our Merge Key
-                        dateStr
-                    });
-                }
-            });
-            return results;
+    /**
+     * Alert users watching the disclosure's symbol about a newly stored filing
+     * @returns {Boolean} Whether a notification was emitted
+     */
+    notifyWatchers(disclosure, now = new Date()) {
+        if (!disclosure || !disclosure.symbol) return false;
+        if (now - new Date(disclosure.date) > ALERT_MAX_AGE_MS) return false;
+
+        emitDisclosurePublished({
+            disclosureId: disclosure._id,
+            symbol: disclosure.symbol,
+            exchange: disclosure.exchange,
+            company: disclosure.company,
+            title: disclosure.titleEn || disclosure.title,
+            titleAr: disclosure.titleAr,
+            date: disclosure.date,
+            pdfUrl: disclosure.pdfUrls && disclosure.pdfUrls[0]
         });
+        return true;
     }
 
-    async extractDfmPdfUrls(page, detailUrl) {
-        try {
-            const pdfUrls = new Set();
+    /**
+     * Match a disclosure to a listed symbol on its exchange using the issuer name:
+     * a word that is itself a ticker (Emaar Properties -> EMAAR) or the issuer's
+     * acronym (Dubai Islamic Bank -> DIB).
+     * @returns {String|null} Full symbol (e.g. EMAAR.AE)
+     */
+    resolveSymbol(disclosure) {
+        const quotes = marketDataService.getByExchange(disclosure.exchange);
+        const source = disclosure.company || (disclosure.titleEn || disclosure.title || '').split(' - ')[0];
+        return this.matchSymbol(source, quotes);
+    }
 
-            // Set up request listener to capture PDF URLs
-            const requestHandler = (request) => {
-                const url = request.url();
-                if (url.includes('feeds.dfm.ae/documents') && url.includes('.pdf')) {
-                    pdfUrls.add(url);
-                }
-            };
+    matchSymbol(text, quotes) {
+        if (!text || !quotes || quotes.length === 0) return null;
 
-            page.on('request', requestHandler);
+        const byTicker = new Map(quotes.map(q => [(q.shortName || q.symbol.split('.')[0]).toUpperCase(), q.symbol]));
+        const words = text.toUpperCase().split(/[^A-Z0-9.]+/).filter(Boolean);
 
-            await page.goto(detailUrl, { waitUntil: 'networkidle2', timeout: 30000 });
-            await delay(2000);
+        for (const word of words) {
+            if (word.length >= 3 && byTicker.has(word)) return byTicker.get(word);
+        }
 
-            // Trigger downloads to capture URLs
-            await page.evaluate(() => {
-                const els = Array.from(document.querySelectorAll('button, a'));
-                els.forEach(el => {
-                    const text = el.innerText?.toLowerCase();
-                    if (text?.includes('download') || text?.includes('تحميل')) el.click();
-                });
-            });
-            await delay(1000);
+        const significant = words.filter(w => !ACRONYM_STOPWORDS.includes(w));
+        const acronyms = [significant, words]
+            .filter(list => list.length >= 2)
+            .map(list => list.map(w => w[0]).join(''));
 
-            page.off('request', requestHandler);
-            return Array.from(pdfUrls);
-        } catch (error) {
-            logger.debug(`[DFM] PDF extraction error: ${error.message}`);
-            return [];
+        for (const acronym of acronyms) {
+            if (byTicker.has(acronym)) return byTicker.get(acronym);
         }
+        return null;
     }
 
-    async scrapeADX() {
-        let browser;
-        let newCount = 0;
+    /**
+     * Backfill symbols on stored disclosures that could not be matched when scraped
+     * (e.g. the market cache was empty at the time). Each run takes the
+     * disclosures never tried, then the least recently tried, so unmatchable
+     * ones don't keep older disclosures from being reached.
+     */
+    async resolveMissingSymbols(batchSize = 500) {
         try {
-            browser = await puppeteer.launch({
-                headless: 'new',
-                args: ['--no-sandbox', '--disable-setuid-sandbox']
-            });
-            const page = await browser.newPage();
-            await page.setUserAgent(USER_AGENT);
-            await page.setViewport({ width: 1280, height: 1000 });
-
-            const adxUrls = [
-                'https://www.adx.ae/English/Pages/DisclosuresAndAnnouncements.aspx',
-                'https://www.adx.ae/market/news-corporate-disclosures'
-            ];
-
-            let disclosures = [];
-
-            for (const url of adxUrls) {
-                try {
-                    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
-                    await delay(5000);
-
-                    const items = await page.evaluate(() => {
-                        const results = [];
-                        const links = document.querySelectorAll('a[href*=".pdf"]');
-
-                        links.forEach(link => {
-                            const href = link.href;
-                            const title = link.innerText?.trim() || link.getAttribute('title') || '';
-                            if (!title || title.length < 3) return;
-
-                            let dateStr = '';
-                            let parent = link.parentElement;
-                            for (let i = 0; i < 5 && parent; i++) {
-                                const text = parent.innerText || '';
-                                const dateMatch = text.match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{4})/);
-                                if (dateMatch) {
-                                    dateStr = dateMatch[1];
-                                    break;
-                                }
-                                parent = parent.parentElement;
-                            }
-
-                            results.push({ title, url: href, dateStr });
-                        });
-                        return results;
-                    });
-
-                    if (items.length > 0) {
-                        disclosures = items;
-                        break;
+            const pending = await Disclosure.find({ symbol: null })
+                .sort({ symbolResolveAttemptedAt: 1, date: -1 })
+                .limit(batchSize)
+                .select('title titleEn company exchange')
+                .lean();
+
+            // Without quotes for an exchange nothing can match, so that isn't an attempt
+            const hasQuotes = new Map();
+            const quotesLoaded = (exchange) => {
+                if (!hasQuotes.has(exchange)) hasQuotes.set(exchange, marketDataService.getByExchange(exchange).length > 0);
+                return hasQuotes.get(exchange);
+            };
+
+            const now = new Date();
+            const ops = [];
+            let resolved = 0;
+            for (const disclosure of pending) {
+                if (!quotesLoaded(disclosure.exchange)) continue;
+
+                const symbol = this.resolveSymbol(disclosure);
+                if (symbol) resolved++;
+                ops.push({
+                    updateOne: {
+                        filter: { _id: disclosure._id },
+                        update: { $set: symbol ? { symbol } : { symbolResolveAttemptedAt: now } }
                     }
-                } catch (e) { }
+                });
             }
 
-            for (const item of disclosures) {
-                try {
-                    const date = this.parseDate(item.dateStr);
-                    let url = item.url;
-                    if (url.startsWith('/')) url = 'https://www.adx.ae' + url;
-
-                    await Disclosure.findOneAndUpdate(
-                        { url: url }, // Use URL as unique key
-                        {
-                            title: item.title,
-                            titleAr: item.title,
-                            titleEn: item.title,
-                            url: url,
-                            pdfUrls: [url],
-                            date: date,
-                            exchange: 'ADX'
-                        },
-                        { upsert: true, new: true }
-                    );
-                    newCount++;
-                } catch (e) { }
+            if (ops.length > 0) {
+                await Disclosure.bulkWrite(ops, { ordered: false });
             }
-
-            await browser.close();
-            return newCount;
+            if (resolved > 0) {
+                logger.info(`[DisclosureService] Resolved symbols for ${resolved}/${pending.length} disclosures`);
+            }
+            return resolved;
         } catch (error) {
-            if (browser) await browser.close();
-            throw error;
+            logger.error('[DisclosureService] Symbol resolution failed:', error.message);
+            return 0;
         }
     }
 
-    parseDate(dateStr) {
-        if (!dateStr) return new Date();
-        try {
-            // Priority 1: Month Day, Year (Jan 21, 2026)
-            const longDateMatch = dateStr.match(/([a-zA-Z]{3}) (\d{1,2}), (\d{4})/);
-            if (longDateMatch) {
-                const months = { 'Jan': 0, 'Feb': 1, 'Mar': 2, 'Apr': 3, 'May': 4, 'Jun': 5, 'Jul': 6, 'Aug': 7, 'Sep': 8, 'Oct': 9, 'Nov': 10, 'Dec': 11 };
-                const month = months[longDateMatch[1]];
-                const day = parseInt(longDateMatch[2], 10);
-                const year = parseInt(longDateMatch[3], 10);
-                return new Date(year, month, day);
-            }
+    encodeCursor(disclosure) {
+        return Buffer.from(`${new Date(disclosure.date).toISOString()}|${disclosure._id}`).toString('base64url');
+    }
 
-            // Priority 2: DD/MM/YYYY
-            const parts = dateStr.split(/[\/\-]/);
-            if (parts.length === 3) {
-                const day = parseInt(parts[0], 10);
-                const month = parseInt(parts[1], 10) - 1;
-                const year = parseInt(parts[2], 10);
-                const date = new Date(year, month, day);
-                if (!isNaN(date.getTime())) return date;
-            }
-        } catch (e) { }
-        return new Date();
+    decodeCursor(cursor) {
+        const [dateStr, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+        const date = new Date(dateStr);
+        if (isNaN(date.getTime()) || !/^[a-f0-9]{24}$/i.test(id || '')) {
+            throw createError('Invalid cursor', HTTP_STATUS.BAD_REQUEST);
+        }
+        return { date, id };
+    }
+
+    /**
+     * Build the Mongo conditions for disclosure search filters
+     * @param {Object} filters - { exchange, symbol, from, to, lang, q }
+     * @returns {Array} Conditions to be combined with $and
+     */
+    buildConditions({ exchange, symbol, from, to, lang, q } = {}) {
+        const conditions = [];
+
+        if (exchange) conditions.push({ exchange: exchange.toUpperCase() });
+        if (symbol) conditions.push({ symbol });
+
+        if (from || to) {
+            const date = {};
+            if (from) date.$gte = new Date(from);
+            if (to) date.$lte = new Date(to);
+            conditions.push({ date });
+        }
+
+        // Arabic titles fall back to the English text, so check the script itself
+        if (lang === 'ar') conditions.push({ titleAr: { $regex: ARABIC_PATTERN } });
+        if (lang === 'en') conditions.push({ titleEn: { $exists: true, $nin: [null, ''] } });
+
+        if (q) {
+            const pattern = { $regex: escapeRegex(q.trim()), $options: 'i' };
+            const fields = lang === 'ar' ? ['titleAr'] : lang === 'en' ? ['titleEn'] : ['title', 'titleEn', 'titleAr', 'company'];
+            conditions.push({ $or: fields.map(field => ({ [field]: pattern })) });
+        }
+
+        return conditions;
     }
 
-    async getDisclosures(filter = {}) {
-        const query = {};
-        if (filter && typeof filter === 'object' && filter.exchange) {
-            query.exchange = filter.exchange.toUpperCase();
-        } else if (filter && typeof filter === 'string') {
-            query.exchange = filter.toUpperCase();
+    /**
+     * Search disclosures, newest first, with cursor pagination
+     * @param {Object} filters - { exchange, symbol, from, to, lang, q }
+     * @param {Object} page - { cursor, limit }
+     * @returns {Object} { disclosures, nextCursor, hasMore }
+     */
+    async searchDisclosures(filters = {}, { cursor, limit } = {}) {
+        const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+        const conditions = this.buildConditions(filters);
+
+        if (cursor) {
+            const { date, id } = this.decodeCursor(cursor);
+            conditions.push({ $or: [{ date: { $lt: date } }, { date, _id: { $lt: id } }] });
         }
-        return Disclosure.find(query).sort({ date: -1 }).limit(100);
+
+        const query = conditions.length > 0 ? { $and: conditions } : {};
+
+        const results = await Disclosure.find(query)
+            .sort({ date: -1, _id: -1 })
+            .limit(pageSize + 1)
+            .lean();
+
+        const hasMore = results.length > pageSize;
+        const disclosures = hasMore ? results.slice(0, pageSize) : results;
+
+        return {
+            disclosures,
+            nextCursor: hasMore ? this.encodeCursor(disclosures[disclosures.length - 1]) : null,
+            hasMore
+        };
     }
 }
 
@@ -0,0 +1,413 @@
+const mongoose = require('mongoose');
+const Insight = require('../models/Insight');
+const InsightVersion = require('../models/InsightVersion');
+const ModerationQueue = require('../models/ModerationQueue');
+const ReviewComment = require('../models/ReviewComment');
+const User = require('../models/User');
+const AuditLogger = require('../utils/auditLogger');
+const {
+    emitReviewRequested,
+    emitReviewComment,
+    emitEditorialStatusChanged
+} = require('../events/enhancedNotificationEvents');
+const { HTTP_STATUS, AUDIT_ACTIONS, ROLES } = require('../constants');
+
+const { REVIEW_DECISIONS } = Insight;
+
+// Allowed status moves. Anything not listed is rejected.
+const TRANSITIONS = {
+    draft: ['under_review', 'archived'],
+    under_review: ['draft', 'published', 'scheduled', 'archived'],
+    scheduled: ['draft', 'published', 'archived'],
+    published: ['draft', 'archived'],
+    archived: ['draft']
+};
+
+// Leaving review for these needs enough approvals on the version under review
+const APPROVAL_GATED = ['published', 'scheduled'];
+
+// Text edits to these send the insight back to review
+const REVIEW_ON_EDIT = ['scheduled', 'published'];
+
+const DEFAULT_REQUIRED_APPROVALS = 1;
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+class EditorialService {
+    /**
+     * Approvals counted against the version currently under review. Pure function.
+     * @returns {Object} { version, approvals, required, changesRequested, approved }
+     */
+    getApprovalStatus(insight) {
+        const review = insight.review || {};
+        const reviewers = review.reviewers || [];
+        const current = reviewers.filter(r => review.version && r.version === review.version);
+        const required = review.requiredApprovals || DEFAULT_REQUIRED_APPROVALS;
+        const approvals = current.filter(r => r.decision === REVIEW_DECISIONS.APPROVED).length;
+
+        return {
+            version: review.version || null,
+            approvals,
+            required,
+            changesRequested: current.filter(r => r.decision === REVIEW_DECISIONS.CHANGES_REQUESTED).length,
+            approved: approvals >= required
+        };
+    }
+
+    /**
+     * Check a status change against the workflow rules. Pure function.
+     * @returns {string|null} Reason the move is not allowed, or null
+     */
+    checkTransition(insight, to) {
+        const from = insight.status;
+        if (!to || from === to) return null;
+
+        if (!(TRANSITIONS[from] || []).includes(to)) {
+            return `Cannot move an insight from ${from} to ${to}`;
+        }
+
+        if (from === 'under_review' && APPROVAL_GATED.includes(to)) {
+            const { version, approvals, required } = this.getApprovalStatus(insight);
+            if (approvals < required) {
+                return `Version ${version} needs ${required} approval(s) before it can be ${to} (has ${approvals})`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Status an edit leaves the insight in. Approvals cover the text of one
+     * version, so a revision can't be published or scheduled in the same
+     * request, and revising a scheduled or published insight sends it back
+     * to review. Pure function.
+     * @param {string} requested - Status asked for (the current one if none)
+     * @param {boolean} revised - Whether the title, body or excerpt changes
+     * @returns {Object} { status, error }
+     */
+    resolveEditStatus(insight, requested, revised) {
+        const from = insight.status;
+
+        if (revised && requested !== from && APPROVAL_GATED.includes(requested)) {
+            return { status: from, error: `Submit the revised text for review before it can be ${requested}` };
+        }
+        if (revised && requested === from && REVIEW_ON_EDIT.includes(from)) {
+            return { status: 'under_review', error: null };
+        }
+
+        return { status: requested, error: this.checkTransition(insight, requested) };
+    }
+
+    getAllowedTransitions(status) {
+        return TRANSITIONS[status] || [];
+    }
+
+    /**
+     * Audit action recorded for a status change
+     */
+    getTransitionAction(from, to) {
+        if (to === 'under_review') return AUDIT_ACTIONS.INSIGHT_SUBMITTED_FOR_REVIEW;
+        if (to === 'published') return AUDIT_ACTIONS.INSIGHT_PUBLISHED;
+        if (from === 'published') return AUDIT_ACTIONS.INSIGHT_UNPUBLISHED;
+        return AUDIT_ACTIONS.INSIGHT_STATUS_CHANGED;
+    }
+
+    /**
+     * Put a saved version up for review: on submission and on every revision
+     * made while under review. Earlier approvals stop counting because they
+     * were given on another version.
+     * @param {Object} insight - Insight document (status already under_review)
+     * @param {string} userId - Who submitted or revised
+     * @param {number} version - InsightVersion number to review
+     * @param {Object} options - { revision: true when revised while already under review }
+     */
+    async openReview(insight, userId, version, { revision = false } = {}) {
+        insight.set('review.version', version);
+        if (!insight.review.requiredApprovals) {
+            insight.set('review.requiredApprovals', DEFAULT_REQUIRED_APPROVALS);
+        }
+        if (!revision) {
+            insight.set('review.submittedBy', userId);
+            insight.set('review.submittedAt', new Date());
+        }
+        await insight.save();
+
+        await this.syncQueue(insight, 'pending', { submittedBy: userId });
+
+        for (const reviewer of insight.review.reviewers || []) {
+            if (String(reviewer.user) === String(userId)) continue;
+            emitReviewRequested({ userId: reviewer.user, insightId: insight._id, title: insight.title, version });
+        }
+    }
+
+    /**
+     * Assign admins as reviewers (skipping ones already assigned) and
+     * optionally change how many approvals are needed
+     * @returns {Promise<Array>} Newly assigned user IDs
+     */
+    async assignReviewers(insight, assignedBy, userIds = [], requiredApprovals) {
+        const ids = [...new Set(userIds.map(String))];
+        if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+            throw createError('Invalid reviewer ID', HTTP_STATUS.BAD_REQUEST);
+        }
+        if (ids.includes(String(insight.author))) {
+            throw createError('Authors cannot review their own insight', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const users = await User.find({
+            _id: { $in: ids },
+            role: { $in: [ROLES.ADMIN, ROLES.SUPERADMIN] },
+            isActive: true
+        }).select('_id');
+        if (users.length !== ids.length) {
+            throw createError('Reviewers must be active admins', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const assigned = new Set((insight.review?.reviewers || []).map(r => String(r.user)));
+        const added = ids.filter(id => !assigned.has(id));
+
+        if (!insight.review.reviewers) insight.set('review.reviewers', []);
+        for (const id of added) {
+            insight.review.reviewers.push({ user: id, assignedBy });
+        }
+        if (requiredApprovals !== undefined) {
+            insight.set('review.requiredApprovals', requiredApprovals);
+        }
+        await insight.save();
+
+        if (insight.status === 'under_review' && insight.review.version) {
+            for (const id of added) {
+                emitReviewRequested({ userId: id, insightId: insight._id, title: insight.title, version: insight.review.version });
+            }
+        }
+
+        return added;
+    }
+
+    async removeReviewer(insight, userId) {
+        const reviewers = insight.review?.reviewers || [];
+        const index = reviewers.findIndex(r => String(r.user) === String(userId));
+        if (index === -1) {
+            throw createError('Reviewer not assigned', HTTP_STATUS.NOT_FOUND);
+        }
+
+        reviewers.splice(index, 1);
+        await insight.save();
+    }
+
+    /**
+     * Record a reviewer's decision on the version under review (not saved)
+     * @returns {Object} Approval status after the decision
+     */
+    recordDecision(insight, reviewerId, decision, note) {
+        if (insight.status !== 'under_review') {
+            throw createError('Only insights under review can be approved or sent back', HTTP_STATUS.CONFLICT);
+        }
+
+        const reviewer = (insight.review?.reviewers || []).find(r => String(r.user) === String(reviewerId));
+        if (!reviewer) {
+            throw createError('Only assigned reviewers can review this insight', HTTP_STATUS.FORBIDDEN);
+        }
+
+        reviewer.decision = decision;
+        reviewer.version = insight.review.version;
+        reviewer.note = note;
+        reviewer.decidedAt = new Date();
+
+        return this.getApprovalStatus(insight);
+    }
+
+    /**
+     * Mirror the review outcome on the moderation queue entry
+     */
+    async syncQueue(insight, status, fields = {}) {
+        await ModerationQueue.findOneAndUpdate(
+            { contentId: insight._id, contentType: 'insight' },
+            { $set: { status, ...fields }, $setOnInsert: { contentModel: 'Insight' } },
+            { upsert: true }
+        );
+    }
+
+    /**
+     * Audit-log and notify a status change that has already been saved
+     * @param {Object} req - Express request of the admin making the change
+     * @param {Object} options - { note, notifyAuthor: false when the author already gets a review decision }
+     */
+    async recordTransition(req, insight, from, { note, notifyAuthor = true } = {}) {
+        const to = insight.status;
+        if (from === to) return;
+
+        await AuditLogger.logFromRequest(req, {
+            action: this.getTransitionAction(from, to),
+            target: {
+                resourceType: 'Insight',
+                resourceId: insight._id,
+                resourceName: insight.title
+            },
+            changes: {
+                before: { status: from },
+                after: { status: to, reviewVersion: insight.review?.version }
+            },
+            metadata: {
+                severity: 'medium',
+                notes: note
+            }
+        });
+
+        this.notifyTransition(insight, { from, to, actorId: req.user.id, note, notifyAuthor });
+    }
+
+    /**
+     * Tell the author and assigned reviewers (other than whoever made the
+     * change) that the insight moved. Submissions notify reviewers through
+     * openReview instead.
+     */
+    notifyTransition(insight, { from, to, actorId, note, notifyAuthor = true }) {
+        const recipients = new Set(notifyAuthor ? [String(insight.author)] : []);
+        if (to !== 'under_review') {
+            for (const reviewer of insight.review?.reviewers || []) recipients.add(String(reviewer.user));
+        }
+        recipients.delete(String(actorId));
+
+        for (const userId of recipients) {
+            emitEditorialStatusChanged({ userId, insightId: insight._id, title: insight.title, from, to, note });
+        }
+    }
+
+    /**
+     * Add an inline comment to a version of the insight. Defaults to the
+     * version under review, or the latest version outside of review.
+     */
+    async addComment(insight, user, { body, version, anchor }) {
+        let target = version || insight.review?.version;
+        if (!target) {
+            const latest = await InsightVersion.findOne({ insightId: insight._id }).sort({ version: -1 }).select('version');
+            target = latest && latest.version;
+        }
+
+        const exists = target && await InsightVersion.exists({ insightId: insight._id, version: target });
+        if (!exists) {
+            throw createError(version ? `Version ${version} not found` : 'Insight has no saved versions', HTTP_STATUS.NOT_FOUND);
+        }
+
+        if (anchor && anchor.start !== undefined && anchor.end !== undefined && anchor.end < anchor.start) {
+            throw createError('Anchor end must not be before start', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const comment = await ReviewComment.create({
+            insight: insight._id,
+            version: target,
+            author: user.id,
+            body,
+            anchor
+        });
+
+        if (String(insight.author) !== String(user.id)) {
+            emitReviewComment({
+                userId: insight.author,
+                insightId: insight._id,
+                title: insight.title,
+                version: target,
+                comment: body.length > 140 ? `${body.slice(0, 137)}...` : body
+            });
+        }
+
+        return comment;
+    }
+
+    async setCommentResolved(insightId, commentId, user, resolved = true) {
+        const comment = await ReviewComment.findOne({ _id: commentId, insight: insightId });
+        if (!comment) {
+            throw createError('Comment not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        comment.resolved = resolved;
+        comment.resolvedBy = resolved ? user.id : undefined;
+        comment.resolvedAt = resolved ? new Date() : undefined;
+        await comment.save();
+
+        return comment;
+    }
+
+    /**
+     * Review state of an insight with reviewers, approvals and comments
+     * @param {Object} options - { version } to only return comments on one version
+     */
+    async getReview(insightId, { version } = {}) {
+        const insight = await Insight.findOne({ _id: insightId, isDeleted: false })
+            .select('title status author review')
+            .populate('review.reviewers.user', 'name email')
+            .populate('author', 'name email')
+            .lean();
+        if (!insight) {
+            throw createError('Insight not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const commentQuery = { insight: insightId };
+        if (version) commentQuery.version = version;
+
+        const [comments, versions] = await Promise.all([
+            ReviewComment.find(commentQuery)
+                .populate('author', 'name')
+                .sort({ version: 1, createdAt: 1 })
+                .lean(),
+            InsightVersion.find({ insightId })
+                .select('version changeDescription author createdAt')
+                .sort({ version: -1 })
+                .limit(20)
+                .lean()
+        ]);
+
+        const review = insight.review || {};
+        return {
+            insight: { id: insight._id.toString(), title: insight.title, status: insight.status, author: insight.author },
+            review: {
+                submittedAt: review.submittedAt || null,
+                reviewers: (review.reviewers || []).map(r => ({
+                    ...r,
+                    current: Boolean(review.version) && r.version === review.version
+                })),
+                ...this.getApprovalStatus(insight)
+            },
+            allowedTransitions: this.getAllowedTransitions(insight.status),
+            comments,
+            versions
+        };
+    }
+
+    /**
+     * Insights under review that are waiting on this reviewer's decision
+     */
+    async getPendingReviews(userId) {
+        const insights = await Insight.find({
+            status: 'under_review',
+            isDeleted: false,
+            'review.reviewers.user': userId
+        })
+            .select('title author review updatedAt')
+            .populate('author', 'name')
+            .sort({ 'review.submittedAt': 1 })
+            .lean();
+
+        return insights
+            .filter(insight => {
+                const mine = insight.review.reviewers.find(r => String(r.user) === String(userId));
+                return mine.version !== insight.review.version || mine.decision === REVIEW_DECISIONS.PENDING;
+            })
+            .map(insight => ({
+                id: insight._id.toString(),
+                title: insight.title,
+                author: insight.author,
+                version: insight.review.version,
+                submittedAt: insight.review.submittedAt,
+                ...this.getApprovalStatus(insight)
+            }));
+    }
+}
+
+module.exports = new EditorialService();
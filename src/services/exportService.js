@@ -9,6 +9,8 @@ const { Parser } = require('json2csv');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const candleService = require('./candleService');
+const { BLOCK_TYPES } = require('../models/Insight');
 
 const XLSX = require('xlsx');
 
@@ -33,8 +35,12 @@ class ExportService {
 
   /**
    * Export insight to PDF
+   * Block-based insights are laid out block by block, with price charts drawn from candle history.
    */
   async exportInsightToPDF(insight) {
+    const blocks = insight.blocks || [];
+    const chartData = await this.loadChartData(blocks);
+
     return new Promise((resolve, reject) => {
       try {
         const timestamp = Date.now();
@@ -72,9 +78,13 @@ class ExportService {
         }
 
         // Content
-        doc.fontSize(11).fillColor('#000').font('Helvetica');
-        const cleanContent = insight.content.replace(/<[^>]*>/g, ''); // Remove HTML tags
-        doc.text(cleanContent, { align: 'justify' });
+        if (blocks.length > 0) {
+          this.writeBlocks(doc, blocks, chartData);
+        } else {
+          doc.fontSize(11).fillColor('#000').font('Helvetica');
+          const cleanContent = insight.content.replace(/<[^>]*>/g, ''); // Remove HTML tags
+          doc.text(cleanContent, { align: 'justify' });
+        }
 
         // Footer
         doc.moveDown(2);
@@ -95,6 +105,132 @@ class ExportService {
     });
   }
 
+  /**
+   * Fetch closing prices for every chart block (index -> points)
+   */
+  async loadChartData(blocks) {
+    const chartData = new Map();
+
+    for (const [index, block] of blocks.entries()) {
+      if (block.type !== BLOCK_TYPES.CHART) continue;
+      try {
+        const history = await candleService.getHistory(block.symbol, block.interval, { from: block.from, to: block.to });
+        chartData.set(index, history.points.filter(p => p.close > 0));
+      } catch (error) {
+        logger.warn(`[ExportService] Chart data unavailable for ${block.symbol}:`, error.message);
+      }
+    }
+
+    return chartData;
+  }
+
+  /**
+   * Lay out content blocks (see contentBlockService for the block shapes)
+   */
+  writeBlocks(doc, blocks, chartData) {
+    const plain = (text) => text.replace(/<[^>]*>/g, '');
+    const body = () => doc.fontSize(11).fillColor('#000').font('Helvetica');
+
+    blocks.forEach((block, index) => {
+      switch (block.type) {
+        case BLOCK_TYPES.HEADING:
+          doc.fontSize({ 2: 16, 3: 14, 4: 12 }[block.level] || 14).fillColor('#000').font('Helvetica-Bold');
+          doc.text(block.text);
+          break;
+
+        case BLOCK_TYPES.PARAGRAPH:
+          body();
+          doc.text(plain(block.text), { align: 'justify' });
+          break;
+
+        case BLOCK_TYPES.IMAGE:
+          // Remote images are not fetched; keep the caption so the reader knows something was there
+          doc.fontSize(9).fillColor('#666').font('Helvetica-Oblique');
+          doc.text(`[Image${block.caption || block.alt ? `: ${block.caption || block.alt}` : ''}]`, { align: 'center' });
+          break;
+
+        case BLOCK_TYPES.TABLE:
+          this.writeTable(doc, block);
+          break;
+
+        case BLOCK_TYPES.CHART:
+          this.writeChart(doc, block, chartData.get(index) || []);
+          break;
+
+        case BLOCK_TYPES.QUOTE:
+          doc.fontSize(11).fillColor('#000').font('Helvetica-Bold');
+          doc.text(`${block.symbol} (${block.exchange})`, { continued: Boolean(block.note) });
+          if (block.note) doc.font('Helvetica').text(`  ${block.note}`);
+          break;
+
+        case BLOCK_TYPES.CALLOUT:
+          doc.fontSize(10).fillColor(block.variant === 'risk' || block.variant === 'warning' ? '#b45309' : '#1d4ed8');
+          if (block.title) doc.font('Helvetica-Bold').text(block.title);
+          doc.font('Helvetica').text(plain(block.text), { indent: 10 });
+          break;
+
+        default:
+          break;
+      }
+      doc.moveDown();
+    });
+  }
+
+  writeTable(doc, block) {
+    const left = 50;
+    const width = 500;
+    const columnWidth = width / (block.headers.length || block.rows[0].length);
+
+    if (block.caption) {
+      doc.fontSize(10).fillColor('#666').font('Helvetica-Oblique').text(block.caption);
+    }
+
+    const writeRow = (cells, bold) => {
+      doc.fontSize(9).fillColor('#000').font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      const top = doc.y;
+      let bottom = top;
+      cells.forEach((cell, i) => {
+        doc.text(cell, left + i * columnWidth, top, { width: columnWidth - 6 });
+        bottom = Math.max(bottom, doc.y);
+      });
+      doc.x = left;
+      doc.y = bottom + 4;
+    };
+
+    if (block.headers.length > 0) writeRow(block.headers, true);
+    block.rows.forEach(row => writeRow(row, false));
+  }
+
+  writeChart(doc, block, points) {
+    const label = `${block.symbol} (${block.exchange}) ${block.from.slice(0, 10)} to ${block.to.slice(0, 10)}`;
+    doc.fontSize(10).fillColor('#000').font('Helvetica-Bold').text(block.caption || label);
+
+    if (points.length < 2) {
+      doc.fontSize(9).fillColor('#666').font('Helvetica-Oblique').text('Price data not available for this period');
+      return;
+    }
+
+    const left = 50;
+    const width = 500;
+    const height = 120;
+    const top = doc.y + 5;
+    const closes = points.map(p => p.close);
+    const min = Math.min(...closes);
+    const range = Math.max(...closes) - min || 1;
+    const x = (i) => left + (i / (points.length - 1)) * width;
+    const y = (close) => top + height - ((close - min) / range) * height;
+
+    doc.strokeColor('#cccccc').lineWidth(0.5).rect(left, top, width, height).stroke();
+    doc.strokeColor(closes[closes.length - 1] >= closes[0] ? '#15803d' : '#b91c1c').lineWidth(1.2);
+    doc.moveTo(x(0), y(closes[0]));
+    closes.forEach((close, i) => doc.lineTo(x(i), y(close)));
+    doc.stroke();
+
+    doc.fontSize(8).fillColor('#666').font('Helvetica');
+    doc.text(`High ${Math.max(...closes).toFixed(2)}  Low ${min.toFixed(2)}  Last ${closes[closes.length - 1].toFixed(2)}`, left, top + height + 4);
+    doc.x = left;
+  }
+
   /**
    * Export analytics to CSV
    */
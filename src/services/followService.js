@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const Follow = require('../models/Follow');
+const Insight = require('../models/Insight');
+const User = require('../models/User');
+const Series = require('../models/Series');
+const NotificationPreference = require('../models/NotificationPreference');
+const emailService = require('./emailService');
+const { emitNewFollower } = require('../events/enhancedNotificationEvents');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../constants');
+
+const { FOLLOW_TYPES } = Follow;
+const INSIGHT_CATEGORIES = Insight.schema.path('category').enumValues;
+
+// Feed candidates: recent insights from followed sources, ranked in memory
+const FEED_WINDOW_DAYS = 30;
+const FEED_MAX_CANDIDATES = 300;
+// Relevance weights per matched source
+const FEED_WEIGHTS = { author: 3, category: 1, tag: 0.5, maxTags: 3 };
+const FEED_FIELDS = '-content -moderationNotes -moderatedBy -moderatedAt -deletedBy -deletedAt';
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+class FollowService {
+    /**
+     * Validate a follow target and return the stored form
+     * @returns {Promise<Object>} { target, author?, series? }
+     */
+    async resolveTarget(user, type, target) {
+        const value = String(target || '').trim();
+
+        if (type === FOLLOW_TYPES.AUTHOR) {
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                throw createError('Invalid author ID', HTTP_STATUS.BAD_REQUEST);
+            }
+            if (value === String(user.id)) {
+                throw createError('You cannot follow yourself', HTTP_STATUS.BAD_REQUEST);
+            }
+            const author = await User.findOne({ _id: value, isActive: true }).select('name email');
+            if (!author) {
+                throw createError('Author not found', HTTP_STATUS.NOT_FOUND);
+            }
+            return { target: author._id.toString(), author };
+        }
+
+        if (type === FOLLOW_TYPES.CATEGORY) {
+            if (!INSIGHT_CATEGORIES.includes(value)) {
+                throw createError('Invalid category', HTTP_STATUS.BAD_REQUEST);
+            }
+            return { target: value };
+        }
+
+        if (type === FOLLOW_TYPES.TAG) {
+            if (!value || value.length > 50) {
+                throw createError('Tag must be 1-50 characters', HTTP_STATUS.BAD_REQUEST);
+            }
+            return { target: value.toLowerCase() };
+        }
+
+        if (type === FOLLOW_TYPES.SERIES) {
+            if (!mongoose.Types.ObjectId.isValid(value)) {
+                throw createError('Invalid series ID', HTTP_STATUS.BAD_REQUEST);
+            }
+            const series = await Series.findById(value).select('title');
+            if (!series) {
+                throw createError('Series not found', HTTP_STATUS.NOT_FOUND);
+            }
+            return { target: series._id.toString(), series };
+        }
+
+        throw createError('Invalid follow type', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    async follow(user, { type, target }) {
+        const resolved = await this.resolveTarget(user, type, target);
+
+        const onInsert = {};
+        if (resolved.author) onInsert.author = resolved.author._id;
+        if (resolved.series) onInsert.series = resolved.series._id;
+
+        // Upsert so two concurrent follows can't both try to insert
+        const result = await Follow.findOneAndUpdate(
+            { follower: user.id, targetType: type, target: resolved.target },
+            { $setOnInsert: onInsert },
+            { upsert: true, new: true, includeResultMetadata: true }
+        );
+        const follow = result.value;
+        if (result.lastErrorObject && result.lastErrorObject.updatedExisting) {
+            return { follow, created: false };
+        }
+
+        if (resolved.author) {
+            this.notifyAuthor(resolved.author, user).catch(error => {
+                logger.error('[FollowService] Follower notification failed:', error.message);
+            });
+        }
+
+        return { follow, created: true };
+    }
+
+    async unfollow(user, type, target) {
+        const value = type === FOLLOW_TYPES.TAG ? String(target).trim().toLowerCase() : String(target).trim();
+        const result = await Follow.deleteOne({ follower: user.id, targetType: type, target: value });
+        if (result.deletedCount === 0) {
+            throw createError('Follow not found', HTTP_STATUS.NOT_FOUND);
+        }
+    }
+
+    /**
+     * Tell an author about a new follower: in-app/push through the notification
+     * pipeline, email through the newFollower template when they opted in.
+     */
+    async notifyAuthor(author, follower) {
+        const followerUser = await User.findById(follower.id).select('name');
+        if (!followerUser) return;
+
+        emitNewFollower({
+            userId: author._id,
+            followerId: followerUser._id,
+            followerName: followerUser.name
+        });
+
+        const preferences = await NotificationPreference.getOrCreateForUser(author._id);
+        if (preferences.isEnabled('engagement', 'followers', 'email')) {
+            await emailService.sendFollowNotification(author, followerUser);
+        }
+    }
+
+    /**
+     * The user's follows grouped by type
+     */
+    async getFollows(user) {
+        const follows = await Follow.find({ follower: user.id })
+            .sort({ createdAt: -1 })
+            .populate('author', 'name avatar')
+            .populate('series', 'title slug coverImage');
+
+        const grouped = { authors: [], categories: [], tags: [], series: [] };
+        for (const follow of follows) {
+            if (follow.targetType === FOLLOW_TYPES.AUTHOR) {
+                if (!follow.author) continue; // Deleted account
+                grouped.authors.push({
+                    id: follow.author._id.toString(),
+                    name: follow.author.name,
+                    avatar: follow.author.avatar,
+                    followedAt: follow.createdAt
+                });
+            } else if (follow.targetType === FOLLOW_TYPES.SERIES) {
+                if (!follow.series) continue; // Deleted series
+                grouped.series.push({
+                    id: follow.series._id.toString(),
+                    title: follow.series.title,
+                    slug: follow.series.slug,
+                    coverImage: follow.series.coverImage,
+                    followedAt: follow.createdAt
+                });
+            } else {
+                const key = follow.targetType === FOLLOW_TYPES.CATEGORY ? 'categories' : 'tags';
+                grouped[key].push({ name: follow.target, followedAt: follow.createdAt });
+            }
+        }
+        return grouped;
+    }
+
+    async getFollowerCount(type, target) {
+        return Follow.countDocuments({ targetType: type, target: String(target) });
+    }
+
+    /**
+     * Users following an insight's author, category or any of its tags
+     * @returns {Promise<Array>} Follower user IDs (deduplicated)
+     */
+    async getFollowerIds({ author, category, tags = [] }) {
+        const conditions = [];
+        if (author) conditions.push({ targetType: FOLLOW_TYPES.AUTHOR, target: String(author) });
+        if (category) conditions.push({ targetType: FOLLOW_TYPES.CATEGORY, target: category });
+        if (tags.length > 0) conditions.push({ targetType: FOLLOW_TYPES.TAG, target: { $in: tags } });
+        if (conditions.length === 0) return [];
+
+        return Follow.distinct('follower', { $or: conditions });
+    }
+
+    async getSeriesFollowerIds(seriesId) {
+        return Follow.distinct('follower', { targetType: FOLLOW_TYPES.SERIES, target: String(seriesId) });
+    }
+
+    async getFollowedSources(userId) {
+        const follows = await Follow.find({ follower: userId }).select('targetType target').lean();
+        const sources = { authors: new Set(), categories: new Set(), tags: new Set() };
+
+        for (const follow of follows) {
+            if (follow.targetType === FOLLOW_TYPES.AUTHOR) sources.authors.add(follow.target);
+            if (follow.targetType === FOLLOW_TYPES.CATEGORY) sources.categories.add(follow.target);
+            if (follow.targetType === FOLLOW_TYPES.TAG) sources.tags.add(follow.target);
+        }
+        return sources;
+    }
+
+    /**
+     * Feed score: how closely the insight matches the user's follows plus a
+     * small engagement boost, decayed by age (half weight after ~2 days).
+     * Pure function.
+     */
+    scoreInsight(insight, sources, now = new Date()) {
+        const authorId = insight.author && insight.author._id ? insight.author._id : insight.author;
+        const matchedTags = (insight.tags || []).filter(tag => sources.tags.has(tag)).length;
+
+        const relevance =
+            (sources.authors.has(String(authorId)) ? FEED_WEIGHTS.author : 0) +
+            (sources.categories.has(insight.category) ? FEED_WEIGHTS.category : 0) +
+            Math.min(matchedTags, FEED_WEIGHTS.maxTags) * FEED_WEIGHTS.tag;
+
+        const engagement = Math.log10(1 + (insight.views || 0) + 3 * (insight.bookmarksCount || 0)) / 2;
+        const ageHours = Math.max(0, (now - new Date(insight.publishedAt)) / (60 * 60 * 1000));
+
+        return (relevance + engagement) / Math.pow(1 + ageHours / 48, 1.5);
+    }
+
+    /**
+     * Published insights from followed authors, categories and tags, best first.
+     * Users who follow nothing get the latest insights instead (personalized: false).
+     * @param {Object} user - req.user
+     * @param {Object} options - { skip, limit, includePremium }
+     * @returns {Promise<Object>} { insights, total, personalized }
+     */
+    async getFeed(user, { skip = 0, limit = 20, includePremium = false } = {}) {
+        const sources = await this.getFollowedSources(user.id);
+        const personalized = sources.authors.size + sources.categories.size + sources.tags.size > 0;
+
+        const query = { status: 'published', isDeleted: false };
+        if (!includePremium) query.type = 'free';
+
+        if (!personalized) {
+            const [insights, total] = await Promise.all([
+                Insight.find(query)
+                    .select(FEED_FIELDS)
+                    .populate('author', 'name avatar')
+                    .sort({ publishedAt: -1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .lean(),
+                Insight.countDocuments(query)
+            ]);
+            return { insights: insights.map(insight => ({ ...insight, id: insight._id.toString() })), total, personalized };
+        }
+
+        query.publishedAt = { $gte: new Date(Date.now() - FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000) };
+        query.$or = [
+            { author: { $in: Array.from(sources.authors) } },
+            { category: { $in: Array.from(sources.categories) } },
+            { tags: { $in: Array.from(sources.tags) } }
+        ];
+
+        const candidates = await Insight.find(query)
+            .select(FEED_FIELDS)
+            .populate('author', 'name avatar')
+            .sort({ publishedAt: -1 })
+            .limit(FEED_MAX_CANDIDATES)
+            .lean();
+
+        const now = new Date();
+        const ranked = candidates
+            .map(insight => ({ ...insight, id: insight._id.toString(), feedScore: this.scoreInsight(insight, sources, now) }))
+            .sort((a, b) => b.feedScore - a.feedScore);
+
+        return { insights: ranked.slice(skip, skip + limit), total: ranked.length, personalized };
+    }
+}
+
+module.exports = new FollowService();
@@ -5,6 +5,7 @@
  */
 
 const logger = require('../utils/logger');
+const { TRANSLATION_STATUS } = require('../models/Insight');
 
 class I18nService {
   constructor() {
@@ -154,27 +155,55 @@ class I18nService {
     return language === 'ar';
   }
 
+  /**
+   * Translations that can be served (anything not marked missing that has text)
+   */
+  getAvailableLanguages(insight) {
+    const source = insight.language || this.defaultLanguage;
+    const translations = insight.translations || {};
+
+    return this.supportedLanguages.filter(lang => {
+      if (lang === source) return true;
+      const translation = translations[lang];
+      return Boolean(translation && translation.status !== TRANSLATION_STATUS.MISSING && translation.title && translation.content);
+    });
+  }
+
   /**
    * Get localized content for insight
+   * Fallback chain: requested language -> default language -> source language.
+   * Outdated translations are still served but flagged via translationStatus.
+   *
+   * @param {Object} insight - Insight document or plain object
+   * @param {string} language - Detected request language (req.language)
+   * @returns {Object} Plain insight with localized title/excerpt/content
    */
   getLocalizedInsight(insight, language = 'en') {
-    // If insight has translations
-    if (insight.translations && insight.translations[language]) {
-      return {
-        ...insight.toObject(),
-        title: insight.translations[language].title || insight.title,
-        content: insight.translations[language].content || insight.content,
-        excerpt: insight.translations[language].excerpt || insight.excerpt,
-        language,
-        isRTL: this.isRTL(language)
-      };
+    const { translations: stored, ...data } = insight.toObject ? insight.toObject() : { ...insight };
+    const translations = stored || {};
+    const source = data.language || this.defaultLanguage;
+    const available = this.getAvailableLanguages({ language: source, translations });
+
+    const served = [language, this.defaultLanguage, source].find(lang => available.includes(lang));
+
+    if (served !== source) {
+      const translation = translations[served];
+      data.title = translation.title;
+      data.content = translation.content;
+      data.excerpt = translation.excerpt || translation.content.substring(0, 200) + '...';
+      // Content blocks are in the source language; translations are plain text
+      delete data.blocks;
+      delete data.contentHtml;
     }
 
-    // Return default (original language)
     return {
-      ...insight.toObject(),
-      language: insight.language || 'en',
-      isRTL: this.isRTL(insight.language || 'en')
+      ...data,
+      language: served,
+      sourceLanguage: source,
+      requestedLanguage: language,
+      translationStatus: served === source ? TRANSLATION_STATUS.CURRENT : translations[served].status,
+      availableLanguages: available,
+      isRTL: this.isRTL(served)
     };
   }
 
@@ -0,0 +1,76 @@
+const marketDataService = require('./marketDataService');
+
+// Max symbols linked to one insight
+const MAX_SYMBOLS = 20;
+
+// Cashtags ($emaar) in any case, bare tickers (EMAAR, EMAAR.AE) only when written in capitals
+const CASHTAG_PATTERN = /\$([A-Za-z][A-Za-z0-9]{1,9}(?:\.[A-Za-z]{2})?)\b/g;
+const TICKER_PATTERN = /\b([A-Z][A-Z0-9]{2,9}(?:\.A[DE])?)\b/g;
+
+class InsightSymbolService {
+    /**
+     * Find listed tickers mentioned in free text
+     * @param {...String} texts - Title, content, excerpt...
+     * @returns {Array} [{ symbol, exchange }], de-duplicated
+     */
+    detectSymbols(...texts) {
+        const found = new Map();
+
+        for (const text of texts) {
+            if (!text) continue;
+            const candidates = [
+                ...Array.from(text.matchAll(CASHTAG_PATTERN), m => m[1]),
+                ...Array.from(text.matchAll(TICKER_PATTERN), m => m[1])
+            ];
+
+            for (const candidate of candidates) {
+                const record = marketDataService.resolveSymbol(candidate);
+                if (record && !found.has(record.symbol)) {
+                    found.set(record.symbol, { symbol: record.symbol, exchange: record.exchange });
+                }
+            }
+        }
+
+        return Array.from(found.values()).slice(0, MAX_SYMBOLS);
+    }
+
+    /**
+     * Validate requested symbols against market data
+     * @param {Array} requested - Tickers ('EMAAR', 'EMAAR.AE') or { symbol, exchange } objects
+     * @returns {Object} { symbols: [{ symbol, exchange }], invalid: [String] }
+     */
+    resolveSymbols(requested = []) {
+        const symbols = new Map();
+        const invalid = [];
+
+        for (const entry of requested) {
+            const ticker = typeof entry === 'string' ? entry : entry && entry.symbol;
+            const exchange = typeof entry === 'object' && entry ? entry.exchange : undefined;
+            // Malformed entries are skipped (routes reject them before they get here)
+            if (typeof ticker !== 'string' || (exchange !== undefined && typeof exchange !== 'string')) continue;
+
+            const record = marketDataService.resolveSymbol(ticker, exchange);
+
+            if (!record) {
+                invalid.push(ticker);
+            } else if (!symbols.has(record.symbol)) {
+                symbols.set(record.symbol, { symbol: record.symbol, exchange: record.exchange });
+            }
+        }
+
+        return { symbols: Array.from(symbols.values()).slice(0, MAX_SYMBOLS), invalid };
+    }
+
+    /**
+     * Union of two symbol lists, keeping the first list's order
+     */
+    merge(current = [], detected = []) {
+        const merged = new Map();
+        for (const item of [...current, ...detected]) {
+            if (!merged.has(item.symbol)) merged.set(item.symbol, { symbol: item.symbol, exchange: item.exchange });
+        }
+        return Array.from(merged.values()).slice(0, MAX_SYMBOLS);
+    }
+}
+
+module.exports = new InsightSymbolService();
@@ -0,0 +1,287 @@
+const axios = require('axios');
+const BaseMarketProvider = require('./BaseMarketProvider');
+const { launchBrowser, delay, USER_AGENT } = require('./browser');
+const logger = require('../../utils/logger');
+
+const ADX_URL = 'https://www.adx.ae/all-equities';
+const ADX_CHART_API = 'https://apigateway.adx.ae/adx/marketwatch/1.1/securityChartDay';
+const ADX_DISCLOSURE_URLS = [
+    'https://www.adx.ae/English/Pages/DisclosuresAndAnnouncements.aspx',
+    'https://www.adx.ae/market/news-corporate-disclosures'
+];
+
+/**
+ * Abu Dhabi Securities Exchange provider
+ * Scrapes the ADX all-equities grid for quotes and the disclosures pages for PDFs.
+ */
+class ADXProvider extends BaseMarketProvider {
+    constructor() {
+        super('adx', ['ADX']);
+    }
+
+    /**
+     * Scroll the all-equities grid to collect every ticker,
+     * then load each symbol's intraday chart
+     */
+    async fetchQuotes(exchange, options = {}) {
+        let browser;
+        try {
+            browser = await launchBrowser(['--window-size=1440,1200']);
+            const page = await browser.newPage();
+            await page.setUserAgent(USER_AGENT);
+            await page.setViewport({ width: 1440, height: 2500 });
+
+            logger.info('[ADX] Navigating to ADX All Equities...');
+            // Using 'domcontentloaded' as networkidle2 often fails on heavy ADX site
+            await page.goto(ADX_URL, { waitUntil: 'domcontentloaded', timeout: 90000 });
+
+            // Wait for any likely content to appear
+            try {
+                await page.waitForSelector('table, .rdt_Table', { timeout: 30000 });
+            } catch (e) {
+                logger.warn('[ADX] Main content container not found, proceeding anyway');
+            }
+
+            // Initial wait for scripts to load
+            await new Promise(r => setTimeout(r, 12000));
+            // Trigger bottom section loading (where the main table lives)
+            await page.evaluate(() => window.scrollTo(0, 1500));
+            await new Promise(r => setTimeout(r, 4000));
+
+            const results = new Map();
+            let lastFirstTicker = '';
+
+            // Loop for discovery (40 iterations for deep scroll)
+            for (let i = 0; i < 40; i++) {
+                const data = await page.evaluate(() => {
+                    const batch = [];
+                    const parseValue = (text) => parseFloat(text?.trim().replace(/[%,]/g, '')) || 0;
+
+                    // 1. Identify Target Grid (Traditional table or Role-based Grid)
+                    const findGrid = () => {
+                        const containers = Array.from(document.querySelectorAll('table, [role="table"], .rdt_Table'));
+                        let grid = containers.find(t => {
+                            const text = t.innerText?.toUpperCase() || '';
+                            return text.includes('SYMBOL') && text.includes('LAST');
+                        });
+
+                        if (!grid) {
+                            const candidates = Array.from(document.querySelectorAll('div, section, main'));
+                            grid = candidates.find(c => {
+                                const text = c.innerText?.toUpperCase() || '';
+                                return text.includes('SYMBOL') && text.includes('LAST') && text.includes('P CLOSE') && text.length < 100000;
+                            });
+                        }
+                        return grid;
+                    };
+
+                    const targetTable = findGrid();
+                    const tableDiagnostics = Array.from(document.querySelectorAll('table, [role="table"]'))
+                        .map(t => t.innerText?.substring(0, 100).replace(/\n/g, ' '));
+
+                    if (!targetTable) return { batch: [], metrics: { name: 'NOT_FOUND', diag: tableDiagnostics } };
+
+                    // 2. Capture rows specifically from this table
+                    const rows = Array.from(targetTable.querySelectorAll('tbody tr, .rdt_TableRow, tr[role="row"]'));
+                    rows.forEach(row => {
+                        const cells = Array.from(row.querySelectorAll('td, .rdt_TableCell, [role="cell"]'));
+                        if (cells.length < 10) return; // Expecting many columns based on Screenshot 2
+
+                        // Screenshot 2 Mapping:
+                        // 1: Symbol, 7: Last (Price), 8: P Close (PrevClose), 9: Change (%), 11: Volume
+                        const ticker = cells[1]?.innerText?.trim();
+                        if (!ticker || ticker.length > 15 || /[^A-Z0-9.-]/.test(ticker)) return;
+                        if (['COMPANY', 'SYMBOL', 'NAME', 'LAST'].includes(ticker.toUpperCase())) return;
+
+                        const price = parseValue(cells[7]?.innerText);
+                        const prevClose = parseValue(cells[8]?.innerText);
+
+                        batch.push({
+                            symbol: `${ticker}.AD`,
+                            exchange: 'ADX',
+                            price: price,
+                            change: price - prevClose,
+                            changePercent: parseValue(cells[9]?.innerText), // Percentage column
+                            high: price, // ADX table doesn't show high/low in this view
+                            low: price,
+                            open: price,
+                            prevClose: prevClose,
+                            volume: parseValue(cells[11]?.innerText),
+                            currency: 'AED',
+                            shortName: ticker,
+                            lastUpdated: new Date().toISOString(),
+                            chartData: []
+                        });
+                    });
+
+                    // 3. Smart Scroller: Find the parent of the targetTable that scrolls
+                    const findScrollable = (el) => {
+                        if (!el || el === document.body || el === document.documentElement) return window;
+                        const style = window.getComputedStyle(el);
+                        const overflow = style.getPropertyValue('overflow-y');
+                        if ((overflow === 'auto' || overflow === 'scroll') && el.scrollHeight > el.clientHeight) return el;
+                        return findScrollable(el.parentElement);
+                    };
+
+                    const scroller = findScrollable(targetTable);
+
+                    let metrics = { top: 0, height: 0, name: 'window' };
+                    if (scroller !== window) {
+                        scroller.scrollTop += 350;
+                        metrics = { top: scroller.scrollTop, height: scroller.scrollHeight, name: scroller.className || scroller.tagName };
+                    } else {
+                        window.scrollBy(0, 500);
+                        metrics = { top: window.scrollY, height: document.body.scrollHeight, name: 'window' };
+                    }
+
+                    return { batch, metrics };
+                });
+
+                if (data.batch && data.batch.length > 0) {
+                    data.batch.forEach(item => results.set(item.symbol, item));
+                    const currentTop = data.batch[0]?.shortName || '';
+                    if (currentTop !== lastFirstTicker) {
+                        logger.info(`[ADX] Cycle ${i + 1}: Found '${currentTop}' in main table. Total: ${results.size}`);
+                        lastFirstTicker = currentTop;
+                    }
+                }
+
+                if (i % 5 === 0 || i === 39) {
+                    let scrollerInfo = '';
+                    if (data.metrics.name === 'NOT_FOUND') {
+                        scrollerInfo = `TABLE NOT FOUND. Tables seen: ${JSON.stringify(data.metrics.diag || [])}`;
+                    } else {
+                        scrollerInfo = `${Math.round(data.metrics.top)}/${data.metrics.height} (${data.metrics.name})`;
+                    }
+                    logger.info(`[ADX] Scroll ${i + 1}: Total ${results.size}. ${scrollerInfo}`);
+                }
+
+                await new Promise(r => setTimeout(r, 2000));
+                if (results.size >= 125) break;
+            }
+
+            const equities = Array.from(results.values());
+            logger.info(`[ADX] Capture Cycle Finished. Final Count: ${equities.length}`);
+
+            if (equities.length === 0) {
+                logger.warn('[ADX] No equities found. Website might have changed structure.');
+            }
+
+            // Sync charts sequentially (limit to top symbols to avoid timeout)
+            for (const eq of equities) {
+                try {
+                    const chartData = await page.evaluate(async (sym) => {
+                        try {
+                            const response = await fetch(`https://apigateway.adx.ae/adx/marketwatch/1.1/securityChartDay/${sym}`);
+                            const data = await response.json();
+                            if (data && data.response && data.response.points) {
+                                return data.response.points.map(p => ({
+                                    timestamp: new Date(p.time),
+                                    price: p.value
+                                }));
+                            }
+                        } catch (e) { }
+                        return [];
+                    }, eq.shortName);
+                    eq.chartData = chartData;
+                } catch (e) { }
+            }
+
+            await browser.close();
+            return equities.map(r => ({ ...r, lastUpdated: new Date(r.lastUpdated) }));
+        } catch (error) {
+            if (browser) await browser.close();
+            logger.error('[ADX] Sync Failed:', error.message || error);
+            throw error;
+        }
+    }
+
+    /**
+     * Intraday chart points for one symbol from the ADX API gateway
+     * @param {String} symbol - Ticker with or without suffix (ALDAR / ALDAR.AD)
+     */
+    async fetchIntraday(exchange, symbol) {
+        const ticker = symbol.replace(/\.AD$/i, '');
+        try {
+            const response = await axios.get(`${ADX_CHART_API}/${ticker}`, {
+                headers: { 'User-Agent': USER_AGENT },
+                timeout: 15000
+            });
+            const points = response.data?.response?.points || [];
+            return points.map(p => ({ timestamp: new Date(p.time), price: p.value }));
+        } catch (error) {
+            logger.error(`[ADX] Intraday fetch failed for ${ticker}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Collect disclosure PDF links from the first ADX disclosures page that has any
+     */
+    async fetchDisclosures(exchange, options = {}) {
+        let browser;
+        try {
+            browser = await launchBrowser();
+            const page = await browser.newPage();
+            await page.setUserAgent(USER_AGENT);
+            await page.setViewport({ width: 1280, height: 1000 });
+
+            let items = [];
+
+            for (const url of ADX_DISCLOSURE_URLS) {
+                try {
+                    await page.goto(url, { waitUntil: 'networkidle2', timeout: 60000 });
+                    await delay(5000);
+
+                    items = await page.evaluate(() => {
+                        const results = [];
+                        const links = document.querySelectorAll('a[href*=".pdf"]');
+
+                        links.forEach(link => {
+                            const href = link.href;
+                            const title = link.innerText?.trim() || link.getAttribute('title') || '';
+                            if (!title || title.length < 3) return;
+
+                            let dateStr = '';
+                            let parent = link.parentElement;
+                            for (let i = 0; i < 5 && parent; i++) {
+                                const text = parent.innerText || '';
+                                const dateMatch = text.match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{4})/);
+                                if (dateMatch) {
+                                    dateStr = dateMatch[1];
+                                    break;
+                                }
+                                parent = parent.parentElement;
+                            }
+
+                            results.push({ title, url: href, dateStr });
+                        });
+                        return results;
+                    });
+
+                    if (items.length > 0) break;
+                } catch (e) { }
+            }
+
+            await browser.close();
+
+            return items.map(item => {
+                const url = item.url.startsWith('/') ? 'https://www.adx.ae' + item.url : item.url;
+                return {
+                    title: item.title,
+                    titleAr: item.title,
+                    titleEn: item.title,
+                    url,
+                    pdfUrls: [url],
+                    date: this.parseDate(item.dateStr),
+                    exchange: 'ADX'
+                };
+            });
+        } catch (error) {
+            if (browser) await browser.close();
+            throw error;
+        }
+    }
+}
+
+module.exports = ADXProvider;
@@ -0,0 +1,67 @@
+/**
+ * Base Market Data Provider
+ *
+ * Every market data source implements the same three calls so the sync
+ * pipeline (MarketDataService, DisclosureService) never depends on how the
+ * data is obtained:
+ *
+ * - fetchQuotes(exchange, options)       -> Array of quote objects (MarketData shape)
+ * - fetchIntraday(exchange, symbol)      -> Array of { timestamp, price }
+ * - fetchDisclosures(exchange, options)  -> Array of disclosure objects (Disclosure shape)
+ */
+
+const MONTHS = { Jan: 0, Feb: 1, Mar: 2, Apr: 3, May: 4, Jun: 5, Jul: 6, Aug: 7, Sep: 8, Oct: 9, Nov: 10, Dec: 11 };
+
+class BaseMarketProvider {
+    constructor(name, exchanges = []) {
+        this.name = name;
+        this.exchanges = exchanges;
+    }
+
+    supports(exchange) {
+        return this.exchanges.includes(exchange.toUpperCase());
+    }
+
+    async fetchQuotes(exchange, options = {}) {
+        throw new Error(`${this.name} provider does not implement fetchQuotes`);
+    }
+
+    async fetchIntraday(exchange, symbol) {
+        return [];
+    }
+
+    async fetchDisclosures(exchange, options = {}) {
+        return [];
+    }
+
+    /**
+     * Parse the date formats used by exchange sites
+     * ("Jan 21, 2026" or "21/01/2026"); falls back to now
+     */
+    parseDate(dateStr) {
+        if (!dateStr) return new Date();
+        try {
+            // Priority 1: Month Day, Year (Jan 21, 2026)
+            const longDateMatch = dateStr.match(/([a-zA-Z]{3}) (\d{1,2}), (\d{4})/);
+            if (longDateMatch) {
+                const month = MONTHS[longDateMatch[1]];
+                const day = parseInt(longDateMatch[2], 10);
+                const year = parseInt(longDateMatch[3], 10);
+                return new Date(year, month, day);
+            }
+
+            // Priority 2: DD/MM/YYYY
+            const parts = dateStr.split(/[\/\-]/);
+            if (parts.length === 3) {
+                const day = parseInt(parts[0], 10);
+                const month = parseInt(parts[1], 10) - 1;
+                const year = parseInt(parts[2], 10);
+                const date = new Date(year, month, day);
+                if (!isNaN(date.getTime())) return date;
+            }
+        } catch (e) { }
+        return new Date();
+    }
+}
+
+module.exports = BaseMarketProvider;
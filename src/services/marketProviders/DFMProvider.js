@@ -0,0 +1,319 @@
+const axios = require('axios');
+const BaseMarketProvider = require('./BaseMarketProvider');
+const { launchBrowser, delay, USER_AGENT } = require('./browser');
+const logger = require('../../utils/logger');
+
+const DFM_URL = 'https://marketwatch.dfm.ae/';
+const DFM_CHART_API = 'https://api2.dfm.ae/web/widgets/v1/data';
+const DFM_EN_LIST_URL = 'https://www.dfm.ae/the-exchange/news-disclosures/disclosures';
+const DFM_AR_LIST_URL = 'https://www.dfm.ae/ar/the-exchange/news-disclosures/disclosures';
+
+/**
+ * Dubai Financial Market provider
+ * Scrapes marketwatch.dfm.ae for quotes and dfm.ae for disclosures.
+ */
+class DFMProvider extends BaseMarketProvider {
+    constructor() {
+        super('dfm', ['DFM']);
+    }
+
+    /**
+     * Scrape the market watch grid (main board and Category B) with intraday charts
+     */
+    async fetchQuotes(exchange, options = {}) {
+        let browser;
+        try {
+            browser = await launchBrowser(['--window-size=1280,1000']);
+            const page = await browser.newPage();
+            await page.setUserAgent(USER_AGENT);
+            await page.setViewport({ width: 1280, height: 1000 });
+            await page.goto(DFM_URL, { waitUntil: 'networkidle2', timeout: 50000 });
+
+            // Wait for dynamic content
+            await page.waitForFunction(() => document.body.innerText.includes('EMAAR'), { timeout: 30000 });
+
+            const incrementalScrape = async () => {
+                const results = new Map();
+                for (let i = 0; i < 8; i++) {
+                    const data = await page.evaluate(() => {
+                        const container = document.querySelector('.marketwatch-tabcontent') || document.body;
+                        const rows = Array.from(document.querySelectorAll('.symbol, .security-symbol'));
+                        const batch = [];
+                        rows.forEach(el => {
+                            const symbol = el.innerText.trim();
+                            if (!symbol || !/^[A-Z0-9_-]{3,15}$/.test(symbol)) return;
+                            if (['PRICE', 'SYMBOL', 'CHANGE', 'VALUE', 'VOLUME', 'TOTAL', 'LOW', 'HIGH', 'OPEN', 'BID', 'OFFER', 'ASK'].includes(symbol)) return;
+
+                            const row = el.closest('tr') || el.closest('.dfm-table-row') || el.parentElement?.parentElement;
+                            if (!row) return;
+
+                            const parse = (sel) => {
+                                const target = row.querySelector(sel);
+                                return parseFloat(target?.innerText.replace(/[%,]/g, '')) || 0;
+                            };
+
+                            const price = parse('.lastradeprice');
+                            const prevClose = parse('.previousclosingprice');
+
+                            batch.push({
+                                symbol: `${symbol}.AE`,
+                                exchange: 'DFM',
+                                price: price,
+                                change: price - prevClose,
+                                changePercent: parse('.changepercentage'),
+                                high: parse('.highprice') || price,
+                                low: parse('.lowprice') || price,
+                                open: parse('.openprice') || price,
+                                prevClose: prevClose,
+                                volume: parse('.totalvolume'),
+                                currency: 'AED',
+                                shortName: symbol,
+                                lastUpdated: new Date().toISOString(),
+                                chartData: []
+                            });
+                        });
+
+                        // Scroll for next batch
+                        container.scrollBy(0, 800);
+                        return batch;
+                    });
+
+                    data.forEach(item => results.set(item.symbol, item));
+                    await new Promise(r => setTimeout(r, 800));
+                }
+                return Array.from(results.values());
+            };
+
+            // 1. Scrape Market Watch
+            const equities = await incrementalScrape();
+            logger.info(`[DFM] Post-scroll 1 count: ${equities.length}`);
+
+            // 2. Scrape Category B
+            try {
+                const catBTab = await page.$('#categoryb-caption');
+                if (catBTab) {
+                    await catBTab.click();
+                    await new Promise(r => setTimeout(r, 2000));
+                    const catB = await incrementalScrape();
+                    logger.info(`[DFM] Post-scroll 2 count: ${catB.length}`);
+                    catB.forEach(item => {
+                        if (!equities.find(e => e.symbol === item.symbol)) equities.push(item);
+                    });
+                }
+            } catch (e) { }
+
+            // 3. Fetch Charts for DFM
+            logger.info(`[DFM] Fetching charts for ${equities.length} symbols...`);
+            await Promise.allSettled(equities.map(async (eq) => {
+                try {
+                    const symbol = eq.shortName;
+                    const chartData = await page.evaluate(async (sym) => {
+                        try {
+                            const response = await fetch('https://api2.dfm.ae/web/widgets/v1/data', {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ id: "chart", symbol: sym, period: "1D" })
+                            });
+                            const data = await response.json();
+                            if (data && data.points) {
+                                return data.points.map(p => ({
+                                    timestamp: new Date(p[0]),
+                                    price: p[1]
+                                }));
+                            }
+                        } catch (e) { }
+                        return [];
+                    }, symbol);
+                    eq.chartData = chartData;
+                } catch (e) {
+                    logger.error(`[DFM] Chart fetch failed for ${eq.symbol}:`, e.message);
+                }
+            }));
+
+            await browser.close();
+            return equities.map(r => ({ ...r, lastUpdated: new Date(r.lastUpdated) }));
+        } catch (error) {
+            if (browser) await browser.close();
+            throw error;
+        }
+    }
+
+    /**
+     * Intraday chart points for one symbol from the DFM widgets API
+     * @param {String} symbol - Ticker with or without suffix (EMAAR / EMAAR.AE)
+     */
+    async fetchIntraday(exchange, symbol) {
+        const ticker = symbol.replace(/\.AE$/i, '');
+        try {
+            const response = await axios.post(
+                DFM_CHART_API,
+                { id: 'chart', symbol: ticker, period: '1D' },
+                { headers: { 'Content-Type': 'application/json', 'User-Agent': USER_AGENT }, timeout: 15000 }
+            );
+            const points = response.data?.points || [];
+            return points.map(p => ({ timestamp: new Date(p[0]), price: p[1] }));
+        } catch (error) {
+            logger.error(`[DFM] Intraday fetch failed for ${ticker}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Scrape the Arabic and English disclosure lists, merge them and capture PDF URLs
+     * @param {Object} options
+     * @param {Function} options.isKnown - async (item) => Boolean; known items skip the detail page
+     * @param {Number} options.limit - Max list items to inspect (default 20)
+     */
+    async fetchDisclosures(exchange, { isKnown, limit = 20 } = {}) {
+        let browser;
+        try {
+            browser = await launchBrowser();
+            const page = await browser.newPage();
+            await page.setUserAgent(USER_AGENT);
+            await page.setViewport({ width: 1280, height: 1000 });
+
+            // 1. Scrape Arabic List first (to get Arabic titles)
+            logger.info('[DFM] Scraping Arabic list...');
+            await page.goto(DFM_AR_LIST_URL, { waitUntil: 'networkidle2', timeout: 60000 });
+            await delay(5000);
+            const arItems = await this.extractDfmListItems(page);
+            logger.info(`[DFM] Found ${arItems.length} items in Arabic list.`);
+
+            // 2. Scrape English List
+            logger.info('[DFM] Scraping English list...');
+            await page.goto(DFM_EN_LIST_URL, { waitUntil: 'networkidle2', timeout: 60000 });
+            await delay(5000);
+            const enItems = await this.extractDfmListItems(page);
+            logger.info(`[DFM] Found ${enItems.length} items in English list.`);
+
+            // 3. Merge lists using the subtext (Company - Jan 21, 2026 20:44:59) as key
+            const mergedMap = new Map();
+            arItems.forEach(item => {
+                if (item.subtext) mergedMap.set(item.subtext, { titleAr: item.title });
+            });
+
+            const finalItems = enItems.map(enItem => {
+                const merged = mergedMap.get(enItem.subtext) || {};
+                return {
+                    title: enItem.title,
+                    titleEn: enItem.title,
+                    titleAr: merged.titleAr || enItem.title, // Fallback to English title if Arabic not found
+                    subtext: enItem.subtext,
+                    company: this.parseCompany(enItem.subtext),
+                    detailUrl: enItem.detailUrl,
+                    date: this.parseDate(enItem.dateStr),
+                    exchange: 'DFM'
+                };
+            });
+
+            logger.info(`[DFM] Merged ${finalItems.length} items. Extracting PDFs for top items...`);
+
+            const disclosures = [];
+            for (const item of finalItems.slice(0, limit)) {
+                try {
+                    if (isKnown && await isKnown(item)) continue;
+
+                    // Navigate ONLY to English detail page to capture PDF URLs
+                    const pdfUrls = await this.extractDfmPdfUrls(page, item.detailUrl);
+                    if (pdfUrls.length === 0) continue;
+
+                    disclosures.push({ ...item, url: pdfUrls[0], pdfUrls });
+                } catch (e) {
+                    logger.debug(`[DFM] Error processing item: ${e.message}`);
+                }
+            }
+
+            await browser.close();
+            return disclosures;
+        } catch (error) {
+            if (browser) await browser.close();
+            throw error;
+        }
+    }
+
+    /**
+     * Company name from a list subtext ("Emaar Properties - Jan 21, 2026 20:44:59")
+     */
+    parseCompany(subtext) {
+        if (!subtext) return null;
+        const firstLine = subtext.split('\n').map(line => line.trim()).find(Boolean) || '';
+        const company = firstLine.split(' - ')[0].trim();
+        return company || null;
+    }
+
+    async extractDfmListItems(page) {
+        return await page.evaluate(() => {
+            const results = [];
+            // Target the disclosure links
+            const anchors = Array.from(document.querySelectorAll('a[href*="/disclosures/"]'));
+
+            anchors.forEach(a => {
+                const title = a.innerText?.trim();
+                const href = a.href;
+
+                // The subtext (Company - Time) is usually in a following span or text node
+                // Based on investigation, it's often in a sibling or parent sibling
+                const parent = a.parentElement;
+                const grandParent = parent?.parentElement;
+
+                // Find all text in the container excluding the title itself
+                let subtext = '';
+                if (grandParent) {
+                    const fullText = grandParent.innerText || '';
+                    subtext = fullText.replace(title, '').trim();
+                }
+
+                // Extract date string for parsing later
+                const dateMatch = subtext.match(/(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{4})/) || subtext.match(/([a-zA-Z]{3} \d{1,2}, \d{4})/);
+                const dateStr = dateMatch ? dateMatch[0] : '';
+
+                if (title && href) {
+                    results.push({
+                        title,
+                        detailUrl: href,
+                        subtext, // This is our Merge Key
+                        dateStr
+                    });
+                }
+            });
+            return results;
+        });
+    }
+
+    async extractDfmPdfUrls(page, detailUrl) {
+        try {
+            const pdfUrls = new Set();
+
+            // Set up request listener to capture PDF URLs
+            const requestHandler = (request) => {
+                const url = request.url();
+                if (url.includes('feeds.dfm.ae/documents') && url.includes('.pdf')) {
+                    pdfUrls.add(url);
+                }
+            };
+
+            page.on('request', requestHandler);
+
+            await page.goto(detailUrl, { waitUntil: 'networkidle2', timeout: 30000 });
+            await delay(2000);
+
+            // Trigger downloads to capture URLs
+            await page.evaluate(() => {
+                const els = Array.from(document.querySelectorAll('button, a'));
+                els.forEach(el => {
+                    const text = el.innerText?.toLowerCase();
+                    if (text?.includes('download') || text?.includes('تحميل')) el.click();
+                });
+            });
+            await delay(1000);
+
+            page.off('request', requestHandler);
+            return Array.from(pdfUrls);
+        } catch (error) {
+            logger.debug(`[DFM] PDF extraction error: ${error.message}`);
+            return [];
+        }
+    }
+}
+
+module.exports = DFMProvider;
@@ -0,0 +1,63 @@
+const BaseMarketProvider = require('./BaseMarketProvider');
+const googleFinanceScraper = require('../GoogleFinanceScraper');
+const logger = require('../../utils/logger');
+
+/**
+ * Google Finance provider
+ * Fallback for when an exchange site changes its markup. Google only gives
+ * us a last price, so the symbol list and previous close come from the
+ * quotes already cached by MarketDataService.
+ */
+class GoogleFinanceProvider extends BaseMarketProvider {
+    constructor() {
+        super('google', ['DFM', 'ADX']);
+    }
+
+    /**
+     * @param {String} exchange - DFM | ADX
+     * @param {Object} options
+     * @param {Array} options.knownQuotes - Cached quotes for the exchange (symbol list + prevClose)
+     */
+    async fetchQuotes(exchange, { knownQuotes = [] } = {}) {
+        const target = exchange.toUpperCase();
+        if (knownQuotes.length === 0) {
+            logger.warn(`[Google] No known ${target} symbols to refresh`);
+            return [];
+        }
+
+        const quotes = [];
+        try {
+            // Sequential: the scraper shares one browser instance
+            for (const known of knownQuotes) {
+                const price = await googleFinanceScraper.getQuote(known.shortName, target);
+                if (!price) continue;
+
+                const prevClose = known.prevClose || 0;
+                const change = prevClose ? price - prevClose : 0;
+
+                quotes.push({
+                    symbol: known.symbol,
+                    exchange: target,
+                    price,
+                    change,
+                    changePercent: prevClose ? (change / prevClose) * 100 : 0,
+                    high: Math.max(price, known.high || 0),
+                    low: known.low > 0 ? Math.min(price, known.low) : price,
+                    open: known.open || price,
+                    prevClose,
+                    volume: known.volume || 0,
+                    currency: known.currency || 'AED',
+                    shortName: known.shortName,
+                    lastUpdated: new Date(),
+                    chartData: []
+                });
+            }
+        } finally {
+            await googleFinanceScraper.close();
+        }
+
+        return quotes;
+    }
+}
+
+module.exports = GoogleFinanceProvider;
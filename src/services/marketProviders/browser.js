@@ -0,0 +1,22 @@
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+
+puppeteer.use(StealthPlugin());
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+
+/**
+ * Launch a headless stealth browser for the scraping providers
+ */
+const launchBrowser = (extraArgs = []) => puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox', ...extraArgs]
+});
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+    launchBrowser,
+    delay,
+    USER_AGENT
+};
@@ -0,0 +1,63 @@
+const path = require('path');
+const config = require('../../config/env');
+
+/**
+ * Market data provider registry
+ *
+ * Chooses the data source per exchange from config:
+ *   MARKET_DATA_PROVIDER=exchange|google|fixture   (default: exchange)
+ *   MARKET_DATA_PROVIDER_DFM / MARKET_DATA_PROVIDER_ADX override per exchange
+ *   MARKET_FIXTURE_DIR points the fixture provider at a directory of JSON files
+ *
+ * "exchange" means the exchange's own site (DFMProvider / ADXProvider).
+ */
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '../../fixtures/market');
+
+// Providers are required lazily so Puppeteer isn't loaded when replaying fixtures
+const FACTORIES = {
+    exchange: (exchange) => {
+        const Provider = exchange === 'ADX' ? require('./ADXProvider') : require('./DFMProvider');
+        return new Provider();
+    },
+    google: () => new (require('./GoogleFinanceProvider'))(),
+    fixture: () => new (require('./FixtureProvider'))(config.MARKET_FIXTURE_DIR || DEFAULT_FIXTURE_DIR)
+};
+
+const instances = new Map();
+
+const getProviderName = (exchange) => {
+    const name = (config.MARKET_PROVIDERS[exchange] || 'exchange').toLowerCase();
+    if (!FACTORIES[name]) {
+        throw new Error(`Unknown market data provider "${name}" for ${exchange}`);
+    }
+    return name;
+};
+
+/**
+ * Get the configured provider for an exchange
+ * @param {String} exchange - DFM | ADX
+ */
+const getProvider = (exchange) => {
+    const target = exchange.toUpperCase();
+    if (!instances.has(target)) {
+        instances.set(target, FACTORIES[getProviderName(target)](target));
+    }
+    return instances.get(target);
+};
+
+/**
+ * Override the provider for an exchange (tests, staging replays)
+ */
+const setProvider = (exchange, provider) => {
+    instances.set(exchange.toUpperCase(), provider);
+};
+
+const resetProviders = () => instances.clear();
+
+module.exports = {
+    getProvider,
+    setProvider,
+    resetProviders,
+    getProviderName
+};
@@ -0,0 +1,158 @@
+const logger = require('../utils/logger');
+const { SOCKET_EVENTS, SUBSCRIPTION_TIERS, TIER_LIMITS } = require('../constants');
+
+// Quote fields streamed to clients, mapped to compact keys
+const DELTA_FIELDS = {
+    price: 'p',
+    change: 'c',
+    changePercent: 'cp',
+    open: 'o',
+    high: 'h',
+    low: 'l',
+    volume: 'v'
+};
+
+/**
+ * Market Stream Service
+ * Pushes quote deltas from each sync cycle to Socket.IO rooms.
+ *
+ * Rooms are split by tier so each tier gets its own cadence:
+ *   market:<tier>:exchange:<DFM|ADX>
+ *   market:<tier>:symbol:<SYMBOL>
+ * Tiers with a marketPushIntervalMs (TIER_LIMITS) have their deltas merged
+ * and flushed on a timer; the rest are pushed as soon as a cycle completes.
+ */
+class MarketStreamService {
+    constructor() {
+        this.io = null;
+        // tier -> Map(symbol -> merged delta) awaiting the next flush
+        this.pending = new Map();
+        this.timers = [];
+    }
+
+    /**
+     * Called once from socket/index.js after the server is created
+     */
+    attach(io) {
+        this.io = io;
+
+        for (const tier of Object.values(SUBSCRIPTION_TIERS)) {
+            const interval = TIER_LIMITS[tier].marketPushIntervalMs;
+            if (!interval) continue;
+
+            this.pending.set(tier, new Map());
+            const timer = setInterval(() => this.flush(tier), interval);
+            timer.unref();
+            this.timers.push(timer);
+        }
+    }
+
+    symbolRoom(tier, symbol) {
+        return `market:${tier}:symbol:${symbol}`;
+    }
+
+    exchangeRoom(tier, exchange) {
+        return `market:${tier}:exchange:${exchange}`;
+    }
+
+    /**
+     * Compact delta of the fields that changed since the previous quote.
+     * Returns null when nothing changed; a symbol with no previous quote gets every field.
+     */
+    buildDelta(quote, previous) {
+        if (!quote || !quote.symbol) return null;
+
+        const delta = {};
+        for (const [field, key] of Object.entries(DELTA_FIELDS)) {
+            const value = quote[field];
+            if (value === undefined || value === null) continue;
+            if (!previous || previous[field] !== value) delta[key] = value;
+        }
+
+        if (Object.keys(delta).length === 0) return null;
+
+        return {
+            s: quote.symbol,
+            e: quote.exchange,
+            t: new Date(quote.lastUpdated || Date.now()).getTime(),
+            ...delta
+        };
+    }
+
+    /**
+     * Broadcast the quotes that changed in a sync cycle.
+     * Called from MarketDataService.processResults.
+     */
+    publish(dataList, previousBySymbol = new Map()) {
+        if (!this.io) return;
+
+        const deltas = (dataList || [])
+            .map(quote => this.buildDelta(quote, previousBySymbol.get(quote.symbol)))
+            .filter(Boolean);
+
+        if (deltas.length === 0) return;
+
+        for (const tier of Object.values(SUBSCRIPTION_TIERS)) {
+            const buffer = this.pending.get(tier);
+
+            if (!buffer) {
+                this.emitDeltas(tier, deltas);
+                continue;
+            }
+
+            // Merge so the flush carries the latest value of every field that changed
+            for (const delta of deltas) {
+                buffer.set(delta.s, { ...buffer.get(delta.s), ...delta });
+            }
+        }
+    }
+
+    flush(tier) {
+        const buffer = this.pending.get(tier);
+        if (!buffer || buffer.size === 0) return;
+
+        const deltas = Array.from(buffer.values());
+        buffer.clear();
+        this.emitDeltas(tier, deltas);
+    }
+
+    emitDeltas(tier, deltas) {
+        const byExchange = new Map();
+        for (const delta of deltas) {
+            if (!byExchange.has(delta.e)) byExchange.set(delta.e, []);
+            byExchange.get(delta.e).push(delta);
+        }
+
+        try {
+            for (const [exchange, ticks] of byExchange) {
+                const exchangeRoom = this.exchangeRoom(tier, exchange);
+                this.io.to(exchangeRoom).emit(SOCKET_EVENTS.MARKET_TICKS, { exchange, ticks });
+
+                // Symbol subscribers who already get the whole exchange are skipped
+                for (const tick of ticks) {
+                    this.io
+                        .to(this.symbolRoom(tier, tick.s))
+                        .except(exchangeRoom)
+                        .emit(SOCKET_EVENTS.MARKET_TICKS, { exchange, ticks: [tick] });
+                }
+            }
+        } catch (error) {
+            logger.error('[MarketStream] Emit error:', error.message);
+        }
+    }
+
+    /**
+     * Broadcast market open/close alongside emitMarketOpened / emitMarketClosed
+     */
+    publishStatus(isOpen, exchanges = ['DFM', 'ADX']) {
+        if (!this.io) return;
+
+        this.io.emit(isOpen ? SOCKET_EVENTS.MARKET_OPENED : SOCKET_EVENTS.MARKET_CLOSED, {
+            exchanges,
+            isOpen,
+            timestamp: new Date()
+        });
+    }
+}
+
+module.exports = new MarketStreamService();
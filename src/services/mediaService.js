@@ -3,6 +3,59 @@ const path = require('path');
 const sharp = require('sharp');
 const crypto = require('crypto');
 
+// Leading bytes of each accepted attachment type. Declared MIME types must
+// match the file contents; text types only need to look like text.
+const FILE_SIGNATURES = {
+  'image/jpeg': buf => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff,
+  'image/png': buf => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/gif': buf => buf.toString('latin1', 0, 4) === 'GIF8',
+  'image/webp': buf => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WEBP',
+  'video/mp4': buf => buf.toString('latin1', 4, 8) === 'ftyp',
+  'video/quicktime': buf => buf.toString('latin1', 4, 8) === 'ftyp' || buf.toString('latin1', 4, 8) === 'moov',
+  'video/webm': buf => buf.readUInt32BE(0) === 0x1a45dfa3,
+  'audio/mp4': buf => buf.toString('latin1', 4, 8) === 'ftyp',
+  'audio/webm': buf => buf.readUInt32BE(0) === 0x1a45dfa3,
+  'audio/ogg': buf => buf.toString('latin1', 0, 4) === 'OggS',
+  'audio/wav': buf => buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WAVE',
+  'audio/mpeg': buf => buf.toString('latin1', 0, 3) === 'ID3' || (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0),
+  'application/pdf': buf => buf.toString('latin1', 0, 5) === '%PDF-',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': buf => buf.readUInt32BE(0) === 0x504b0304,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': buf => buf.readUInt32BE(0) === 0x504b0304
+};
+
+const TEXT_TYPES = ['text/plain', 'text/csv'];
+
+// Executables are rejected even when declared as text
+const EXECUTABLE_SIGNATURES = [
+  Buffer.from('MZ'),
+  Buffer.from([0x7f, 0x45, 0x4c, 0x46]), // ELF
+  Buffer.from([0xcf, 0xfa, 0xed, 0xfe]) // Mach-O
+];
+
+// Active content that has no place in a chat attachment
+const PDF_ACTIVE_CONTENT = /\/(JavaScript|JS|Launch|EmbeddedFile)\b/;
+const OFFICE_MACROS = 'vbaProject.bin';
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm': '.webm',
+  'audio/mp4': '.m4a',
+  'audio/webm': '.weba',
+  'audio/ogg': '.ogg',
+  'audio/wav': '.wav',
+  'audio/mpeg': '.mp3',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt',
+  'text/csv': '.csv',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx'
+};
+
 /**
  * Media Management Service
  *
@@ -13,6 +66,7 @@ const crypto = require('crypto');
  * - Secure filename generation
  * - Local storage (S3-compatible for future migration)
  * - File deletion
+ * - Private chat attachments (content scan, thumbnails)
  *
  * Future: Can easily switch to S3/Cloudinary by changing storage methods
  */
@@ -22,6 +76,8 @@ class MediaService {
     // Upload directory
     this.uploadDir = path.join(__dirname, '../../uploads');
     this.publicDir = path.join(__dirname, '../../public/uploads');
+    // Chat attachments are private: served through the chat routes, never statically
+    this.chatDir = path.join(this.uploadDir, 'chat');
 
     // Allowed file types
     this.allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
@@ -39,6 +95,10 @@ class MediaService {
     this.maxImageSize = 5 * 1024 * 1024; // 5MB
     this.maxDocumentSize = 10 * 1024 * 1024; // 10MB
 
+    // Chat images are downscaled to this bounding box
+    this.chatImageSize = { width: 2560, height: 2560 };
+    this.chatThumbnailSize = { width: 320, height: 320 };
+
     // Initialize upload directory
     this.initializeUploadDir();
   }
@@ -52,7 +112,8 @@ class MediaService {
         this.publicDir,
         path.join(this.publicDir, 'images'),
         path.join(this.publicDir, 'thumbnails'),
-        path.join(this.publicDir, 'documents')
+        path.join(this.publicDir, 'documents'),
+        this.chatDir
       ];
 
       for (const dir of dirs) {
@@ -251,6 +312,154 @@ class MediaService {
     }
   }
 
+  /**
+   * Check that a file's contents match its declared type and carry no
+   * active content (PDF scripts, Office macros, executables)
+   *
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - Declared MIME type
+   * @returns {Object} { clean, reason }
+   */
+  scanFile(buffer, mimeType) {
+    if (!buffer || buffer.length < 4) {
+      return { clean: false, reason: 'File is empty or truncated' };
+    }
+
+    if (EXECUTABLE_SIGNATURES.some(signature => buffer.subarray(0, signature.length).equals(signature))) {
+      return { clean: false, reason: 'Executable files are not allowed' };
+    }
+
+    if (TEXT_TYPES.includes(mimeType)) {
+      if (buffer.subarray(0, 8192).includes(0)) {
+        return { clean: false, reason: 'File is not a text file' };
+      }
+      return { clean: true };
+    }
+
+    const matches = FILE_SIGNATURES[mimeType];
+    if (!matches || buffer.length < 12 || !matches(buffer)) {
+      return { clean: false, reason: `File contents do not match ${mimeType}` };
+    }
+
+    if (mimeType === 'application/pdf' && PDF_ACTIVE_CONTENT.test(buffer.toString('latin1'))) {
+      return { clean: false, reason: 'PDFs with scripts, launch actions or embedded files are not allowed' };
+    }
+
+    if (mimeType.startsWith('application/vnd.openxmlformats') && buffer.includes(OFFICE_MACROS)) {
+      return { clean: false, reason: 'Documents with macros are not allowed' };
+    }
+
+    return { clean: true };
+  }
+
+  /**
+   * Store a chat attachment privately. Images are re-encoded (which drops
+   * EXIF/GPS metadata and anything appended to the file) and get a thumbnail.
+   *
+   * @param {Object} file - Multer file object (already scanned)
+   * @param {string} kind - image, video, audio or file
+   * @returns {Promise<Object>} { filename, thumbnailFilename, size, width, height }
+   */
+  async saveChatAttachment(file, kind) {
+    const filename = `${Date.now()}-${crypto.randomBytes(16).toString('hex')}${FILE_EXTENSIONS[file.mimetype] || ''}`;
+    const filePath = path.join(this.chatDir, filename);
+
+    if (kind !== 'image') {
+      await fs.writeFile(filePath, file.buffer);
+      return { filename, size: file.buffer.length };
+    }
+
+    let image;
+    try {
+      image = sharp(file.buffer).rotate();
+      const { width, height } = this.chatImageSize;
+      const resize = { fit: 'inside', withoutEnlargement: true };
+
+      // Animated GIFs are kept as uploaded; sharp only validates them
+      if (file.mimetype === 'image/gif') {
+        await sharp(file.buffer).metadata();
+        await fs.writeFile(filePath, file.buffer);
+      } else if (file.mimetype === 'image/png') {
+        await image.clone().resize(width, height, resize).png().toFile(filePath);
+      } else if (file.mimetype === 'image/webp') {
+        await image.clone().resize(width, height, resize).webp({ quality: 85 }).toFile(filePath);
+      } else {
+        await image.clone().resize(width, height, resize).jpeg({ quality: 85, progressive: true }).toFile(filePath);
+      }
+    } catch (error) {
+      await fs.unlink(filePath).catch(() => {});
+      throw new Error('Image could not be processed');
+    }
+
+    const thumbnailFilename = `thumb-${path.parse(filename).name}.jpg`;
+    await image
+      .resize(this.chatThumbnailSize.width, this.chatThumbnailSize.height, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 75 })
+      .toFile(path.join(this.chatDir, thumbnailFilename));
+
+    const [stats, metadata] = await Promise.all([fs.stat(filePath), sharp(filePath).metadata()]);
+
+    return {
+      filename,
+      thumbnailFilename,
+      size: stats.size,
+      width: metadata.width,
+      height: metadata.height
+    };
+  }
+
+  /**
+   * Absolute path of a stored chat attachment file
+   *
+   * @param {string} filename - Stored filename
+   * @returns {string} File path
+   */
+  getChatAttachmentPath(filename) {
+    return path.join(this.chatDir, path.basename(filename));
+  }
+
+  /**
+   * Copy a stored chat attachment (e.g. when a message is forwarded to another chat)
+   *
+   * @param {Object} stored - { filename, thumbnailFilename }
+   * @returns {Promise<Object>} New { filename, thumbnailFilename }
+   */
+  async copyChatAttachment({ filename, thumbnailFilename }) {
+    const base = `${Date.now()}-${crypto.randomBytes(16).toString('hex')}`;
+    const copy = { filename: `${base}${path.extname(filename)}` };
+
+    await fs.copyFile(this.getChatAttachmentPath(filename), this.getChatAttachmentPath(copy.filename));
+    if (thumbnailFilename) {
+      copy.thumbnailFilename = `thumb-${base}.jpg`;
+      await fs.copyFile(this.getChatAttachmentPath(thumbnailFilename), this.getChatAttachmentPath(copy.thumbnailFilename));
+    }
+
+    return copy;
+  }
+
+  /**
+   * Delete chat attachment files (missing files are ignored)
+   *
+   * @param {Array<string>} filenames - Stored filenames, including thumbnails
+   * @returns {Promise<number>} Number of files deleted
+   */
+  async deleteChatAttachmentFiles(filenames) {
+    let deleted = 0;
+
+    for (const filename of filenames.filter(Boolean)) {
+      try {
+        await fs.unlink(this.getChatAttachmentPath(filename));
+        deleted++;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`Failed to delete chat attachment: ${filename}`, error);
+        }
+      }
+    }
+
+    return deleted;
+  }
+
   /**
    * List all uploaded images (paginated)
    *
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { HTTP_STATUS } = require('../constants');
+
+const DEFAULT_SYNC_LIMIT = 100;
+const MAX_SYNC_LIMIT = 500;
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+class MessageSyncService {
+    /**
+     * Split a page of changes (sorted by syncSeq) into what the client has
+     * not seen yet, what changed since it last synced, and what was deleted.
+     * Pure function.
+     * @param {Array} changes - Up to limit + 1 messages with syncSeq > since
+     * @param {number} since - Client's cursor
+     * @param {number} limit - Page size
+     * @param {number} latestSeq - Chat's highest committed sequence number
+     */
+    buildSyncPage(changes, since, limit, latestSeq) {
+        const hasMore = changes.length > limit;
+        const page = hasMore ? changes.slice(0, limit) : changes;
+
+        const result = {
+            messages: [],
+            updated: [],
+            deleted: [],
+            cursor: page.length > 0 ? page[page.length - 1].syncSeq : since,
+            latestSeq,
+            hasMore
+        };
+
+        page.forEach((message) => {
+            if (message.deletedAt) {
+                result.deleted.push({
+                    _id: message._id,
+                    seq: message.seq,
+                    thread: message.thread || null,
+                    deletedAt: message.deletedAt
+                });
+            } else if (message.seq > since) {
+                result.messages.push(message);
+            } else {
+                result.updated.push(message);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Messages created, changed or deleted in a chat after the client's
+     * cursor, oldest change first. Call again with the returned cursor while
+     * hasMore is true.
+     * @param {number} since - syncSeq the client has already applied (0 for everything)
+     */
+    async getChangesSince(chatId, userId, { since = 0, limit = DEFAULT_SYNC_LIMIT } = {}) {
+        if (!mongoose.Types.ObjectId.isValid(chatId)) {
+            throw createError('Chat not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const chat = await Chat.findById(chatId).select('participants messageSeq pendingSeqs');
+        if (!chat) {
+            throw createError('Chat not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (!chat.isParticipant(userId)) {
+            throw createError('You are not a participant of this chat', HTTP_STATUS.FORBIDDEN);
+        }
+
+        since = Math.max(parseInt(since, 10) || 0, 0);
+        limit = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SYNC_LIMIT, 1), MAX_SYNC_LIMIT);
+
+        if (since > chat.messageSeq) {
+            throw createError('Sync cursor is ahead of the chat', HTTP_STATUS.BAD_REQUEST, 'INVALID_SYNC_CURSOR');
+        }
+
+        // Stop below any number whose write is still in flight, so the
+        // returned cursor never passes a change the client hasn't seen
+        const committedSeq = chat.getCommittedSeq();
+
+        const changes = await Message.find({ chat: chat._id, syncSeq: { $gt: since, $lte: committedSeq } })
+            .sort({ syncSeq: 1 })
+            .limit(limit + 1)
+            .select('-threadFollowers -deliveredTo')
+            .populate('sender', 'name email avatar')
+            .populate({ path: 'replyTo', select: 'content sender createdAt', populate: { path: 'sender', select: 'name' } })
+            .populate('reactions.user', 'name avatar')
+            .lean();
+
+        return this.buildSyncPage(changes, since, limit, committedSeq);
+    }
+}
+
+module.exports = new MessageSyncService();
@@ -87,6 +87,20 @@ class NotificationScheduler {
       })
     );
 
+    // Frequent job: Publish scheduled channel posts (runs every minute)
+    this.jobs.push(
+      cron.schedule('* * * * *', async () => {
+        await this.schedulePublishChannelPostsJob();
+      })
+    );
+
+    // Frequent job: Refresh trending scores (runs every 15 minutes)
+    this.jobs.push(
+      cron.schedule('*/15 * * * *', async () => {
+        await this.scheduleTrendingAnalysisJob();
+      })
+    );
+
     this.initialized = true;
     logger.info(`[NotificationScheduler] ${this.jobs.length} scheduled jobs initialized`);
   }
@@ -140,6 +154,16 @@ class NotificationScheduler {
         maxAttempts: 2
       });
 
+      // Cleanup chat uploads that were never sent
+      await Job.createJob({
+        type: JOB_TYPES.CLEANUP_CHAT_ATTACHMENTS,
+        payload: {
+          maxAgeHours: 24
+        },
+        priority: 2,
+        maxAttempts: 2
+      });
+
       // Cleanup old completed jobs
       await Job.cleanupOldJobs(7);
 
@@ -149,6 +173,22 @@ class NotificationScheduler {
     }
   }
 
+  /**
+   * Schedule trending score refresh job
+   */
+  async scheduleTrendingAnalysisJob() {
+    try {
+      await Job.createJob({
+        type: JOB_TYPES.TRENDING_ANALYSIS,
+        payload: {},
+        priority: 4,
+        maxAttempts: 2
+      });
+    } catch (error) {
+      logger.error('[NotificationScheduler] Failed to schedule trending analysis job:', error);
+    }
+  }
+
   /**
    * Schedule publish insights job
    */
@@ -167,6 +207,22 @@ class NotificationScheduler {
     }
   }
 
+  /**
+   * Schedule publish channel posts job
+   */
+  async schedulePublishChannelPostsJob() {
+    try {
+      await Job.createJob({
+        type: JOB_TYPES.PUBLISH_CHANNEL_POSTS,
+        payload: {},
+        priority: 6, // Same as publishing insights
+        maxAttempts: 2
+      });
+    } catch (error) {
+      logger.error('[NotificationScheduler] Failed to schedule publish channel posts job:', error);
+    }
+  }
+
   /**
    * Send expiration reminders for subscriptions expiring in 7, 3, and 1 days
    */
@@ -1,8 +1,12 @@
 const Notification = require('../models/Notification');
 const NotificationPreference = require('../models/NotificationPreference');
 const User = require('../models/User');
+const Watchlist = require('../models/Watchlist');
+const Subscription = require('../models/Subscription');
+const followService = require('./followService');
 const NotificationTemplate = require('../models/NotificationTemplate');
 const { notificationEvents, NOTIFICATION_EVENTS, NOTIFICATION_CHANNELS, NOTIFICATION_PRIORITIES } = require('../events/enhancedNotificationEvents');
+const { ROLES } = require('../constants');
 
 /**
  * Notification Service
@@ -103,11 +107,26 @@ class NotificationService {
       return user ? [user] : [];
     }
 
+    // For new parts of a series (users following the series)
+    if (event === NOTIFICATION_EVENTS.SERIES_PART_PUBLISHED) {
+      return await this.getSeriesFollowers(data);
+    }
+
     // For content publishing events (broadcast to interested users)
     if (event.startsWith('insight:')) {
       return await this.getInterestedUsersForContent(data);
     }
 
+    // For channel posts (channel subscribers)
+    if (event === NOTIFICATION_EVENTS.CHANNEL_POST_PUBLISHED) {
+      return await this.getChannelSubscribers(data);
+    }
+
+    // For disclosures (users watching the company)
+    if (event === NOTIFICATION_EVENTS.DISCLOSURE_PUBLISHED) {
+      return await this.getSymbolWatchers(data.symbol);
+    }
+
     // For admin events
     if (event === 'insight_request:submitted') {
       // Return all admins
@@ -119,31 +138,105 @@ class NotificationService {
   }
 
   /**
-   * Get users interested in specific content
+   * Get users interested in specific content: followers of the insight's
+   * author, category or tags, narrowed by their newInsights preferences.
+   * Premium insights only go to users with premium access.
    */
   async getInterestedUsersForContent(contentData) {
-    // For new insights, find users who want content notifications
-    const { type, category } = contentData;
-
-    const preferences = await NotificationPreference.find({
-      'content.newInsights.enabled': true
-    }).populate('user');
-
-    return preferences
-      .filter(pref => {
-        // Filter by user's category preferences
-        if (pref.content.newInsights.categories.length > 0) {
-          return pref.content.newInsights.categories.includes(category);
-        }
+    const { type, category, tags = [] } = contentData;
+    const author = contentData.author ? (contentData.author._id || contentData.author).toString() : null;
 
-        // Filter premium content notifications
-        if (type === 'premium' && !pref.content.newInsights.premiumOnly) {
-          return pref.user.hasPremiumAccess; // Only send premium notifications to premium users
-        }
+    const followerIds = await followService.getFollowerIds({ author, category, tags });
 
-        return true;
-      })
-      .map(pref => pref.user);
+    // Series followers hear about new parts through series:part-published instead
+    const seriesFollowerIds = contentData.seriesId
+      ? new Set((await followService.getSeriesFollowerIds(contentData.seriesId)).map(id => id.toString()))
+      : new Set();
+
+    const recipientIds = followerIds.filter(id => id.toString() !== author && !seriesFollowerIds.has(id.toString()));
+    if (recipientIds.length === 0) return [];
+
+    const [users, preferences] = await Promise.all([
+      User.find({ _id: { $in: recipientIds }, isActive: true }),
+      NotificationPreference.find({ user: { $in: recipientIds } }).select('user content.newInsights')
+    ]);
+    const preferencesByUser = new Map(preferences.map(pref => [pref.user.toString(), pref.content.newInsights]));
+
+    // Free users aren't told about premium insights they can't open
+    const audience = type === 'premium' ? await this.filterPremiumAccess(users) : users;
+
+    return audience.filter(user => {
+      // Users without a preference document get the defaults
+      const newInsights = preferencesByUser.get(user._id.toString());
+      if (!newInsights) return true;
+      if (!newInsights.enabled) return false;
+
+      // Filter by user's category preferences
+      if (newInsights.categories.length > 0 && !newInsights.categories.includes(category)) {
+        return false;
+      }
+
+      // Premium-only subscribers skip free content
+      if (newInsights.premiumOnly && type !== 'premium') {
+        return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Keep admins and users whose active subscription is premium
+   */
+  async filterPremiumAccess(users) {
+    if (users.length === 0) return users;
+
+    const subscriptions = await Subscription.getActiveSubscriptions(users.map(user => user._id));
+    return users.filter(user => {
+      if ([ROLES.ADMIN, ROLES.SUPERADMIN].includes(user.role)) return true;
+      const subscription = subscriptions.get(user._id.toString());
+      return Boolean(subscription && subscription.isPremium);
+    });
+  }
+
+  /**
+   * Get active users following a series (except its author). Premium parts
+   * only go to users with premium access.
+   */
+  async getSeriesFollowers({ seriesId, author, type }) {
+    if (!seriesId) return [];
+
+    const authorId = author ? (author._id || author).toString() : null;
+    const followerIds = (await followService.getSeriesFollowerIds(seriesId))
+      .filter(id => id.toString() !== authorId);
+    if (followerIds.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: followerIds }, isActive: true });
+    return type === 'premium' ? await this.filterPremiumAccess(users) : users;
+  }
+
+  /**
+   * Get channel subscribers who want post notifications. Subscribers whose
+   * plan no longer covers the channel are skipped (same check as access).
+   */
+  async getChannelSubscribers({ channelId, authorId }) {
+    if (!channelId) return [];
+
+    // Lazy require: channelService emits the events this service handles
+    const channelService = require('./channelService');
+    return await channelService.getNotificationRecipients(channelId, authorId);
+  }
+
+  /**
+   * Get active users with a symbol on any of their watchlists
+   */
+  async getSymbolWatchers(symbol) {
+    if (!symbol) return [];
+
+    const userIds = await Watchlist.distinct('user', { 'items.symbol': symbol });
+    if (userIds.length === 0) return [];
+
+    return await User.find({ _id: { $in: userIds }, isActive: true });
   }
 
   /**
@@ -230,6 +323,7 @@ class NotificationService {
       'insight:free-published': { category: 'content', notificationType: 'newInsights' },
       'insight:featured': { category: 'content', notificationType: 'featuredInsights' },
       'insight:updated': { category: 'content', notificationType: 'newInsights' },
+      'series:part-published': { category: 'content', notificationType: 'newInsights' },
 
       'premium:access-granted': { category: 'premium', notificationType: 'newPremiumContent' },
       'premium:content-unlocked': { category: 'premium', notificationType: 'newPremiumContent' },
@@ -239,10 +333,21 @@ class NotificationService {
       'system:announcement': { category: 'system', notificationType: 'announcements' },
 
       'chat:message-received': { category: 'engagement', notificationType: 'engagement' },
+      'channel:post-published': { category: 'content', notificationType: 'newInsights' },
+      'engagement:new-follower': { category: 'engagement', notificationType: 'followers' },
+
+      'market:price-alert': { category: 'market', notificationType: 'priceAlerts' },
+      'market:disclosure': { category: 'market', notificationType: 'disclosures' },
 
       'insight_request:submitted': { category: 'system', notificationType: 'announcements' }, // Admins get system announcements
       'insight_request:approved': { category: 'content', notificationType: 'newInsights' },
-      'insight_request:rejected': { category: 'content', notificationType: 'newInsights' }
+      'insight_request:rejected': { category: 'content', notificationType: 'newInsights' },
+
+      // Editorial workflow only involves admins
+      'editorial:review-requested': { category: 'system', notificationType: 'announcements' },
+      'editorial:review-decision': { category: 'system', notificationType: 'announcements' },
+      'editorial:review-comment': { category: 'system', notificationType: 'announcements' },
+      'editorial:status-changed': { category: 'system', notificationType: 'announcements' }
     };
 
     return mapping[eventType] || {};
@@ -373,12 +478,45 @@ class NotificationService {
         actionText: 'Read Now',
         imageUrl: data.coverImage
       },
+      'series:part-published': {
+        title: `${data.seriesTitle} - Part ${data.part}`,
+        body: `${data.title}${data.excerpt ? `: ${data.excerpt}` : ''}`,
+        actionUrl: data.url,
+        actionText: 'Read Part',
+        imageUrl: data.coverImage
+      },
       'chat:message-received': {
-        title: data.isGroup ? `${data.chatName}` : `${data.senderName}`,
+        title: data.threadId
+          ? `New reply in ${data.isGroup ? data.chatName : data.senderName} thread`
+          : (data.isGroup ? `${data.chatName}` : `${data.senderName}`),
         body: data.isGroup ? `${data.senderName}: ${data.content}` : data.content,
         actionUrl: data.url || `/chats/${data.chatId}`,
         actionText: 'Reply'
       },
+      'channel:post-published': {
+        title: `📣 ${data.channelName}`,
+        body: data.content,
+        actionUrl: data.url,
+        actionText: 'View Post'
+      },
+      'engagement:new-follower': {
+        title: 'New Follower 👋',
+        body: `${data.followerName} started following you.`,
+        actionUrl: data.url,
+        actionText: 'View Profile'
+      },
+      'market:price-alert': {
+        title: `🔔 Price Alert: ${data.symbol}`,
+        body: data.message,
+        actionUrl: data.url,
+        actionText: 'View Quote'
+      },
+      'market:disclosure': {
+        title: `📄 New Disclosure: ${data.company || data.symbol}`,
+        body: data.title,
+        actionUrl: data.url,
+        actionText: 'View Disclosure'
+      },
       'insight_request:submitted': {
         title: 'New Insight Request 📝',
         body: `A new insight request has been submitted by ${data.userName}: ${data.title}`,
@@ -396,6 +534,32 @@ class NotificationService {
         body: `Your insight request "${data.title}" was not approved. Reason: ${data.reason}`,
         actionUrl: '/',
         actionText: 'Close'
+      },
+      'editorial:review-requested': {
+        title: 'Review Requested',
+        body: `"${data.title}" (version ${data.version}) is waiting for your review.`,
+        actionUrl: data.url,
+        actionText: 'Review'
+      },
+      'editorial:review-decision': {
+        title: data.decision === 'approved' ? 'Insight Approved ✅' : 'Changes Requested',
+        body: data.decision === 'approved'
+          ? `"${data.title}" was approved (${data.approvals}/${data.requiredApprovals})${data.published ? ' and published' : ''}.`
+          : `A reviewer requested changes to "${data.title}"${data.note ? `: ${data.note}` : '.'}`,
+        actionUrl: data.url,
+        actionText: 'View Review'
+      },
+      'editorial:review-comment': {
+        title: 'New Review Comment',
+        body: `New comment on "${data.title}" (version ${data.version}): ${data.comment}`,
+        actionUrl: data.url,
+        actionText: 'View Comment'
+      },
+      'editorial:status-changed': {
+        title: 'Insight Status Changed',
+        body: `"${data.title}" moved from ${data.from.replace('_', ' ')} to ${data.to.replace('_', ' ')}${data.note ? `: ${data.note}` : '.'}`,
+        actionUrl: data.url,
+        actionText: 'View Insight'
       }
     };
 
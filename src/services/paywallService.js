@@ -0,0 +1,231 @@
+const SystemSettings = require('../models/SystemSettings');
+const PaywallMeter = require('../models/PaywallMeter');
+const contentBlockService = require('./contentBlockService');
+const { PAYWALL_MODES } = require('../constants');
+
+// Settings are read on every premium request; re-read them at most once a minute
+const SETTINGS_TTL_MS = 60 * 1000;
+
+const UPGRADE_BENEFITS = [
+    'Unlimited access to all premium insights',
+    'Advanced market analysis and trading strategies',
+    'Exclusive expert commentary',
+    'Priority support'
+];
+
+// Stand-in words for blurred paragraphs so the real text never leaves the server
+const FILLER_WORDS = ['market', 'shares', 'index', 'trend', 'volume', 'sector', 'growth', 'price', 'outlook', 'yield'];
+
+class PaywallService {
+    constructor() {
+        this.cachedSettings = null;
+        this.cachedAt = 0;
+    }
+
+    /**
+     * Paywall rules from SystemSettings (cached)
+     * @returns {Promise<Object>} { mode, teaserParagraphs, blurredParagraphs, monthlyFreeReads, ctaMessage, ctaUrl }
+     */
+    async getSettings() {
+        if (this.cachedSettings && Date.now() - this.cachedAt < SETTINGS_TTL_MS) {
+            return this.cachedSettings;
+        }
+
+        const settings = await SystemSettings.getSettings();
+        this.cachedSettings = settings.toObject().paywall;
+        this.cachedAt = Date.now();
+        return this.cachedSettings;
+    }
+
+    invalidateSettings() {
+        this.cachedSettings = null;
+    }
+
+    /**
+     * Meter period (calendar month, UTC)
+     */
+    getPeriod(now = new Date()) {
+        return now.toISOString().slice(0, 7);
+    }
+
+    getResetDate(now = new Date()) {
+        return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    }
+
+    /**
+     * Replace every word with filler so clients can render a blurred
+     * paragraph of about the same length. Pure function.
+     */
+    blurText(text) {
+        return text
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((word, index) => FILLER_WORDS[(word.length + index) % FILLER_WORDS.length])
+            .join(' ');
+    }
+
+    /**
+     * Server-generated teaser: the opening paragraphs in full, the next few
+     * as blurred filler, and counts of what's left. Pure function.
+     * @param {Object} insight - Localized insight (plain object)
+     * @param {Object} settings - Paywall settings
+     */
+    buildTeaser(insight, settings) {
+        const paragraphs = (insight.content || '')
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim())
+            .filter(Boolean);
+
+        const visible = paragraphs.slice(0, settings.teaserParagraphs);
+        const hidden = paragraphs.slice(settings.teaserParagraphs);
+
+        const teaser = {
+            paragraphs: visible,
+            blurred: hidden.slice(0, settings.blurredParagraphs).map(paragraph => this.blurText(paragraph)),
+            hiddenParagraphs: hidden.length,
+            totalParagraphs: paragraphs.length
+        };
+
+        // Block-based insights store one paragraph per block, so the same cut works
+        if (Array.isArray(insight.blocks) && insight.blocks.length > 0) {
+            teaser.html = contentBlockService.renderHTML(insight.blocks.slice(0, settings.teaserParagraphs));
+        }
+
+        return teaser;
+    }
+
+    /**
+     * List entry for a premium insight the user can't read: everything but
+     * the body, including in translations
+     */
+    lockInsight(insight) {
+        const { content, blocks, contentHtml, translations, ...data } = insight.toObject ? insight.toObject() : { ...insight };
+
+        const lockedTranslations = {};
+        for (const [lang, translation] of Object.entries(translations || {})) {
+            if (!translation) continue;
+            lockedTranslations[lang] = {
+                title: translation.title,
+                excerpt: translation.excerpt || (translation.content || '').substring(0, 200) + '...',
+                status: translation.status
+            };
+        }
+
+        return {
+            ...data,
+            excerpt: data.excerpt || (content || '').substring(0, 200) + '...',
+            translations: lockedTranslations,
+            locked: true
+        };
+    }
+
+    /**
+     * Meter summary returned to clients. Pure function.
+     */
+    describeMeter(meter, settings, now = new Date()) {
+        const used = meter ? meter.insights.length : 0;
+        return {
+            limit: settings.monthlyFreeReads,
+            used,
+            remaining: Math.max(0, settings.monthlyFreeReads - used),
+            period: this.getPeriod(now),
+            resetsAt: this.getResetDate(now)
+        };
+    }
+
+    async getMeter(userId, settings, now = new Date()) {
+        const meter = await PaywallMeter.findOne({ user: userId, period: this.getPeriod(now) }).lean();
+        return this.describeMeter(meter, settings, now);
+    }
+
+    /**
+     * Whether the user already used a free read on this insight this month
+     */
+    async hasRead(userId, insightId, now = new Date()) {
+        return Boolean(await PaywallMeter.exists({ user: userId, period: this.getPeriod(now), insights: insightId }));
+    }
+
+    /**
+     * Use one of the month's free reads on an insight. Insights already read
+     * this month stay readable without using another one.
+     * @returns {Promise<Object>} { granted, meter }
+     */
+    async consumeRead(userId, insightId, settings, now = new Date()) {
+        const period = this.getPeriod(now);
+        const limit = settings.monthlyFreeReads;
+
+        let meter = await PaywallMeter.findOne({ user: userId, period, insights: insightId }).lean();
+        let granted = Boolean(meter);
+
+        if (!granted && limit > 0) {
+            try {
+                // Only matches while fewer than `limit` insights were read
+                meter = await PaywallMeter.findOneAndUpdate(
+                    { user: userId, period, [`insights.${limit - 1}`]: { $exists: false } },
+                    { $addToSet: { insights: insightId } },
+                    { upsert: true, new: true }
+                ).lean();
+                granted = true;
+            } catch (error) {
+                // Duplicate key: this month's meter exists and is already full
+                if (error.code !== 11000) throw error;
+            }
+        }
+
+        if (!granted) {
+            meter = await PaywallMeter.findOne({ user: userId, period }).lean();
+        }
+
+        return { granted, meter: this.describeMeter(meter, settings, now) };
+    }
+
+    /**
+     * Decide whether a user without premium may read a premium insight
+     * @returns {Promise<Object>} { granted, settings, meter } - meter is null unless metered and logged in
+     */
+    async checkAccess(user, insightId) {
+        const settings = await this.getSettings();
+
+        if (settings.mode !== PAYWALL_MODES.METERED || !user) {
+            return { granted: false, settings, meter: null };
+        }
+
+        const { granted, meter } = await this.consumeRead(user.id, insightId, settings);
+        return { granted, settings, meter };
+    }
+
+    getUpgradeCta(settings, user) {
+        const cta = {
+            message: settings.ctaMessage,
+            url: settings.ctaUrl,
+            benefits: UPGRADE_BENEFITS
+        };
+
+        if (settings.mode === PAYWALL_MODES.METERED && !user && settings.monthlyFreeReads > 0) {
+            cta.login = {
+                message: `Log in to read ${settings.monthlyFreeReads} premium insights free every month`,
+                url: '/login'
+            };
+        }
+
+        return cta;
+    }
+
+    /**
+     * Paywall block for list responses (null for premium users or when premium content is hidden)
+     */
+    async getPaywallState(user, hasPremiumAccess) {
+        if (hasPremiumAccess) return null;
+
+        const settings = await this.getSettings();
+        if (settings.mode === PAYWALL_MODES.HIDDEN) return null;
+
+        const meter = settings.mode === PAYWALL_MODES.METERED && user
+            ? await this.getMeter(user.id, settings)
+            : null;
+
+        return { mode: settings.mode, meter, upgrade: this.getUpgradeCta(settings, user) };
+    }
+}
+
+module.exports = new PaywallService();
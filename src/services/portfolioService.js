@@ -0,0 +1,329 @@
+const Portfolio = require('../models/Portfolio');
+const Transaction = require('../models/Transaction');
+const marketDataService = require('./marketDataService');
+const { getUserLimits } = require('../utils/subscriptionHelper');
+const { HTTP_STATUS } = require('../constants');
+
+const { TRANSACTION_TYPES } = Transaction;
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+class PortfolioService {
+    /**
+     * Replay transactions into positions using the average cost method.
+     * Pure function - no database or market access.
+     * @param {Array} transactions - Any order; sorted by tradeDate then createdAt
+     * @returns {Object} { positions: Map(symbol -> position), oversold: symbol|null }
+     */
+    computePositions(transactions) {
+        const positions = new Map();
+        let oversold = null;
+
+        const sorted = [...(transactions || [])].sort((a, b) =>
+            (new Date(a.tradeDate) - new Date(b.tradeDate)) || (new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+        );
+
+        for (const tx of sorted) {
+            if (!positions.has(tx.symbol)) {
+                positions.set(tx.symbol, {
+                    symbol: tx.symbol,
+                    exchange: tx.exchange,
+                    quantity: 0,
+                    costBasis: 0,
+                    realizedPnL: 0,
+                    dividends: 0,
+                    fees: 0
+                });
+            }
+            const position = positions.get(tx.symbol);
+            const fees = tx.fees || 0;
+            position.fees += fees;
+
+            if (tx.type === TRANSACTION_TYPES.BUY) {
+                position.costBasis += tx.quantity * tx.price + fees;
+                position.quantity += tx.quantity;
+            } else if (tx.type === TRANSACTION_TYPES.SELL) {
+                if (tx.quantity > position.quantity + 1e-9) {
+                    oversold = oversold || tx.symbol;
+                    continue;
+                }
+                const averageCost = position.quantity > 0 ? position.costBasis / position.quantity : 0;
+                position.realizedPnL += tx.quantity * (tx.price - averageCost) - fees;
+                position.costBasis -= averageCost * tx.quantity;
+                position.quantity -= tx.quantity;
+
+                // Avoid floating point dust once a position is closed
+                if (position.quantity < 1e-9) {
+                    position.quantity = 0;
+                    position.costBasis = 0;
+                }
+            } else if (tx.type === TRANSACTION_TYPES.DIVIDEND) {
+                position.dividends += (tx.amount || tx.quantity * tx.price) - fees;
+            }
+        }
+
+        return { positions, oversold };
+    }
+
+    /**
+     * Price positions from the live market cache and build the P&L summary
+     */
+    valuePositions(positions) {
+        const summary = {
+            costBasis: 0,
+            marketValue: 0,
+            unrealizedPnL: 0,
+            realizedPnL: 0,
+            dividends: 0,
+            dayChange: 0
+        };
+
+        const valued = Array.from(positions.values()).map(position => {
+            const quote = marketDataService.getBySymbol(position.symbol);
+            const price = quote && quote.price > 0 ? quote.price : null;
+            const isOpen = position.quantity > 0;
+
+            // Fall back to cost when the symbol has no live price
+            const marketValue = isOpen ? (price !== null ? position.quantity * price : position.costBasis) : 0;
+            const unrealizedPnL = isOpen ? marketValue - position.costBasis : 0;
+            const dayChange = isOpen && price !== null ? position.quantity * (quote.change || 0) : 0;
+
+            summary.costBasis += position.costBasis;
+            summary.marketValue += marketValue;
+            summary.unrealizedPnL += unrealizedPnL;
+            summary.realizedPnL += position.realizedPnL;
+            summary.dividends += position.dividends;
+            summary.dayChange += dayChange;
+
+            return {
+                symbol: position.symbol,
+                exchange: position.exchange,
+                quantity: round(position.quantity),
+                averageCost: isOpen ? round(position.costBasis / position.quantity) : 0,
+                costBasis: round(position.costBasis, 2),
+                price,
+                marketValue: round(marketValue, 2),
+                unrealizedPnL: round(unrealizedPnL, 2),
+                unrealizedPnLPercent: position.costBasis > 0 ? round((unrealizedPnL / position.costBasis) * 100, 2) : 0,
+                realizedPnL: round(position.realizedPnL, 2),
+                dividends: round(position.dividends, 2),
+                dayChange: round(dayChange, 2),
+                dayChangePercent: isOpen && quote ? quote.changePercent || 0 : 0,
+                lastUpdated: quote ? quote.lastUpdated : null
+            };
+        });
+
+        const previousValue = summary.marketValue - summary.dayChange;
+        const totalReturn = summary.unrealizedPnL + summary.realizedPnL + summary.dividends;
+
+        return {
+            positions: valued
+                .filter(p => p.quantity > 0)
+                .sort((a, b) => b.marketValue - a.marketValue),
+            closedPositions: valued.filter(p => p.quantity === 0),
+            summary: {
+                costBasis: round(summary.costBasis, 2),
+                marketValue: round(summary.marketValue, 2),
+                unrealizedPnL: round(summary.unrealizedPnL, 2),
+                unrealizedPnLPercent: summary.costBasis > 0 ? round((summary.unrealizedPnL / summary.costBasis) * 100, 2) : 0,
+                realizedPnL: round(summary.realizedPnL, 2),
+                dividends: round(summary.dividends, 2),
+                totalReturn: round(totalReturn, 2),
+                dayChange: round(summary.dayChange, 2),
+                dayChangePercent: previousValue > 0 ? round((summary.dayChange / previousValue) * 100, 2) : 0
+            }
+        };
+    }
+
+    async findOwned(user, portfolioId) {
+        const portfolio = await Portfolio.findOne({ _id: portfolioId, user: user.id });
+        if (!portfolio) {
+            throw createError('Portfolio not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return portfolio;
+    }
+
+    async buildPortfolio(portfolio) {
+        const transactions = await Transaction.find({ portfolio: portfolio._id }).lean();
+        const { positions } = this.computePositions(transactions);
+
+        return {
+            ...portfolio.toObject(),
+            ...this.valuePositions(positions),
+            transactionCount: transactions.length
+        };
+    }
+
+    async getUserPortfolios(user) {
+        const [portfolios, limits] = await Promise.all([
+            Portfolio.find({ user: user.id }).sort({ createdAt: 1 }),
+            getUserLimits(user)
+        ]);
+
+        const results = await Promise.all(portfolios.map(async (portfolio) => {
+            const { positions, closedPositions, ...rest } = await this.buildPortfolio(portfolio);
+            return { ...rest, positionCount: positions.length };
+        }));
+
+        return {
+            portfolios: results,
+            limits: {
+                tier: limits.tier,
+                maxPortfolios: limits.portfolios,
+                used: portfolios.length
+            }
+        };
+    }
+
+    async getPortfolio(user, portfolioId) {
+        const portfolio = await this.findOwned(user, portfolioId);
+        return this.buildPortfolio(portfolio);
+    }
+
+    async createPortfolio(user, { name, description }) {
+        const limits = await getUserLimits(user);
+        const count = await Portfolio.countDocuments({ user: user.id });
+
+        if (count >= limits.portfolios) {
+            throw createError(
+                `Your ${limits.tier} plan allows up to ${limits.portfolios} portfolio${limits.portfolios === 1 ? '' : 's'}`,
+                HTTP_STATUS.FORBIDDEN,
+                'PORTFOLIO_LIMIT_REACHED'
+            );
+        }
+
+        const existing = await Portfolio.findOne({ user: user.id, name: name.trim() });
+        if (existing) {
+            throw createError('A portfolio with this name already exists', HTTP_STATUS.CONFLICT);
+        }
+
+        const portfolio = await Portfolio.create({ user: user.id, name, description });
+        return this.buildPortfolio(portfolio);
+    }
+
+    async updatePortfolio(user, portfolioId, { name, description }) {
+        const portfolio = await this.findOwned(user, portfolioId);
+
+        if (name !== undefined && name.trim() !== portfolio.name) {
+            const duplicate = await Portfolio.findOne({ user: user.id, name: name.trim(), _id: { $ne: portfolio._id } });
+            if (duplicate) {
+                throw createError('A portfolio with this name already exists', HTTP_STATUS.CONFLICT);
+            }
+            portfolio.name = name;
+        }
+        if (description !== undefined) portfolio.description = description;
+
+        await portfolio.save();
+        return this.buildPortfolio(portfolio);
+    }
+
+    async deletePortfolio(user, portfolioId) {
+        const portfolio = await this.findOwned(user, portfolioId);
+        await Transaction.deleteMany({ portfolio: portfolio._id });
+        await portfolio.deleteOne();
+    }
+
+    async getTransactions(user, portfolioId, { symbol, type, skip, limit }) {
+        const portfolio = await this.findOwned(user, portfolioId);
+
+        const query = { portfolio: portfolio._id };
+        if (symbol) query.symbol = symbol.toUpperCase();
+        if (type) query.type = type;
+
+        const [transactions, total] = await Promise.all([
+            Transaction.find(query).sort({ tradeDate: -1, createdAt: -1 }).skip(skip).limit(limit),
+            Transaction.countDocuments(query)
+        ]);
+
+        return { transactions, total };
+    }
+
+    /**
+     * Record a buy, sell or dividend. Sells may not exceed the shares held at the trade date.
+     */
+    async addTransaction(user, portfolioId, data) {
+        const portfolio = await this.findOwned(user, portfolioId);
+
+        const record = marketDataService.resolveSymbol(data.symbol, data.exchange);
+        if (!record) {
+            throw createError(
+                `Symbol ${data.symbol} not found${data.exchange ? ` in ${data.exchange.toUpperCase()}` : ''}`,
+                HTTP_STATUS.NOT_FOUND
+            );
+        }
+
+        if (data.type !== TRANSACTION_TYPES.DIVIDEND && !(data.quantity > 0 && data.price > 0)) {
+            throw createError('Quantity and price are required for buys and sells', HTTP_STATUS.BAD_REQUEST);
+        }
+        if (data.type === TRANSACTION_TYPES.DIVIDEND && !(data.amount > 0) && !(data.quantity > 0 && data.price > 0)) {
+            throw createError('Dividend amount is required', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const transaction = new Transaction({
+            portfolio: portfolio._id,
+            user: user.id,
+            symbol: record.symbol,
+            exchange: record.exchange,
+            type: data.type,
+            quantity: data.quantity,
+            price: data.price,
+            amount: data.amount,
+            fees: data.fees,
+            tradeDate: data.tradeDate || new Date(),
+            note: data.note
+        });
+
+        if (transaction.type === TRANSACTION_TYPES.SELL) {
+            const existing = await Transaction.find({ portfolio: portfolio._id, symbol: record.symbol }).lean();
+            const { oversold } = this.computePositions([...existing, { ...transaction.toObject(), createdAt: new Date() }]);
+            if (oversold) {
+                throw createError(
+                    `Cannot sell more ${record.symbol} shares than held on ${transaction.tradeDate.toISOString().slice(0, 10)}`,
+                    HTTP_STATUS.BAD_REQUEST,
+                    'INSUFFICIENT_HOLDINGS'
+                );
+            }
+        }
+
+        await transaction.save();
+        return transaction;
+    }
+
+    /**
+     * Delete a transaction, refusing if it would leave a later sell uncovered
+     */
+    async deleteTransaction(user, portfolioId, transactionId) {
+        const portfolio = await this.findOwned(user, portfolioId);
+        const transaction = await Transaction.findOne({ _id: transactionId, portfolio: portfolio._id });
+        if (!transaction) {
+            throw createError('Transaction not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        if (transaction.type === TRANSACTION_TYPES.BUY) {
+            const remaining = await Transaction.find({
+                portfolio: portfolio._id,
+                symbol: transaction.symbol,
+                _id: { $ne: transaction._id }
+            }).lean();
+
+            if (this.computePositions(remaining).oversold) {
+                throw createError(
+                    'Deleting this buy would leave later sells without enough shares',
+                    HTTP_STATUS.BAD_REQUEST,
+                    'INSUFFICIENT_HOLDINGS'
+                );
+            }
+        }
+
+        await transaction.deleteOne();
+    }
+}
+
+module.exports = new PortfolioService();
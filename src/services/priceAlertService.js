@@ -0,0 +1,274 @@
+const PriceAlert = require('../models/PriceAlert');
+const { emitPriceAlertTriggered } = require('../events/enhancedNotificationEvents');
+const { getUserLimits } = require('../utils/subscriptionHelper');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../constants');
+
+const { ALERT_CONDITIONS, ALERT_STATUS } = PriceAlert;
+
+// Volume spike baseline: exponential moving average of per-cycle volume deltas
+const VOLUME_EMA_ALPHA = 0.2;
+const VOLUME_MIN_SAMPLES = 5;
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+class PriceAlertService {
+    constructor() {
+        // symbol -> { average, samples }
+        this.volumeStats = new Map();
+    }
+
+    /**
+     * Update the per-symbol volume baseline with the latest sync cycle and return
+     * the context used to evaluate volume_spike alerts for this cycle.
+     * The baseline is read BEFORE it absorbs the current delta, so a spike
+     * is measured against what came before it.
+     */
+    trackVolume(symbol, previous, current) {
+        const stats = this.volumeStats.get(symbol) || { average: 0, samples: 0 };
+        const context = { volumeDelta: 0, averageVolumeDelta: stats.average, samples: stats.samples };
+
+        if (!previous || !current) return context;
+
+        const delta = (current.volume || 0) - (previous.volume || 0);
+
+        // Negative delta means the daily volume counter reset (new session)
+        if (delta < 0) {
+            this.volumeStats.set(symbol, { average: 0, samples: 0 });
+            return { volumeDelta: 0, averageVolumeDelta: 0, samples: 0 };
+        }
+
+        context.volumeDelta = delta;
+
+        const average = stats.samples === 0
+            ? delta
+            : VOLUME_EMA_ALPHA * delta + (1 - VOLUME_EMA_ALPHA) * stats.average;
+        this.volumeStats.set(symbol, { average, samples: stats.samples + 1 });
+
+        return context;
+    }
+
+    /**
+     * Evaluate a single alert against a quote. Pure function - no side effects.
+     * Price levels trigger on a crossing: the previous cycle's price (context.previousPrice)
+     * was still on the other side of the threshold.
+     * @returns {{ triggered: Boolean, message?: String }}
+     */
+    evaluateCondition(alert, quote, context = {}) {
+        if (!quote || !quote.price || quote.price <= 0) return { triggered: false };
+
+        const name = quote.shortName || alert.symbol;
+        const { previousPrice } = context;
+        const hasPrevious = previousPrice > 0;
+
+        switch (alert.condition) {
+            case ALERT_CONDITIONS.PRICE_ABOVE:
+                if (hasPrevious && previousPrice < alert.threshold && quote.price >= alert.threshold) {
+                    return { triggered: true, message: `${name} rose to ${quote.price} (above ${alert.threshold})` };
+                }
+                break;
+
+            case ALERT_CONDITIONS.PRICE_BELOW:
+                if (hasPrevious && previousPrice > alert.threshold && quote.price <= alert.threshold) {
+                    return { triggered: true, message: `${name} fell to ${quote.price} (below ${alert.threshold})` };
+                }
+                break;
+
+            case ALERT_CONDITIONS.PERCENT_CHANGE: {
+                const change = quote.changePercent || 0;
+                const direction = alert.direction || 'any';
+                const hit = (direction === 'up' && change >= alert.threshold)
+                    || (direction === 'down' && change <= -alert.threshold)
+                    || (direction === 'any' && Math.abs(change) >= alert.threshold);
+                if (hit) {
+                    return { triggered: true, message: `${name} moved ${change > 0 ? '+' : ''}${change}% today` };
+                }
+                break;
+            }
+
+            case ALERT_CONDITIONS.VOLUME_SPIKE: {
+                const { volumeDelta = 0, averageVolumeDelta = 0, samples = 0 } = context;
+                if (samples >= VOLUME_MIN_SAMPLES && averageVolumeDelta > 0
+                    && volumeDelta >= alert.threshold * averageVolumeDelta) {
+                    const multiple = (volumeDelta / averageVolumeDelta).toFixed(1);
+                    return { triggered: true, message: `${name} volume spike: ${multiple}x the recent average` };
+                }
+                break;
+            }
+
+            default:
+                break;
+        }
+
+        return { triggered: false };
+    }
+
+    /**
+     * Evaluate all active alerts against a freshly synced batch of quotes.
+     * Called from MarketDataService.processResults after every sync cycle.
+     * @param {Array} dataList - Quotes from fetchDFM / fetchADX
+     * @param {Map} previousBySymbol - Cached quotes from the previous cycle
+     * @returns {Promise<Number>} - Number of alerts triggered
+     */
+    async evaluateQuotes(dataList, previousBySymbol = new Map()) {
+        if (!dataList || dataList.length === 0) return 0;
+
+        const quotes = new Map();
+        const contexts = new Map();
+        for (const quote of dataList) {
+            const previous = previousBySymbol.get(quote.symbol);
+            quotes.set(quote.symbol, quote);
+            contexts.set(quote.symbol, {
+                ...this.trackVolume(quote.symbol, previous, quote),
+                previousPrice: previous ? previous.price : null
+            });
+        }
+
+        const alerts = await PriceAlert.find({
+            status: ALERT_STATUS.ACTIVE,
+            symbol: { $in: Array.from(quotes.keys()) }
+        });
+
+        if (alerts.length === 0) return 0;
+
+        const now = new Date();
+        let triggeredCount = 0;
+
+        for (const alert of alerts) {
+            try {
+                if (alert.recurring && alert.isCoolingDown(now)) continue;
+
+                const quote = quotes.get(alert.symbol);
+                const result = this.evaluateCondition(alert, quote, contexts.get(alert.symbol));
+                if (!result.triggered) continue;
+
+                alert.lastTriggeredAt = now;
+                alert.lastTriggeredPrice = quote.price;
+                alert.triggerCount += 1;
+                if (!alert.recurring) alert.status = ALERT_STATUS.TRIGGERED;
+                await alert.save();
+
+                emitPriceAlertTriggered({
+                    userId: alert.user,
+                    alertId: alert._id,
+                    symbol: alert.symbol,
+                    exchange: alert.exchange,
+                    condition: alert.condition,
+                    threshold: alert.threshold,
+                    price: quote.price,
+                    changePercent: quote.changePercent,
+                    volume: quote.volume,
+                    message: alert.note ? `${result.message} - ${alert.note}` : result.message
+                });
+
+                triggeredCount++;
+            } catch (error) {
+                logger.error(`[PriceAlert] Failed to process alert ${alert._id}:`, error.message);
+            }
+        }
+
+        if (triggeredCount > 0) {
+            logger.info(`[PriceAlert] Triggered ${triggeredCount} alert(s) this cycle`);
+        }
+        return triggeredCount;
+    }
+
+    // --- User management ---
+
+    async findOwned(user, alertId) {
+        const alert = await PriceAlert.findOne({ _id: alertId, user: user.id });
+        if (!alert) {
+            throw createError('Price alert not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return alert;
+    }
+
+    async getUserAlerts(user, filter = {}) {
+        const query = { user: user.id };
+        if (filter.status) query.status = filter.status;
+        if (filter.symbol) query.symbol = filter.symbol.toUpperCase();
+
+        const [alerts, limits] = await Promise.all([
+            PriceAlert.find(query).sort({ createdAt: -1 }),
+            getUserLimits(user)
+        ]);
+
+        const activeCount = await PriceAlert.countDocuments({ user: user.id, status: ALERT_STATUS.ACTIVE });
+
+        return {
+            alerts,
+            limits: {
+                tier: limits.tier,
+                maxActiveAlerts: limits.priceAlerts,
+                active: activeCount
+            }
+        };
+    }
+
+    async assertWithinLimit(user) {
+        const limits = await getUserLimits(user);
+        const activeCount = await PriceAlert.countDocuments({ user: user.id, status: ALERT_STATUS.ACTIVE });
+
+        if (activeCount >= limits.priceAlerts) {
+            throw createError(
+                `Your ${limits.tier} plan allows up to ${limits.priceAlerts} active price alerts`,
+                HTTP_STATUS.FORBIDDEN,
+                'PRICE_ALERT_LIMIT_REACHED'
+            );
+        }
+    }
+
+    async createAlert(user, data) {
+        // Lazy require: marketDataService depends on this service for evaluation
+        const marketDataService = require('./marketDataService');
+        const record = marketDataService.resolveSymbol(data.symbol, data.exchange);
+        if (!record) {
+            throw createError(`Symbol ${data.symbol} not found`, HTTP_STATUS.NOT_FOUND);
+        }
+
+        await this.assertWithinLimit(user);
+
+        return PriceAlert.create({
+            user: user.id,
+            symbol: record.symbol,
+            exchange: record.exchange,
+            condition: data.condition,
+            threshold: data.threshold,
+            direction: data.direction,
+            recurring: data.recurring,
+            cooldownMinutes: data.cooldownMinutes,
+            note: data.note
+        });
+    }
+
+    /**
+     * Update an alert. Setting status back to active re-arms a triggered alert.
+     */
+    async updateAlert(user, alertId, updates) {
+        const alert = await this.findOwned(user, alertId);
+
+        const reactivating = updates.status === ALERT_STATUS.ACTIVE && alert.status !== ALERT_STATUS.ACTIVE;
+        if (reactivating) {
+            await this.assertWithinLimit(user);
+        }
+
+        ['threshold', 'direction', 'recurring', 'cooldownMinutes', 'note', 'status'].forEach(field => {
+            if (updates[field] !== undefined) alert[field] = updates[field];
+        });
+
+        await alert.save();
+        return alert;
+    }
+
+    async deleteAlert(user, alertId) {
+        const alert = await this.findOwned(user, alertId);
+        await alert.deleteOne();
+    }
+}
+
+module.exports = new PriceAlertService();
@@ -0,0 +1,123 @@
+const Reaction = require('../models/Reaction');
+const Insight = require('../models/Insight');
+const trendingService = require('./trendingService');
+const analyticsService = require('./analyticsService');
+const paywallService = require('./paywallService');
+const { canAccessInsight } = require('../middleware/subscriptionMiddleware');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../constants');
+
+const { REACTION_TYPES } = Reaction;
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+class ReactionService {
+    async getCounts(insightId) {
+        const insight = await Insight.findById(insightId).select('reactions').lean();
+        return Object.assign({ like: 0, bullish: 0, bearish: 0 }, insight && insight.reactions);
+    }
+
+    /**
+     * Reaction counters plus the current user's reaction (null when anonymous)
+     */
+    async getState(user, insightId) {
+        const [counts, reaction] = await Promise.all([
+            this.getCounts(insightId),
+            user ? Reaction.findOne({ user: user.id, insight: insightId }).select('type').lean() : null
+        ]);
+
+        return { counts, reaction: reaction ? reaction.type : null };
+    }
+
+    /**
+     * React to an insight. Reacting again with another type switches the
+     * reaction; the same type is a no-op, so counters never double count.
+     */
+    async react(user, insightId, type) {
+        if (!Object.values(REACTION_TYPES).includes(type)) {
+            throw createError('Invalid reaction type', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const insight = await Insight.findOne({ _id: insightId, status: 'published', isDeleted: false })
+            .select('type')
+            .lean();
+        if (!insight) {
+            throw createError('Insight not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        // Premium insights are open to premium users and to free reads already used on them
+        const canRead = await canAccessInsight(insight, user) || await paywallService.hasRead(user.id, insightId);
+        if (!canRead) {
+            throw createError('Premium subscription required to react to this insight', HTTP_STATUS.FORBIDDEN, 'PREMIUM_REQUIRED');
+        }
+
+        const previous = await this.upsertReaction(user.id, insightId, type);
+
+        if (!previous || previous.type !== type) {
+            await Insight.updateOne({ _id: insightId }, { $inc: { [`reactions.${type}`]: 1 } });
+            if (previous) {
+                await Insight.updateOne(
+                    { _id: insightId, [`reactions.${previous.type}`]: { $gt: 0 } },
+                    { $inc: { [`reactions.${previous.type}`]: -1 } }
+                );
+            }
+
+            if (!previous && type === REACTION_TYPES.LIKE) {
+                analyticsService.recordEngagement('like', insightId, user.id).catch(logger.error);
+            }
+            this.refreshScore(insightId);
+        }
+
+        return this.getState(user, insightId);
+    }
+
+    /**
+     * Atomic upsert that returns the previous reaction (null when new). Two
+     * first reactions racing on the unique index: the loser retries as an update.
+     */
+    async upsertReaction(userId, insightId, type) {
+        const upsert = () => Reaction.findOneAndUpdate(
+            { user: userId, insight: insightId },
+            { $set: { type } },
+            { upsert: true, returnDocument: 'before' }
+        );
+
+        try {
+            return await upsert();
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            return upsert();
+        }
+    }
+
+    async removeReaction(user, insightId) {
+        const reaction = await Reaction.findOneAndDelete({ user: user.id, insight: insightId });
+        if (!reaction) {
+            throw createError('Reaction not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        await Insight.updateOne(
+            { _id: insightId, [`reactions.${reaction.type}`]: { $gt: 0 } },
+            { $inc: { [`reactions.${reaction.type}`]: -1 } }
+        );
+        this.refreshScore(insightId);
+
+        return this.getState(user, insightId);
+    }
+
+    /**
+     * Fire-and-forget trending refresh so reactions show up before the next job run
+     */
+    refreshScore(insightId) {
+        trendingService.refreshInsight(insightId).catch(error => {
+            logger.error(`[Reaction] Failed to refresh trending score for ${insightId}:`, error.message);
+        });
+    }
+}
+
+module.exports = new ReactionService();
@@ -1,5 +1,6 @@
 const Insight = require('../models/Insight');
 const { getPaginationParams } = require('../utils/pagination');
+const trendingService = require('./trendingService');
 
 /**
  * Advanced Search Service
@@ -104,10 +105,13 @@ class SearchService {
         sortOptions = { createdAt: sortOrder === 'asc' ? 1 : -1 };
         break;
       case 'views':
-        sortOptions = { viewCount: sortOrder === 'asc' ? 1 : -1 };
+        sortOptions = { views: sortOrder === 'asc' ? 1 : -1 };
         break;
       case 'likes':
-        sortOptions = { likes: sortOrder === 'asc' ? 1 : -1 };
+        sortOptions = { 'reactions.like': sortOrder === 'asc' ? 1 : -1 };
+        break;
+      case 'trending':
+        sortOptions = { trendingScore: sortOrder === 'asc' ? 1 : -1 };
         break;
       case 'title':
         sortOptions = { title: sortOrder === 'asc' ? 1 : -1 };
@@ -163,7 +167,7 @@ class SearchService {
       isDeleted: false
     })
       .select('title category type')
-      .sort({ viewCount: -1, likes: -1 })
+      .sort({ trendingScore: -1, views: -1 })
       .limit(limit)
       .lean();
 
@@ -180,26 +184,9 @@ class SearchService {
    * @returns {Promise<Array>} Trending search terms
    */
   async getTrendingSearches() {
-    // For now, return trending based on most viewed insights
+    // Tags of the currently trending insights, weighted by trending score
     // In future, track actual search queries
-    const trending = await Insight.find({
-      status: 'published',
-      isDeleted: false
-    })
-      .select('title tags')
-      .sort({ viewCount: -1 })
-      .limit(10)
-      .lean();
-
-    // Extract unique tags from trending insights
-    const trendingTags = new Set();
-    trending.forEach(insight => {
-      if (insight.tags) {
-        insight.tags.forEach(tag => trendingTags.add(tag));
-      }
-    });
-
-    return Array.from(trendingTags).slice(0, 10);
+    return trendingService.getTrendingTags(10);
   }
 
   /**
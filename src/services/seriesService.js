@@ -0,0 +1,304 @@
+const mongoose = require('mongoose');
+const Series = require('../models/Series');
+const Insight = require('../models/Insight');
+const Follow = require('../models/Follow');
+const { emitSeriesPartPublished } = require('../events/enhancedNotificationEvents');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../constants');
+
+const { FOLLOW_TYPES } = Follow;
+
+const SERIES_FIELDS = ['title', 'description', 'category', 'coverImage', 'status'];
+const PART_FIELDS = 'title slug excerpt type category coverImage publishedAt readTime';
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+const summarizePart = (insight, part) => ({
+    id: insight._id.toString(),
+    title: insight.title,
+    slug: insight.slug,
+    part
+});
+
+class SeriesService {
+    async findSeries(seriesId) {
+        if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+            throw createError('Invalid series ID', HTTP_STATUS.BAD_REQUEST);
+        }
+        const series = await Series.findById(seriesId);
+        if (!series) {
+            throw createError('Series not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return series;
+    }
+
+    /**
+     * Published, non-deleted parts of a series in reading order
+     */
+    async getPublishedParts(series, fields = PART_FIELDS) {
+        const insights = await Insight.find({
+            _id: { $in: series.insights },
+            status: 'published',
+            isDeleted: false
+        }).select(fields).lean();
+
+        const byId = new Map(insights.map(insight => [insight._id.toString(), insight]));
+        return series.insights.map(id => byId.get(id.toString())).filter(Boolean);
+    }
+
+    /**
+     * Position of an insight among the published parts, with its neighbours.
+     * Pure function.
+     * @param {Object} series - { _id, title, slug, status }
+     * @param {Array} parts - Published parts in reading order
+     * @returns {Object|null} null when the insight isn't a published part
+     */
+    buildNavigation(series, parts, insightId) {
+        const index = parts.findIndex(part => part._id.toString() === String(insightId));
+        if (index === -1) return null;
+
+        return {
+            id: series._id.toString(),
+            title: series.title,
+            slug: series.slug,
+            status: series.status,
+            part: index + 1,
+            totalParts: parts.length,
+            previous: index > 0 ? summarizePart(parts[index - 1], index) : null,
+            next: index < parts.length - 1 ? summarizePart(parts[index + 1], index + 2) : null
+        };
+    }
+
+    /**
+     * Series block for the insight detail page (null for standalone insights)
+     */
+    async getNavigation(insight) {
+        if (!insight.series) return null;
+
+        const series = await Series.findById(insight.series).select('title slug status insights').lean();
+        if (!series) return null;
+
+        const parts = await this.getPublishedParts(series, 'title slug');
+        return this.buildNavigation(series, parts, insight._id);
+    }
+
+    /**
+     * Series with at least one published part, most recently updated first
+     */
+    async listSeries({ skip = 0, limit = 20, author, category } = {}) {
+        const query = {};
+        if (author) query.author = author;
+        if (category) query.category = category;
+
+        const candidates = await Series.find(query)
+            .select('-insights')
+            .sort({ updatedAt: -1 })
+            .lean();
+
+        const counts = await Insight.aggregate([
+            { $match: { series: { $in: candidates.map(series => series._id) }, status: 'published', isDeleted: false } },
+            { $group: { _id: '$series', count: { $sum: 1 }, lastPublishedAt: { $max: '$publishedAt' } } }
+        ]);
+        const countsById = new Map(counts.map(count => [count._id.toString(), count]));
+
+        const listed = candidates
+            .filter(series => countsById.has(series._id.toString()))
+            .map(series => {
+                const { count, lastPublishedAt } = countsById.get(series._id.toString());
+                return { ...series, id: series._id.toString(), totalParts: count, lastPublishedAt };
+            });
+
+        const page = listed.slice(skip, skip + limit);
+        await Series.populate(page, { path: 'author', select: 'name avatar' });
+
+        return { series: page, total: listed.length };
+    }
+
+    /**
+     * Public view of a series: published parts, follower count and whether the user follows it
+     */
+    async getSeries(seriesId, user) {
+        const series = await this.findSeries(seriesId);
+        await series.populate('author', 'name avatar');
+
+        const [parts, followerCount, following] = await Promise.all([
+            this.getPublishedParts(series),
+            Follow.countDocuments({ targetType: FOLLOW_TYPES.SERIES, target: series._id.toString() }),
+            user
+                ? Follow.exists({ follower: user.id, targetType: FOLLOW_TYPES.SERIES, target: series._id.toString() })
+                : null
+        ]);
+
+        if (parts.length === 0) {
+            throw createError('Series not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const { insights, ...data } = series.toObject();
+        return {
+            ...data,
+            id: series._id.toString(),
+            parts: parts.map((insight, index) => ({ ...insight, id: insight._id.toString(), part: index + 1 })),
+            totalParts: parts.length,
+            followerCount,
+            isFollowing: Boolean(following)
+        };
+    }
+
+    /**
+     * Admin view: every part regardless of status
+     */
+    async getSeriesForAdmin(seriesId) {
+        const series = await this.findSeries(seriesId);
+        await series.populate([
+            { path: 'author', select: 'name email' },
+            { path: 'insights', select: `${PART_FIELDS} status scheduledFor isDeleted` }
+        ]);
+        return series;
+    }
+
+    async listSeriesForAdmin({ skip = 0, limit = 20, status, search } = {}) {
+        const query = {};
+        if (status) query.status = status;
+        if (search) query.title = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+        const [series, total] = await Promise.all([
+            Series.find(query)
+                .populate('author', 'name email')
+                .sort({ updatedAt: -1 })
+                .skip(skip)
+                .limit(limit),
+            Series.countDocuments(query)
+        ]);
+        return { series, total };
+    }
+
+    async createSeries(data, adminId) {
+        const series = new Series({
+            ...Object.fromEntries(SERIES_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])),
+            author: data.author || adminId,
+            createdBy: adminId
+        });
+        await series.save();
+        return series;
+    }
+
+    async updateSeries(seriesId, updates) {
+        const series = await this.findSeries(seriesId);
+        for (const field of SERIES_FIELDS) {
+            if (updates[field] !== undefined) series[field] = updates[field];
+        }
+        if (updates.author) series.author = updates.author;
+        await series.save();
+        return series;
+    }
+
+    /**
+     * Delete a series; its insights become standalone and its follows are dropped
+     */
+    async deleteSeries(seriesId) {
+        const series = await this.findSeries(seriesId);
+
+        await Promise.all([
+            Insight.updateMany({ series: series._id }, { $unset: { series: 1 } }),
+            Follow.deleteMany({ targetType: FOLLOW_TYPES.SERIES, target: series._id.toString() })
+        ]);
+        await series.deleteOne();
+    }
+
+    /**
+     * Add an insight to a series, at the end or at a 1-based position
+     */
+    async addPart(seriesId, insightId, position) {
+        const series = await this.findSeries(seriesId);
+
+        const insight = await Insight.findOne({ _id: insightId, isDeleted: false }).select('series');
+        if (!insight) {
+            throw createError('Insight not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (insight.series && !insight.series.equals(series._id)) {
+            throw createError('Insight already belongs to another series', HTTP_STATUS.CONFLICT, 'IN_OTHER_SERIES');
+        }
+        if (series.insights.some(id => id.equals(insight._id))) {
+            throw createError('Insight is already part of this series', HTTP_STATUS.CONFLICT, 'ALREADY_IN_SERIES');
+        }
+
+        const index = position ? Math.min(position - 1, series.insights.length) : series.insights.length;
+        series.insights.splice(index, 0, insight._id);
+        await series.save();
+
+        await Insight.updateOne({ _id: insight._id }, { series: series._id });
+
+        return series;
+    }
+
+    async removePart(seriesId, insightId) {
+        const series = await this.findSeries(seriesId);
+
+        const index = series.insights.findIndex(id => id.toString() === String(insightId));
+        if (index === -1) {
+            throw createError('Insight is not part of this series', HTTP_STATUS.NOT_FOUND);
+        }
+
+        series.insights.splice(index, 1);
+        await series.save();
+        await Insight.updateOne({ _id: insightId, series: series._id }, { $unset: { series: 1 } });
+
+        return series;
+    }
+
+    /**
+     * Replace the reading order; the list must contain exactly the current parts
+     */
+    async reorderParts(seriesId, insightIds) {
+        const series = await this.findSeries(seriesId);
+
+        const current = series.insights.map(id => id.toString()).sort();
+        const requested = insightIds.map(String).sort();
+        if (current.length !== requested.length || current.some((id, index) => id !== requested[index])) {
+            throw createError('Order must list every part of the series exactly once', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        series.insights = insightIds;
+        await series.save();
+        return series;
+    }
+
+    /**
+     * Tell series followers about a newly published part. Never throws:
+     * publishing must not fail because of notifications.
+     */
+    async notifyNewPart(insight) {
+        if (!insight.series) return;
+
+        try {
+            const series = await Series.findById(insight.series).select('title slug status insights').lean();
+            if (!series) return;
+
+            const parts = await this.getPublishedParts(series, 'title slug');
+            const navigation = this.buildNavigation(series, parts, insight._id);
+            if (!navigation) return;
+
+            emitSeriesPartPublished({
+                seriesId: series._id,
+                seriesTitle: series.title,
+                insightId: insight._id,
+                title: insight.title,
+                excerpt: insight.excerpt,
+                part: navigation.part,
+                totalParts: navigation.totalParts,
+                type: insight.type,
+                author: insight.author,
+                coverImage: insight.coverImage
+            });
+        } catch (error) {
+            logger.error('[SeriesService] New part notification failed:', error.message);
+        }
+    }
+}
+
+module.exports = new SeriesService();
@@ -13,6 +13,10 @@ const mongoose = require('mongoose');
 
 const SystemSettings = require('../models/SystemSettings');
 const Subscription = require('../models/Subscription');
+const paywallService = require('./paywallService');
+const { getCache } = require('../utils/cache');
+
+const PAYWALL_FIELDS = ['mode', 'teaserParagraphs', 'blurredParagraphs', 'monthlyFreeReads', 'ctaMessage', 'ctaUrl'];
 
 class SuperadminService {
   /**
@@ -88,6 +92,34 @@ class SuperadminService {
     }
   }
 
+  /**
+   * Update the premium paywall rules (mode, teaser size, monthly meter, CTA)
+   */
+  async updatePaywallSettings(updates, adminId) {
+    try {
+      const settings = await SystemSettings.getSettings();
+      const before = settings.toObject().paywall;
+
+      for (const field of PAYWALL_FIELDS) {
+        if (updates[field] !== undefined) settings.paywall[field] = updates[field];
+      }
+      settings.updatedBy = adminId;
+
+      await settings.save();
+
+      // Apply right away: cached settings and insight lists built under the old rules
+      paywallService.invalidateSettings();
+      getCache('insights').invalidate('*');
+
+      logger.info(`[Superadmin] Paywall settings updated by admin: ${adminId}`);
+
+      return { settings, before };
+    } catch (error) {
+      logger.error('[Superadmin] Failed to update paywall settings:', error);
+      throw error;
+    }
+  }
+
   /**
    * @deprecated Use the newer toggleSubscriptionPause instead
    */
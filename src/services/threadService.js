@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { HTTP_STATUS } = require('../constants');
+
+// Length of the last-reply preview stored on the thread root
+const PREVIEW_LENGTH = 140;
+
+const MAX_PAGE_SIZE = 100;
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+class ThreadService {
+    /**
+     * Shorten reply content for the root's last-reply preview. Pure function.
+     */
+    buildPreview(content) {
+        const text = (content || '').replace(/\s+/g, ' ').trim();
+        return text.length > PREVIEW_LENGTH ? `${text.substring(0, PREVIEW_LENGTH - 1)}…` : text;
+    }
+
+    /**
+     * Thread metadata for a root message, as sent to clients. Pure function.
+     */
+    formatSummary(root) {
+        const summary = root.threadSummary || {};
+        return {
+            rootId: root._id,
+            chatId: root.chat,
+            replyCount: summary.replyCount || 0,
+            lastReplyAt: summary.lastReplyAt || null,
+            lastReplyBy: summary.lastReplyBy || null,
+            lastReplyPreview: summary.lastReplyPreview || null,
+            followerCount: (root.threadFollowers || []).length
+        };
+    }
+
+    /**
+     * Thread root a new reply goes to. Replying to a reply continues the
+     * same thread, so threads stay one level deep.
+     * @param {Object} chat - Chat document the reply is sent in
+     * @param {string} messageId - Root or reply to answer
+     */
+    async resolveRoot(chat, messageId) {
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            throw createError('Invalid thread ID', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        let root = await Message.findById(messageId);
+        if (root && root.thread) {
+            root = await Message.findById(root.thread);
+        }
+
+        if (!root || root.chat.toString() !== chat._id.toString()) {
+            throw createError('Thread not found', HTTP_STATUS.NOT_FOUND);
+        }
+        if (root.isDeleted) {
+            throw createError('Cannot reply to a deleted message', HTTP_STATUS.BAD_REQUEST, 'THREAD_ROOT_DELETED');
+        }
+        return root;
+    }
+
+    /**
+     * Update the root after a reply was created. The root author and the
+     * replier follow the thread from then on.
+     * @returns {Promise<Object>} Updated root
+     */
+    async recordReply(root, reply) {
+        return Chat.withSequence(root.chat, seq => Message.findByIdAndUpdate(
+            root._id,
+            {
+                $inc: { 'threadSummary.replyCount': 1 },
+                $set: {
+                    syncSeq: seq,
+                    'threadSummary.lastReplyAt': reply.createdAt,
+                    'threadSummary.lastReplyBy': reply.sender._id || reply.sender,
+                    'threadSummary.lastReplyPreview': this.buildPreview(reply.content)
+                },
+                $addToSet: { threadFollowers: { $each: [root.sender, reply.sender._id || reply.sender] } }
+            },
+            { new: true }
+        ).select('chat threadSummary threadFollowers'));
+    }
+
+    /**
+     * Recount a thread from its remaining replies (after a reply is deleted)
+     * @returns {Promise<Object|null>} Updated root
+     */
+    async refreshSummary(rootId) {
+        const filter = { thread: rootId, deletedAt: null };
+        const [replyCount, lastReply] = await Promise.all([
+            Message.countDocuments(filter),
+            Message.findOne(filter).sort({ createdAt: -1 }).select('sender content createdAt')
+        ]);
+
+        const threadSummary = lastReply
+            ? {
+                replyCount,
+                lastReplyAt: lastReply.createdAt,
+                lastReplyBy: lastReply.sender,
+                lastReplyPreview: this.buildPreview(lastReply.content)
+            }
+            : { replyCount: 0 };
+
+        const root = await Message.findById(rootId).select('chat');
+        if (!root) return null;
+
+        return Chat.withSequence(root.chat, seq => Message.findByIdAndUpdate(
+            rootId,
+            { threadSummary, syncSeq: seq },
+            { new: true }
+        ).select('chat threadSummary threadFollowers'));
+    }
+
+    async getSummary(rootId) {
+        const root = await Message.findById(rootId).select('chat threadSummary threadFollowers');
+        return root ? this.formatSummary(root) : null;
+    }
+
+    /**
+     * Load the root of the thread a message belongs to, checking the user
+     * can see the chat
+     */
+    async findRootForUser(messageId, userId) {
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+            throw createError('Message not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        let root = await Message.findById(messageId);
+        if (root && root.thread) {
+            root = await Message.findById(root.thread);
+        }
+        if (!root) {
+            throw createError('Message not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        const chat = await Chat.findById(root.chat);
+        if (!chat || !chat.isParticipant(userId)) {
+            throw createError('You are not a participant of this chat', HTTP_STATUS.FORBIDDEN);
+        }
+        return root;
+    }
+
+    /**
+     * Thread root with its replies, oldest first
+     * @param {string} messageId - Root or any reply in the thread
+     */
+    async getThread(messageId, userId, { page = 1, limit = 50 } = {}) {
+        const root = await this.findRootForUser(messageId, userId);
+
+        limit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_PAGE_SIZE);
+        page = Math.max(parseInt(page, 10) || 1, 1);
+
+        const filter = { thread: root._id, deletedAt: null };
+        const [replies, total] = await Promise.all([
+            Message.find(filter)
+                .sort({ createdAt: 1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-threadFollowers -threadSummary -deliveredTo')
+                .populate('sender', 'name email avatar')
+                .populate({ path: 'replyTo', select: 'content sender createdAt', populate: { path: 'sender', select: 'name' } })
+                .lean(),
+            Message.countDocuments(filter)
+        ]);
+
+        await root.populate([
+            { path: 'sender', select: 'name email avatar' },
+            { path: 'threadSummary.lastReplyBy', select: 'name avatar' }
+        ]);
+
+        const isFollowing = root.threadFollowers.some(id => id.toString() === userId.toString());
+        const rootData = root.toObject();
+        delete rootData.threadFollowers;
+
+        return {
+            root: rootData,
+            replies,
+            isFollowing,
+            pagination: {
+                total,
+                page,
+                limit,
+                totalPages: Math.ceil(total / limit),
+                hasMore: page < Math.ceil(total / limit)
+            }
+        };
+    }
+
+    async follow(messageId, userId) {
+        const root = await this.findRootForUser(messageId, userId);
+        const updated = await Message.findByIdAndUpdate(
+            root._id,
+            { $addToSet: { threadFollowers: userId } },
+            { new: true }
+        ).select('chat threadSummary threadFollowers');
+        return { following: true, ...this.formatSummary(updated) };
+    }
+
+    async unfollow(messageId, userId) {
+        const root = await this.findRootForUser(messageId, userId);
+        const updated = await Message.findByIdAndUpdate(
+            root._id,
+            { $pull: { threadFollowers: userId } },
+            { new: true }
+        ).select('chat threadSummary threadFollowers');
+        return { following: false, ...this.formatSummary(updated) };
+    }
+}
+
+module.exports = new ThreadService();
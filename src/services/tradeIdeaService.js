@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const Insight = require('../models/Insight');
+const logger = require('../utils/logger');
+
+const { INSIGHT_SUBTYPES, TRADE_IDEA_DIRECTIONS, TRADE_IDEA_STATUS } = Insight;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+const roundOrNull = (value) => (typeof value === 'number' ? round(value) : null);
+
+class TradeIdeaService {
+    /**
+     * Validate trade idea levels and resolve the symbol against market data
+     * @param {Object} idea - { symbol, exchange, direction, entryPrice, targetPrice, stopLoss, horizonDays }
+     * @returns {Object} { idea, error } - error is a message when the idea is invalid
+     */
+    normalizeIdea(idea) {
+        if (!idea || !idea.symbol) {
+            return { error: 'Trade idea details are required' };
+        }
+
+        // Lazy require: marketDataService depends on this service for evaluation
+        const marketDataService = require('./marketDataService');
+        const record = marketDataService.resolveSymbol(idea.symbol, idea.exchange);
+        if (!record) {
+            return { error: `Unknown symbol: ${idea.symbol}` };
+        }
+
+        const { direction, entryPrice, targetPrice, stopLoss } = idea;
+        const ordered = direction === TRADE_IDEA_DIRECTIONS.LONG
+            ? stopLoss < entryPrice && entryPrice < targetPrice
+            : targetPrice < entryPrice && entryPrice < stopLoss;
+
+        if (!ordered) {
+            return {
+                error: direction === TRADE_IDEA_DIRECTIONS.LONG
+                    ? 'Long ideas need stop-loss < entry < target'
+                    : 'Short ideas need target < entry < stop-loss'
+            };
+        }
+
+        return {
+            idea: {
+                symbol: record.symbol,
+                exchange: record.exchange,
+                direction,
+                entryPrice,
+                targetPrice,
+                stopLoss,
+                horizonDays: idea.horizonDays
+            }
+        };
+    }
+
+    /**
+     * Check an idea's target and stop against the price it opens at. Pure function.
+     * @returns {string|null} Reason the idea can't open at this price, or null
+     */
+    checkLevels(idea, price) {
+        if (!(price > 0)) {
+            return `No live price for ${idea.symbol} yet; publish once market data has synced`;
+        }
+
+        const isLong = idea.direction === TRADE_IDEA_DIRECTIONS.LONG;
+        const inRange = isLong
+            ? idea.stopLoss < price && price < idea.targetPrice
+            : idea.targetPrice < price && price < idea.stopLoss;
+        if (!inRange) {
+            return `${idea.symbol} trades at ${price}, which is already past the idea's target or stop-loss`;
+        }
+        return null;
+    }
+
+    /**
+     * Start tracking a trade idea as it is published. The entry becomes the
+     * live price at publication, so the track record can't be set against a
+     * stale entry or levels the market has already crossed. Changes the
+     * insight without saving it; ideas that are already open are left alone.
+     * @returns {string|null} Reason the idea can't be published, or null
+     */
+    openIdea(insight, now = new Date()) {
+        const idea = insight.tradeIdea;
+        if (insight.subtype !== INSIGHT_SUBTYPES.TRADE_IDEA || !idea || idea.openedAt) return null;
+
+        // Lazy require: marketDataService depends on this service for evaluation
+        const marketDataService = require('./marketDataService');
+        const quote = marketDataService.getBySymbol(idea.symbol);
+        const price = quote ? quote.price : null;
+
+        const error = this.checkLevels(idea, price);
+        if (error) return error;
+
+        idea.entryPrice = price;
+        idea.openedAt = now;
+        idea.expiresAt = new Date(now.getTime() + idea.horizonDays * DAY_MS);
+        return null;
+    }
+
+    /**
+     * Percentage return of an idea closed at `exitPrice` (positive = the call was right)
+     */
+    calculateReturn(idea, exitPrice) {
+        if (!(exitPrice > 0) || !(idea.entryPrice > 0)) return null;
+        const move = (exitPrice - idea.entryPrice) / idea.entryPrice * 100;
+        return round(idea.direction === TRADE_IDEA_DIRECTIONS.SHORT ? -move : move);
+    }
+
+    /**
+     * Decide whether an open idea is closed by the latest quote.
+     * Pure function - target/stop are checked against the last traded price.
+     * @returns {Object|null} Outcome fields to store, or null while still open
+     */
+    evaluateIdea(idea, quote, now = new Date()) {
+        if (!idea || idea.status !== TRADE_IDEA_STATUS.OPEN || !idea.openedAt) return null;
+
+        const price = quote && quote.price > 0 ? quote.price : null;
+        const isLong = idea.direction === TRADE_IDEA_DIRECTIONS.LONG;
+        let status = null;
+
+        if (price !== null) {
+            if (isLong ? price >= idea.targetPrice : price <= idea.targetPrice) {
+                status = TRADE_IDEA_STATUS.HIT_TARGET;
+            } else if (isLong ? price <= idea.stopLoss : price >= idea.stopLoss) {
+                status = TRADE_IDEA_STATUS.STOPPED_OUT;
+            }
+        }
+
+        if (!status && idea.expiresAt && now >= new Date(idea.expiresAt)) {
+            status = TRADE_IDEA_STATUS.EXPIRED;
+        }
+
+        if (!status) return null;
+
+        return {
+            status,
+            closedAt: now,
+            closePrice: price,
+            returnPercent: this.calculateReturn(idea, price)
+        };
+    }
+
+    /**
+     * Close open trade ideas that hit their target/stop or ran out of time.
+     * Called from MarketDataService.processResults after every sync cycle.
+     * @param {Array} dataList - Quotes from fetchDFM / fetchADX
+     * @returns {Promise<Number>} - Number of ideas closed
+     */
+    async evaluateQuotes(dataList) {
+        const quotes = new Map((dataList || []).map(q => [q.symbol, q]));
+
+        const ideas = await Insight.find({
+            subtype: INSIGHT_SUBTYPES.TRADE_IDEA,
+            status: 'published',
+            isDeleted: false,
+            'tradeIdea.status': TRADE_IDEA_STATUS.OPEN
+        })
+            .select('tradeIdea')
+            .lean();
+
+        if (ideas.length === 0) return 0;
+
+        // Lazy require: marketDataService depends on this service for evaluation
+        const marketDataService = require('./marketDataService');
+        const now = new Date();
+        let closedCount = 0;
+
+        for (const insight of ideas) {
+            try {
+                const idea = insight.tradeIdea;
+                const quote = quotes.get(idea.symbol) || marketDataService.getBySymbol(idea.symbol);
+                const outcome = this.evaluateIdea(idea, quote, now);
+                if (!outcome) continue;
+
+                const update = {};
+                for (const [key, value] of Object.entries(outcome)) update[`tradeIdea.${key}`] = value;
+
+                // Status guard so two overlapping sync cycles can't close the same idea twice
+                const result = await Insight.updateOne(
+                    { _id: insight._id, 'tradeIdea.status': TRADE_IDEA_STATUS.OPEN },
+                    { $set: update }
+                );
+                if (result.modifiedCount > 0) closedCount++;
+            } catch (error) {
+                logger.error(`[TradeIdea] Failed to evaluate insight ${insight._id}:`, error.message);
+            }
+        }
+
+        if (closedCount > 0) {
+            logger.info(`[TradeIdea] Closed ${closedCount} trade idea(s) this cycle`);
+        }
+        return closedCount;
+    }
+
+    /**
+     * Turn raw per-author counters into hit-rate / average return figures
+     */
+    summarize(row) {
+        const closed = row.hitTarget + row.stoppedOut + row.expired;
+        return {
+            total: row.total,
+            open: row.total - closed,
+            closed,
+            hitTarget: row.hitTarget,
+            stoppedOut: row.stoppedOut,
+            expired: row.expired,
+            hitRate: closed > 0 ? round(row.hitTarget / closed * 100) : null,
+            avgReturn: roundOrNull(row.avgReturn),
+            bestReturn: roundOrNull(row.bestReturn),
+            worstReturn: roundOrNull(row.worstReturn)
+        };
+    }
+
+    /**
+     * Per-author trade idea performance
+     * @param {Object} filter - { authorId, startDate, endDate }
+     * @returns {Promise<Array>} [{ authorId, ...summary }] sorted by hit rate
+     */
+    async getAuthorStats({ authorId, startDate, endDate } = {}) {
+        const match = {
+            subtype: INSIGHT_SUBTYPES.TRADE_IDEA,
+            isDeleted: false,
+            'tradeIdea.openedAt': { $exists: true }
+        };
+        if (authorId) match.author = new mongoose.Types.ObjectId(String(authorId));
+        if (startDate || endDate) {
+            match['tradeIdea.openedAt'] = {
+                ...(startDate && { $gte: new Date(startDate) }),
+                ...(endDate && { $lte: new Date(endDate) })
+            };
+        }
+
+        const isStatus = (status) => ({ $cond: [{ $eq: ['$tradeIdea.status', status] }, 1, 0] });
+        const closedReturn = {
+            $cond: [{ $ne: ['$tradeIdea.status', TRADE_IDEA_STATUS.OPEN] }, '$tradeIdea.returnPercent', null]
+        };
+
+        const rows = await Insight.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$author',
+                    total: { $sum: 1 },
+                    hitTarget: { $sum: isStatus(TRADE_IDEA_STATUS.HIT_TARGET) },
+                    stoppedOut: { $sum: isStatus(TRADE_IDEA_STATUS.STOPPED_OUT) },
+                    expired: { $sum: isStatus(TRADE_IDEA_STATUS.EXPIRED) },
+                    avgReturn: { $avg: closedReturn },
+                    bestReturn: { $max: closedReturn },
+                    worstReturn: { $min: closedReturn }
+                }
+            }
+        ]);
+
+        return rows
+            .map(row => ({ authorId: row._id, ...this.summarize(row) }))
+            .sort((a, b) => (b.hitRate || 0) - (a.hitRate || 0) || b.closed - a.closed);
+    }
+}
+
+module.exports = new TradeIdeaService();
@@ -0,0 +1,263 @@
+const TradingCalendar = require('../models/TradingCalendar');
+const logger = require('../utils/logger');
+const { HTTP_STATUS } = require('../constants');
+
+const { SESSION_PHASES, DEFAULT_SESSIONS } = TradingCalendar;
+
+const EXCHANGES = ['DFM', 'ADX'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How far ahead to look for the next session (covers Eid breaks plus weekends)
+const NEXT_OPEN_LOOKAHEAD_DAYS = 21;
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+class TradingCalendarService {
+    constructor() {
+        // exchange -> plain calendar object (DB copy or built-in default)
+        this.calendars = new Map();
+    }
+
+    defaultCalendar(exchange) {
+        return {
+            exchange,
+            utcOffsetMinutes: 240,
+            tradingDays: [1, 2, 3, 4, 5],
+            sessions: DEFAULT_SESSIONS.map(s => ({ ...s })),
+            holidays: [],
+            specialHours: []
+        };
+    }
+
+    /**
+     * Load calendars from the database; exchanges without one use the default
+     */
+    async load() {
+        try {
+            const records = await TradingCalendar.find({}).lean();
+            for (const exchange of EXCHANGES) {
+                const record = records.find(r => r.exchange === exchange);
+                this.calendars.set(exchange, record || this.defaultCalendar(exchange));
+            }
+            logger.info(`[TradingCalendar] Loaded ${records.length} calendar(s) from database`);
+        } catch (error) {
+            logger.error('[TradingCalendar] Load failed, using default hours:', error.message);
+        }
+    }
+
+    getCalendar(exchange) {
+        const target = exchange.toUpperCase();
+        if (!this.calendars.has(target)) {
+            this.calendars.set(target, this.defaultCalendar(target));
+        }
+        return this.calendars.get(target);
+    }
+
+    /**
+     * Shift a UTC instant into exchange-local wall time.
+     * Read the result with getUTC* methods.
+     */
+    toLocal(calendar, date) {
+        return new Date(new Date(date).getTime() + calendar.utcOffsetMinutes * 60 * 1000);
+    }
+
+    /**
+     * Holiday, special hours and sessions that apply on a local date
+     */
+    getDaySchedule(calendar, local) {
+        const dateKey = local.toISOString().slice(0, 10);
+        const holiday = (calendar.holidays || []).find(h => h.date === dateKey);
+        const special = (calendar.specialHours || []).find(s => s.startDate <= dateKey && dateKey <= s.endDate);
+        const isTradingDay = !holiday && calendar.tradingDays.includes(local.getUTCDay());
+
+        return {
+            date: dateKey,
+            isTradingDay,
+            holiday: holiday ? holiday.name : null,
+            specialHours: special ? special.name : null,
+            sessions: isTradingDay ? (special ? special.sessions : calendar.sessions) : []
+        };
+    }
+
+    /**
+     * Session state of a calendar at an instant. Pure function.
+     * `isOpen` covers every session phase (pre-open and auctions included);
+     * `isTrading` is true only during continuous trading.
+     * @returns {Object} { date, isTradingDay, isOpen, isTrading, phase, holiday, specialHours, phaseEndsAt, nextOpen }
+     */
+    getSession(calendar, date = new Date()) {
+        const now = new Date(date);
+        const local = this.toLocal(calendar, now);
+        const day = this.getDaySchedule(calendar, local);
+        const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+
+        const session = day.sessions.find(s => toMinutes(s.start) <= minutes && minutes < toMinutes(s.end));
+        const localMidnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+        const toUtc = (localMs) => new Date(localMs - calendar.utcOffsetMinutes * 60 * 1000);
+
+        return {
+            exchange: calendar.exchange,
+            date: day.date,
+            isTradingDay: day.isTradingDay,
+            isOpen: Boolean(session),
+            isTrading: Boolean(session) && session.phase === SESSION_PHASES.CONTINUOUS,
+            phase: session ? session.phase : SESSION_PHASES.CLOSED,
+            holiday: day.holiday,
+            specialHours: day.specialHours,
+            phaseEndsAt: session ? toUtc(localMidnight + toMinutes(session.end) * 60 * 1000) : null,
+            nextOpen: session ? null : this.getNextOpen(calendar, now)
+        };
+    }
+
+    /**
+     * First session start strictly after `date`, or null if none within the lookahead
+     */
+    getNextOpen(calendar, date = new Date()) {
+        const now = new Date(date).getTime();
+        const local = this.toLocal(calendar, date);
+        const startOfDay = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate());
+
+        for (let offset = 0; offset <= NEXT_OPEN_LOOKAHEAD_DAYS; offset++) {
+            const dayStart = startOfDay + offset * DAY_MS;
+            const day = this.getDaySchedule(calendar, new Date(dayStart));
+
+            const starts = day.sessions
+                .map(s => dayStart + toMinutes(s.start) * 60 * 1000 - calendar.utcOffsetMinutes * 60 * 1000)
+                .filter(start => start > now)
+                .sort((a, b) => a - b);
+
+            if (starts.length > 0) return new Date(starts[0]);
+        }
+        return null;
+    }
+
+    getStatus(exchange, date = new Date()) {
+        return this.getSession(this.getCalendar(exchange), date);
+    }
+
+    isOpen(exchange, date = new Date()) {
+        return this.getStatus(exchange, date).isOpen;
+    }
+
+    getOpenExchanges(date = new Date()) {
+        return EXCHANGES.filter(exchange => this.isOpen(exchange, date));
+    }
+
+    /**
+     * Upcoming holidays and special-hours periods for an exchange
+     */
+    getUpcoming(exchange, date = new Date()) {
+        const calendar = this.getCalendar(exchange);
+        const today = this.toLocal(calendar, date).toISOString().slice(0, 10);
+
+        return {
+            holidays: (calendar.holidays || [])
+                .filter(h => h.date >= today)
+                .sort((a, b) => a.date.localeCompare(b.date)),
+            specialHours: (calendar.specialHours || [])
+                .filter(s => s.endDate >= today)
+                .sort((a, b) => a.startDate.localeCompare(b.startDate))
+        };
+    }
+
+    // --- Admin management ---
+
+    async findOrCreate(exchange) {
+        const target = exchange.toUpperCase();
+        let calendar = await TradingCalendar.findOne({ exchange: target });
+        if (!calendar) {
+            calendar = new TradingCalendar(this.defaultCalendar(target));
+        }
+        return calendar;
+    }
+
+    validateSessions(sessions) {
+        const sorted = [...sessions].sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+        for (let i = 0; i < sorted.length; i++) {
+            if (toMinutes(sorted[i].start) >= toMinutes(sorted[i].end)) {
+                throw createError(`Session ${sorted[i].phase} must end after it starts`, HTTP_STATUS.BAD_REQUEST);
+            }
+            if (i > 0 && toMinutes(sorted[i].start) < toMinutes(sorted[i - 1].end)) {
+                throw createError('Sessions must not overlap', HTTP_STATUS.BAD_REQUEST);
+            }
+        }
+        return sorted;
+    }
+
+    async save(calendar, userId) {
+        calendar.updatedBy = userId;
+        await calendar.save();
+        this.calendars.set(calendar.exchange, calendar.toObject());
+        return calendar;
+    }
+
+    async updateSchedule(exchange, { tradingDays, sessions, utcOffsetMinutes }, userId) {
+        const calendar = await this.findOrCreate(exchange);
+
+        if (tradingDays !== undefined) calendar.tradingDays = [...new Set(tradingDays)].sort((a, b) => a - b);
+        if (sessions !== undefined) calendar.sessions = this.validateSessions(sessions);
+        if (utcOffsetMinutes !== undefined) calendar.utcOffsetMinutes = utcOffsetMinutes;
+
+        return this.save(calendar, userId);
+    }
+
+    async addHoliday(exchange, { date, name }, userId) {
+        const calendar = await this.findOrCreate(exchange);
+
+        if (calendar.holidays.some(h => h.date === date)) {
+            throw createError(`A holiday is already set for ${date}`, HTTP_STATUS.CONFLICT);
+        }
+
+        calendar.holidays.push({ date, name });
+        calendar.holidays.sort((a, b) => a.date.localeCompare(b.date));
+        return this.save(calendar, userId);
+    }
+
+    async removeHoliday(exchange, holidayId, userId) {
+        const calendar = await this.findOrCreate(exchange);
+        const holiday = calendar.holidays.id(holidayId);
+        if (!holiday) {
+            throw createError('Holiday not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        holiday.deleteOne();
+        return this.save(calendar, userId);
+    }
+
+    async addSpecialHours(exchange, { name, startDate, endDate, sessions }, userId) {
+        const calendar = await this.findOrCreate(exchange);
+
+        if (startDate > endDate) {
+            throw createError('startDate must be on or before endDate', HTTP_STATUS.BAD_REQUEST);
+        }
+        const overlapping = calendar.specialHours.find(s => s.startDate <= endDate && startDate <= s.endDate);
+        if (overlapping) {
+            throw createError(`Overlaps existing special hours "${overlapping.name}"`, HTTP_STATUS.CONFLICT);
+        }
+
+        calendar.specialHours.push({ name, startDate, endDate, sessions: this.validateSessions(sessions) });
+        return this.save(calendar, userId);
+    }
+
+    async removeSpecialHours(exchange, specialHoursId, userId) {
+        const calendar = await this.findOrCreate(exchange);
+        const special = calendar.specialHours.id(specialHoursId);
+        if (!special) {
+            throw createError('Special hours not found', HTTP_STATUS.NOT_FOUND);
+        }
+
+        special.deleteOne();
+        return this.save(calendar, userId);
+    }
+}
+
+module.exports = new TradingCalendarService();
@@ -0,0 +1,125 @@
+const Insight = require('../models/Insight');
+const logger = require('../utils/logger');
+
+// Only insights published within this window can trend
+const TRENDING_WINDOW_DAYS = 7;
+
+// Engagement weights: deliberate actions count more than a page view
+const ENGAGEMENT_WEIGHTS = { view: 1, reaction: 3, comment: 4, bookmark: 5 };
+
+// Decay: score = engagement / (ageHours + 2) ^ GRAVITY
+const GRAVITY = 1.5;
+
+const SCORE_FIELDS = 'views reactions commentsCount bookmarksCount publishedAt';
+
+class TrendingService {
+    /**
+     * Weighted engagement of an insight
+     */
+    engagement(insight) {
+        const reactions = insight.reactions || {};
+        const reactionTotal = (reactions.like || 0) + (reactions.bullish || 0) + (reactions.bearish || 0);
+
+        return (insight.views || 0) * ENGAGEMENT_WEIGHTS.view +
+            reactionTotal * ENGAGEMENT_WEIGHTS.reaction +
+            (insight.commentsCount || 0) * ENGAGEMENT_WEIGHTS.comment +
+            (insight.bookmarksCount || 0) * ENGAGEMENT_WEIGHTS.bookmark;
+    }
+
+    /**
+     * Time-decayed trending score. Pure function.
+     * Insights older than the trending window score 0.
+     */
+    calculateScore(insight, now = new Date()) {
+        if (!insight.publishedAt) return 0;
+
+        const ageHours = Math.max(0, (now - new Date(insight.publishedAt)) / (60 * 60 * 1000));
+        if (ageHours > TRENDING_WINDOW_DAYS * 24) return 0;
+
+        const score = this.engagement(insight) / Math.pow(ageHours + 2, GRAVITY);
+        return Math.round(score * 1e6) / 1e6;
+    }
+
+    /**
+     * Recalculate scores for every insight in the trending window and zero out
+     * the ones that aged out. Run periodically by the trending-analysis job.
+     * @returns {Promise<Object>} { updated, expired }
+     */
+    async refreshScores(now = new Date()) {
+        const since = new Date(now.getTime() - TRENDING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+        const insights = await Insight.find({
+            status: 'published',
+            isDeleted: false,
+            publishedAt: { $gte: since }
+        })
+            .select(SCORE_FIELDS)
+            .lean();
+
+        if (insights.length > 0) {
+            await Insight.bulkWrite(insights.map(insight => ({
+                updateOne: {
+                    filter: { _id: insight._id },
+                    update: { $set: { trendingScore: this.calculateScore(insight, now), trendingUpdatedAt: now } }
+                }
+            })), { ordered: false });
+        }
+
+        const expired = await Insight.updateMany(
+            {
+                trendingScore: { $gt: 0 },
+                $or: [{ publishedAt: { $lt: since } }, { status: { $ne: 'published' } }, { isDeleted: true }]
+            },
+            { $set: { trendingScore: 0, trendingUpdatedAt: now } }
+        );
+
+        logger.info(`[Trending] Refreshed ${insights.length} insight score(s), expired ${expired.modifiedCount}`);
+        return { updated: insights.length, expired: expired.modifiedCount };
+    }
+
+    /**
+     * Recalculate one insight's score right after new engagement
+     */
+    async refreshInsight(insightId) {
+        const insight = await Insight.findById(insightId).select(SCORE_FIELDS).lean();
+        if (!insight) return null;
+
+        const trendingScore = this.calculateScore(insight);
+        await Insight.updateOne({ _id: insightId }, { $set: { trendingScore, trendingUpdatedAt: new Date() } });
+        return trendingScore;
+    }
+
+    /**
+     * Highest-scoring published insights
+     * @param {Object} options - { limit, includePremium }
+     */
+    async getTrendingInsights({ limit = 10, includePremium = false } = {}) {
+        const query = { status: 'published', isDeleted: false, trendingScore: { $gt: 0 } };
+        if (!includePremium) query.type = 'free';
+
+        return Insight.find(query)
+            .select('-content -moderationNotes -moderatedBy -moderatedAt -deletedBy -deletedAt')
+            .populate('author', 'name avatar')
+            .sort({ trendingScore: -1 })
+            .limit(limit)
+            .lean();
+    }
+
+    /**
+     * Tags ranked by the combined trending score of the insights using them
+     * @returns {Promise<Array>} Tag names, best first
+     */
+    async getTrendingTags(limit = 10) {
+        const rows = await Insight.aggregate([
+            { $match: { status: 'published', isDeleted: false, trendingScore: { $gt: 0 } } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', score: { $sum: '$trendingScore' } } },
+            { $sort: { score: -1 } },
+            { $limit: limit }
+        ]);
+
+        return rows.map(row => row._id);
+    }
+}
+
+module.exports = new TrendingService();
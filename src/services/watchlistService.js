@@ -0,0 +1,206 @@
+const Watchlist = require('../models/Watchlist');
+const marketDataService = require('./marketDataService');
+const { getUserLimits } = require('../utils/subscriptionHelper');
+const { HTTP_STATUS } = require('../constants');
+
+const createError = (message, statusCode, code) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (code) error.code = code;
+    return error;
+};
+
+class WatchlistService {
+    /**
+     * Pick the live quote fields we expose for a symbol from the market cache
+     */
+    toQuote(symbol) {
+        const record = marketDataService.getBySymbol(symbol);
+        if (!record) return null;
+
+        return {
+            price: record.price,
+            change: record.change,
+            changePercent: record.changePercent,
+            high: record.high,
+            low: record.low,
+            open: record.open,
+            prevClose: record.prevClose,
+            volume: record.volume,
+            currency: record.currency,
+            shortName: record.shortName,
+            lastUpdated: record.lastUpdated
+        };
+    }
+
+    /**
+     * Serialize a watchlist with live quotes merged into each item
+     */
+    withQuotes(watchlist) {
+        const plain = watchlist.toObject ? watchlist.toObject() : watchlist;
+        return {
+            ...plain,
+            items: plain.items.map(item => ({
+                ...item,
+                quote: this.toQuote(item.symbol)
+            }))
+        };
+    }
+
+    /**
+     * Resolve a requested symbol against MarketData, throwing if unknown
+     */
+    resolveItem(symbol, exchange) {
+        const record = marketDataService.resolveSymbol(symbol, exchange);
+        if (!record) {
+            throw createError(`Symbol ${symbol} not found${exchange ? ` in ${exchange.toUpperCase()}` : ''}`, HTTP_STATUS.NOT_FOUND);
+        }
+        return { symbol: record.symbol, exchange: record.exchange };
+    }
+
+    async findOwned(user, watchlistId) {
+        const watchlist = await Watchlist.findOne({ _id: watchlistId, user: user.id });
+        if (!watchlist) {
+            throw createError('Watchlist not found', HTTP_STATUS.NOT_FOUND);
+        }
+        return watchlist;
+    }
+
+    async getUserWatchlists(user) {
+        const [watchlists, limits] = await Promise.all([
+            Watchlist.find({ user: user.id }).sort({ createdAt: 1 }),
+            getUserLimits(user)
+        ]);
+
+        return {
+            watchlists: watchlists.map(w => this.withQuotes(w)),
+            limits: {
+                tier: limits.tier,
+                maxWatchlists: limits.watchlists,
+                maxSymbolsPerWatchlist: limits.watchlistSymbols,
+                used: watchlists.length
+            }
+        };
+    }
+
+    async getWatchlist(user, watchlistId) {
+        const watchlist = await this.findOwned(user, watchlistId);
+        return this.withQuotes(watchlist);
+    }
+
+    async createWatchlist(user, { name, symbols = [] }) {
+        const limits = await getUserLimits(user);
+        const count = await Watchlist.countDocuments({ user: user.id });
+
+        if (count >= limits.watchlists) {
+            throw createError(
+                `Your ${limits.tier} plan allows up to ${limits.watchlists} watchlists`,
+                HTTP_STATUS.FORBIDDEN,
+                'WATCHLIST_LIMIT_REACHED'
+            );
+        }
+
+        const existing = await Watchlist.findOne({ user: user.id, name: name.trim() });
+        if (existing) {
+            throw createError('A watchlist with this name already exists', HTTP_STATUS.CONFLICT);
+        }
+
+        const items = [];
+        for (const entry of symbols) {
+            const symbol = typeof entry === 'string' ? entry : entry && entry.symbol;
+            if (typeof symbol !== 'string') {
+                throw createError('Symbols must be tickers or { symbol, exchange } objects', HTTP_STATUS.BAD_REQUEST);
+            }
+            const item = this.resolveItem(symbol, typeof entry === 'string' ? undefined : entry.exchange);
+            if (!items.some(i => i.symbol === item.symbol)) items.push(item);
+        }
+
+        if (items.length > limits.watchlistSymbols) {
+            throw createError(
+                `Your ${limits.tier} plan allows up to ${limits.watchlistSymbols} symbols per watchlist`,
+                HTTP_STATUS.FORBIDDEN,
+                'WATCHLIST_SYMBOL_LIMIT_REACHED'
+            );
+        }
+
+        const watchlist = await Watchlist.create({ user: user.id, name, items });
+        return this.withQuotes(watchlist);
+    }
+
+    /**
+     * Rename a watchlist and/or reorder its symbols.
+     * `symbols` must contain exactly the symbols already in the list.
+     */
+    async updateWatchlist(user, watchlistId, { name, symbols }) {
+        const watchlist = await this.findOwned(user, watchlistId);
+
+        if (name !== undefined && name.trim() !== watchlist.name) {
+            const duplicate = await Watchlist.findOne({ user: user.id, name: name.trim(), _id: { $ne: watchlist._id } });
+            if (duplicate) {
+                throw createError('A watchlist with this name already exists', HTTP_STATUS.CONFLICT);
+            }
+            watchlist.name = name;
+        }
+
+        if (Array.isArray(symbols)) {
+            if (symbols.some(s => typeof s !== 'string')) {
+                throw createError('Symbols must be strings', HTTP_STATUS.BAD_REQUEST);
+            }
+
+            const requested = symbols.map(s => s.toUpperCase());
+            const current = watchlist.items.map(i => i.symbol).sort();
+            const sorted = [...requested].sort();
+            const sameSet = sorted.length === current.length && sorted.every((s, index) => s === current[index]);
+
+            if (!sameSet) {
+                throw createError('Reorder must include every symbol in the watchlist exactly once', HTTP_STATUS.BAD_REQUEST);
+            }
+
+            watchlist.items = requested.map(symbol => watchlist.items.find(i => i.symbol === symbol));
+        }
+
+        await watchlist.save();
+        return this.withQuotes(watchlist);
+    }
+
+    async deleteWatchlist(user, watchlistId) {
+        const watchlist = await this.findOwned(user, watchlistId);
+        await watchlist.deleteOne();
+    }
+
+    async addSymbol(user, watchlistId, { symbol, exchange }) {
+        const watchlist = await this.findOwned(user, watchlistId);
+        const item = this.resolveItem(symbol, exchange);
+
+        if (watchlist.hasSymbol(item.symbol)) {
+            throw createError(`${item.symbol} is already in this watchlist`, HTTP_STATUS.CONFLICT);
+        }
+
+        const limits = await getUserLimits(user);
+        if (watchlist.items.length >= limits.watchlistSymbols) {
+            throw createError(
+                `Your ${limits.tier} plan allows up to ${limits.watchlistSymbols} symbols per watchlist`,
+                HTTP_STATUS.FORBIDDEN,
+                'WATCHLIST_SYMBOL_LIMIT_REACHED'
+            );
+        }
+
+        watchlist.items.push(item);
+        await watchlist.save();
+        return this.withQuotes(watchlist);
+    }
+
+    async removeSymbol(user, watchlistId, symbol) {
+        const watchlist = await this.findOwned(user, watchlistId);
+
+        if (!watchlist.hasSymbol(symbol)) {
+            throw createError(`${symbol.toUpperCase()} is not in this watchlist`, HTTP_STATUS.NOT_FOUND);
+        }
+
+        watchlist.items = watchlist.items.filter(i => i.symbol !== symbol.toUpperCase());
+        await watchlist.save();
+        return this.withQuotes(watchlist);
+    }
+}
+
+module.exports = new WatchlistService();
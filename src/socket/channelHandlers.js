@@ -0,0 +1,48 @@
+const channelService = require('../services/channelService');
+const logger = require('../utils/logger');
+const { SOCKET_EVENTS } = require('../constants');
+
+/**
+ * Broadcast channel rooms
+ *
+ * Client emits join_channel / leave_channel with { channelId } and receives
+ * channel_post (new or scheduled post went live) and channel_post_updated
+ * (edited, pinned, deleted) for channels its plan covers.
+ */
+const channelHandlers = (io, socket) => {
+  const userId = socket.user.id;
+
+  const reply = (callback, payload) => {
+    if (typeof callback === 'function') {
+      callback(payload);
+    } else if (!payload.success) {
+      socket.emit(SOCKET_EVENTS.ERROR, { message: payload.error });
+    }
+  };
+
+  socket.on(SOCKET_EVENTS.JOIN_CHANNEL, async (data, callback) => {
+    try {
+      const channel = await channelService.findChannel(data?.channelId);
+
+      if (!(await channelService.hasTierAccess(channel, socket.user))) {
+        reply(callback, { success: false, error: 'Premium subscription required to access this channel', code: 'PREMIUM_REQUIRED' });
+        return;
+      }
+
+      socket.join(`channel:${channel._id}`);
+      reply(callback, { success: true, channelId: channel._id });
+    } catch (error) {
+      logger.error('Error joining channel:', { error: error.message, userId, channelId: data?.channelId });
+      reply(callback, { success: false, error: error.message });
+    }
+  });
+
+  socket.on(SOCKET_EVENTS.LEAVE_CHANNEL, (data, callback) => {
+    if (data?.channelId) {
+      socket.leave(`channel:${data.channelId}`);
+    }
+    reply(callback, { success: true, channelId: data?.channelId });
+  });
+};
+
+module.exports = channelHandlers;
@@ -1,4 +1,6 @@
 const chatService = require('../services/chatService');
+const threadService = require('../services/threadService');
+const messageSyncService = require('../services/messageSyncService');
 const Chat = require('../models/Chat');
 const Message = require('../models/Message');
 const logger = require('../utils/logger');
@@ -8,10 +10,11 @@ const { rateLimitedHandler } = require('../middleware/socketRateLimit');
 const chatHandlers = (io, socket) => {
   const userId = socket.user.id;
 
-  // Join a chat room
+  // Join a chat room. Reconnecting clients pass since (the last syncSeq they
+  // applied) to receive what they missed as chat_synced.
   socket.on(SOCKET_EVENTS.JOIN_CHAT, async (data) => {
     try {
-      const { chatId } = data;
+      const { chatId, since = null } = data;
 
       // Verify user can access this chat
       const chat = await Chat.findById(chatId);
@@ -38,12 +41,32 @@ const chatHandlers = (io, socket) => {
         chatId,
         chat: await chat.populate('participants.user', 'name email')
       });
+
+      if (Number.isInteger(since) && since >= 0) {
+        socket.emit(SOCKET_EVENTS.CHAT_SYNCED, {
+          chatId,
+          ...(await messageSyncService.getChangesSince(chatId, userId, { since }))
+        });
+      }
     } catch (error) {
       logger.error('Error joining chat:', error);
       socket.emit(SOCKET_EVENTS.ERROR, { message: error.message });
     }
   });
 
+  // Catch up on a chat ({ chatId, since, limit }); the ack carries the
+  // changes and the cursor for the next call while hasMore is true
+  socket.on(SOCKET_EVENTS.SYNC_CHAT, async (data, ack) => {
+    if (typeof ack !== 'function') return;
+    try {
+      const { chatId, since, limit } = data || {};
+      ack({ success: true, chatId, ...(await messageSyncService.getChangesSince(chatId, userId, { since, limit })) });
+    } catch (error) {
+      logger.error('Error syncing chat:', { error: error.message, userId, chatId: data?.chatId });
+      ack({ error: error.message, ...(error.code && { code: error.code }) });
+    }
+  });
+
   // Leave a chat room
   socket.on(SOCKET_EVENTS.LEAVE_CHAT, async (data) => {
     try {
@@ -61,13 +84,17 @@ const chatHandlers = (io, socket) => {
   });
 
   // Send message - SECURITY: Rate limited to prevent spam
-  socket.on(SOCKET_EVENTS.SEND_MESSAGE, rateLimitedHandler(async function (data) {
+  // The optional ack confirms the stored message to the sender
+  socket.on(SOCKET_EVENTS.SEND_MESSAGE, rateLimitedHandler(async function (data, ack) {
     try {
-      const { chatId, content, replyTo, type = 'text', fileData = null } = data;
+      // Files are uploaded first (POST /api/chats/:chatId/attachments) and referenced by attachmentId.
+      // threadId posts the message as a reply in that message's thread.
+      const { chatId, content, replyTo, attachmentId = null, threadId = null } = data;
 
       // SECURITY FIX (HIGH-005): Validate message content length
-      if ((!content || !content.trim()) && type === 'text') {
+      if ((!content || !content.trim()) && !attachmentId) {
         this.emit(SOCKET_EVENTS.ERROR, { message: 'Message content is required for text messages' });
+        if (typeof ack === 'function') ack({ error: 'Message content is required for text messages' });
         return;
       }
 
@@ -77,27 +104,36 @@ const chatHandlers = (io, socket) => {
           message: 'Message too long. Maximum 10,000 characters allowed.',
           code: 'MESSAGE_TOO_LONG'
         });
+        if (typeof ack === 'function') ack({ error: 'Message too long. Maximum 10,000 characters allowed.', code: 'MESSAGE_TOO_LONG' });
         return;
       }
 
       // Send message via service (includes XSS sanitization)
       const message = await chatService.sendMessage(chatId, userId, content?.trim(), {
         replyTo,
-        type,
-        fileData
+        attachmentId,
+        threadId
       });
 
       // Emit to all participants in the chat room
       const messageData = {
         _id: message._id,
+        seq: message.seq,
+        syncSeq: message.syncSeq,
         content: message.content,
         sender: message.sender,
         status: message.status,
         type: message.type,
         file: message.file,
+        thread: message.thread,
+        recipientCount: message.recipientCount,
         createdAt: message.createdAt
       };
 
+      if (typeof ack === 'function') {
+        ack({ success: true, messageId: message._id, status: message.status, createdAt: message.createdAt });
+      }
+
       // Include replyTo if exists
       if (message.replyTo) {
         messageData.replyTo = {
@@ -108,6 +144,20 @@ const chatHandlers = (io, socket) => {
         };
       }
 
+      // Thread replies stay out of the main timeline; clients update the
+      // open thread view and the root's reply count instead
+      if (message.thread) {
+        io.to(`chat:${chatId}`).emit(SOCKET_EVENTS.THREAD_REPLY, {
+          chatId,
+          threadId: message.thread,
+          message: messageData
+        });
+        io.to(`chat:${chatId}`).emit(SOCKET_EVENTS.THREAD_UPDATED, await threadService.getSummary(message.thread));
+
+        logger.info(`Thread reply sent in chat ${chatId} by user ${userId}`);
+        return;
+      }
+
       io.to(`chat:${chatId}`).emit(SOCKET_EVENTS.MESSAGE_RECEIVED, {
         chatId,
         message: messageData
@@ -129,6 +179,7 @@ const chatHandlers = (io, socket) => {
     } catch (error) {
       logger.error('Error sending message:', error);
       this.emit(SOCKET_EVENTS.ERROR, { message: error.message });
+      if (typeof ack === 'function') ack({ error: error.message });
     }
   }, {
     maxEvents: 20,  // 20 messages per minute
@@ -136,23 +187,79 @@ const chatHandlers = (io, socket) => {
     errorMessage: 'Too many messages. Please slow down.'
   }));
 
-  // Mark messages as read
-  socket.on('mark_messages_read', async (data) => {
+  // Tell each sender how their messages changed after a recipient acknowledged them
+  const emitStatusUpdates = (chatId, status, messages) => {
+    const bySender = new Map();
+    messages.forEach((message) => {
+      const senderId = message.sender.toString();
+      if (!bySender.has(senderId)) bySender.set(senderId, []);
+      bySender.get(senderId).push({ _id: message._id, status: message.status });
+    });
+
+    bySender.forEach((senderMessages, senderId) => {
+      io.to(`user:${senderId}`).emit(SOCKET_EVENTS.MESSAGE_STATUS_UPDATED, {
+        chatId,
+        userId,
+        status,
+        messages: senderMessages
+      });
+    });
+  };
+
+  const findChatForReceipts = async (chatId) => {
+    const chat = await Chat.findById(chatId).select('participants');
+    if (!chat || !chat.isParticipant(userId)) {
+      throw new Error('You are not a participant of this chat');
+    }
+    return chat;
+  };
+
+  // Delivery receipts: clients acknowledge the messages they received
+  // ({ chatId, messageIds }); the ack reports how many were newly marked
+  socket.on(SOCKET_EVENTS.MESSAGE_DELIVERED, async (data, ack) => {
     try {
-      const { chatId } = data;
+      const { chatId, messageIds } = data || {};
+      await findChatForReceipts(chatId);
 
-      await chatService.markMessagesAsRead(chatId, userId);
+      const result = await chatService.markMessagesAsDelivered(chatId, userId, messageIds);
+      emitStatusUpdates(chatId, MESSAGE_STATUS.DELIVERED, result.messages);
 
-      // Notify sender that messages were read
-      socket.to(`chat:${chatId}`).emit('messages_read', {
-        chatId,
-        userId
-      });
+      if (typeof ack === 'function') ack({ success: true, marked: result.marked });
+    } catch (error) {
+      logger.error('Error marking messages as delivered:', { error: error.message, userId, chatId: data?.chatId });
+      if (typeof ack === 'function') ack({ error: error.message });
+    }
+  });
+
+  // Mark messages as read ({ chatId, messageIds?, threadId? })
+  socket.on(SOCKET_EVENTS.MARK_MESSAGES_READ, async (data, ack) => {
+    try {
+      const { chatId, messageIds = null, threadId = null } = data || {};
+      await findChatForReceipts(chatId);
+
+      const result = await chatService.markMessagesAsRead(chatId, userId, { messageIds, threadId });
+
+      // Users with read receipts off only confirm delivery
+      const status = result.receiptsHidden ? MESSAGE_STATUS.DELIVERED : MESSAGE_STATUS.READ;
+      emitStatusUpdates(chatId, status, result.messages);
+
+      if (!result.receiptsHidden && result.marked > 0) {
+        socket.to(`chat:${chatId}`).emit('messages_read', {
+          chatId,
+          userId
+        });
+      }
+
+      if (typeof ack === 'function') ack({ success: true, marked: result.marked });
 
       logger.info(`User ${userId} marked messages as read in chat ${chatId}`);
     } catch (error) {
       logger.error('Error marking messages as read:', error);
-      socket.emit(SOCKET_EVENTS.ERROR, { message: error.message });
+      if (typeof ack === 'function') {
+        ack({ error: error.message });
+      } else {
+        socket.emit(SOCKET_EVENTS.ERROR, { message: error.message });
+      }
     }
   });
 
@@ -1,6 +1,10 @@
 const socketIO = require('socket.io');
 const { authenticateSocket } = require('../middleware/authMiddleware');
 const chatHandlers = require('./chatHandlers');
+const marketHandlers = require('./marketHandlers');
+const channelHandlers = require('./channelHandlers');
+const marketStreamService = require('../services/marketStreamService');
+const channelService = require('../services/channelService');
 const logger = require('../utils/logger');
 const { SOCKET_EVENTS } = require('../constants');
 
@@ -33,6 +37,12 @@ const initializeSocket = (server) => {
     // Initialize chat handlers
     chatHandlers(io, socket);
 
+    // Initialize market tick subscriptions
+    marketHandlers(io, socket);
+
+    // Initialize broadcast channel rooms
+    channelHandlers(io, socket);
+
     // Disconnect handler
     socket.on(SOCKET_EVENTS.DISCONNECT, (reason) => {
       logger.info(`Socket disconnected: ${socket.id} - Reason: ${reason}`);
@@ -44,6 +54,12 @@ const initializeSocket = (server) => {
     });
   });
 
+  // Stream market deltas from each sync cycle
+  marketStreamService.attach(io);
+
+  // Push channel posts, including scheduled ones published by the job worker
+  channelService.attach(io);
+
   logger.info('Socket.IO initialized');
 
   return io;
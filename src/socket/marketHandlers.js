@@ -0,0 +1,162 @@
+const marketDataService = require('../services/marketDataService');
+const marketStreamService = require('../services/marketStreamService');
+const { getUserLimits } = require('../utils/subscriptionHelper');
+const logger = require('../utils/logger');
+const { SOCKET_EVENTS } = require('../constants');
+
+const EXCHANGES = ['DFM', 'ADX'];
+
+const toList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list
+    .filter(item => typeof item === 'string')
+    .map(item => item.trim().toUpperCase())
+    .filter(Boolean);
+};
+
+/**
+ * Number of symbols a connection streams: every listed symbol of a
+ * subscribed exchange, plus single symbols on the other exchanges
+ */
+const countStreamedSymbols = (symbolList, exchangeList) => {
+  const exchangeSet = new Set(exchangeList);
+  let count = 0;
+
+  for (const exchange of exchangeSet) {
+    count += marketDataService.getByExchange(exchange).length;
+  }
+  for (const symbol of new Set(symbolList)) {
+    const record = marketDataService.getBySymbol(symbol);
+    if (!record || !exchangeSet.has(record.exchange)) count++;
+  }
+
+  return count;
+};
+
+/**
+ * Market tick subscriptions
+ *
+ * Client emits market:subscribe / market:unsubscribe with
+ * { symbols: ['EMAAR', 'ALDAR.AD'], exchanges: ['DFM'] } and receives
+ * market:ticks deltas at its tier's cadence (see MarketStreamService).
+ */
+const marketHandlers = (io, socket) => {
+  const userId = socket.user.id;
+  const symbols = new Set();
+  const exchanges = new Set();
+  let limitsPromise = null;
+
+  // Tier is resolved once per connection
+  const getLimits = () => {
+    if (!limitsPromise) limitsPromise = getUserLimits(socket.user);
+    return limitsPromise;
+  };
+
+  const reply = (callback, payload) => {
+    if (typeof callback === 'function') {
+      callback(payload);
+    } else if (!payload.success) {
+      socket.emit(SOCKET_EVENTS.ERROR, { message: payload.message, code: payload.code });
+    }
+  };
+
+  socket.on(SOCKET_EVENTS.MARKET_SUBSCRIBE, async (data = {}, callback) => {
+    try {
+      const limits = await getLimits();
+
+      const requestedExchanges = toList(data.exchanges).filter(exchange => EXCHANGES.includes(exchange));
+      const unknown = [];
+      const requestedSymbols = [];
+
+      for (const symbol of toList(data.symbols)) {
+        const record = marketDataService.resolveSymbol(symbol);
+        if (record) {
+          requestedSymbols.push(record.symbol);
+        } else {
+          unknown.push(symbol);
+        }
+      }
+
+      // Quotes aren't loaded yet, so an exchange's size (and its cost against the limit) is unknown
+      const unavailable = requestedExchanges.filter(exchange => marketDataService.getByExchange(exchange).length === 0);
+      if (unavailable.length > 0) {
+        return reply(callback, {
+          success: false,
+          message: `Market data for ${unavailable.join(', ')} is not available yet`,
+          code: 'MARKET_DATA_UNAVAILABLE'
+        });
+      }
+
+      // A whole exchange counts as all of its symbols
+      const newSymbols = requestedSymbols.filter(symbol => !symbols.has(symbol));
+      const streamed = countStreamedSymbols([...symbols, ...newSymbols], [...exchanges, ...requestedExchanges]);
+      if (streamed > limits.marketSubscriptions) {
+        return reply(callback, {
+          success: false,
+          message: `Your plan allows live updates for up to ${limits.marketSubscriptions} symbols (a whole exchange counts as all of its symbols)`,
+          code: 'MARKET_SUBSCRIPTION_LIMIT_REACHED'
+        });
+      }
+
+      for (const exchange of requestedExchanges) {
+        exchanges.add(exchange);
+        socket.join(marketStreamService.exchangeRoom(limits.tier, exchange));
+      }
+      for (const symbol of newSymbols) {
+        symbols.add(symbol);
+        socket.join(marketStreamService.symbolRoom(limits.tier, symbol));
+      }
+
+      // Snapshot so the client can render before the first delta arrives
+      const snapshot = [
+        ...requestedExchanges.flatMap(exchange => marketDataService.getByExchange(exchange)),
+        ...requestedSymbols.map(symbol => marketDataService.getBySymbol(symbol))
+      ]
+        .map(quote => marketStreamService.buildDelta(quote, null))
+        .filter(Boolean);
+
+      reply(callback, {
+        success: true,
+        data: {
+          tier: limits.tier,
+          pushIntervalMs: limits.marketPushIntervalMs,
+          symbols: Array.from(symbols),
+          exchanges: Array.from(exchanges),
+          unknown,
+          snapshot
+        }
+      });
+    } catch (error) {
+      logger.error('Error subscribing to market ticks:', error);
+      reply(callback, { success: false, message: 'Failed to subscribe to market updates' });
+    }
+  });
+
+  socket.on(SOCKET_EVENTS.MARKET_UNSUBSCRIBE, async (data = {}, callback) => {
+    try {
+      const limits = await getLimits();
+
+      for (const exchange of toList(data.exchanges)) {
+        exchanges.delete(exchange);
+        socket.leave(marketStreamService.exchangeRoom(limits.tier, exchange));
+      }
+
+      for (const symbol of toList(data.symbols)) {
+        const resolved = marketDataService.resolveSymbol(symbol)?.symbol || symbol;
+        symbols.delete(resolved);
+        socket.leave(marketStreamService.symbolRoom(limits.tier, resolved));
+      }
+
+      reply(callback, {
+        success: true,
+        data: { symbols: Array.from(symbols), exchanges: Array.from(exchanges) }
+      });
+    } catch (error) {
+      logger.error(`Error unsubscribing user ${userId} from market ticks:`, error);
+      reply(callback, { success: false, message: 'Failed to unsubscribe from market updates' });
+    }
+  });
+};
+
+module.exports = marketHandlers;
@@ -7,6 +7,7 @@ const Subscription = require('../models/Subscription');
 const SubscriptionPlan = require('../models/SubscriptionPlan');
 const User = require('../models/User');
 const logger = require('./logger');
+const { ROLES, TIER_LIMITS, SUBSCRIPTION_TIERS } = require('../constants');
 
 /**
  * Create a default free subscription for a new user
@@ -342,6 +343,32 @@ async function processSubscriptionRenewal(subscriptionId) {
   }
 }
 
+/**
+ * Get the feature limits that apply to a user's subscription tier
+ * Admins and superadmins always get premium limits
+ * @param {Object} user - User object ({ id, role })
+ * @returns {Promise<Object>} - Limits from TIER_LIMITS plus the resolved tier
+ */
+async function getUserLimits(user) {
+  if (user.role === ROLES.ADMIN || user.role === ROLES.SUPERADMIN) {
+    return { tier: SUBSCRIPTION_TIERS.PREMIUM, ...TIER_LIMITS.premium };
+  }
+
+  try {
+    const subscription = await Subscription.getActiveSubscription(user.id);
+    const isPremium = !!(subscription && subscription.isPremium);
+
+    return {
+      tier: isPremium ? SUBSCRIPTION_TIERS.PREMIUM : SUBSCRIPTION_TIERS.FREE,
+      ...(isPremium ? TIER_LIMITS.premium : TIER_LIMITS.free),
+    };
+  } catch (error) {
+    logger.error(`[SubscriptionHelper] Failed to resolve limits for user ${user.id}:`, error);
+    // Fail safe: fall back to the most restrictive limits
+    return { tier: SUBSCRIPTION_TIERS.FREE, ...TIER_LIMITS.free };
+  }
+}
+
 module.exports = {
   createDefaultSubscription,
   getUserSubscriptionSummary,
@@ -352,4 +379,5 @@ module.exports = {
   getSubscriptionStats,
   checkUserAccess,
   processSubscriptionRenewal,
+  getUserLimits,
 };
@@ -6,8 +6,11 @@ const {
   handleSubscriptionExpiryCheck,
   handleCleanupNotifications,
   handleCleanupAuditLogs,
+  handleCleanupChatAttachments,
   handleContentDigest,
-  handlePublishInsights
+  handlePublishInsights,
+  handlePublishChannelPosts,
+  handleTrendingAnalysis
 } = require('./jobHandlers');
 const Job = require('../models/Job');
 const logger = require('../utils/logger');
@@ -46,8 +49,11 @@ async function startWorker(options = {}) {
   worker.registerHandler(JOB_TYPES.SUBSCRIPTION_EXPIRY_CHECK, handleSubscriptionExpiryCheck);
   worker.registerHandler(JOB_TYPES.CLEANUP_NOTIFICATIONS, handleCleanupNotifications);
   worker.registerHandler(JOB_TYPES.CLEANUP_AUDIT_LOGS, handleCleanupAuditLogs);
+  worker.registerHandler(JOB_TYPES.CLEANUP_CHAT_ATTACHMENTS, handleCleanupChatAttachments);
   worker.registerHandler(JOB_TYPES.CONTENT_DIGEST, handleContentDigest);
   worker.registerHandler(JOB_TYPES.PUBLISH_INSIGHTS, handlePublishInsights);
+  worker.registerHandler(JOB_TYPES.PUBLISH_CHANNEL_POSTS, handlePublishChannelPosts);
+  worker.registerHandler(JOB_TYPES.TRENDING_ANALYSIS, handleTrendingAnalysis);
 
   // Start worker
   await worker.start();
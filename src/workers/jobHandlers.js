@@ -356,6 +356,29 @@ async function handleCleanupAuditLogs(payload, job) {
   return { deletedCount: result.deletedCount };
 }
 
+// ==================== CLEANUP CHAT ATTACHMENTS HANDLER ====================
+
+/**
+ * Delete chat uploads that were never sent in a message
+ *
+ * Payload:
+ * - maxAgeHours: Age after which unsent uploads are removed (default: 24)
+ */
+async function handleCleanupChatAttachments(payload, job) {
+  const { maxAgeHours = 24 } = payload;
+  const chatAttachmentService = require('../services/chatAttachmentService');
+
+  logger.info(`[CleanupChatAttachmentsHandler] Starting cleanup (max age: ${maxAgeHours} hours)`);
+
+  const result = await chatAttachmentService.cleanup(maxAgeHours);
+
+  logger.info(
+    `[CleanupChatAttachmentsHandler] Removed ${result.orphaned} unsent uploads and ${result.purged} deleted attachment records`
+  );
+
+  return result;
+}
+
 // ==================== CONTENT DIGEST HANDLER ====================
 
 /**
@@ -477,6 +500,9 @@ async function handlePublishInsights(payload, job) {
 
   const Insight = require('../models/Insight');
   const { emitInsightPublished } = require('../events/enhancedNotificationEvents');
+  const seriesService = require('../services/seriesService');
+  const tradeIdeaService = require('../services/tradeIdeaService');
+  const editorialService = require('../services/editorialService');
 
   const now = new Date();
 
@@ -497,6 +523,23 @@ async function handlePublishInsights(payload, job) {
 
   for (const insight of scheduledInsights) {
     try {
+      // Trade ideas open at the live price; ones the market has run past go back to the author
+      const ideaError = tradeIdeaService.openIdea(insight, now);
+      if (ideaError) {
+        insight.status = 'draft';
+        insight.scheduledFor = null;
+        await insight.save();
+        editorialService.notifyTransition(insight, { from: 'scheduled', to: 'draft', note: ideaError });
+
+        logger.warn(`[PublishInsightsHandler] Returned trade idea ${insight._id} to draft: ${ideaError}`);
+        results.failed++;
+        results.errors.push({
+          insightId: insight._id,
+          error: ideaError
+        });
+        continue;
+      }
+
       insight.status = 'published';
       insight.publishedAt = now;
       await insight.save();
@@ -508,6 +551,9 @@ async function handlePublishInsights(payload, job) {
         type: insight.type
       });
 
+      // New part of a series: tell the series followers
+      await seriesService.notifyNewPart(insight);
+
       logger.info(`[PublishInsightsHandler] Published insight: ${insight._id} (${insight.title})`);
       results.published++;
     } catch (error) {
@@ -523,6 +569,36 @@ async function handlePublishInsights(payload, job) {
   return results;
 }
 
+// ==================== CHANNEL POSTS HANDLER ====================
+
+/**
+ * Publish scheduled channel posts whose time has come
+ */
+async function handlePublishChannelPosts(payload, job) {
+  const channelService = require('../services/channelService');
+
+  const results = await channelService.publishDuePosts();
+
+  if (results.published > 0 || results.failed > 0) {
+    logger.info(`[PublishChannelPostsHandler] Published ${results.published} post(s), ${results.failed} failed`);
+  }
+
+  return results;
+}
+
+// ==================== TRENDING ANALYSIS HANDLER ====================
+
+/**
+ * Recalculate time-decayed trending scores for recent insights
+ */
+async function handleTrendingAnalysis(payload, job) {
+  const trendingService = require('../services/trendingService');
+
+  logger.info('[TrendingAnalysisHandler] Refreshing trending scores');
+
+  return trendingService.refreshScores();
+}
+
 // ==================== EXPORTS ====================
 
 module.exports = {
@@ -532,6 +608,9 @@ module.exports = {
   handleSubscriptionExpiryCheck,
   handleCleanupNotifications,
   handleCleanupAuditLogs,
+  handleCleanupChatAttachments,
   handleContentDigest,
-  handlePublishInsights
+  handlePublishInsights,
+  handlePublishChannelPosts,
+  handleTrendingAnalysis
 };
@@ -0,0 +1,72 @@
+/**
+ * UNIT TESTS: Bookmarks
+ * Tests subscription gating of bookmarked insights without a database
+ */
+
+jest.mock('../src/middleware/subscriptionMiddleware', () => ({
+  canAccessInsight: jest.fn()
+}));
+
+const { canAccessInsight } = require('../src/middleware/subscriptionMiddleware');
+const bookmarkService = require('../src/services/bookmarkService');
+
+describe('Bookmarks', () => {
+  const user = { id: '65a1b2c3d4e5f6a7b8c9d0e1', role: 'user' };
+  const bookmark = (insight, overrides = {}) => ({
+    _id: `bm-${insight ? insight._id : 'gone'}`,
+    collectionName: 'Banks',
+    createdAt: new Date('2026-03-01T00:00:00Z'),
+    insight,
+    ...overrides
+  });
+  const insight = (id, type, overrides = {}) => ({
+    _id: id,
+    title: `Insight ${id}`,
+    content: 'Full analysis of the UAE banking sector and what it means for dividends.',
+    type,
+    status: 'published',
+    isDeleted: false,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    canAccessInsight.mockReset();
+    canAccessInsight.mockImplementation(async (i) => i.type === 'free');
+  });
+
+  it('should lock premium bookmarks for users without premium access', async () => {
+    const entries = await bookmarkService.withAccess([
+      bookmark(insight('a', 'free')),
+      bookmark(insight('b', 'premium'))
+    ], user);
+
+    expect(entries[0].insight.locked).toBe(false);
+    expect(entries[0].insight.content).toBeDefined();
+    expect(entries[1].insight.locked).toBe(true);
+    expect(entries[1].insight.content).toBeUndefined();
+    expect(entries[1].insight.excerpt).toMatch(/^Full analysis/);
+  });
+
+  it('should check premium access once per page', async () => {
+    canAccessInsight.mockResolvedValue(true);
+
+    const entries = await bookmarkService.withAccess([
+      bookmark(insight('a', 'premium')),
+      bookmark(insight('b', 'premium')),
+      bookmark(insight('c', 'premium'))
+    ], user);
+
+    expect(entries.every(e => !e.insight.locked)).toBe(true);
+    expect(canAccessInsight).toHaveBeenCalledTimes(1);
+  });
+
+  it('should flag bookmarks whose insight was removed or unpublished', async () => {
+    const entries = await bookmarkService.withAccess([
+      bookmark(null),
+      bookmark(insight('d', 'free', { status: 'archived' }))
+    ], user);
+
+    expect(entries.map(e => e.available)).toEqual([false, false]);
+    expect(entries[1].insight).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * UNIT TESTS: OHLC Candle Rollups
+ * Tests bucket alignment and candle building without a database
+ */
+
+const candleService = require('../src/services/candleService');
+
+describe('Candle Rollups', () => {
+  describe('bucketStart', () => {
+    it('should floor timestamps to the interval boundary (UTC)', () => {
+      const ts = new Date('2026-01-21T07:43:27.500Z');
+
+      expect(candleService.bucketStart(ts, '1m').toISOString()).toBe('2026-01-21T07:43:00.000Z');
+      expect(candleService.bucketStart(ts, '5m').toISOString()).toBe('2026-01-21T07:40:00.000Z');
+      expect(candleService.bucketStart(ts, '1h').toISOString()).toBe('2026-01-21T07:00:00.000Z');
+      expect(candleService.bucketStart(ts, '1d').toISOString()).toBe('2026-01-21T00:00:00.000Z');
+    });
+  });
+
+  describe('expiresAt', () => {
+    it('should apply retention per granularity and keep daily candles forever', () => {
+      const start = new Date('2026-01-21T00:00:00.000Z');
+
+      expect(candleService.expiresAt(start, '1m').toISOString()).toBe('2026-01-28T00:00:00.000Z');
+      expect(candleService.expiresAt(start, '1d')).toBeNull();
+    });
+  });
+
+  describe('buildCandles', () => {
+    const points = [
+      { timestamp: new Date('2026-01-21T06:01:10Z'), price: 10.1 },
+      { timestamp: new Date('2026-01-21T06:00:05Z'), price: 10.0 },
+      { timestamp: new Date('2026-01-21T06:00:40Z'), price: 10.4 },
+      { timestamp: new Date('2026-01-21T06:00:50Z'), price: 9.9 },
+      { timestamp: new Date('2026-01-21T06:04:59Z'), price: 10.2 },
+      { timestamp: new Date('2026-01-21T06:05:00Z'), price: 0 } // Bad scrape row
+    ];
+
+    it('should build OHLC values in time order regardless of input order', () => {
+      const candles = candleService.buildCandles(points, '1m');
+      const first = candles[0];
+
+      expect(candles).toHaveLength(3);
+      expect(first.bucketStart.toISOString()).toBe('2026-01-21T06:00:00.000Z');
+      expect(first.open).toBe(10.0);
+      expect(first.high).toBe(10.4);
+      expect(first.low).toBe(9.9);
+      expect(first.close).toBe(9.9);
+      expect(first.tickCount).toBe(3);
+    });
+
+    it('should merge points into wider buckets', () => {
+      const candles = candleService.buildCandles(points, '5m');
+
+      expect(candles).toHaveLength(1);
+      expect(candles[0].open).toBe(10.0);
+      expect(candles[0].close).toBe(10.2);
+      expect(candles[0].tickCount).toBe(5);
+    });
+
+    it('should return an empty list for missing chart data', () => {
+      expect(candleService.buildCandles(undefined, '1m')).toEqual([]);
+    });
+  });
+});
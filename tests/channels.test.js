@@ -0,0 +1,102 @@
+/**
+ * UNIT TESTS: Broadcast Channels
+ * Tests channel formatting, post scheduling and tier checks without a database
+ */
+
+const channelService = require('../src/services/channelService');
+const Subscription = require('../src/models/Subscription');
+const ChannelSubscription = require('../src/models/ChannelSubscription');
+const { CHAT_PERMISSIONS, ROLES, SUBSCRIPTION_TIERS } = require('../src/constants');
+
+describe('Broadcast Channels', () => {
+  const makeChannel = (requiredTier, posterId = 'analyst1') => ({
+    _id: 'c1',
+    name: 'Market Signals',
+    channel: { description: 'Daily calls', requiredTier, subscriberCount: 42 },
+    lastMessage: { timestamp: new Date('2026-10-01T08:00:00Z') },
+    createdAt: new Date('2026-09-01T00:00:00Z'),
+    getUserPermission: (userId) => (userId === posterId ? CHAT_PERMISSIONS.ADMIN : null)
+  });
+
+  it('should format a channel with a subscriber count instead of participants', () => {
+    const formatted = channelService.formatChannel(makeChannel(SUBSCRIPTION_TIERS.PREMIUM), { isSubscribed: true });
+
+    expect(formatted).toEqual({
+      _id: 'c1',
+      name: 'Market Signals',
+      description: 'Daily calls',
+      requiredTier: SUBSCRIPTION_TIERS.PREMIUM,
+      subscriberCount: 42,
+      lastPostAt: new Date('2026-10-01T08:00:00Z'),
+      createdAt: new Date('2026-09-01T00:00:00Z'),
+      isSubscribed: true
+    });
+    expect(formatted).not.toHaveProperty('participants');
+  });
+
+  it('should only accept publish times in the future', () => {
+    expect(channelService.parseSchedule(undefined)).toBeNull();
+
+    const future = new Date(Date.now() + 60 * 60 * 1000);
+    expect(channelService.parseSchedule(future.toISOString()).getTime()).toBe(future.getTime());
+
+    for (const value of ['not a date', new Date(Date.now() - 1000).toISOString()]) {
+      expect(() => channelService.parseSchedule(value)).toThrow(expect.objectContaining({
+        statusCode: 400,
+        code: 'INVALID_SCHEDULE'
+      }));
+    }
+  });
+
+  it('should let analysts post and open free channels to everyone', async () => {
+    const channel = makeChannel(SUBSCRIPTION_TIERS.FREE);
+
+    expect(channelService.isPoster(channel, 'analyst1')).toBe(true);
+    expect(() => channelService.assertPoster(channel, 'reader1')).toThrow(expect.objectContaining({ statusCode: 403 }));
+
+    await expect(channelService.hasTierAccess(channel, { id: 'reader1', role: ROLES.USER })).resolves.toBe(true);
+    await expect(channelService.hasTierAccess(makeChannel(SUBSCRIPTION_TIERS.PREMIUM), null)).resolves.toBe(false);
+    await expect(channelService.hasTierAccess(makeChannel(SUBSCRIPTION_TIERS.PREMIUM), { id: 'admin1', role: ROLES.ADMIN })).resolves.toBe(true);
+  });
+
+  describe('plan checks', () => {
+    const premiumSub = new Subscription({ user: '65a1b2c3d4e5f6a7b8c9d0e1', tier: 'premium', status: 'active', endDate: new Date(Date.now() + 86400000) });
+    const basicSub = new Subscription({ user: '65a1b2c3d4e5f6a7b8c9d0e2', tier: 'basic', status: 'active', endDate: new Date(Date.now() + 86400000) });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should apply the access rule to notification recipients', async () => {
+      jest.spyOn(Subscription, 'getActiveSubscriptions').mockResolvedValue(new Map([
+        ['reader-premium', premiumSub],
+        ['reader-basic', basicSub]
+      ]));
+      const users = [
+        { _id: 'reader-premium', role: ROLES.USER },
+        { _id: 'reader-basic', role: ROLES.USER },
+        { _id: 'reader-lapsed', role: ROLES.USER },
+        { _id: 'admin1', role: ROLES.ADMIN },
+        { _id: 'analyst1', role: ROLES.USER }
+      ];
+
+      const allowed = await channelService.filterTierAccess(makeChannel(SUBSCRIPTION_TIERS.PREMIUM), users);
+
+      expect(allowed.map(user => user._id)).toEqual(['reader-premium', 'admin1', 'analyst1']);
+      expect(Subscription.getActiveSubscriptions).toHaveBeenCalledWith(['reader-premium', 'reader-basic', 'reader-lapsed']);
+    });
+
+    it('should let lapsed subscribers turn notifications off but not back on', async () => {
+      jest.spyOn(Subscription, 'getActiveSubscriptions').mockResolvedValue(new Map());
+      jest.spyOn(ChannelSubscription, 'findOneAndUpdate').mockResolvedValue({ notifications: false });
+      const channel = makeChannel(SUBSCRIPTION_TIERS.PREMIUM);
+      const lapsed = { id: 'reader-lapsed', role: ROLES.USER };
+
+      await expect(channelService.updateSubscription(channel, lapsed, { notifications: false }))
+        .resolves.toEqual({ subscribed: true, notifications: false });
+      await expect(channelService.updateSubscription(channel, lapsed, { notifications: true }))
+        .rejects.toMatchObject({ statusCode: 403, code: 'PREMIUM_REQUIRED' });
+      expect(ChannelSubscription.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+  });
+});
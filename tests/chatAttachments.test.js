@@ -0,0 +1,56 @@
+/**
+ * UNIT TESTS: Chat Attachments
+ * Tests content scanning and tier limits without a database
+ */
+
+const mediaService = require('../src/services/mediaService');
+const chatAttachmentService = require('../src/services/chatAttachmentService');
+const { TIER_LIMITS } = require('../src/constants');
+
+describe('Chat Attachments', () => {
+  const MB = 1024 * 1024;
+  const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+  const pdf = (body) => Buffer.from(`%PDF-1.7\n1 0 obj << /Type /Catalog ${body} >> endobj\n%%EOF`);
+
+  describe('scanFile', () => {
+    it('should accept files whose contents match the declared type', () => {
+      expect(mediaService.scanFile(png, 'image/png')).toEqual({ clean: true });
+      expect(mediaService.scanFile(pdf('/Pages 2 0 R'), 'application/pdf')).toEqual({ clean: true });
+      expect(mediaService.scanFile(Buffer.from('symbol,price\nEMAAR,7.10\n'), 'text/csv')).toEqual({ clean: true });
+    });
+
+    it('should reject files disguised as another type', () => {
+      expect(mediaService.scanFile(png, 'image/jpeg').clean).toBe(false);
+      expect(mediaService.scanFile(Buffer.from('<html><script>alert(1)</script></html>'), 'image/png').clean).toBe(false);
+      expect(mediaService.scanFile(Buffer.concat([Buffer.from('MZ'), Buffer.alloc(64)]), 'text/plain').reason).toMatch(/Executable/);
+    });
+
+    it('should reject active content', () => {
+      expect(mediaService.scanFile(pdf('/OpenAction << /S /JavaScript /JS (app.alert(1)) >>'), 'application/pdf').clean).toBe(false);
+
+      const macroDocx = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.alloc(16), Buffer.from('word/vbaProject.bin')]);
+      const docx = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+      expect(mediaService.scanFile(macroDocx, docx).reason).toMatch(/macros/);
+    });
+  });
+
+  describe('checkLimits', () => {
+    const free = { tier: 'free', ...TIER_LIMITS.free };
+    const premium = { tier: 'premium', ...TIER_LIMITS.premium };
+
+    it('should resolve the message type from the MIME type', () => {
+      expect(chatAttachmentService.checkLimits({ mimetype: 'image/png', size: MB }, free)).toBe('image');
+      expect(chatAttachmentService.checkLimits({ mimetype: 'application/pdf', size: MB }, free)).toBe('file');
+      expect(chatAttachmentService.checkLimits({ mimetype: 'video/mp4', size: 20 * MB }, premium)).toBe('video');
+    });
+
+    it('should enforce per-tier types and sizes', () => {
+      expect(() => chatAttachmentService.checkLimits({ mimetype: 'video/mp4', size: MB }, free))
+        .toThrow(expect.objectContaining({ statusCode: 403, code: 'ATTACHMENT_LIMIT_REACHED' }));
+      expect(() => chatAttachmentService.checkLimits({ mimetype: 'image/png', size: 6 * MB }, free))
+        .toThrow(/up to 5MB/);
+      expect(() => chatAttachmentService.checkLimits({ mimetype: 'application/x-msdownload', size: MB }, premium))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'ATTACHMENT_TYPE_NOT_ALLOWED' }));
+    });
+  });
+});
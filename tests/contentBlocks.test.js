@@ -0,0 +1,65 @@
+/**
+ * UNIT TESTS: Structured Content Blocks
+ * Tests block validation and HTML/text rendering without a database
+ */
+
+const marketDataService = require('../src/services/marketDataService');
+const contentBlockService = require('../src/services/contentBlockService');
+
+describe('Structured Content Blocks', () => {
+  beforeAll(() => {
+    jest.spyOn(marketDataService, 'resolveSymbol').mockImplementation((symbol) =>
+      String(symbol).toUpperCase().startsWith('EMAAR') ? { symbol: 'EMAAR.AE', exchange: 'DFM' } : null
+    );
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  const blocks = [
+    { type: 'heading', text: 'Q1 results' },
+    { type: 'paragraph', text: 'Revenue <strong>beat</strong> estimates <script>alert(1)</script>' },
+    { type: 'table', headers: ['Metric', 'Q1'], rows: [['Revenue', 7.5], ['Net profit', '2.1']] },
+    { type: 'chart', symbol: 'emaar', from: '2026-01-01', to: '2026-03-31' },
+    { type: 'quote', symbol: 'EMAAR', note: 'Target 12.00' },
+    { type: 'callout', variant: 'risk', text: 'Not investment advice' }
+  ];
+
+  it('should normalize valid blocks and resolve symbols', () => {
+    const { blocks: normalized, errors } = contentBlockService.validateBlocks(blocks);
+
+    expect(errors).toEqual([]);
+    expect(normalized[0].level).toBe(2);
+    expect(normalized[2].rows[0]).toEqual(['Revenue', '7.5']);
+    expect(normalized[3]).toMatchObject({ symbol: 'EMAAR.AE', exchange: 'DFM', interval: '1d' });
+    expect(contentBlockService.getSymbols(normalized)).toHaveLength(2);
+  });
+
+  it('should report errors with the block index', () => {
+    const { errors } = contentBlockService.validateBlocks([
+      { type: 'paragraph', text: 'ok' },
+      { type: 'image', url: 'javascript:alert(1)' },
+      { type: 'table', headers: ['A', 'B'], rows: [['only one']] },
+      { type: 'quote', symbol: 'NOPE' },
+      { type: 'video' }
+    ]);
+
+    expect(errors.map(e => e.index)).toEqual([1, 2, 3, 4]);
+    expect(errors[2].message).toBe('Unknown symbol: NOPE');
+  });
+
+  it('should render sanitized HTML and plain text', () => {
+    const { fields } = contentBlockService.build(blocks);
+
+    expect(fields.contentHtml).toContain('<h2>Q1 results</h2>');
+    expect(fields.contentHtml).toContain('<strong>beat</strong>');
+    expect(fields.contentHtml).not.toContain('<script>');
+    expect(fields.contentHtml).toContain('data-symbol="EMAAR.AE"');
+
+    expect(fields.content).toContain('Revenue beat estimates');
+    expect(fields.content).toContain('Metric | Q1');
+    expect(fields.content).toContain('EMAAR.AE (DFM) price chart, 2026-01-01 to 2026-03-31');
+    expect(fields.content).not.toContain('<');
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * UNIT TESTS: Disclosure Alerts
+ * Tests which newly stored disclosures notify symbol watchers
+ */
+
+jest.mock('../src/events/enhancedNotificationEvents', () => ({
+  emitDisclosurePublished: jest.fn()
+}));
+
+const { emitDisclosurePublished } = require('../src/events/enhancedNotificationEvents');
+const disclosureService = require('../src/services/disclosureService');
+
+describe('Disclosure Alerts', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const disclosure = (overrides = {}) => ({
+    _id: '65a1b2c3d4e5f6a7b8c9d0e1',
+    symbol: 'EMAAR.AE',
+    exchange: 'DFM',
+    company: 'Emaar Properties',
+    title: 'إفصاح',
+    titleEn: 'Board meeting results',
+    titleAr: 'إفصاح',
+    date: new Date('2026-03-10T09:00:00Z'),
+    pdfUrls: ['https://example.com/a.pdf'],
+    ...overrides
+  });
+
+  beforeEach(() => {
+    emitDisclosurePublished.mockClear();
+  });
+
+  it('should emit a disclosure event for a fresh filing', () => {
+    expect(disclosureService.notifyWatchers(disclosure(), now)).toBe(true);
+    expect(emitDisclosurePublished).toHaveBeenCalledWith(expect.objectContaining({
+      symbol: 'EMAAR.AE',
+      exchange: 'DFM',
+      title: 'Board meeting results',
+      pdfUrl: 'https://example.com/a.pdf'
+    }));
+  });
+
+  it('should skip disclosures without a resolved symbol', () => {
+    expect(disclosureService.notifyWatchers(disclosure({ symbol: null }), now)).toBe(false);
+    expect(emitDisclosurePublished).not.toHaveBeenCalled();
+  });
+
+  it('should skip backfilled disclosures older than a day', () => {
+    const old = disclosure({ date: new Date('2026-03-08T09:00:00Z') });
+
+    expect(disclosureService.notifyWatchers(old, now)).toBe(false);
+    expect(emitDisclosurePublished).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * UNIT TESTS: Disclosure Search
+ * Tests symbol matching, filter building and cursors without a database
+ */
+
+const disclosureService = require('../src/services/disclosureService');
+const marketDataService = require('../src/services/marketDataService');
+const Disclosure = require('../src/models/Disclosure');
+
+describe('Disclosure Search', () => {
+  const quotes = [
+    { symbol: 'EMAAR.AE', shortName: 'EMAAR' },
+    { symbol: 'DIB.AE', shortName: 'DIB' },
+    { symbol: 'DEWA.AE', shortName: 'DEWA' }
+  ];
+
+  describe('matchSymbol', () => {
+    it('should match an issuer name containing the ticker', () => {
+      expect(disclosureService.matchSymbol('Emaar Properties PJSC', quotes)).toBe('EMAAR.AE');
+    });
+
+    it('should fall back to the issuer acronym', () => {
+      expect(disclosureService.matchSymbol('Dubai Islamic Bank P.J.S.C', quotes)).toBe('DIB.AE');
+      expect(disclosureService.matchSymbol('Dubai Electricity and Water Authority', quotes)).toBe('DEWA.AE');
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(disclosureService.matchSymbol('Unknown Holding Company', quotes)).toBeNull();
+      expect(disclosureService.matchSymbol('Emaar Properties', [])).toBeNull();
+    });
+  });
+
+  describe('buildConditions', () => {
+    it('should combine symbol, date range and escaped free-text filters', () => {
+      const conditions = disclosureService.buildConditions({
+        exchange: 'dfm',
+        symbol: 'EMAAR.AE',
+        from: '2026-01-01',
+        q: 'Q1 (results)'
+      });
+
+      expect(conditions).toContainEqual({ exchange: 'DFM' });
+      expect(conditions).toContainEqual({ symbol: 'EMAAR.AE' });
+      expect(conditions).toContainEqual({ date: { $gte: new Date('2026-01-01') } });
+
+      const search = conditions.find(c => c.$or);
+      expect(search.$or).toHaveLength(4);
+      expect(search.$or[0].title.$regex).toBe('Q1 \\(results\\)');
+    });
+
+    it('should restrict free-text search to the requested language', () => {
+      const conditions = disclosureService.buildConditions({ lang: 'ar', q: 'أرباح' });
+      const search = conditions.find(c => c.$or);
+
+      expect(conditions.some(c => c.titleAr && c.titleAr.$regex && !c.titleAr.$options)).toBe(true);
+      expect(search.$or).toEqual([{ titleAr: { $regex: 'أرباح', $options: 'i' } }]);
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip date and id', () => {
+      const disclosure = { date: new Date('2026-02-03T10:00:00Z'), _id: '65a1b2c3d4e5f6a7b8c9d0e1' };
+      const decoded = disclosureService.decodeCursor(disclosureService.encodeCursor(disclosure));
+
+      expect(decoded.date.toISOString()).toBe('2026-02-03T10:00:00.000Z');
+      expect(decoded.id).toBe('65a1b2c3d4e5f6a7b8c9d0e1');
+    });
+
+    it('should reject tampered cursors with a 400', () => {
+      expect(() => disclosureService.decodeCursor('not-a-cursor')).toThrow(
+        expect.objectContaining({ statusCode: 400, message: 'Invalid cursor' })
+      );
+    });
+  });
+
+  describe('resolveMissingSymbols', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    const mockPending = (docs) => {
+      const query = { sort: jest.fn(), limit: jest.fn(), select: jest.fn(), lean: jest.fn().mockResolvedValue(docs) };
+      query.sort.mockReturnValue(query);
+      query.limit.mockReturnValue(query);
+      query.select.mockReturnValue(query);
+      jest.spyOn(Disclosure, 'find').mockReturnValue(query);
+      return query;
+    };
+
+    it('should take least recently tried disclosures first and mark unmatched ones as tried', async () => {
+      const query = mockPending([
+        { _id: 'a', title: 'EMAAR board meeting', company: 'Emaar Properties', exchange: 'DFM' },
+        { _id: 'b', title: 'Unknown issuer notice', company: 'Nobody', exchange: 'DFM' }
+      ]);
+      jest.spyOn(marketDataService, 'getByExchange').mockReturnValue(quotes);
+      const bulkWrite = jest.spyOn(Disclosure, 'bulkWrite').mockResolvedValue({});
+
+      await expect(disclosureService.resolveMissingSymbols()).resolves.toBe(1);
+
+      expect(query.sort).toHaveBeenCalledWith({ symbolResolveAttemptedAt: 1, date: -1 });
+      const ops = bulkWrite.mock.calls[0][0];
+      expect(ops[0].updateOne.update).toEqual({ $set: { symbol: 'EMAAR.AE' } });
+      expect(ops[1].updateOne.update.$set.symbolResolveAttemptedAt).toBeInstanceOf(Date);
+    });
+
+    it('should not mark disclosures as tried while their exchange has no quotes', async () => {
+      mockPending([{ _id: 'a', title: 'EMAAR board meeting', exchange: 'DFM' }]);
+      jest.spyOn(marketDataService, 'getByExchange').mockReturnValue([]);
+      const bulkWrite = jest.spyOn(Disclosure, 'bulkWrite').mockResolvedValue({});
+
+      await expect(disclosureService.resolveMissingSymbols()).resolves.toBe(0);
+      expect(bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saveDisclosures', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    const item = { url: 'https://example.com/a.pdf', title: 'EMAAR board meeting', exchange: 'DFM', date: new Date() };
+
+    it('should not clear a stored symbol when the re-scrape cannot resolve one', async () => {
+      jest.spyOn(marketDataService, 'getByExchange').mockReturnValue([]);
+      const upsert = jest.spyOn(Disclosure, 'findOneAndUpdate').mockResolvedValue({ lastErrorObject: {} });
+
+      await expect(disclosureService.saveDisclosures([item])).resolves.toBe(1);
+      expect(upsert.mock.calls[0][1]).not.toHaveProperty('symbol');
+    });
+
+    it('should store the symbol when it resolves', async () => {
+      jest.spyOn(marketDataService, 'getByExchange').mockReturnValue(quotes);
+      const upsert = jest.spyOn(Disclosure, 'findOneAndUpdate').mockResolvedValue({ lastErrorObject: {} });
+
+      await disclosureService.saveDisclosures([item]);
+      expect(upsert.mock.calls[0][1].symbol).toBe('EMAAR.AE');
+    });
+  });
+});
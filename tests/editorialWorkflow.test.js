@@ -0,0 +1,164 @@
+/**
+ * UNIT TESTS: Editorial Workflow
+ * Tests status transition rules and version-bound approvals without a database
+ */
+
+jest.mock('../src/events/enhancedNotificationEvents');
+
+const editorialService = require('../src/services/editorialService');
+const insightController = require('../src/controllers/insightController');
+const Insight = require('../src/models/Insight');
+const InsightVersion = require('../src/models/InsightVersion');
+const AuditLogger = require('../src/utils/auditLogger');
+const { shutdown } = require('../src/utils/cache');
+const { emitInsightPublished, emitInsightUnpublished } = require('../src/events/enhancedNotificationEvents');
+const { AUDIT_ACTIONS } = require('../src/constants');
+
+describe('Editorial Workflow', () => {
+  const reviewer = (user, decision, version) => ({ user, decision, version });
+
+  const insight = (status, review = {}) => ({ status, review });
+
+  it('should reject transitions outside the workflow', () => {
+    expect(editorialService.checkTransition(insight('draft'), 'published')).toMatch(/Cannot move/);
+    expect(editorialService.checkTransition(insight('archived'), 'published')).toMatch(/Cannot move/);
+    expect(editorialService.checkTransition(insight('draft'), 'under_review')).toBeNull();
+    expect(editorialService.checkTransition(insight('published'), 'published')).toBeNull();
+  });
+
+  it('should require the configured approvals on the current version before publishing', () => {
+    const review = {
+      version: 3,
+      requiredApprovals: 2,
+      reviewers: [reviewer('a', 'approved', 3), reviewer('b', 'approved', 2), reviewer('c', 'pending')]
+    };
+
+    expect(editorialService.getApprovalStatus(insight('under_review', review))).toMatchObject({
+      version: 3,
+      approvals: 1,
+      required: 2,
+      approved: false
+    });
+    expect(editorialService.checkTransition(insight('under_review', review), 'published')).toMatch(/needs 2 approval/);
+    expect(editorialService.checkTransition(insight('under_review', review), 'scheduled')).toMatch(/needs 2 approval/);
+
+    review.reviewers[1].version = 3;
+    expect(editorialService.checkTransition(insight('under_review', review), 'published')).toBeNull();
+  });
+
+  it('should allow sending back or rejecting without approvals', () => {
+    const review = { version: 1, reviewers: [reviewer('a', 'changes_requested', 1)] };
+
+    expect(editorialService.getApprovalStatus(insight('under_review', review)).changesRequested).toBe(1);
+    expect(editorialService.checkTransition(insight('under_review', review), 'draft')).toBeNull();
+    expect(editorialService.checkTransition(insight('under_review', review), 'archived')).toBeNull();
+  });
+
+  it('should pick an audit action for each transition', () => {
+    expect(editorialService.getTransitionAction('draft', 'under_review')).toBe(AUDIT_ACTIONS.INSIGHT_SUBMITTED_FOR_REVIEW);
+    expect(editorialService.getTransitionAction('under_review', 'published')).toBe(AUDIT_ACTIONS.INSIGHT_PUBLISHED);
+    expect(editorialService.getTransitionAction('published', 'draft')).toBe(AUDIT_ACTIONS.INSIGHT_UNPUBLISHED);
+    expect(editorialService.getTransitionAction('under_review', 'archived')).toBe(AUDIT_ACTIONS.INSIGHT_STATUS_CHANGED);
+  });
+
+  it('should send revisions of scheduled or published insights back to review', () => {
+    expect(editorialService.resolveEditStatus(insight('scheduled'), 'scheduled', true)).toEqual({ status: 'under_review', error: null });
+    expect(editorialService.resolveEditStatus(insight('published'), 'published', true)).toEqual({ status: 'under_review', error: null });
+    expect(editorialService.resolveEditStatus(insight('published'), 'draft', true)).toEqual({ status: 'draft', error: null });
+    expect(editorialService.resolveEditStatus(insight('published'), 'published', false)).toEqual({ status: 'published', error: null });
+  });
+
+  describe('updateInsight', () => {
+    const authorId = '65a1b2c3d4e5f6a7b8c9d0e1';
+    const reviewerId = '65a1b2c3d4e5f6a7b8c9d0e2';
+
+    const makeInsight = (status, fields = {}) => {
+      const doc = new Insight({
+        title: 'Weekly outlook',
+        content: 'Reviewed text. '.repeat(20),
+        excerpt: 'Banks lead the week',
+        type: 'free',
+        category: 'market_analysis',
+        author: authorId,
+        status,
+        review: {
+          version: 2,
+          requiredApprovals: 1,
+          reviewers: [{ user: reviewerId, decision: 'approved', version: 2 }]
+        },
+        ...fields
+      });
+      doc.save = jest.fn().mockResolvedValue(doc);
+      jest.spyOn(Insight, 'findOne').mockResolvedValue(doc);
+      return doc;
+    };
+
+    const update = async (body) => {
+      const req = { params: { insightId: 'i1' }, body, user: { id: authorId } };
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await insightController.updateInsight(req, res, next);
+      expect(next).not.toHaveBeenCalled();
+      return res;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(InsightVersion, 'createVersion').mockResolvedValue({ version: 3 });
+      jest.spyOn(editorialService, 'openReview').mockResolvedValue();
+      jest.spyOn(editorialService, 'recordTransition').mockResolvedValue();
+      jest.spyOn(AuditLogger, 'logFromRequest').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    afterAll(() => {
+      shutdown(); // Stop the insights cache cleanup interval
+    });
+
+    it('should not publish text edited in the publishing request', async () => {
+      const doc = makeInsight('under_review');
+
+      const res = await update({ status: 'published', content: 'Text no reviewer has seen. '.repeat(20) });
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(doc.save).not.toHaveBeenCalled();
+      expect(emitInsightPublished).not.toHaveBeenCalled();
+    });
+
+    it('should still publish the approved version unchanged', async () => {
+      const doc = makeInsight('under_review');
+
+      const res = await update({ status: 'published' });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(doc.status).toBe('published');
+      expect(emitInsightPublished).toHaveBeenCalled();
+    });
+
+    it('should send an edited scheduled insight back to review', async () => {
+      const doc = makeInsight('scheduled', { scheduledFor: new Date(Date.now() + 60 * 60 * 1000) });
+
+      const res = await update({ content: 'Late change to the call. '.repeat(20) });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(doc.status).toBe('under_review');
+      expect(doc.scheduledFor).toBeNull();
+      expect(InsightVersion.createVersion).toHaveBeenCalledWith(doc, authorId, 'Revised while scheduled');
+      expect(editorialService.openReview).toHaveBeenCalledWith(doc, authorId, 3, { revision: false });
+    });
+
+    it('should unpublish an edited published insight until the revision is approved', async () => {
+      const doc = makeInsight('published', { publishedAt: new Date('2026-10-01T08:00:00Z') });
+
+      const res = await update({ title: 'Weekly outlook (corrected)' });
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(doc.status).toBe('under_review');
+      expect(emitInsightUnpublished).toHaveBeenCalled();
+      expect(editorialService.openReview).toHaveBeenCalled();
+    });
+  });
+});
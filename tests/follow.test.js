@@ -0,0 +1,103 @@
+/**
+ * UNIT TESTS: Follow Feed Ranking
+ * Tests feed scoring, follow upserts and new-insight recipients without a database
+ */
+
+const followService = require('../src/services/followService');
+const notificationService = require('../src/services/notificationService');
+const Follow = require('../src/models/Follow');
+const User = require('../src/models/User');
+const Subscription = require('../src/models/Subscription');
+const NotificationPreference = require('../src/models/NotificationPreference');
+
+describe('Follow Feed Ranking', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+  const sources = {
+    authors: new Set(['64b000000000000000000001']),
+    categories: new Set(['market_analysis']),
+    tags: new Set(['banking', 'ipo', 'dividends', 'uae'])
+  };
+
+  const insight = (overrides) => ({
+    author: { _id: '64b000000000000000000009', name: 'Someone' },
+    category: 'other',
+    tags: [],
+    views: 0,
+    bookmarksCount: 0,
+    publishedAt: hoursAgo(1),
+    ...overrides
+  });
+
+  it('should rank a followed author above a followed category', () => {
+    const byAuthor = followService.scoreInsight(insight({ author: { _id: '64b000000000000000000001' } }), sources, now);
+    const byCategory = followService.scoreInsight(insight({ category: 'market_analysis' }), sources, now);
+
+    expect(byAuthor).toBeGreaterThan(byCategory);
+  });
+
+  it('should cap the tag contribution', () => {
+    const threeTags = followService.scoreInsight(insight({ tags: ['banking', 'ipo', 'dividends'] }), sources, now);
+    const fourTags = followService.scoreInsight(insight({ tags: ['banking', 'ipo', 'dividends', 'uae'] }), sources, now);
+
+    expect(fourTags).toBeCloseTo(threeTags);
+  });
+
+  it('should decay older insights and boost engaged ones', () => {
+    const fresh = followService.scoreInsight(insight({ category: 'market_analysis' }), sources, now);
+    const stale = followService.scoreInsight(insight({ category: 'market_analysis', publishedAt: hoursAgo(96) }), sources, now);
+    const popular = followService.scoreInsight(insight({ category: 'market_analysis', views: 500, bookmarksCount: 20 }), sources, now);
+
+    expect(stale).toBeLessThan(fresh);
+    expect(popular).toBeGreaterThan(fresh);
+  });
+
+  it('should score unrelated insights on engagement only', () => {
+    expect(followService.scoreInsight(insight({}), sources, now)).toBe(0);
+  });
+
+  describe('following', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should upsert follows so repeated or concurrent follows do not fail', async () => {
+      jest.spyOn(followService, 'resolveTarget').mockResolvedValue({ target: 'banking' });
+      const follow = { _id: 'f1', targetType: 'tag', target: 'banking' };
+      jest.spyOn(Follow, 'findOneAndUpdate')
+        .mockResolvedValueOnce({ value: follow, lastErrorObject: { updatedExisting: false } })
+        .mockResolvedValueOnce({ value: follow, lastErrorObject: { updatedExisting: true } });
+
+      const user = { id: '64b000000000000000000002' };
+      await expect(followService.follow(user, { type: 'tag', target: 'Banking' })).resolves.toEqual({ follow, created: true });
+      await expect(followService.follow(user, { type: 'tag', target: 'Banking' })).resolves.toEqual({ follow, created: false });
+      expect(Follow.findOneAndUpdate).toHaveBeenCalledWith(
+        { follower: user.id, targetType: 'tag', target: 'banking' },
+        { $setOnInsert: {} },
+        expect.objectContaining({ upsert: true })
+      );
+    });
+
+    it('should only notify followers with premium access about premium insights', async () => {
+      const users = [
+        { _id: '64b000000000000000000011', role: 'user' },
+        { _id: '64b000000000000000000012', role: 'user' },
+        { _id: '64b000000000000000000013', role: 'admin' }
+      ];
+      jest.spyOn(followService, 'getFollowerIds').mockResolvedValue(users.map(u => u._id));
+      jest.spyOn(User, 'find').mockResolvedValue(users);
+      jest.spyOn(NotificationPreference, 'find').mockReturnValue({ select: () => Promise.resolve([]) });
+      jest.spyOn(Subscription, 'getActiveSubscriptions').mockResolvedValue(new Map([
+        ['64b000000000000000000011', { isPremium: true }],
+        ['64b000000000000000000012', { isPremium: false }]
+      ]));
+
+      const premium = await notificationService.getInterestedUsersForContent({ type: 'premium', category: 'other' });
+      expect(premium.map(u => u._id)).toEqual(['64b000000000000000000011', '64b000000000000000000013']);
+
+      const free = await notificationService.getInterestedUsersForContent({ type: 'free', category: 'other' });
+      expect(free).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * UNIT TESTS: Insight Symbol Linking
+ * Tests ticker detection and validation against the market cache
+ */
+
+const marketDataService = require('../src/services/marketDataService');
+const insightSymbolService = require('../src/services/insightSymbolService');
+
+describe('Insight Symbol Linking', () => {
+  const listed = {
+    'EMAAR.AE': { symbol: 'EMAAR.AE', exchange: 'DFM' },
+    'DIB.AE': { symbol: 'DIB.AE', exchange: 'DFM' },
+    'ALDAR.AD': { symbol: 'ALDAR.AD', exchange: 'ADX' }
+  };
+
+  beforeAll(() => {
+    jest.spyOn(marketDataService, 'resolveSymbol').mockImplementation((symbol, exchange) => {
+      const target = symbol.toUpperCase();
+      const record = listed[target] || listed[`${target}.AE`] || listed[`${target}.AD`];
+      return record && (!exchange || record.exchange === exchange.toUpperCase()) ? record : null;
+    });
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('detectSymbols', () => {
+    it('should find capitalised tickers and cashtags in order of mention', () => {
+      const symbols = insightSymbolService.detectSymbols(
+        'Why EMAAR looks cheap',
+        'Compared with $aldar and DIB.AE, the CEO expects AED growth. Emaar again.'
+      );
+
+      expect(symbols).toEqual([
+        { symbol: 'EMAAR.AE', exchange: 'DFM' },
+        { symbol: 'ALDAR.AD', exchange: 'ADX' },
+        { symbol: 'DIB.AE', exchange: 'DFM' }
+      ]);
+    });
+
+    it('should ignore lowercase words that are not cashtags', () => {
+      expect(insightSymbolService.detectSymbols('emaar and aldar reported results')).toEqual([]);
+    });
+  });
+
+  describe('resolveSymbols', () => {
+    it('should validate requested symbols and report unknown ones', () => {
+      const result = insightSymbolService.resolveSymbols(['emaar', { symbol: 'ALDAR', exchange: 'ADX' }, 'NOPE', 'EMAAR.AE']);
+
+      expect(result.symbols).toEqual([
+        { symbol: 'EMAAR.AE', exchange: 'DFM' },
+        { symbol: 'ALDAR.AD', exchange: 'ADX' }
+      ]);
+      expect(result.invalid).toEqual(['NOPE']);
+    });
+
+    it('should skip malformed entries instead of throwing', () => {
+      const result = insightSymbolService.resolveSymbols([42, null, { exchange: 'DFM' }, { symbol: 'DIB', exchange: 7 }, 'DIB']);
+
+      expect(result).toEqual({ symbols: [{ symbol: 'DIB.AE', exchange: 'DFM' }], invalid: [] });
+    });
+
+    it('should reject a symbol listed on a different exchange', () => {
+      expect(insightSymbolService.resolveSymbols([{ symbol: 'EMAAR', exchange: 'ADX' }]).invalid).toEqual(['EMAAR']);
+    });
+  });
+
+  it('should merge detected symbols without dropping existing links', () => {
+    const merged = insightSymbolService.merge(
+      [{ symbol: 'DIB.AE', exchange: 'DFM' }],
+      [{ symbol: 'EMAAR.AE', exchange: 'DFM' }, { symbol: 'DIB.AE', exchange: 'DFM' }]
+    );
+
+    expect(merged.map(s => s.symbol)).toEqual(['DIB.AE', 'EMAAR.AE']);
+  });
+});
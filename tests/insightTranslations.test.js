@@ -0,0 +1,66 @@
+/**
+ * UNIT TESTS: Insight Translations
+ * Tests locale selection and fallback without a database
+ */
+
+const mongoose = require('mongoose');
+const Insight = require('../src/models/Insight');
+const i18nService = require('../src/services/i18nService');
+
+describe('Insight Translations', () => {
+  const build = (overrides = {}) => new Insight({
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Banking sector outlook',
+    content: 'UAE banks continue to benefit from higher rates and loan growth.',
+    excerpt: 'UAE banks outlook',
+    language: 'en',
+    ...overrides
+  });
+
+  it('should serve the requested translation with RTL info', () => {
+    const insight = build({
+      translations: {
+        ar: { title: 'توقعات القطاع المصرفي', content: 'تواصل البنوك الإماراتية الاستفادة من ارتفاع أسعار الفائدة ونمو القروض.' }
+      }
+    });
+
+    const localized = i18nService.getLocalizedInsight(insight, 'ar');
+
+    expect(localized.title).toBe('توقعات القطاع المصرفي');
+    expect(localized.language).toBe('ar');
+    expect(localized.isRTL).toBe(true);
+    expect(localized.translationStatus).toBe('current');
+    expect(localized.availableLanguages).toEqual(['en', 'ar']);
+    expect(localized.translations).toBeUndefined();
+  });
+
+  it('should fall back to the source language when the translation is missing', () => {
+    const insight = build({ translations: { ar: { status: 'missing' } } });
+
+    const localized = i18nService.getLocalizedInsight(insight, 'ar');
+
+    expect(localized.title).toBe('Banking sector outlook');
+    expect(localized.language).toBe('en');
+    expect(localized.requestedLanguage).toBe('ar');
+    expect(localized.availableLanguages).toEqual(['en']);
+  });
+
+  it('should serve an outdated English translation of an Arabic insight, flagged as such', () => {
+    const insight = build({
+      title: 'توقعات القطاع المصرفي',
+      content: 'تواصل البنوك الإماراتية الاستفادة من ارتفاع أسعار الفائدة ونمو القروض.',
+      excerpt: undefined,
+      language: 'ar',
+      translations: {
+        en: { title: 'Banking sector outlook', content: 'UAE banks continue to benefit from higher rates.', status: 'outdated' }
+      }
+    });
+
+    const localized = i18nService.getLocalizedInsight(insight, 'en');
+
+    expect(localized.title).toBe('Banking sector outlook');
+    expect(localized.excerpt).toBe('UAE banks continue to benefit from higher rates....');
+    expect(localized.translationStatus).toBe('outdated');
+    expect(localized.sourceLanguage).toBe('ar');
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * UNIT TESTS: Market Data Providers
+ * Tests fixture replay and the provider registry without network access
+ */
+
+const path = require('path');
+const FixtureProvider = require('../src/services/marketProviders/FixtureProvider');
+const BaseMarketProvider = require('../src/services/marketProviders/BaseMarketProvider');
+const { getProvider, setProvider, resetProviders } = require('../src/services/marketProviders');
+
+const FIXTURE_DIR = path.join(__dirname, '../src/fixtures/market');
+
+describe('Market Data Providers', () => {
+  describe('FixtureProvider', () => {
+    let provider;
+
+    beforeEach(() => {
+      provider = new FixtureProvider(FIXTURE_DIR);
+    });
+
+    it('should replay frames in order and loop back to the first', async () => {
+      const first = await provider.fetchQuotes('DFM');
+      const second = await provider.fetchQuotes('DFM');
+      await provider.fetchQuotes('DFM');
+      const looped = await provider.fetchQuotes('DFM');
+
+      const emaar = (quotes) => quotes.find(q => q.symbol === 'EMAAR.AE');
+      expect(emaar(first).price).toBe(14.1);
+      expect(emaar(second).price).toBe(14.2);
+      expect(emaar(looped).price).toBe(14.1);
+    });
+
+    it('should stamp quotes with the current time and attach intraday points', async () => {
+      const before = Date.now();
+      const quotes = await provider.fetchQuotes('DFM');
+      const emaar = quotes.find(q => q.symbol === 'EMAAR.AE');
+
+      expect(emaar.lastUpdated.getTime()).toBeGreaterThanOrEqual(before);
+      expect(emaar.exchange).toBe('DFM');
+      expect(emaar.chartData).toHaveLength(3);
+      expect(emaar.chartData[0].timestamp).toBeInstanceOf(Date);
+    });
+
+    it('should return nothing for an exchange without a fixture file', async () => {
+      const empty = new FixtureProvider(path.join(__dirname, 'does-not-exist'));
+
+      expect(await empty.fetchQuotes('ADX')).toEqual([]);
+      expect(await empty.fetchIntraday('ADX', 'ALDAR.AD')).toEqual([]);
+    });
+
+    it('should skip disclosures the caller already knows', async () => {
+      const all = await provider.fetchDisclosures('DFM');
+      const fresh = await provider.fetchDisclosures('DFM', {
+        isKnown: async (item) => item.url.includes('emaar')
+      });
+
+      expect(all).toHaveLength(2);
+      expect(fresh).toHaveLength(1);
+      expect(fresh[0].exchange).toBe('DFM');
+      expect(fresh[0].date).toBeInstanceOf(Date);
+      expect(fresh[0].pdfUrls).toEqual([fresh[0].url]);
+    });
+  });
+
+  describe('parseDate', () => {
+    const base = new BaseMarketProvider('test');
+
+    it('should parse long and numeric exchange date formats', () => {
+      expect(base.parseDate('Emaar - Jan 21, 2026 20:44:59')).toEqual(new Date(2026, 0, 21));
+      expect(base.parseDate('21/01/2026')).toEqual(new Date(2026, 0, 21));
+    });
+  });
+
+  describe('registry', () => {
+    afterEach(() => resetProviders());
+
+    it('should allow overriding the provider per exchange', () => {
+      const fixture = new FixtureProvider(FIXTURE_DIR);
+      setProvider('adx', fixture);
+
+      expect(getProvider('ADX')).toBe(fixture);
+    });
+  });
+});
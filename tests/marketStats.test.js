@@ -0,0 +1,70 @@
+/**
+ * UNIT TESTS: Market Stats
+ * Tests movers, most active and breadth calculations without a database
+ */
+
+const marketDataService = require('../src/services/marketDataService');
+
+describe('Market Stats', () => {
+  const quote = (symbol, changePercent, volume, price = 10) => ({
+    symbol,
+    shortName: symbol.split('.')[0],
+    exchange: 'DFM',
+    price,
+    change: price * changePercent / 100,
+    changePercent,
+    volume
+  });
+
+  const quotes = [
+    quote('EMAAR.AE', 2.5, 1000),
+    quote('DEWA.AE', -1.2, 5000, 2.6),
+    quote('DIB.AE', 0, 300),
+    quote('SALIK.AE', 4.1, 200),
+    quote('TABREED.AE', -3.0, 0),
+    quote('DEAD.AE', 9.9, 100, 0) // No price - failed scrape row
+  ];
+
+  describe('computeMarketStats', () => {
+    const stats = marketDataService.computeMarketStats(quotes);
+
+    it('should rank gainers and losers by changePercent', () => {
+      expect(stats.gainers.map(q => q.symbol)).toEqual(['SALIK.AE', 'EMAAR.AE']);
+      expect(stats.losers.map(q => q.symbol)).toEqual(['TABREED.AE', 'DEWA.AE']);
+    });
+
+    it('should rank most active by volume and skip untraded symbols', () => {
+      expect(stats.mostActive.map(q => q.symbol)).toEqual(['DEWA.AE', 'EMAAR.AE', 'DIB.AE', 'SALIK.AE']);
+      expect(stats.mostActive[0].value).toBe(13000);
+    });
+
+    it('should count advancers, decliners and unchanged', () => {
+      expect(stats.breadth).toMatchObject({
+        advancers: 2,
+        decliners: 2,
+        unchanged: 1,
+        total: 5,
+        advanceDeclineRatio: 1,
+        totalVolume: 6500
+      });
+    });
+  });
+
+  describe('getMarketStats', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should compute once per sync cycle', () => {
+      jest.spyOn(marketDataService, 'getByExchange').mockReturnValue(quotes);
+      const compute = jest.spyOn(marketDataService, 'computeMarketStats');
+
+      marketDataService.syncVersion++;
+      marketDataService.getMarketStats('dfm');
+      marketDataService.getMarketStats('DFM');
+      expect(compute).toHaveBeenCalledTimes(1);
+
+      marketDataService.syncVersion++;
+      marketDataService.getMarketStats('DFM');
+      expect(compute).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * UNIT TESTS: Market Tick Streaming
+ * Tests delta building and per-tier cadence with a stub Socket.IO server
+ */
+
+jest.mock('../src/utils/subscriptionHelper', () => ({
+  getUserLimits: jest.fn()
+}));
+
+const marketStreamService = require('../src/services/marketStreamService');
+const marketDataService = require('../src/services/marketDataService');
+const marketHandlers = require('../src/socket/marketHandlers');
+const { getUserLimits } = require('../src/utils/subscriptionHelper');
+const { SOCKET_EVENTS, TIER_LIMITS } = require('../src/constants');
+
+const createStubIO = () => {
+  const emitted = [];
+  const io = {
+    emitted,
+    to(room) {
+      const target = { room, except: null };
+      return {
+        except(excluded) {
+          target.except = excluded;
+          return this;
+        },
+        emit(event, payload) {
+          emitted.push({ ...target, event, payload });
+        }
+      };
+    },
+    emit(event, payload) {
+      emitted.push({ room: null, event, payload });
+    }
+  };
+  return io;
+};
+
+describe('Market Tick Streaming', () => {
+  const quote = (overrides = {}) => ({
+    symbol: 'EMAAR.AE',
+    exchange: 'DFM',
+    price: 14.1,
+    change: 0.1,
+    changePercent: 0.71,
+    open: 14,
+    high: 14.15,
+    low: 13.98,
+    volume: 1000,
+    lastUpdated: new Date('2026-01-21T07:00:00Z'),
+    ...overrides
+  });
+
+  let io;
+
+  beforeAll(() => {
+    io = createStubIO();
+    marketStreamService.attach(io);
+  });
+
+  afterAll(() => {
+    marketStreamService.timers.forEach(timer => clearInterval(timer));
+  });
+
+  beforeEach(() => {
+    io.emitted.length = 0;
+    marketStreamService.pending.forEach(buffer => buffer.clear());
+  });
+
+  describe('buildDelta', () => {
+    it('should only include fields that changed', () => {
+      const delta = marketStreamService.buildDelta(quote({ price: 14.2, volume: 1200 }), quote());
+
+      expect(delta).toEqual({ s: 'EMAAR.AE', e: 'DFM', t: Date.parse('2026-01-21T07:00:00Z'), p: 14.2, v: 1200 });
+    });
+
+    it('should return null for an unchanged quote and a full delta for a new one', () => {
+      expect(marketStreamService.buildDelta(quote(), quote())).toBeNull();
+      expect(Object.keys(marketStreamService.buildDelta(quote(), null))).toHaveLength(10);
+    });
+  });
+
+  describe('publish', () => {
+    it('should push premium ticks immediately and hold free ticks until the flush', () => {
+      marketStreamService.publish([quote({ price: 14.2 })], new Map([['EMAAR.AE', quote()]]));
+
+      const rooms = io.emitted.map(e => e.room);
+      expect(rooms).toContain('market:premium:exchange:DFM');
+      expect(rooms).toContain('market:premium:symbol:EMAAR.AE');
+      expect(rooms.some(room => room.startsWith('market:free'))).toBe(false);
+
+      io.emitted.length = 0;
+      marketStreamService.publish([quote({ price: 14.3 })], new Map([['EMAAR.AE', quote({ price: 14.2 })]]));
+      marketStreamService.publish([quote({ price: 14.3, volume: 1500 })], new Map([['EMAAR.AE', quote({ price: 14.3 })]]));
+      io.emitted.length = 0;
+
+      marketStreamService.flush('free');
+
+      const exchangePush = io.emitted.find(e => e.room === 'market:free:exchange:DFM');
+      expect(exchangePush.payload.ticks).toHaveLength(1);
+      expect(exchangePush.payload.ticks[0]).toMatchObject({ p: 14.3, v: 1500 });
+    });
+
+    it('should not send symbol pushes to sockets already in the exchange room', () => {
+      marketStreamService.publish([quote({ price: 14.2 })], new Map([['EMAAR.AE', quote()]]));
+
+      const symbolPush = io.emitted.find(e => e.room === 'market:premium:symbol:EMAAR.AE');
+      expect(symbolPush.except).toBe('market:premium:exchange:DFM');
+    });
+
+    it('should skip broadcasting when nothing changed', () => {
+      marketStreamService.publish([quote()], new Map([['EMAAR.AE', quote()]]));
+
+      expect(io.emitted).toHaveLength(0);
+    });
+  });
+
+  describe('market:subscribe', () => {
+    const listing = (exchange, count) => Array.from({ length: count }, (_, i) => quote({ symbol: `${exchange}${i}.AE`, exchange }));
+    const quotes = [...listing('DFM', 40), ...listing('ADX', 10)];
+
+    const connect = () => {
+      const handlers = {};
+      const socket = {
+        user: { id: 'u1', role: 'user' },
+        rooms: [],
+        on: (event, handler) => { handlers[event] = handler; },
+        join(room) { this.rooms.push(room); },
+        leave: jest.fn(),
+        emit: jest.fn()
+      };
+      marketHandlers(io, socket);
+      const subscribe = data => new Promise(resolve => handlers[SOCKET_EVENTS.MARKET_SUBSCRIBE](data, resolve));
+      return { socket, subscribe };
+    };
+
+    beforeEach(() => {
+      getUserLimits.mockResolvedValue({ tier: 'free', ...TIER_LIMITS.free });
+      jest.spyOn(marketDataService, 'getByExchange').mockImplementation(exchange => quotes.filter(q => q.exchange === exchange));
+      jest.spyOn(marketDataService, 'getBySymbol').mockImplementation(symbol => quotes.find(q => q.symbol === symbol));
+      jest.spyOn(marketDataService, 'resolveSymbol').mockImplementation(symbol => quotes.find(q => q.symbol === symbol) || null);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should count a whole exchange against the symbol limit', async () => {
+      const { socket, subscribe } = connect();
+
+      const result = await subscribe({ exchanges: ['DFM', 'ADX'] });
+
+      expect(result).toMatchObject({ success: false, code: 'MARKET_SUBSCRIPTION_LIMIT_REACHED' });
+      expect(socket.rooms).toHaveLength(0);
+    });
+
+    it('should allow an exchange that fits, without counting its symbols twice', async () => {
+      const { socket, subscribe } = connect();
+
+      expect(await subscribe({ symbols: ['ADX1.AE', 'DFM1.AE'] })).toMatchObject({ success: true });
+      expect(await subscribe({ exchanges: ['ADX'] })).toMatchObject({ success: true });
+      expect(socket.rooms).toContain('market:free:exchange:ADX');
+      expect(await subscribe({ symbols: listing('DFM', 15).map(q => q.symbol) })).toMatchObject({ success: true });
+      expect(await subscribe({ symbols: ['DFM20.AE'] })).toMatchObject({ success: false });
+    });
+
+    it('should refuse exchanges before market data has loaded', async () => {
+      marketDataService.getByExchange.mockReturnValue([]);
+      const { subscribe } = connect();
+
+      expect(await subscribe({ exchanges: ['DFM'] })).toMatchObject({ success: false, code: 'MARKET_DATA_UNAVAILABLE' });
+    });
+  });
+});
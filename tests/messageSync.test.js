@@ -0,0 +1,106 @@
+/**
+ * UNIT TESTS: Offline Message Sync
+ * Tests how a page of changes is split for the client without a database
+ */
+
+const messageSyncService = require('../src/services/messageSyncService');
+const Chat = require('../src/models/Chat');
+const Message = require('../src/models/Message');
+
+describe('Offline Message Sync', () => {
+  const change = (seq, syncSeq, extra = {}) => ({ _id: `m${seq}`, seq, syncSeq, content: `Message ${seq}`, ...extra });
+
+  it('should separate new, changed and deleted messages', () => {
+    const deletedAt = new Date('2026-10-01T12:00:00Z');
+    const page = messageSyncService.buildSyncPage([
+      change(3, 11, { isEdited: true }),
+      change(12, 12),
+      change(4, 13, { deletedAt, thread: 'm1' }),
+      change(14, 14)
+    ], 10, 100, 14);
+
+    expect(page.messages.map(m => m._id)).toEqual(['m12', 'm14']);
+    expect(page.updated.map(m => m._id)).toEqual(['m3']);
+    expect(page.deleted).toEqual([{ _id: 'm4', seq: 4, thread: 'm1', deletedAt }]);
+    expect(page).toMatchObject({ cursor: 14, latestSeq: 14, hasMore: false });
+  });
+
+  it('should page through changes with the cursor', () => {
+    const changes = [change(1, 1), change(2, 2), change(3, 3)];
+    const page = messageSyncService.buildSyncPage(changes, 0, 2, 9);
+
+    expect(page.messages).toHaveLength(2);
+    expect(page).toMatchObject({ cursor: 2, latestSeq: 9, hasMore: true });
+  });
+
+  it('should keep the cursor when nothing changed', () => {
+    expect(messageSyncService.buildSyncPage([], 7, 100, 7)).toEqual({
+      messages: [],
+      updated: [],
+      deleted: [],
+      cursor: 7,
+      latestSeq: 7,
+      hasMore: false
+    });
+  });
+
+  describe('in-flight sequence numbers', () => {
+    const userId = '65a1b2c3d4e5f6a7b8c9d0e1';
+    const ago = ms => new Date(Date.now() - ms);
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should only count numbers below the oldest unfinished write as committed', () => {
+      const chat = new Chat({
+        type: 'direct',
+        messageSeq: 10,
+        pendingSeqs: [{ seq: 9, reservedAt: ago(1000) }, { seq: 7, reservedAt: ago(2000) }]
+      });
+      expect(chat.getCommittedSeq()).toBe(6);
+
+      // A write that never finished stops holding sync back
+      chat.pendingSeqs = [{ seq: 7, reservedAt: ago(5 * 60 * 1000) }];
+      expect(chat.getCommittedSeq()).toBe(10);
+    });
+
+    it('should release a reserved number even when the write fails', async () => {
+      jest.spyOn(Chat, 'nextSequence').mockResolvedValue(4);
+      jest.spyOn(Chat, 'releaseSequence').mockResolvedValue({});
+
+      await expect(Chat.withSequence('c1', seq => Promise.resolve(seq * 2))).resolves.toBe(8);
+      await expect(Chat.withSequence('c1', () => Promise.reject(new Error('insert failed')))).rejects.toThrow('insert failed');
+      expect(Chat.releaseSequence).toHaveBeenCalledTimes(2);
+      expect(Chat.releaseSequence).toHaveBeenLastCalledWith('c1', 4);
+    });
+
+    it('should not hand out a cursor past a write still in flight', async () => {
+      const chat = new Chat({
+        type: 'direct',
+        participants: [{ user: userId }],
+        messageSeq: 12,
+        pendingSeqs: [{ seq: 11, reservedAt: ago(100) }]
+      });
+      jest.spyOn(Chat, 'findById').mockReturnValue({ select: () => Promise.resolve(chat) });
+
+      let filter;
+      const query = {
+        sort: () => query,
+        limit: () => query,
+        select: () => query,
+        populate: () => query,
+        lean: () => Promise.resolve([{ _id: 'm10', seq: 10, syncSeq: 10 }])
+      };
+      jest.spyOn(Message, 'find').mockImplementation((conditions) => {
+        filter = conditions;
+        return query;
+      });
+
+      const page = await messageSyncService.getChangesSince(chat._id.toString(), userId, { since: 9 });
+
+      expect(filter.syncSeq).toEqual({ $gt: 9, $lte: 10 });
+      expect(page).toMatchObject({ cursor: 10, latestSeq: 10, hasMore: false });
+    });
+  });
+});
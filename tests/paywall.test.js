@@ -0,0 +1,68 @@
+/**
+ * UNIT TESTS: Premium Paywall
+ * Tests teaser generation, locked previews and meter math without a database
+ */
+
+const paywallService = require('../src/services/paywallService');
+
+describe('Premium Paywall', () => {
+  const settings = {
+    mode: 'metered',
+    teaserParagraphs: 2,
+    blurredParagraphs: 1,
+    monthlyFreeReads: 3,
+    ctaMessage: 'Upgrade',
+    ctaUrl: '/subscriptions/upgrade'
+  };
+
+  const content = [
+    'Banks led the index higher.',
+    'Volumes were above average.',
+    'The secret trade is to buy ADNOCGAS below 3.10.',
+    'Targets and stops follow.'
+  ].join('\n\n');
+
+  it('should show the opening paragraphs and blur the rest without leaking it', () => {
+    const teaser = paywallService.buildTeaser({ content }, settings);
+
+    expect(teaser.paragraphs).toEqual(['Banks led the index higher.', 'Volumes were above average.']);
+    expect(teaser.blurred).toHaveLength(1);
+    expect(teaser.blurred[0].split(' ')).toHaveLength(9);
+    expect(teaser.blurred[0]).not.toMatch(/ADNOCGAS|secret/);
+    expect(teaser.hiddenParagraphs).toBe(2);
+    expect(teaser.totalParagraphs).toBe(4);
+  });
+
+  it('should strip bodies, including translated ones, from locked previews', () => {
+    const locked = paywallService.lockInsight({
+      title: 'Weekly outlook',
+      type: 'premium',
+      content,
+      contentHtml: '<p>secret</p>',
+      translations: { ar: { title: 'توقعات', content: 'نص سري كامل', status: 'current' } }
+    });
+
+    expect(locked.locked).toBe(true);
+    expect(locked.content).toBeUndefined();
+    expect(locked.contentHtml).toBeUndefined();
+    expect(locked.translations.ar.content).toBeUndefined();
+    expect(locked.translations.ar.title).toBe('توقعات');
+    expect(locked.excerpt).toMatch(/^Banks led/);
+  });
+
+  it('should describe the meter for the current UTC month', () => {
+    const now = new Date('2026-03-31T23:30:00Z');
+    const meter = paywallService.describeMeter({ insights: ['a', 'b'] }, settings, now);
+
+    expect(meter).toMatchObject({ limit: 3, used: 2, remaining: 1, period: '2026-03' });
+    expect(meter.resetsAt.toISOString()).toBe('2026-04-01T00:00:00.000Z');
+    expect(paywallService.describeMeter(null, settings, now).remaining).toBe(3);
+    expect(paywallService.describeMeter({ insights: ['a', 'b', 'c', 'd'] }, settings, now).remaining).toBe(0);
+  });
+
+  it('should invite anonymous users to log in when reads are metered', () => {
+    expect(paywallService.getUpgradeCta(settings, null).login).toBeDefined();
+    expect(paywallService.getUpgradeCta(settings, { id: 'u1' }).login).toBeUndefined();
+    expect(paywallService.getUpgradeCta({ ...settings, mode: 'teaser' }, null).login).toBeUndefined();
+  });
+});
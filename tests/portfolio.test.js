@@ -0,0 +1,93 @@
+/**
+ * UNIT TESTS: Portfolio P&L
+ * Tests position replay (average cost) and live valuation without a database
+ */
+
+const portfolioService = require('../src/services/portfolioService');
+const marketDataService = require('../src/services/marketDataService');
+
+describe('Portfolio P&L', () => {
+  const tx = (type, quantity, price, extra = {}) => ({
+    symbol: 'EMAAR.AE',
+    exchange: 'DFM',
+    type,
+    quantity,
+    price,
+    fees: 0,
+    ...extra
+  });
+
+  describe('computePositions', () => {
+    it('should track average cost and realized P&L across buys and sells', () => {
+      const { positions, oversold } = portfolioService.computePositions([
+        tx('buy', 100, 10, { tradeDate: '2026-01-01' }),
+        tx('buy', 100, 12, { tradeDate: '2026-01-02', fees: 10 }),
+        tx('sell', 50, 15, { tradeDate: '2026-01-03' })
+      ]);
+      const emaar = positions.get('EMAAR.AE');
+
+      expect(oversold).toBeNull();
+      expect(emaar.quantity).toBe(150);
+      // Average cost (1000 + 1210) / 200 = 11.05
+      expect(emaar.costBasis).toBeCloseTo(1657.5);
+      expect(emaar.realizedPnL).toBeCloseTo(50 * (15 - 11.05));
+    });
+
+    it('should replay in trade date order regardless of input order', () => {
+      const { positions, oversold } = portfolioService.computePositions([
+        tx('sell', 100, 12, { tradeDate: '2026-01-05' }),
+        tx('buy', 100, 10, { tradeDate: '2026-01-01' })
+      ]);
+
+      expect(oversold).toBeNull();
+      expect(positions.get('EMAAR.AE').quantity).toBe(0);
+      expect(positions.get('EMAAR.AE').realizedPnL).toBeCloseTo(200);
+    });
+
+    it('should flag sells that exceed the shares held at the time', () => {
+      const { oversold } = portfolioService.computePositions([
+        tx('buy', 50, 10, { tradeDate: '2026-01-02' }),
+        tx('sell', 100, 12, { tradeDate: '2026-01-03' })
+      ]);
+
+      expect(oversold).toBe('EMAAR.AE');
+    });
+
+    it('should add dividends net of fees without changing cost', () => {
+      const { positions } = portfolioService.computePositions([
+        tx('buy', 100, 10, { tradeDate: '2026-01-01' }),
+        tx('dividend', 0, 0, { tradeDate: '2026-02-01', amount: 25, fees: 1 })
+      ]);
+
+      expect(positions.get('EMAAR.AE').dividends).toBe(24);
+      expect(positions.get('EMAAR.AE').costBasis).toBe(1000);
+    });
+  });
+
+  describe('valuePositions', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should price open positions from the market cache', () => {
+      jest.spyOn(marketDataService, 'getBySymbol').mockReturnValue({ price: 12, change: 0.5, changePercent: 4.35 });
+
+      const { positions } = portfolioService.computePositions([tx('buy', 100, 10, { tradeDate: '2026-01-01' })]);
+      const { positions: valued, summary } = portfolioService.valuePositions(positions);
+
+      expect(valued[0].marketValue).toBe(1200);
+      expect(valued[0].unrealizedPnL).toBe(200);
+      expect(valued[0].unrealizedPnLPercent).toBe(20);
+      expect(summary.dayChange).toBe(50);
+      expect(summary.dayChangePercent).toBeCloseTo(4.35, 1);
+    });
+
+    it('should fall back to cost when no live price is cached', () => {
+      jest.spyOn(marketDataService, 'getBySymbol').mockReturnValue(undefined);
+
+      const { positions } = portfolioService.computePositions([tx('buy', 100, 10, { tradeDate: '2026-01-01' })]);
+      const { summary } = portfolioService.valuePositions(positions);
+
+      expect(summary.marketValue).toBe(1000);
+      expect(summary.unrealizedPnL).toBe(0);
+    });
+  });
+});
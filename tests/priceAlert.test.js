@@ -0,0 +1,138 @@
+/**
+ * UNIT TESTS: Price Alert Evaluation
+ * Tests condition evaluation and volume baselines without a database
+ */
+
+jest.mock('../src/events/enhancedNotificationEvents', () => ({
+  emitPriceAlertTriggered: jest.fn()
+}));
+
+const { emitPriceAlertTriggered } = require('../src/events/enhancedNotificationEvents');
+const priceAlertService = require('../src/services/priceAlertService');
+const PriceAlert = require('../src/models/PriceAlert');
+
+describe('Price Alert Evaluation', () => {
+  const quote = (overrides = {}) => ({
+    symbol: 'EMAAR.AE',
+    shortName: 'EMAAR',
+    price: 10,
+    changePercent: 0,
+    volume: 1000,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    priceAlertService.volumeStats.clear();
+  });
+
+  describe('evaluateCondition', () => {
+    it('should trigger price_above when price crosses up through the threshold', () => {
+      const alert = { symbol: 'EMAAR.AE', condition: 'price_above', threshold: 10 };
+      const evaluate = (price, previousPrice) =>
+        priceAlertService.evaluateCondition(alert, quote({ price }), { previousPrice }).triggered;
+
+      expect(evaluate(9.99, 9.8)).toBe(false);
+      expect(evaluate(10, 9.99)).toBe(true);
+    });
+
+    it('should trigger price_below when price crosses down through the threshold', () => {
+      const alert = { symbol: 'EMAAR.AE', condition: 'price_below', threshold: 8 };
+      const evaluate = (price, previousPrice) =>
+        priceAlertService.evaluateCondition(alert, quote({ price }), { previousPrice }).triggered;
+
+      expect(evaluate(8.5, 8.6)).toBe(false);
+      expect(evaluate(7.9, 8.1)).toBe(true);
+    });
+
+    it('should not re-trigger price levels while the price stays beyond the threshold', () => {
+      const above = { symbol: 'EMAAR.AE', condition: 'price_above', threshold: 10 };
+      const below = { symbol: 'EMAAR.AE', condition: 'price_below', threshold: 8 };
+
+      expect(priceAlertService.evaluateCondition(above, quote({ price: 10.5 }), { previousPrice: 10.2 }).triggered).toBe(false);
+      expect(priceAlertService.evaluateCondition(below, quote({ price: 7.5 }), { previousPrice: 8 }).triggered).toBe(false);
+      expect(priceAlertService.evaluateCondition(above, quote({ price: 10.5 })).triggered).toBe(false);
+    });
+
+    it('should ignore quotes with no price (failed scrape rows)', () => {
+      const alert = { symbol: 'EMAAR.AE', condition: 'price_below', threshold: 8 };
+
+      expect(priceAlertService.evaluateCondition(alert, quote({ price: 0 })).triggered).toBe(false);
+      expect(priceAlertService.evaluateCondition(alert, null).triggered).toBe(false);
+    });
+
+    it('should respect percent_change direction', () => {
+      const up = { symbol: 'EMAAR.AE', condition: 'percent_change', threshold: 3, direction: 'up' };
+      const down = { symbol: 'EMAAR.AE', condition: 'percent_change', threshold: 3, direction: 'down' };
+      const any = { symbol: 'EMAAR.AE', condition: 'percent_change', threshold: 3, direction: 'any' };
+
+      expect(priceAlertService.evaluateCondition(up, quote({ changePercent: -4 })).triggered).toBe(false);
+      expect(priceAlertService.evaluateCondition(up, quote({ changePercent: 3.2 })).triggered).toBe(true);
+      expect(priceAlertService.evaluateCondition(down, quote({ changePercent: -3 })).triggered).toBe(true);
+      expect(priceAlertService.evaluateCondition(any, quote({ changePercent: -5 })).triggered).toBe(true);
+      expect(priceAlertService.evaluateCondition(any, quote({ changePercent: 1 })).triggered).toBe(false);
+    });
+  });
+
+  describe('volume spikes', () => {
+    it('should not trigger before the baseline has enough samples', () => {
+      const alert = { symbol: 'EMAAR.AE', condition: 'volume_spike', threshold: 3 };
+      const context = priceAlertService.trackVolume('EMAAR.AE', quote({ volume: 1000 }), quote({ volume: 50000 }));
+
+      expect(priceAlertService.evaluateCondition(alert, quote(), context).triggered).toBe(false);
+    });
+
+    it('should trigger when the cycle volume is a multiple of the average', () => {
+      const alert = { symbol: 'EMAAR.AE', condition: 'volume_spike', threshold: 3 };
+      let volume = 1000;
+
+      // Warm up with steady 100-share cycles
+      for (let i = 0; i < 6; i++) {
+        priceAlertService.trackVolume('EMAAR.AE', quote({ volume }), quote({ volume: volume + 100 }));
+        volume += 100;
+      }
+
+      const calm = priceAlertService.trackVolume('EMAAR.AE', quote({ volume }), quote({ volume: volume + 120 }));
+      expect(priceAlertService.evaluateCondition(alert, quote(), calm).triggered).toBe(false);
+      volume += 120;
+
+      const spike = priceAlertService.trackVolume('EMAAR.AE', quote({ volume }), quote({ volume: volume + 900 }));
+      expect(priceAlertService.evaluateCondition(alert, quote(), spike).triggered).toBe(true);
+    });
+
+    it('should reset the baseline when the daily volume counter resets', () => {
+      priceAlertService.trackVolume('EMAAR.AE', quote({ volume: 1000 }), quote({ volume: 1100 }));
+      const context = priceAlertService.trackVolume('EMAAR.AE', quote({ volume: 1100 }), quote({ volume: 50 }));
+
+      expect(context.samples).toBe(0);
+      expect(priceAlertService.volumeStats.get('EMAAR.AE').samples).toBe(0);
+    });
+  });
+
+  describe('evaluateQuotes', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    it('should compare price levels against the previous cycle quote', async () => {
+      const alert = {
+        _id: 'a1',
+        symbol: 'EMAAR.AE',
+        condition: 'price_above',
+        threshold: 10,
+        recurring: true,
+        triggerCount: 0,
+        isCoolingDown: () => false,
+        save: jest.fn().mockResolvedValue()
+      };
+      jest.spyOn(PriceAlert, 'find').mockResolvedValue([alert]);
+
+      const previous = new Map([['EMAAR.AE', quote({ price: 10.2 })]]);
+      await expect(priceAlertService.evaluateQuotes([quote({ price: 10.4 })], previous)).resolves.toBe(0);
+
+      previous.set('EMAAR.AE', quote({ price: 9.9 }));
+      await expect(priceAlertService.evaluateQuotes([quote({ price: 10.1 })], previous)).resolves.toBe(1);
+      expect(emitPriceAlertTriggered).toHaveBeenCalledWith(expect.objectContaining({ alertId: 'a1', price: 10.1 }));
+    });
+  });
+});
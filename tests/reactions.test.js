@@ -0,0 +1,79 @@
+/**
+ * UNIT TESTS: Insight Reactions
+ * Tests premium access, counter updates and upsert races without a database
+ */
+
+const reactionService = require('../src/services/reactionService');
+const paywallService = require('../src/services/paywallService');
+const Reaction = require('../src/models/Reaction');
+const Insight = require('../src/models/Insight');
+const Subscription = require('../src/models/Subscription');
+
+describe('Insight Reactions', () => {
+  const user = { id: 'user-1', role: 'user' };
+
+  const mockInsight = (insight) => {
+    jest.spyOn(Insight, 'findOne').mockReturnValue({
+      select: () => ({ lean: jest.fn().mockResolvedValue(insight) })
+    });
+  };
+
+  beforeEach(() => {
+    jest.spyOn(Insight, 'updateOne').mockResolvedValue({});
+    jest.spyOn(reactionService, 'refreshScore').mockImplementation(() => {});
+    jest.spyOn(reactionService, 'getState').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should reject reactions on premium insights the user cannot read', async () => {
+    mockInsight({ _id: 'i1', type: 'premium' });
+    jest.spyOn(Subscription, 'getActiveSubscription').mockResolvedValue(null);
+    jest.spyOn(paywallService, 'hasRead').mockResolvedValue(false);
+    const upsert = jest.spyOn(Reaction, 'findOneAndUpdate');
+
+    await expect(reactionService.react(user, 'i1', 'like')).rejects.toEqual(
+      expect.objectContaining({ statusCode: 403, code: 'PREMIUM_REQUIRED' })
+    );
+    expect(upsert).not.toHaveBeenCalled();
+  });
+
+  it('should allow premium insights already unlocked with a free read', async () => {
+    mockInsight({ _id: 'i1', type: 'premium' });
+    jest.spyOn(Subscription, 'getActiveSubscription').mockResolvedValue(null);
+    jest.spyOn(paywallService, 'hasRead').mockResolvedValue(true);
+    jest.spyOn(Reaction, 'findOneAndUpdate').mockResolvedValue({ type: 'bullish' });
+
+    await reactionService.react(user, 'i1', 'bullish');
+
+    expect(Insight.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('should only decrement the previous reaction while its counter is positive', async () => {
+    mockInsight({ _id: 'i1', type: 'free' });
+    jest.spyOn(Reaction, 'findOneAndUpdate').mockResolvedValue({ type: 'bearish' });
+
+    await reactionService.react(user, 'i1', 'bullish');
+
+    expect(Insight.updateOne).toHaveBeenCalledWith({ _id: 'i1' }, { $inc: { 'reactions.bullish': 1 } });
+    expect(Insight.updateOne).toHaveBeenCalledWith(
+      { _id: 'i1', 'reactions.bearish': { $gt: 0 } },
+      { $inc: { 'reactions.bearish': -1 } }
+    );
+  });
+
+  it('should retry the upsert when a concurrent first reaction wins the unique index', async () => {
+    mockInsight({ _id: 'i1', type: 'free' });
+    jest.spyOn(Reaction, 'findOneAndUpdate')
+      .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }))
+      .mockResolvedValueOnce({ type: 'like' });
+
+    await reactionService.react(user, 'i1', 'bullish');
+
+    expect(Reaction.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    expect(Insight.updateOne).toHaveBeenCalledWith(
+      { _id: 'i1', 'reactions.like': { $gt: 0 } },
+      { $inc: { 'reactions.like': -1 } }
+    );
+  });
+});
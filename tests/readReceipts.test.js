@@ -0,0 +1,58 @@
+/**
+ * UNIT TESTS: Message Receipts
+ * Tests per-recipient receipts and the read receipts privacy setting without a database
+ */
+
+const chatService = require('../src/services/chatService');
+
+describe('Message Receipts', () => {
+  const sentAt = new Date('2026-10-01T09:00:00Z');
+  const at = (minutes) => new Date(sentAt.getTime() + minutes * 60 * 1000);
+
+  const users = [
+    { _id: 'u1', name: 'Amal', avatar: 'a.png', settings: { chat: { readReceipts: true } } },
+    { _id: 'u2', name: 'Omar', settings: { chat: { readReceipts: false } } },
+    { _id: 'u3', name: 'Sara', settings: { chat: {} } }
+  ];
+
+  const message = {
+    _id: 'm1',
+    status: 'sent',
+    deliveredTo: [
+      { user: 'u1', deliveredAt: at(1) },
+      { user: 'u3', deliveredAt: at(2) }
+    ],
+    readBy: [
+      { user: 'u1', readAt: at(5) },
+      { user: 'u2', readAt: at(6) }
+    ]
+  };
+
+  it('should split recipients into read, delivered and pending', () => {
+    const receipts = chatService.buildMessageReceipts(message, users, 5);
+
+    expect(receipts.read).toEqual([{ user: { _id: 'u1', name: 'Amal', avatar: 'a.png' }, readAt: at(5) }]);
+    expect(receipts.delivered.map(d => d.user._id)).toEqual(['u3', 'u2']);
+    expect(receipts.pending).toBe(2);
+  });
+
+  it('should report reads by users with read receipts off as deliveries', () => {
+    const receipts = chatService.buildMessageReceipts(message, users, 3);
+    const omar = receipts.delivered.find(d => d.user._id === 'u2');
+
+    expect(receipts.read.some(r => r.user._id === 'u2')).toBe(false);
+    expect(omar.deliveredAt).toEqual(at(6));
+    expect(receipts.pending).toBe(0);
+  });
+
+  it('should handle messages without receipts', () => {
+    expect(chatService.buildMessageReceipts({ _id: 'm2', status: 'sent' }, [], 1)).toEqual({
+      messageId: 'm2',
+      status: 'sent',
+      recipientCount: 1,
+      read: [],
+      delivered: [],
+      pending: 1
+    });
+  });
+});
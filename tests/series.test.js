@@ -0,0 +1,205 @@
+/**
+ * UNIT TESTS: Insight Series
+ * Tests previous/next navigation, part management and who hears about
+ * new parts without a database
+ */
+
+jest.mock('../src/events/enhancedNotificationEvents', () => ({
+  ...jest.requireActual('../src/events/enhancedNotificationEvents'),
+  emitSeriesPartPublished: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const { emitSeriesPartPublished } = require('../src/events/enhancedNotificationEvents');
+const seriesService = require('../src/services/seriesService');
+const Series = require('../src/models/Series');
+const Insight = require('../src/models/Insight');
+const notificationService = require('../src/services/notificationService');
+const followService = require('../src/services/followService');
+const User = require('../src/models/User');
+const Subscription = require('../src/models/Subscription');
+
+describe('Insight Series', () => {
+  const series = { _id: '64c000000000000000000001', title: 'Weekly Sector Review', slug: 'weekly-sector-review', status: 'ongoing' };
+
+  const parts = [
+    { _id: '64d000000000000000000001', title: 'Banks', slug: 'banks' },
+    { _id: '64d000000000000000000002', title: 'Real Estate', slug: 'real-estate' },
+    { _id: '64d000000000000000000003', title: 'Energy', slug: 'energy' }
+  ];
+
+  it('should link a middle part to both neighbours', () => {
+    const navigation = seriesService.buildNavigation(series, parts, '64d000000000000000000002');
+
+    expect(navigation).toMatchObject({ id: series._id, title: 'Weekly Sector Review', part: 2, totalParts: 3 });
+    expect(navigation.previous).toEqual({ id: '64d000000000000000000001', title: 'Banks', slug: 'banks', part: 1 });
+    expect(navigation.next).toEqual({ id: '64d000000000000000000003', title: 'Energy', slug: 'energy', part: 3 });
+  });
+
+  it('should have no previous part at the start and no next part at the end', () => {
+    expect(seriesService.buildNavigation(series, parts, '64d000000000000000000001').previous).toBeNull();
+    expect(seriesService.buildNavigation(series, parts, '64d000000000000000000003').next).toBeNull();
+  });
+
+  it('should return null for insights that are not published parts', () => {
+    expect(seriesService.buildNavigation(series, parts, '64d000000000000000000009')).toBeNull();
+    expect(seriesService.buildNavigation(series, [], '64d000000000000000000001')).toBeNull();
+  });
+
+  describe('series followers', () => {
+    const author = '64b000000000000000000001';
+    const users = [
+      { _id: '64b000000000000000000011', role: 'user' },
+      { _id: '64b000000000000000000012', role: 'user' },
+      { _id: '64b000000000000000000013', role: 'superadmin' }
+    ];
+
+    beforeEach(() => {
+      jest.spyOn(followService, 'getSeriesFollowerIds').mockResolvedValue([author, ...users.map(u => u._id)]);
+      jest.spyOn(User, 'find').mockResolvedValue(users);
+      jest.spyOn(Subscription, 'getActiveSubscriptions').mockResolvedValue(new Map([
+        ['64b000000000000000000011', { isPremium: true }]
+      ]));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should leave free followers out of premium part notifications', async () => {
+      const recipients = await notificationService.getSeriesFollowers({ seriesId: series._id, author, type: 'premium' });
+
+      expect(recipients.map(u => u._id)).toEqual(['64b000000000000000000011', '64b000000000000000000013']);
+      expect(User.find).toHaveBeenCalledWith({ _id: { $in: users.map(u => u._id) }, isActive: true });
+    });
+
+    it('should notify every follower except the author about free parts', async () => {
+      const recipients = await notificationService.getSeriesFollowers({ seriesId: series._id, author, type: 'free' });
+
+      expect(recipients).toHaveLength(3);
+      expect(Subscription.getActiveSubscriptions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('part management', () => {
+    const id = () => new mongoose.Types.ObjectId();
+    let doc;
+    let partIds;
+
+    const mockInsight = (insight) => {
+      jest.spyOn(Insight, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(insight) });
+    };
+
+    beforeEach(() => {
+      partIds = [id(), id()];
+      doc = new Series({ title: 'Weekly Sector Review', author: id(), insights: partIds });
+      jest.spyOn(doc, 'save').mockResolvedValue(doc);
+      jest.spyOn(Series, 'findById').mockResolvedValue(doc);
+      jest.spyOn(Insight, 'updateOne').mockResolvedValue({});
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should insert a part at a 1-based position and link the insight back', async () => {
+      const insightId = id();
+      mockInsight({ _id: insightId, series: null });
+
+      await seriesService.addPart(doc._id.toString(), insightId, 1);
+
+      expect(doc.insights.map(String)).toEqual([insightId, ...partIds].map(String));
+      expect(doc.save).toHaveBeenCalled();
+      expect(Insight.updateOne).toHaveBeenCalledWith({ _id: insightId }, { series: doc._id });
+    });
+
+    it('should refuse insights that belong to another series or are already a part', async () => {
+      mockInsight({ _id: id(), series: id() });
+      await expect(seriesService.addPart(doc._id.toString(), 'x', 1)).rejects.toEqual(
+        expect.objectContaining({ statusCode: 409, code: 'IN_OTHER_SERIES' })
+      );
+
+      mockInsight({ _id: partIds[0], series: doc._id });
+      await expect(seriesService.addPart(doc._id.toString(), partIds[0])).rejects.toEqual(
+        expect.objectContaining({ statusCode: 409, code: 'ALREADY_IN_SERIES' })
+      );
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it('should remove a part and unlink only an insight still pointing at the series', async () => {
+      await seriesService.removePart(doc._id.toString(), partIds[0].toString());
+
+      expect(doc.insights.map(String)).toEqual([partIds[1].toString()]);
+      expect(Insight.updateOne).toHaveBeenCalledWith(
+        { _id: partIds[0].toString(), series: doc._id },
+        { $unset: { series: 1 } }
+      );
+
+      await expect(seriesService.removePart(doc._id.toString(), id().toString())).rejects.toEqual(
+        expect.objectContaining({ statusCode: 404 })
+      );
+    });
+
+    it('should only accept a reorder listing every part exactly once', async () => {
+      const [first, second] = partIds.map(String);
+
+      await expect(seriesService.reorderParts(doc._id.toString(), [second])).rejects.toEqual(
+        expect.objectContaining({ statusCode: 400 })
+      );
+      await expect(seriesService.reorderParts(doc._id.toString(), [second, second])).rejects.toEqual(
+        expect.objectContaining({ statusCode: 400 })
+      );
+      expect(doc.save).not.toHaveBeenCalled();
+
+      await seriesService.reorderParts(doc._id.toString(), [second, first]);
+      expect(doc.insights.map(String)).toEqual([second, first]);
+    });
+  });
+
+  describe('notifyNewPart', () => {
+    const mockSeries = (found) => {
+      jest.spyOn(Series, 'findById').mockReturnValue({
+        select: () => ({ lean: jest.fn().mockResolvedValue(found) })
+      });
+    };
+
+    beforeEach(() => {
+      jest.spyOn(seriesService, 'getPublishedParts').mockResolvedValue(parts);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      emitSeriesPartPublished.mockClear();
+    });
+
+    it('should announce a published part with its position in the series', async () => {
+      mockSeries(series);
+      const insight = { ...parts[1], series: series._id, excerpt: 'Developers lead', type: 'premium', author: 'a1' };
+
+      await seriesService.notifyNewPart(insight);
+
+      expect(emitSeriesPartPublished).toHaveBeenCalledWith(expect.objectContaining({
+        seriesId: series._id,
+        insightId: parts[1]._id,
+        part: 2,
+        totalParts: 3,
+        type: 'premium',
+        author: 'a1'
+      }));
+    });
+
+    it('should stay quiet for standalone insights and parts that are not published', async () => {
+      mockSeries(series);
+
+      await seriesService.notifyNewPart({ _id: parts[0]._id });
+      await seriesService.notifyNewPart({ _id: '64d000000000000000000009', series: series._id });
+
+      expect(emitSeriesPartPublished).not.toHaveBeenCalled();
+    });
+
+    it('should not throw when the lookup fails', async () => {
+      jest.spyOn(Series, 'findById').mockImplementation(() => {
+        throw new Error('connection lost');
+      });
+
+      await expect(seriesService.notifyNewPart({ _id: parts[0]._id, series: series._id })).resolves.toBeUndefined();
+      expect(emitSeriesPartPublished).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * UNIT TESTS: Message Threads
+ * Tests thread summaries and previews without a database
+ */
+
+const threadService = require('../src/services/threadService');
+
+describe('Message Threads', () => {
+  describe('buildPreview', () => {
+    it('should collapse whitespace in short replies', () => {
+      expect(threadService.buildPreview('  Agreed,\n\nbanks  look strong  ')).toBe('Agreed, banks look strong');
+      expect(threadService.buildPreview(undefined)).toBe('');
+    });
+
+    it('should truncate long replies to 140 characters', () => {
+      const preview = threadService.buildPreview('a'.repeat(500));
+      expect(preview).toHaveLength(140);
+      expect(preview.endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('formatSummary', () => {
+    it('should describe a thread root for clients', () => {
+      const lastReplyAt = new Date('2026-10-01T10:00:00Z');
+      const root = {
+        _id: '64e000000000000000000001',
+        chat: '64f000000000000000000001',
+        threadSummary: { replyCount: 3, lastReplyAt, lastReplyBy: 'u2', lastReplyPreview: 'See you at the open' },
+        threadFollowers: ['u1', 'u2']
+      };
+
+      expect(threadService.formatSummary(root)).toEqual({
+        rootId: root._id,
+        chatId: root.chat,
+        replyCount: 3,
+        lastReplyAt,
+        lastReplyBy: 'u2',
+        lastReplyPreview: 'See you at the open',
+        followerCount: 2
+      });
+    });
+
+    it('should default a message without replies to an empty thread', () => {
+      expect(threadService.formatSummary({ _id: 'm1', chat: 'c1' })).toMatchObject({
+        replyCount: 0,
+        lastReplyAt: null,
+        lastReplyPreview: null,
+        followerCount: 0
+      });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * UNIT TESTS: Trade Idea Tracking
+ * Tests outcome evaluation, performance summaries and author profiles without a database
+ */
+
+const tradeIdeaService = require('../src/services/tradeIdeaService');
+const marketDataService = require('../src/services/marketDataService');
+const followService = require('../src/services/followService');
+const insightController = require('../src/controllers/insightController');
+const Insight = require('../src/models/Insight');
+const User = require('../src/models/User');
+const { shutdown } = require('../src/utils/cache');
+
+describe('Trade Idea Tracking', () => {
+  const now = new Date('2026-03-10T10:00:00Z');
+  const idea = (overrides = {}) => ({
+    symbol: 'EMAAR.AE',
+    direction: 'long',
+    entryPrice: 10,
+    targetPrice: 12,
+    stopLoss: 9,
+    status: 'open',
+    openedAt: new Date('2026-03-01T10:00:00Z'),
+    expiresAt: new Date('2026-03-31T10:00:00Z'),
+    ...overrides
+  });
+
+  describe('evaluateIdea', () => {
+    it('should keep an idea open between stop and target', () => {
+      expect(tradeIdeaService.evaluateIdea(idea(), { price: 11 }, now)).toBeNull();
+    });
+
+    it('should close a long idea at target or stop', () => {
+      const hit = tradeIdeaService.evaluateIdea(idea(), { price: 12.1 }, now);
+      expect(hit.status).toBe('hit_target');
+      expect(hit.returnPercent).toBe(21);
+
+      const stopped = tradeIdeaService.evaluateIdea(idea(), { price: 8.9 }, now);
+      expect(stopped.status).toBe('stopped_out');
+      expect(stopped.returnPercent).toBe(-11);
+    });
+
+    it('should invert levels and returns for short ideas', () => {
+      const short = idea({ direction: 'short', targetPrice: 8, stopLoss: 11 });
+
+      expect(tradeIdeaService.evaluateIdea(short, { price: 7.5 }, now)).toMatchObject({ status: 'hit_target', returnPercent: 25 });
+      expect(tradeIdeaService.evaluateIdea(short, { price: 11 }, now)).toMatchObject({ status: 'stopped_out', returnPercent: -10 });
+    });
+
+    it('should expire at the horizon using the last price, even without a quote', () => {
+      const late = new Date('2026-04-01T00:00:00Z');
+
+      expect(tradeIdeaService.evaluateIdea(idea(), { price: 10.5 }, late)).toMatchObject({ status: 'expired', returnPercent: 5 });
+      expect(tradeIdeaService.evaluateIdea(idea(), null, late)).toMatchObject({ status: 'expired', returnPercent: null });
+    });
+
+    it('should ignore ideas that are not live yet', () => {
+      expect(tradeIdeaService.evaluateIdea(idea({ openedAt: undefined }), { price: 20 }, now)).toBeNull();
+    });
+  });
+
+  describe('openIdea', () => {
+    const draft = (overrides = {}) => ({
+      subtype: 'trade_idea',
+      tradeIdea: idea({ entryPrice: 5, targetPrice: 9, stopLoss: 4, horizonDays: 30, openedAt: undefined, expiresAt: undefined, ...overrides })
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should refuse levels the market has already crossed', () => {
+      jest.spyOn(marketDataService, 'getBySymbol').mockReturnValue({ price: 10 });
+      const insight = draft();
+
+      expect(tradeIdeaService.openIdea(insight, now)).toMatch(/already past/);
+      expect(insight.tradeIdea.openedAt).toBeUndefined();
+    });
+
+    it('should refuse to open without a live price', () => {
+      jest.spyOn(marketDataService, 'getBySymbol').mockReturnValue(undefined);
+
+      expect(tradeIdeaService.openIdea(draft(), now)).toMatch(/No live price/);
+    });
+
+    it('should take the live price as the entry when publishing', () => {
+      jest.spyOn(marketDataService, 'getBySymbol').mockReturnValue({ price: 6.2 });
+      const insight = draft();
+
+      expect(tradeIdeaService.openIdea(insight, now)).toBeNull();
+      expect(insight.tradeIdea).toMatchObject({
+        entryPrice: 6.2,
+        openedAt: now,
+        expiresAt: new Date('2026-04-09T10:00:00Z')
+      });
+    });
+
+    it('should leave ideas that are already open alone', () => {
+      const spy = jest.spyOn(marketDataService, 'getBySymbol');
+      const open = { subtype: 'trade_idea', tradeIdea: idea() };
+
+      expect(tradeIdeaService.openIdea(open, now)).toBeNull();
+      expect(open.tradeIdea.entryPrice).toBe(10);
+      expect(spy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('summarize', () => {
+    it('should compute hit rate over closed ideas only', () => {
+      const summary = tradeIdeaService.summarize({
+        total: 6, hitTarget: 3, stoppedOut: 1, expired: 0, avgReturn: 7.456, bestReturn: 20, worstReturn: -10
+      });
+
+      expect(summary).toMatchObject({ open: 2, closed: 4, hitRate: 75, avgReturn: 7.46 });
+    });
+
+    it('should report null rates when nothing has closed', () => {
+      const summary = tradeIdeaService.summarize({ total: 2, hitTarget: 0, stoppedOut: 0, expired: 0 });
+
+      expect(summary.hitRate).toBeNull();
+      expect(summary.avgReturn).toBeNull();
+    });
+  });
+
+  describe('author profile', () => {
+    const account = (role) => ({ _id: '64b000000000000000000001', name: 'Analyst', avatar: null, role, createdAt: now });
+
+    const getProfile = async (user, published) => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+      jest.spyOn(Insight, 'countDocuments').mockResolvedValue(published);
+      jest.spyOn(tradeIdeaService, 'getAuthorStats').mockResolvedValue([]);
+      jest.spyOn(followService, 'getFollowerCount').mockResolvedValue(0);
+
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      await insightController.getAuthorProfile({ params: { authorId: '64b000000000000000000001' } }, res, next);
+      expect(next).not.toHaveBeenCalled();
+      return res;
+    };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    afterAll(() => {
+      shutdown(); // Stop the insights cache cleanup interval
+    });
+
+    it('should not expose accounts that have never published', async () => {
+      const res = await getProfile(account('user'), 0);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(tradeIdeaService.getAuthorStats).not.toHaveBeenCalled();
+    });
+
+    it('should return published authors and staff without their role', async () => {
+      const published = await getProfile(account('user'), 3);
+      expect(published.status).toHaveBeenCalledWith(200);
+      const { author, stats } = published.json.mock.calls[0][0].data;
+      expect(author).not.toHaveProperty('role');
+      expect(stats.publishedInsights).toBe(3);
+
+      jest.restoreAllMocks();
+      const staff = await getProfile(account('admin'), 0);
+      expect(staff.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
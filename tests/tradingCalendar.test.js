@@ -0,0 +1,130 @@
+/**
+ * UNIT TESTS: Trading Calendar
+ * Tests session phases, holidays and special hours without a database
+ */
+
+jest.mock('../src/events/enhancedNotificationEvents', () => ({
+  emitMarketOpened: jest.fn(),
+  emitMarketClosed: jest.fn()
+}));
+
+const { emitMarketOpened, emitMarketClosed } = require('../src/events/enhancedNotificationEvents');
+const tradingCalendarService = require('../src/services/tradingCalendarService');
+const marketDataService = require('../src/services/marketDataService');
+const marketStreamService = require('../src/services/marketStreamService');
+
+describe('Trading Calendar', () => {
+  const calendar = {
+    ...tradingCalendarService.defaultCalendar('DFM'),
+    holidays: [{ date: '2026-03-20', name: 'Eid Al Fitr' }],
+    specialHours: [{
+      name: 'Ramadan',
+      startDate: '2026-02-18',
+      endDate: '2026-03-19',
+      sessions: [{ phase: 'continuous', start: '10:00', end: '14:00' }]
+    }]
+  };
+
+  // Wednesday 21 Jan 2026; GST = UTC+4
+  const at = (iso) => tradingCalendarService.getSession(calendar, new Date(iso));
+
+  describe('getSession', () => {
+    it('should map local time to session phases', () => {
+      expect(at('2026-01-21T05:29:00Z').phase).toBe('closed');
+      expect(at('2026-01-21T05:30:00Z').phase).toBe('pre_open');
+      expect(at('2026-01-21T06:00:00Z').phase).toBe('continuous');
+      expect(at('2026-01-21T10:50:00Z').phase).toBe('closing_auction');
+      expect(at('2026-01-21T11:00:00Z').isOpen).toBe(false);
+    });
+
+    it('should only count continuous trading as trading', () => {
+      expect(at('2026-01-21T05:30:00Z')).toMatchObject({ isOpen: true, isTrading: false });
+      expect(at('2026-01-21T06:00:00Z')).toMatchObject({ isOpen: true, isTrading: true });
+      expect(at('2026-01-21T10:50:00Z')).toMatchObject({ isOpen: true, isTrading: false });
+    });
+
+    it('should report when the current phase ends', () => {
+      expect(at('2026-01-21T07:00:00Z').phaseEndsAt.toISOString()).toBe('2026-01-21T10:45:00.000Z');
+    });
+
+    it('should stay closed on weekends and point to the next open', () => {
+      const saturday = at('2026-01-24T07:00:00Z');
+
+      expect(saturday.isTradingDay).toBe(false);
+      expect(saturday.isOpen).toBe(false);
+      expect(saturday.nextOpen.toISOString()).toBe('2026-01-26T05:30:00.000Z');
+    });
+
+    it('should close on holidays', () => {
+      const eid = at('2026-03-20T07:00:00Z');
+
+      expect(eid.isOpen).toBe(false);
+      expect(eid.holiday).toBe('Eid Al Fitr');
+      expect(eid.nextOpen.toISOString()).toBe('2026-03-23T05:30:00.000Z');
+    });
+
+    it('should apply special hours within their date range', () => {
+      expect(at('2026-03-02T05:45:00Z').isOpen).toBe(false); // No pre-open in Ramadan
+      expect(at('2026-03-02T09:30:00Z').specialHours).toBe('Ramadan');
+      expect(at('2026-03-02T10:10:00Z').isOpen).toBe(false); // Closes 14:00 GST
+    });
+
+    it('should resolve the local date across the UTC midnight boundary', () => {
+      // 21:00 UTC Thursday is 01:00 Friday in Dubai
+      expect(at('2026-01-22T21:00:00Z').date).toBe('2026-01-23');
+    });
+  });
+
+  describe('validateSessions', () => {
+    it('should reject overlapping or inverted sessions', () => {
+      expect(() => tradingCalendarService.validateSessions([
+        { phase: 'continuous', start: '10:00', end: '12:00' },
+        { phase: 'closing_auction', start: '11:30', end: '12:30' }
+      ])).toThrow('Sessions must not overlap');
+
+      expect(() => tradingCalendarService.validateSessions([
+        { phase: 'continuous', start: '14:00', end: '10:00' }
+      ])).toThrow('must end after it starts');
+    });
+  });
+
+  describe('market open notifications', () => {
+    beforeEach(() => {
+      jest.spyOn(tradingCalendarService, 'getCalendar').mockReturnValue(calendar);
+      jest.spyOn(marketDataService, 'fetchMarketData').mockResolvedValue();
+      jest.spyOn(marketStreamService, 'publishStatus').mockImplementation(() => {});
+      marketDataService.lastMarketStatus.clear();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+      jest.restoreAllMocks();
+      jest.clearAllMocks();
+    });
+
+    const checkAt = (iso) => {
+      jest.useFakeTimers({ now: new Date(iso), doNotFake: ['nextTick', 'setImmediate'] });
+      return marketDataService.checkAndFetch();
+    };
+
+    it('should announce the open when continuous trading starts, not at pre-open', async () => {
+      await checkAt('2026-01-21T05:29:00Z');
+      await checkAt('2026-01-21T05:30:00Z');
+      expect(emitMarketOpened).not.toHaveBeenCalled();
+      expect(marketDataService.fetchMarketData).toHaveBeenCalledWith(['DFM', 'ADX']);
+
+      await checkAt('2026-01-21T06:00:00Z');
+      expect(emitMarketOpened).toHaveBeenCalledWith({ exchanges: ['DFM', 'ADX'] });
+    });
+
+    it('should announce the close only after the closing auction', async () => {
+      await checkAt('2026-01-21T10:40:00Z');
+      await checkAt('2026-01-21T10:50:00Z');
+      expect(emitMarketClosed).not.toHaveBeenCalled();
+
+      await checkAt('2026-01-21T11:00:00Z');
+      expect(emitMarketClosed).toHaveBeenCalledWith({ exchanges: ['DFM', 'ADX'] });
+      expect(emitMarketOpened).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * UNIT TESTS: Trending Score
+ * Tests engagement weighting and time decay without a database
+ */
+
+const trendingService = require('../src/services/trendingService');
+
+describe('Trending Score', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+  const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+  it('should weight reactions, comments and bookmarks above views', () => {
+    const engagement = trendingService.engagement({
+      views: 10,
+      reactions: { like: 2, bullish: 1, bearish: 1 },
+      commentsCount: 2,
+      bookmarksCount: 1
+    });
+
+    expect(engagement).toBe(10 + 4 * 3 + 2 * 4 + 5);
+  });
+
+  it('should decay the score as the insight ages', () => {
+    const insight = { views: 100, reactions: { like: 10 } };
+    const fresh = trendingService.calculateScore({ ...insight, publishedAt: hoursAgo(1) }, now);
+    const dayOld = trendingService.calculateScore({ ...insight, publishedAt: hoursAgo(24) }, now);
+
+    expect(fresh).toBeGreaterThan(dayOld);
+    expect(dayOld).toBeGreaterThan(0);
+  });
+
+  it('should let a fresh insight with less engagement outrank an older popular one', () => {
+    const fresh = trendingService.calculateScore({ views: 50, publishedAt: hoursAgo(2) }, now);
+    const old = trendingService.calculateScore({ views: 400, publishedAt: hoursAgo(72) }, now);
+
+    expect(fresh).toBeGreaterThan(old);
+  });
+
+  it('should score insights outside the trending window or unpublished as 0', () => {
+    expect(trendingService.calculateScore({ views: 1000, publishedAt: hoursAgo(8 * 24) }, now)).toBe(0);
+    expect(trendingService.calculateScore({ views: 1000 }, now)).toBe(0);
+  });
+});
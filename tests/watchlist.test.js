@@ -0,0 +1,123 @@
+/**
+ * UNIT TESTS: Watchlists
+ * Tests creation, tier limits and reordering with stubbed models and market data
+ */
+
+jest.mock('../src/utils/subscriptionHelper', () => ({
+  getUserLimits: jest.fn()
+}));
+
+const Watchlist = require('../src/models/Watchlist');
+const watchlistService = require('../src/services/watchlistService');
+const marketDataService = require('../src/services/marketDataService');
+const { getUserLimits } = require('../src/utils/subscriptionHelper');
+const { TIER_LIMITS } = require('../src/constants');
+
+describe('Watchlists', () => {
+  const user = { id: '65a1b2c3d4e5f6a7b8c9d0e1', role: 'user' };
+  const listed = {
+    'EMAAR.AE': { symbol: 'EMAAR.AE', exchange: 'DFM' },
+    'DIB.AE': { symbol: 'DIB.AE', exchange: 'DFM' },
+    'ALDAR.AD': { symbol: 'ALDAR.AD', exchange: 'ADX' }
+  };
+
+  beforeEach(() => {
+    getUserLimits.mockResolvedValue({ tier: 'free', ...TIER_LIMITS.free });
+    jest.spyOn(marketDataService, 'resolveSymbol').mockImplementation((symbol) => {
+      const target = symbol.toUpperCase();
+      return Object.values(listed).find(r => r.symbol === target || r.symbol.split('.')[0] === target) || null;
+    });
+    jest.spyOn(marketDataService, 'getBySymbol').mockReturnValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createWatchlist', () => {
+    beforeEach(() => {
+      jest.spyOn(Watchlist, 'findOne').mockResolvedValue(null);
+      jest.spyOn(Watchlist, 'create').mockImplementation(async doc => new Watchlist(doc));
+    });
+
+    it('should resolve and de-duplicate the seed symbols', async () => {
+      jest.spyOn(Watchlist, 'countDocuments').mockResolvedValue(0);
+
+      const watchlist = await watchlistService.createWatchlist(user, {
+        name: 'Banks',
+        symbols: ['emaar', { symbol: 'ALDAR', exchange: 'ADX' }, 'EMAAR.AE']
+      });
+
+      expect(watchlist.items.map(i => i.symbol)).toEqual(['EMAAR.AE', 'ALDAR.AD']);
+      expect(watchlist.items[0].quote).toBeNull();
+    });
+
+    it('should enforce the plan limit on watchlists', async () => {
+      jest.spyOn(Watchlist, 'countDocuments').mockResolvedValue(TIER_LIMITS.free.watchlists);
+
+      await expect(watchlistService.createWatchlist(user, { name: 'One too many' })).rejects.toMatchObject({
+        statusCode: 403,
+        code: 'WATCHLIST_LIMIT_REACHED'
+      });
+      expect(Watchlist.create).not.toHaveBeenCalled();
+    });
+
+    it('should enforce the plan limit on symbols per watchlist', async () => {
+      jest.spyOn(Watchlist, 'countDocuments').mockResolvedValue(0);
+      getUserLimits.mockResolvedValue({ tier: 'free', ...TIER_LIMITS.free, watchlistSymbols: 2 });
+
+      await expect(watchlistService.createWatchlist(user, { name: 'Everything', symbols: Object.keys(listed) })).rejects.toMatchObject({
+        statusCode: 403,
+        code: 'WATCHLIST_SYMBOL_LIMIT_REACHED'
+      });
+    });
+
+    it('should reject malformed symbol entries with a 400', async () => {
+      jest.spyOn(Watchlist, 'countDocuments').mockResolvedValue(0);
+
+      for (const entry of [null, 42, { exchange: 'DFM' }]) {
+        await expect(watchlistService.createWatchlist(user, { name: 'Bad', symbols: [entry] })).rejects.toMatchObject({ statusCode: 400 });
+      }
+    });
+  });
+
+  describe('updateWatchlist', () => {
+    let watchlist;
+
+    beforeEach(() => {
+      watchlist = new Watchlist({
+        user: user.id,
+        name: 'Core',
+        items: [listed['EMAAR.AE'], listed['DIB.AE'], listed['ALDAR.AD']]
+      });
+      watchlist.save = jest.fn().mockResolvedValue(watchlist);
+      jest.spyOn(Watchlist, 'findOne').mockResolvedValue(watchlist);
+    });
+
+    it('should reorder the existing symbols', async () => {
+      const result = await watchlistService.updateWatchlist(user, 'w1', { symbols: ['aldar.ad', 'EMAAR.AE', 'DIB.AE'] });
+
+      expect(result.items.map(i => i.symbol)).toEqual(['ALDAR.AD', 'EMAAR.AE', 'DIB.AE']);
+      expect(watchlist.save).toHaveBeenCalled();
+    });
+
+    it('should reject orders that repeat, drop or add symbols', async () => {
+      const orders = [
+        ['EMAAR.AE', 'EMAAR.AE', 'DIB.AE'],
+        ['EMAAR.AE', 'DIB.AE'],
+        ['EMAAR.AE', 'DIB.AE', 'ALDAR.AD', 'FAB.AD']
+      ];
+
+      for (const symbols of orders) {
+        await expect(watchlistService.updateWatchlist(user, 'w1', { symbols })).rejects.toMatchObject({ statusCode: 400 });
+      }
+      expect(watchlist.items).toHaveLength(3);
+      expect(watchlist.save).not.toHaveBeenCalled();
+    });
+
+    it('should reject non-string symbols with a 400', async () => {
+      await expect(watchlistService.updateWatchlist(user, 'w1', { symbols: ['EMAAR.AE', 1, 'DIB.AE'] }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});